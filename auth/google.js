@@ -0,0 +1,77 @@
+import { Strategy as GoogleStrategy } from "passport-google-oauth20";
+import { resolveOAuthLogin } from "../lib/identities.js";
+
+/**
+ * Passport verify callback for Google: finds, links or creates the user
+ * through their Google identity. While a signed-in user is linking Google,
+ * the OAuth session carries their id as `linkUserId`.
+ * @param {Object} options
+ * @param {Object} options.db - Repository layer from createDb
+ * @param {Function} [options.clock] - Returns the current Date
+ * @returns {Function} Verify callback taking (req, accessToken, refreshToken, profile, done)
+ */
+export function createGoogleVerify({ db, clock = () => new Date() }) {
+  return async (req, _, __, profile, done) => {
+    try {
+      const email = profile.emails?.[0];
+      console.log("Google profile received:", email?.value);
+      const { data: user, error } = await resolveOAuthLogin(
+        { db, clock },
+        {
+          provider: "google",
+          providerUserId: profile.id,
+          email: email?.value,
+          emailVerified: Boolean(email?.verified),
+          name: profile.displayName,
+        },
+        { linkUserId: req.session?.linkUserId }
+      );
+
+      if (error) {
+        console.log("Google login refused:", error.message);
+        return done(null, false, { message: error.message });
+      }
+
+      console.log("User authenticated:", user.email);
+      return done(null, user);
+    } catch (err) {
+      console.error("Google auth error:", err);
+      return done(err, null);
+    }
+  };
+}
+
+/**
+ * Google OAuth strategy that finds or creates the matching user
+ * @param {Object} options
+ * @param {Object} options.db - Repository layer from createDb
+ * @param {string} options.clientID - Google OAuth client ID
+ * @param {string} options.clientSecret - Google OAuth client secret
+ * @param {string} options.callbackURL - Google OAuth callback URL
+ * @returns {GoogleStrategy} Passport strategy named "google"
+ */
+export function createGoogleStrategy({ db, clientID, clientSecret, callbackURL }) {
+  return new GoogleStrategy(
+    { clientID, clientSecret, callbackURL, passReqToCallback: true },
+    createGoogleVerify({ db })
+  );
+}
+
+/**
+ * Strategies enabled by the environment; Google login is optional so the
+ * API can run offline without OAuth credentials
+ * @param {Object} db - Repository layer from createDb
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {Array} Passport strategies
+ */
+export function defaultStrategies(db, env = process.env) {
+  if (!env.GOOGLE_CLIENT_ID) return [];
+  return [
+    createGoogleStrategy({
+      db,
+      clientID: env.GOOGLE_CLIENT_ID,
+      clientSecret: env.GOOGLE_CLIENT_SECRET,
+      callbackURL: env.GOOGLE_CALLBACK_URL,
+    }),
+  ];
+}
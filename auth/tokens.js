@@ -0,0 +1,274 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { PERSONAL_TOKEN_PREFIX, TOKEN_HINT_LENGTH } from "../lib/personalTokens.js";
+import { DEFAULT_ROLE } from "../lib/roles.js";
+
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// How long single-use links stay valid, by purpose
+const ONE_TIME_TOKEN_TTL_MS = {
+  verify_email: 24 * 60 * 60 * 1000,
+  reset_password: 60 * 60 * 1000,
+  link_identity: 10 * 60 * 1000,
+};
+
+/**
+ * Hashes a token for storage, so a leaked table or session holds no usable tokens
+ * @param {string} token - Token as given to the client
+ * @returns {string} Hex SHA-256 digest
+ */
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Issues, rotates and revokes access/refresh token pairs.
+ *
+ * Access tokens are short-lived JWTs carrying a `jti` and the `sid` of the
+ * refresh-token family they were issued with, so either can be denylisted.
+ * Refresh tokens are opaque, stored hashed and rotated on every use; replaying
+ * a rotated refresh token revokes its whole family.
+ * @param {Object} options
+ * @param {string} options.jwtSecret - Secret used to sign access tokens
+ * @param {Function} options.clock - Returns the current Date
+ * @param {Object} options.db - Repository layer from createDb
+ * @returns {Object} Token helpers
+ */
+export function createTokenService({ jwtSecret, clock, db }) {
+  const nowSeconds = () => Math.floor(clock().getTime() / 1000);
+
+  const signAccessToken = (user, sessionId) =>
+    jwt.sign(
+      {
+        id: user.id,
+        email: user.email,
+        role: user.role ?? DEFAULT_ROLE,
+        sid: sessionId,
+        iat: nowSeconds(),
+      },
+      jwtSecret,
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: crypto.randomUUID() }
+    );
+
+  const verifyAccessToken = (token) =>
+    jwt.verify(token, jwtSecret, { clockTimestamp: nowSeconds() });
+
+  const createRefreshToken = async (user, familyId) => {
+    const refreshToken = crypto.randomBytes(32).toString("base64url");
+    const { error } = await db.authTokens.createRefreshToken({
+      user_id: user.id,
+      family_id: familyId,
+      token_hash: hashToken(refreshToken),
+      expires_at: new Date(clock().getTime() + REFRESH_TOKEN_TTL_MS).toISOString(),
+    });
+    if (error) throw new Error(error.message);
+    return refreshToken;
+  };
+
+  /**
+   * Starts a new session (refresh-token family) for a user
+   * @param {Object} user - User row
+   * @returns {Promise<Object>} { token, refreshToken }
+   */
+  const issueTokens = async (user) => {
+    const familyId = crypto.randomUUID();
+    const refreshToken = await createRefreshToken(user, familyId);
+    return { token: signAccessToken(user, familyId), refreshToken };
+  };
+
+  const revokeSession = async (familyId) => {
+    const revokedAt = clock().toISOString();
+    await db.authTokens.revokeFamily(familyId, revokedAt);
+    await db.authTokens.denyToken({
+      session_id: familyId,
+      expires_at: new Date(clock().getTime() + ACCESS_TOKEN_TTL_SECONDS * 1000).toISOString(),
+    });
+  };
+
+  /**
+   * Exchanges a refresh token for a new pair
+   * @param {string} refreshToken - Opaque refresh token
+   * @returns {Promise<Object|null>} { user, token, refreshToken } or null when invalid
+   */
+  const rotateRefreshToken = async (refreshToken) => {
+    const { data: stored } = await db.authTokens.findRefreshToken(hashToken(refreshToken));
+    if (!stored) return null;
+
+    if (stored.revoked_at) {
+      console.warn("Refresh token reuse detected for user:", stored.user_id);
+      await revokeSession(stored.family_id);
+      return null;
+    }
+
+    if (new Date(stored.expires_at) <= clock()) return null;
+
+    const { data: claimed } = await db.authTokens.revokeRefreshToken(
+      stored.id,
+      clock().toISOString()
+    );
+    // Lost a race with a concurrent refresh of the same token
+    if (!claimed) {
+      await revokeSession(stored.family_id);
+      return null;
+    }
+
+    const { data: user } = await db.users.findById(stored.user_id);
+    if (!user || user.suspended_at) return null;
+
+    return {
+      user,
+      token: signAccessToken(user, stored.family_id),
+      refreshToken: await createRefreshToken(user, stored.family_id),
+    };
+  };
+
+  /**
+   * Denylists an access token and, when known, its refresh family
+   * @param {Object} payload - Verified access token payload
+   * @param {Object} [options]
+   * @param {boolean} [options.allSessions] - Also revoke every other session of the user
+   */
+  const revokeAccess = async (payload, { allSessions = false } = {}) => {
+    if (payload.jti) {
+      await db.authTokens.denyToken({
+        jti: payload.jti,
+        user_id: payload.id,
+        expires_at: new Date(payload.exp * 1000).toISOString(),
+      });
+    }
+    if (payload.sid) await revokeSession(payload.sid);
+
+    if (allSessions) await revokeUserSessions(payload.id);
+  };
+
+  /**
+   * Ends every session of a user, e.g. after a suspension or role change
+   * @param {string|number} userId - User id
+   * @param {Object} [options]
+   * @param {string} [options.except] - Session (refresh family) to keep, e.g. the caller's own
+   */
+  const revokeUserSessions = async (userId, { except } = {}) => {
+    const { data: families, error } = await db.authTokens.listActiveFamilies(userId);
+    if (error) throw new Error(error.message);
+    for (const familyId of families) {
+      if (familyId !== except) await revokeSession(familyId);
+    }
+  };
+
+  /**
+   * Creates a single-use token for an emailed or OAuth link. Earlier unused
+   * tokens of the same purpose stop working, so only the latest link is valid.
+   * @param {Object} user - User row
+   * @param {string} purpose - "verify_email", "reset_password" or "link_identity"
+   * @returns {Promise<string>} Opaque token to put in the link
+   */
+  const issueOneTimeToken = async (user, purpose) => {
+    const now = clock();
+    await db.authTokens.expireOneTimeTokens(user.id, purpose, now.toISOString());
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const { error } = await db.authTokens.createOneTimeToken({
+      user_id: user.id,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(now.getTime() + ONE_TIME_TOKEN_TTL_MS[purpose]).toISOString(),
+      used_at: null,
+    });
+    if (error) throw new Error(error.message);
+    return token;
+  };
+
+  /**
+   * Redeems a single-use token
+   * @param {string} token - Token from the link
+   * @param {string} purpose - Purpose it must have been issued for
+   * @returns {Promise<Object|null>} The token's user, or null when unknown, used or expired
+   */
+  const consumeOneTimeToken = async (token, purpose) => {
+    const { data: stored } = await db.authTokens.findOneTimeToken(purpose, hashToken(token));
+    if (!stored || stored.used_at || new Date(stored.expires_at) <= clock()) return null;
+
+    const { data: claimed } = await db.authTokens.useOneTimeToken(
+      stored.id,
+      clock().toISOString()
+    );
+    if (!claimed) return null;
+
+    const { data: user } = await db.users.findById(stored.user_id);
+    return user ?? null;
+  };
+
+  /**
+   * Creates a long-lived token for scripts, limited to the given scopes
+   * @param {Object} user - User row
+   * @param {Object} options
+   * @param {string} options.name - Label the user recognises the token by
+   * @param {Array<string>} options.scopes - Scopes from lib/personalTokens.js
+   * @param {string|null} [options.expiresAt] - ISO timestamp; null for no expiry
+   * @returns {Promise<Object>} `{ token, record }`; the token is only ever shown here
+   */
+  const createPersonalAccessToken = async (user, { name, scopes, expiresAt = null }) => {
+    const token = `${PERSONAL_TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+    const { data: record, error } = await db.personalTokens.create({
+      user_id: user.id,
+      name,
+      scopes,
+      token_hash: hashToken(token),
+      token_hint: token.slice(0, TOKEN_HINT_LENGTH),
+      expires_at: expiresAt,
+      last_used_at: null,
+      revoked_at: null,
+    });
+    if (error) throw new Error(error.message);
+    return { token, record };
+  };
+
+  /**
+   * Resolves a personal access token to the request user. The role comes
+   * from the user row, so it follows role changes; suspended accounts and
+   * accounts scheduled for deletion can't use their tokens.
+   * @param {string} token - Token from the Authorization header
+   * @returns {Promise<Object|null>} `{ id, email, role, scopes, token_id }`, or null when unknown, revoked or expired
+   */
+  const verifyPersonalAccessToken = async (token) => {
+    const { data: record, error } = await db.personalTokens.findByHash(hashToken(token));
+    if (error) throw new Error(error.message);
+    if (!record || record.revoked_at) return null;
+    if (record.expires_at && new Date(record.expires_at) <= clock()) return null;
+
+    const { data: user, error: userError } = await db.users.findById(record.user_id);
+    if (userError) throw new Error(userError.message);
+    if (!user || user.suspended_at || user.deletion_due_at) return null;
+
+    await db.personalTokens.update(record.id, { last_used_at: clock().toISOString() });
+    return {
+      id: user.id,
+      email: user.email,
+      role: user.role ?? DEFAULT_ROLE,
+      scopes: record.scopes,
+      token_id: record.id,
+    };
+  };
+
+  const isRevoked = async (payload) => {
+    const { data: denied, error } = await db.authTokens.isDenied({
+      jti: payload.jti,
+      sessionId: payload.sid,
+    });
+    if (error) throw new Error(error.message);
+    return denied;
+  };
+
+  return {
+    signAccessToken,
+    verifyAccessToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeAccess,
+    revokeUserSessions,
+    issueOneTimeToken,
+    consumeOneTimeToken,
+    createPersonalAccessToken,
+    verifyPersonalAccessToken,
+    isRevoked,
+  };
+}
@@ -0,0 +1,34 @@
+import { createMemoryCounterStore } from "./memory.js";
+import { createSupabaseCounterStore } from "./supabase.js";
+
+/**
+ * Builds the counter store behind rate limits and login lockouts.
+ *
+ * `RATE_LIMIT_STORE` picks the implementation: `memory` (per process, the
+ * default) or `supabase` (the `rate_limit_counters` table, shared by every
+ * instance of the API).
+ * @param {Object} [env=process.env] - Configuration source
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Supabase client to reuse, e.g. the repository layer's
+ * @param {Function} [options.clock] - Returns the current Date
+ * @returns {Object} Store with increment/get/reset/purgeExpired
+ */
+export function createCounterStore(env = process.env, { client, clock } = {}) {
+  const backend = env.RATE_LIMIT_STORE || "memory";
+
+  switch (backend) {
+    case "memory":
+      return createMemoryCounterStore({ clock });
+    case "supabase":
+      return createSupabaseCounterStore({
+        client,
+        url: env.SUPABASE_URL,
+        key: env.SUPABASE_KEY,
+        clock,
+      });
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${backend}"`);
+  }
+}
+
+export { createMemoryCounterStore, createSupabaseCounterStore };
@@ -0,0 +1,71 @@
+// Expired counters are swept once the map grows past this many keys
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * Fixed-window counters kept in this process
+ * @param {Object} [options]
+ * @param {Function} [options.clock] - Returns the current Date
+ * @returns {Object} Store with increment/get/reset/purgeExpired
+ */
+export function createMemoryCounterStore({ clock = () => new Date() } = {}) {
+  const counters = new Map();
+
+  const current = (key, now) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= now) {
+      counters.delete(key);
+      return null;
+    }
+    return counter ?? null;
+  };
+
+  const sweep = (now) => {
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  };
+
+  const present = (counter) => ({ count: counter.count, resetAt: new Date(counter.resetAt) });
+
+  return {
+    backend: "memory",
+
+    /**
+     * Counts a hit, starting a new window when the key has none running
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Length of a new window
+     * @returns {Promise<Object>} { data: { count, resetAt }, error }
+     */
+    increment: async (key, windowMs) => {
+      const now = clock().getTime();
+      let counter = current(key, now);
+      if (!counter) {
+        if (counters.size >= SWEEP_THRESHOLD) sweep(now);
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { data: present(counter), error: null };
+    },
+
+    get: async (key) => {
+      const counter = current(key, clock().getTime());
+      return { data: counter ? present(counter) : null, error: null };
+    },
+
+    reset: async (key) => {
+      counters.delete(key);
+      return { data: null, error: null };
+    },
+
+    /**
+     * Drops counters whose window has passed
+     * @returns {Promise<Object>} { data: number of counters removed, error }
+     */
+    purgeExpired: async () => {
+      const before = counters.size;
+      sweep(clock().getTime());
+      return { data: before - counters.size, error: null };
+    },
+  };
+}
@@ -0,0 +1,61 @@
+import { createClient } from "@supabase/supabase-js";
+
+/**
+ * Fixed-window counters in the `rate_limit_counters` table, so every API
+ * instance shares the same limits
+ * @param {Object} options
+ * @param {Object} [options.client] - Existing Supabase client (takes precedence)
+ * @param {string} [options.url] - Supabase project URL
+ * @param {string} [options.key] - Supabase API key
+ * @param {Function} [options.clock] - Returns the current Date
+ * @returns {Object} Store with increment/get/reset/purgeExpired
+ */
+export function createSupabaseCounterStore({ client, url, key, clock = () => new Date() } = {}) {
+  const supabase = client || createClient(url, key);
+
+  const present = (row) => ({ count: row.count, resetAt: new Date(row.reset_at) });
+
+  return {
+    backend: "supabase",
+
+    // The window logic lives in increment_rate_limit so concurrent hits stay atomic
+    increment: async (counterKey, windowMs) => {
+      const { data, error } = await supabase
+        .rpc("increment_rate_limit", {
+          p_key: counterKey,
+          p_window_ms: windowMs,
+          p_now: clock().toISOString(),
+        })
+        .single();
+      if (error) return { data: null, error };
+      return { data: present(data), error: null };
+    },
+
+    get: async (counterKey) => {
+      const { data, error } = await supabase
+        .from("rate_limit_counters")
+        .select("count, reset_at")
+        .eq("key", counterKey)
+        .gt("reset_at", clock().toISOString())
+        .maybeSingle();
+      if (error) return { data: null, error };
+      return { data: data ? present(data) : null, error: null };
+    },
+
+    reset: async (counterKey) => {
+      const { error } = await supabase.from("rate_limit_counters").delete().eq("key", counterKey);
+      return { data: null, error: error ?? null };
+    },
+
+    // Expired rows are only overwritten when their key is hit again
+    purgeExpired: async () => {
+      const { data, error } = await supabase
+        .from("rate_limit_counters")
+        .delete()
+        .lte("reset_at", clock().toISOString())
+        .select("key");
+      if (error) return { data: null, error };
+      return { data: data.length, error: null };
+    },
+  };
+}
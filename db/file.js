@@ -0,0 +1,769 @@
+import fs from "fs";
+import path from "path";
+import { SORT_COLUMNS } from "../lib/pagination.js";
+import { DEFAULT_ROLE } from "../lib/roles.js";
+import { rankPost } from "../lib/search.js";
+import { slugify } from "../lib/slug.js";
+
+const clone = (value) => (value == null ? value : structuredClone(value));
+const ok = (data) => ({ data: clone(data), error: null });
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Reads posts.json, which carries a doc-comment header and uses the
+ * legacy `{ id, title, body, createdAt }` shape, into post rows.
+ * @param {string} seedFile - Path to the seed file
+ * @returns {Array} Post rows
+ */
+export function readSeedPosts(seedFile) {
+  if (!seedFile || !fs.existsSync(seedFile)) return [];
+  const raw = fs.readFileSync(seedFile, "utf8").replace(/^\s*\/\*[\s\S]*?\*\/\s*/, "");
+  const entries = JSON.parse(raw);
+
+  return entries.map((entry) => ({
+    id: Number(entry.id),
+    title: entry.title,
+    slug: entry.slug ?? slugify(entry.title),
+    content: entry.content ?? entry.body,
+    format: entry.format ?? "plain",
+    user_id: entry.user_id ?? null,
+    status: entry.status ?? "published",
+    publish_at: entry.publish_at ?? null,
+    published_at: entry.published_at ?? entry.created_at ?? entry.createdAt ?? null,
+    comments_closed: entry.comments_closed ?? false,
+    created_at: entry.created_at ?? entry.createdAt ?? new Date().toISOString(),
+    updated_at: entry.updated_at ?? entry.created_at ?? entry.createdAt ?? new Date().toISOString(),
+  }));
+}
+
+function loadState(file, seedFile) {
+  if (file && fs.existsSync(file)) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  return { users: [], posts: readSeedPosts(seedFile) };
+}
+
+/**
+ * File/in-memory repositories with the same interface as the Supabase ones
+ * @param {Object} options
+ * @param {string} [options.file] - JSON file to persist to; omit to stay in memory
+ * @param {string} [options.seedFile] - posts.json-style file used when `file` does not exist yet
+ * @param {Function} [options.clock] - Returns the current Date, used for timestamps
+ * @returns {Object} Repositories keyed by resource (users, posts, tags, ...)
+ */
+export function createFileDb({ file, seedFile, clock = () => new Date() } = {}) {
+  const state = loadState(file, seedFile);
+
+  const table = (name) => state[name] || (state[name] = []);
+
+  const persist = () => {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, file);
+  };
+
+  const nextId = (name) =>
+    table(name).reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
+
+  const insert = (name, row) => {
+    const created = {
+      id: nextId(name),
+      created_at: clock().toISOString(),
+      ...row,
+    };
+    table(name).push(created);
+    persist();
+    return ok(created);
+  };
+
+  const findOne = (name, predicate) => ok(table(name).find(predicate) ?? null);
+
+  const findAll = (name, predicate) => ok(table(name).filter(predicate));
+
+  const updateOne = (name, predicate, changes) => {
+    const row = table(name).find(predicate);
+    if (!row) return { data: null, error: { message: "Row not found" } };
+    Object.assign(row, changes);
+    persist();
+    return ok(row);
+  };
+
+  const updateWhere = (name, predicate, changes) => {
+    const rows = table(name).filter(predicate);
+    rows.forEach((row) => Object.assign(row, changes));
+    persist();
+    return ok(rows);
+  };
+
+  const removeWhere = (name, predicate) => {
+    const removed = table(name).filter(predicate);
+    state[name] = table(name).filter((row) => !predicate(row));
+    persist();
+    return ok(removed);
+  };
+
+  const users = {
+    findByEmail: async (email) => findOne("users", (u) => u.email === email),
+
+    findById: async (id) => findOne("users", (u) => sameId(u.id, id)),
+
+    findByIds: async (ids) => {
+      const wanted = new Set(ids.map(String));
+      return findAll("users", (u) => wanted.has(String(u.id)));
+    },
+
+    create: async (user) => {
+      if (table("users").some((u) => u.email === user.email)) {
+        return { data: null, error: { message: "User already exists" } };
+      }
+      return insert("users", {
+        role: DEFAULT_ROLE,
+        suspended_at: null,
+        email_verified_at: null,
+        bio: null,
+        website: null,
+        avatar_key: null,
+        deletion_due_at: null,
+        ...user,
+      });
+    },
+
+    update: async (id, changes) => updateOne("users", (u) => sameId(u.id, id), changes),
+
+    listDeletionDue: async (now) =>
+      findAll("users", (u) => u.deletion_due_at != null && u.deletion_due_at <= now),
+
+    remove: async (id) => {
+      const ofUser = (row) => sameId(row.user_id, id);
+      // Mirrors the ON DELETE CASCADE and SET NULL on tables referencing users
+      removePosts(ofUser);
+      for (const name of [
+        "tags",
+        "reactions",
+        "bookmarks",
+        "identities",
+        "personal_access_tokens",
+        "refresh_tokens",
+        "one_time_tokens",
+      ]) {
+        removeWhere(name, ofUser);
+      }
+      removeWhere("follows", (f) => sameId(f.follower_id, id) || sameId(f.followee_id, id));
+      const webhookIds = new Set(removeWhere("webhooks", ofUser).data.map((w) => String(w.id)));
+      removeWhere("webhook_deliveries", (d) => webhookIds.has(String(d.webhook_id)));
+      for (const name of ["comments", "post_revisions", "attachments"]) {
+        updateWhere(name, ofUser, { user_id: null });
+      }
+      return removeWhere("users", (u) => sameId(u.id, id));
+    },
+
+    // Case-insensitive match on name or email, in id order after the `after` id
+    search: async ({ q, role, after, limit }) => {
+      const needle = q?.toLowerCase();
+      return ok(
+        table("users")
+          .filter((u) => !needle || `${u.name}\n${u.email}`.toLowerCase().includes(needle))
+          .filter((u) => !role || (u.role ?? DEFAULT_ROLE) === role)
+          .filter((u) => after == null || Number(u.id) > Number(after))
+          .sort((a, b) => Number(a.id) - Number(b.id))
+          .slice(0, limit)
+      );
+    },
+  };
+
+  const owned = (id, userId) => (p) => sameId(p.id, id) && sameId(p.user_id, userId);
+
+  // Trashed posts are invisible everywhere except the trash itself
+  const live = (p) => !p.deleted_at;
+  const ownedLive = (id, userId) => (p) => owned(id, userId)(p) && live(p);
+  const ownedTrashed = (id, userId) => (p) => owned(id, userId)(p) && !live(p);
+
+  const newestFirst = (a, b) => b.id - a.id;
+
+  // Orders by the sort column with id as the tie-breaker, matching the keyset cursor
+  const compareBy = (column) => (a, b) => {
+    const av = a[column] ?? "";
+    const bv = b[column] ?? "";
+    if (av < bv) return -1;
+    if (av > bv) return 1;
+    return Number(a.id) - Number(b.id);
+  };
+
+  const posts = {
+    listByUser: async (userId) =>
+      ok(table("posts").filter((p) => live(p) && sameId(p.user_id, userId)).sort(newestFirst)),
+
+    listPublic: async () =>
+      ok(table("posts").filter((p) => live(p) && p.status === "published").sort(newestFirst)),
+
+    listPublicByUser: async (userId) =>
+      ok(
+        table("posts")
+          .filter((p) => live(p) && p.status === "published" && sameId(p.user_id, userId))
+          .sort(newestFirst)
+      ),
+
+    // Includes trashed posts so a restored post gets its slug back
+    findBySlug: async (slug) => findOne("posts", (p) => p.slug === slug),
+
+    findPublicBySlug: async (slug) =>
+      findOne("posts", (p) => live(p) && p.slug === slug && p.status === "published"),
+
+    publishDue: async (now) => {
+      const due = table("posts").filter(
+        (p) => live(p) && p.status === "scheduled" && p.publish_at && p.publish_at <= now
+      );
+      due.forEach((p) => {
+        Object.assign(p, { status: "published", published_at: p.publish_at, publish_at: null });
+      });
+      if (due.length > 0) persist();
+      return ok(due);
+    },
+
+    query: async ({ userId, authorIds, status, tag, from, to, sort, order, after, limit }) => {
+      const column = SORT_COLUMNS[sort];
+      const direction = order === "asc" ? 1 : -1;
+      const compare = compareBy(column);
+      const cursorRow = after && { [column]: after.value, id: after.id };
+      const taggedIds = tag && postIdsTagged(userId, tag);
+      const authors = authorIds && new Set(authorIds.map(String));
+
+      const rows = table("posts")
+        .filter(live)
+        .filter((p) => userId == null || sameId(p.user_id, userId))
+        .filter((p) => !authors || authors.has(String(p.user_id)))
+        .filter((p) => !status || p.status === status)
+        .filter((p) => !taggedIds || taggedIds.has(String(p.id)))
+        .filter((p) => !from || p.created_at >= from)
+        .filter((p) => !to || p.created_at < to)
+        .filter((p) => !cursorRow || compare(p, cursorRow) * direction > 0)
+        .sort((a, b) => compare(a, b) * direction);
+
+      return ok(rows.slice(0, limit));
+    },
+
+    search: async ({ userId, terms, limit }) =>
+      ok(
+        table("posts")
+          .filter((p) => live(p) && sameId(p.user_id, userId))
+          .map((p) => ({ ...p, rank: rankPost(p, terms) }))
+          .filter((p) => p.rank > 0)
+          .sort((a, b) => b.rank - a.rank || b.id - a.id)
+          .slice(0, limit)
+      ),
+
+    findById: async (id) => findOne("posts", (p) => live(p) && sameId(p.id, id)),
+
+    findByIds: async (ids) => {
+      const wanted = new Set(ids.map(String));
+      return findAll("posts", (p) => live(p) && wanted.has(String(p.id)));
+    },
+
+    findOwned: async (id, userId) => findOne("posts", ownedLive(id, userId)),
+
+    findTrashed: async (id, userId) => findOne("posts", ownedTrashed(id, userId)),
+
+    listTrash: async (userId) =>
+      ok(
+        table("posts")
+          .filter((p) => !live(p) && sameId(p.user_id, userId))
+          .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at) || b.id - a.id)
+      ),
+
+    create: async (post) => insert("posts", { updated_at: clock().toISOString(), ...post }),
+
+    update: async (id, userId, changes) =>
+      updateOne("posts", ownedLive(id, userId), {
+        ...changes,
+        updated_at: clock().toISOString(),
+      }),
+
+    trash: async (id, userId, deletedAt, removedBy = null) =>
+      updateOne("posts", ownedLive(id, userId), { deleted_at: deletedAt, removed_by: removedBy }),
+
+    // Posts removed by a moderator stay in the trash
+    restore: async (id, userId) =>
+      updateOne("posts", (p) => ownedTrashed(id, userId)(p) && p.removed_by == null, {
+        deleted_at: null,
+      }),
+
+    // Permanent; only posts already in the trash can be removed
+    remove: async (id, userId) => removePosts(ownedTrashed(id, userId)),
+
+    purgeTrashed: async (before) => removePosts((p) => !live(p) && p.deleted_at <= before),
+  };
+
+  function removePosts(predicate) {
+    const result = removeWhere("posts", predicate);
+    // Mirrors the ON DELETE CASCADE on tables referencing posts
+    const removedIds = new Set(result.data.map((p) => String(p.id)));
+    for (const name of ["post_tags", "comments", "reactions", "bookmarks", "post_revisions"]) {
+      removeWhere(name, (row) => removedIds.has(String(row.post_id)));
+    }
+    // ON DELETE SET NULL: attachments stay until their files are removed
+    updateWhere("attachments", (a) => removedIds.has(String(a.post_id)), { post_id: null });
+    return result;
+  }
+
+  function postIdsTagged(userId, slug) {
+    const tagIds = new Set(
+      table("tags")
+        .filter((t) => t.slug === slug && (userId == null || sameId(t.user_id, userId)))
+        .map((t) => t.id)
+    );
+    return new Set(
+      table("post_tags")
+        .filter((pt) => tagIds.has(pt.tag_id))
+        .map((pt) => String(pt.post_id))
+    );
+  }
+
+  const tags = {
+    setForPost: async (postId, userId, slugs) => {
+      const tagIds = slugs.map((slug) => {
+        const existing = table("tags").find((t) => sameId(t.user_id, userId) && t.slug === slug);
+        return existing ? existing.id : insert("tags", { user_id: userId, slug }).data.id;
+      });
+      state.post_tags = table("post_tags").filter((pt) => !sameId(pt.post_id, postId));
+      tagIds.forEach((tagId) => table("post_tags").push({ post_id: postId, tag_id: tagId }));
+      persist();
+      return ok(slugs);
+    },
+
+    listForPosts: async (postIds) => {
+      const wanted = new Set(postIds.map(String));
+      const slugById = new Map(table("tags").map((t) => [t.id, t.slug]));
+      return ok(
+        table("post_tags")
+          .filter((pt) => wanted.has(String(pt.post_id)))
+          .map((pt) => ({ post_id: pt.post_id, slug: slugById.get(pt.tag_id) }))
+      );
+    },
+
+    // Counts skip trashed posts; tags used only in the trash are left out
+    listByUser: async (userId) => {
+      const liveIds = new Set(table("posts").filter(live).map((p) => String(p.id)));
+      return ok(
+        table("tags")
+          .filter((t) => sameId(t.user_id, userId))
+          .map((t) => ({
+            slug: t.slug,
+            count: table("post_tags").filter(
+              (pt) => pt.tag_id === t.id && liveIds.has(String(pt.post_id))
+            ).length,
+          }))
+          .filter((t) => t.count > 0)
+          .sort((a, b) => b.count - a.count || a.slug.localeCompare(b.slug))
+      );
+    },
+
+    removeOrphans: async (userId) => {
+      const used = new Set(table("post_tags").map((pt) => pt.tag_id));
+      return removeWhere("tags", (t) => sameId(t.user_id, userId) && !used.has(t.id));
+    },
+  };
+
+  const comments = {
+    create: async (comment) =>
+      insert("comments", { ...comment, updated_at: clock().toISOString() }),
+
+    findById: async (id) => findOne("comments", (c) => sameId(c.id, id)),
+
+    listByPost: async (postId) =>
+      ok(
+        table("comments")
+          .filter((c) => sameId(c.post_id, postId))
+          .sort((a, b) => Number(a.id) - Number(b.id))
+      ),
+
+    listByUser: async (userId) =>
+      ok(
+        table("comments")
+          .filter((c) => sameId(c.user_id, userId))
+          .sort((a, b) => Number(a.id) - Number(b.id))
+      ),
+
+    update: async (id, changes) =>
+      updateOne("comments", (c) => sameId(c.id, id), {
+        ...changes,
+        updated_at: clock().toISOString(),
+      }),
+  };
+
+  const revisionsOf = (postId) =>
+    table("post_revisions")
+      .filter((r) => sameId(r.post_id, postId))
+      .sort((a, b) => b.rev - a.rev);
+
+  const revisions = {
+    create: async (revision) => {
+      const latest = revisionsOf(revision.post_id)[0];
+      return insert("post_revisions", { ...revision, rev: (latest?.rev ?? 0) + 1 });
+    },
+
+    latest: async (postId) => ok(revisionsOf(postId)[0] ?? null),
+
+    listByPost: async (postId) => ok(revisionsOf(postId)),
+
+    listByUser: async (userId) =>
+      ok(
+        table("post_revisions")
+          .filter((r) => sameId(r.user_id, userId))
+          .sort((a, b) => Number(a.id) - Number(b.id))
+      ),
+
+    find: async (postId, rev) =>
+      findOne("post_revisions", (r) => sameId(r.post_id, postId) && r.rev === Number(rev)),
+  };
+
+  const attachments = {
+    create: async (attachment) => insert("attachments", attachment),
+
+    findById: async (id) => findOne("attachments", (a) => sameId(a.id, id)),
+
+    listByPost: async (postId) =>
+      ok(
+        table("attachments")
+          .filter((a) => a.post_id != null && sameId(a.post_id, postId))
+          .sort((a, b) => Number(a.id) - Number(b.id))
+      ),
+
+    listDetached: async () => findAll("attachments", (a) => a.post_id == null),
+
+    listByUser: async (userId) =>
+      ok(
+        table("attachments")
+          .filter((a) => sameId(a.user_id, userId))
+          .sort((a, b) => Number(a.id) - Number(b.id))
+      ),
+
+    remove: async (id) => removeWhere("attachments", (a) => sameId(a.id, id)),
+
+    removeMany: async (ids) => {
+      const wanted = new Set(ids.map(String));
+      return removeWhere("attachments", (a) => wanted.has(String(a.id)));
+    },
+  };
+
+  const byPostAndUser = (postId, userId) => (row) =>
+    sameId(row.post_id, postId) && sameId(row.user_id, userId);
+
+  const forUserAndPosts = (userId, postIds) => {
+    const wanted = new Set(postIds.map(String));
+    return (row) => sameId(row.user_id, userId) && wanted.has(String(row.post_id));
+  };
+
+  const reactions = {
+    set: async (postId, userId, type) => {
+      const existing = table("reactions").find(byPostAndUser(postId, userId));
+      if (existing) return updateOne("reactions", byPostAndUser(postId, userId), { type });
+      return insert("reactions", { post_id: postId, user_id: userId, type });
+    },
+
+    remove: async (postId, userId) => removeWhere("reactions", byPostAndUser(postId, userId)),
+
+    countForPosts: async (postIds) => {
+      const wanted = new Set(postIds.map(String));
+      const counts = new Map();
+      for (const r of table("reactions")) {
+        if (!wanted.has(String(r.post_id))) continue;
+        const key = `${r.post_id}:${r.type}`;
+        const row = counts.get(key) || { post_id: r.post_id, type: r.type, count: 0 };
+        row.count += 1;
+        counts.set(key, row);
+      }
+      return ok([...counts.values()]);
+    },
+
+    listForUser: async (userId, postIds) =>
+      findAll("reactions", forUserAndPosts(userId, postIds)),
+
+    listByUser: async (userId) =>
+      ok(
+        table("reactions")
+          .filter((r) => sameId(r.user_id, userId))
+          .sort((a, b) => Number(a.id) - Number(b.id))
+      ),
+  };
+
+  const bookmarks = {
+    add: async (postId, userId) => {
+      const existing = table("bookmarks").find(byPostAndUser(postId, userId));
+      if (existing) return ok(existing);
+      return insert("bookmarks", { post_id: postId, user_id: userId });
+    },
+
+    remove: async (postId, userId) => removeWhere("bookmarks", byPostAndUser(postId, userId)),
+
+    listForUser: async (userId, postIds) =>
+      findAll("bookmarks", forUserAndPosts(userId, postIds)),
+
+    listByUser: async (userId) =>
+      ok(
+        table("bookmarks")
+          .filter((b) => sameId(b.user_id, userId))
+          .sort((a, b) => Number(b.id) - Number(a.id))
+      ),
+  };
+
+  const byPair = (followerId, followeeId) => (f) =>
+    sameId(f.follower_id, followerId) && sameId(f.followee_id, followeeId);
+
+  const follows = {
+    follow: async (followerId, followeeId) => {
+      const existing = table("follows").find(byPair(followerId, followeeId));
+      if (existing) return ok(existing);
+      return insert("follows", { follower_id: followerId, followee_id: followeeId });
+    },
+
+    unfollow: async (followerId, followeeId) =>
+      removeWhere("follows", byPair(followerId, followeeId)),
+
+    isFollowing: async (followerId, followeeId) =>
+      ok(table("follows").some(byPair(followerId, followeeId))),
+
+    listFollowers: async (userId) =>
+      ok(
+        table("follows")
+          .filter((f) => sameId(f.followee_id, userId))
+          .sort((a, b) => Number(b.id) - Number(a.id))
+      ),
+
+    listFollowing: async (userId) =>
+      ok(
+        table("follows")
+          .filter((f) => sameId(f.follower_id, userId))
+          .sort((a, b) => Number(b.id) - Number(a.id))
+      ),
+  };
+
+  const identities = {
+    findByProvider: async (provider, providerUserId) =>
+      findOne(
+        "identities",
+        (i) => i.provider === provider && i.provider_user_id === String(providerUserId)
+      ),
+
+    listByUser: async (userId) =>
+      ok(
+        table("identities")
+          .filter((i) => sameId(i.user_id, userId))
+          .sort((a, b) => Number(a.id) - Number(b.id))
+      ),
+
+    create: async (identity) => {
+      const taken = table("identities").some(
+        (i) => i.provider === identity.provider && i.provider_user_id === identity.provider_user_id
+      );
+      if (taken) return { data: null, error: { message: "Identity is already linked" } };
+      return insert("identities", identity);
+    },
+
+    remove: async (id, userId) =>
+      removeWhere("identities", (i) => sameId(i.id, id) && sameId(i.user_id, userId)),
+  };
+
+  const personalTokens = {
+    create: async (record) => insert("personal_access_tokens", record),
+
+    findByHash: async (tokenHash) =>
+      findOne("personal_access_tokens", (t) => t.token_hash === tokenHash),
+
+    // Revoked tokens are kept for reference but never listed
+    listByUser: async (userId) =>
+      ok(
+        table("personal_access_tokens")
+          .filter((t) => sameId(t.user_id, userId) && !t.revoked_at)
+          .sort((a, b) => Number(b.id) - Number(a.id))
+      ),
+
+    update: async (id, changes) =>
+      updateOne("personal_access_tokens", (t) => sameId(t.id, id), changes),
+
+    revoke: async (id, userId, revokedAt) =>
+      updateOne(
+        "personal_access_tokens",
+        (t) => sameId(t.id, id) && sameId(t.user_id, userId) && !t.revoked_at,
+        { revoked_at: revokedAt }
+      ),
+  };
+
+  const webhooks = {
+    create: async (webhook) =>
+      insert("webhooks", { active: true, updated_at: clock().toISOString(), ...webhook }),
+
+    listByUser: async (userId) =>
+      ok(
+        table("webhooks")
+          .filter((w) => sameId(w.user_id, userId))
+          .sort((a, b) => Number(a.id) - Number(b.id))
+      ),
+
+    findOwned: async (id, userId) =>
+      findOne("webhooks", (w) => sameId(w.id, id) && sameId(w.user_id, userId)),
+
+    findById: async (id) => findOne("webhooks", (w) => sameId(w.id, id)),
+
+    // Active webhooks of the user subscribed to the event
+    listForEvent: async (userId, event) =>
+      findAll(
+        "webhooks",
+        (w) => sameId(w.user_id, userId) && w.active && w.events.includes(event)
+      ),
+
+    update: async (id, userId, changes) =>
+      updateOne("webhooks", (w) => sameId(w.id, id) && sameId(w.user_id, userId), changes),
+
+    // Mirrors the ON DELETE CASCADE from webhook_deliveries
+    remove: async (id, userId) => {
+      const removed = removeWhere(
+        "webhooks",
+        (w) => sameId(w.id, id) && sameId(w.user_id, userId)
+      );
+      const ids = new Set(removed.data.map((w) => String(w.id)));
+      removeWhere("webhook_deliveries", (d) => ids.has(String(d.webhook_id)));
+      return removed;
+    },
+  };
+
+  const webhookDeliveries = {
+    create: async (delivery) =>
+      insert("webhook_deliveries", {
+        status: "pending",
+        attempts: 0,
+        next_attempt_at: clock().toISOString(),
+        last_attempt_at: null,
+        delivered_at: null,
+        response_status: null,
+        error: null,
+        redelivery_of: null,
+        ...delivery,
+      }),
+
+    findById: async (id) => findOne("webhook_deliveries", (d) => sameId(d.id, id)),
+
+    // Pending deliveries whose next attempt is due, oldest first
+    listDue: async (now, limit) =>
+      ok(
+        table("webhook_deliveries")
+          .filter((d) => d.status === "pending" && d.next_attempt_at <= now)
+          .sort(compareBy("next_attempt_at"))
+          .slice(0, limit)
+      ),
+
+    // Moves next_attempt_at on to leaseUntil, unless another worker already did
+    claim: async (id, nextAttemptAt, leaseUntil) =>
+      ok(
+        updateOne(
+          "webhook_deliveries",
+          (d) => sameId(d.id, id) && d.status === "pending" && d.next_attempt_at === nextAttemptAt,
+          { next_attempt_at: leaseUntil }
+        ).data
+      ),
+
+    update: async (id, changes) =>
+      updateOne("webhook_deliveries", (d) => sameId(d.id, id), changes),
+
+    listByWebhook: async (webhookId, limit) =>
+      ok(
+        table("webhook_deliveries")
+          .filter((d) => sameId(d.webhook_id, webhookId))
+          .sort(newestFirst)
+          .slice(0, limit)
+      ),
+  };
+
+  const authTokens = {
+    createRefreshToken: async (token) => insert("refresh_tokens", token),
+
+    findRefreshToken: async (tokenHash) =>
+      findOne("refresh_tokens", (t) => t.token_hash === tokenHash),
+
+    revokeRefreshToken: async (id, revokedAt) =>
+      updateOne("refresh_tokens", (t) => sameId(t.id, id) && !t.revoked_at, {
+        revoked_at: revokedAt,
+      }),
+
+    revokeFamily: async (familyId, revokedAt) =>
+      updateWhere(
+        "refresh_tokens",
+        (t) => t.family_id === familyId && !t.revoked_at,
+        { revoked_at: revokedAt }
+      ),
+
+    listActiveFamilies: async (userId) =>
+      ok([
+        ...new Set(
+          table("refresh_tokens")
+            .filter((t) => sameId(t.user_id, userId) && !t.revoked_at)
+            .map((t) => t.family_id)
+        ),
+      ]),
+
+    // The family's first refresh token was issued when the user signed in
+    findSessionStart: async (familyId) =>
+      findOne("refresh_tokens", (t) => t.family_id === familyId),
+
+    // Whole sessions only: a family is kept while any of its tokens is still
+    // valid, for reuse detection and findSessionStart
+    purgeExpiredRefreshTokens: async (now) => {
+      const liveFamilies = new Set(
+        table("refresh_tokens")
+          .filter((t) => t.expires_at > now)
+          .map((t) => t.family_id)
+      );
+      return removeWhere("refresh_tokens", (t) => !liveFamilies.has(t.family_id));
+    },
+
+    createOneTimeToken: async (token) => insert("one_time_tokens", token),
+
+    findOneTimeToken: async (purpose, tokenHash) =>
+      findOne("one_time_tokens", (t) => t.purpose === purpose && t.token_hash === tokenHash),
+
+    useOneTimeToken: async (id, usedAt) =>
+      updateOne("one_time_tokens", (t) => sameId(t.id, id) && !t.used_at, { used_at: usedAt }),
+
+    // Marks every unused token of a purpose as used, so older links stop working
+    expireOneTimeTokens: async (userId, purpose, usedAt) =>
+      updateWhere(
+        "one_time_tokens",
+        (t) => sameId(t.user_id, userId) && t.purpose === purpose && !t.used_at,
+        { used_at: usedAt }
+      ),
+
+    purgeExpiredOneTimeTokens: async (now) =>
+      removeWhere("one_time_tokens", (t) => t.expires_at <= now),
+
+    denyToken: async (entry) => insert("revoked_tokens", entry),
+
+    isDenied: async ({ jti, sessionId }) =>
+      ok(
+        table("revoked_tokens").some(
+          (r) => (jti && r.jti === jti) || (sessionId && r.session_id === sessionId)
+        )
+      ),
+
+    // Access tokens past their expiry are rejected anyway, denied or not
+    purgeExpiredDenials: async (now) => removeWhere("revoked_tokens", (r) => r.expires_at <= now),
+  };
+
+  return {
+    backend: file ? "file" : "memory",
+    users,
+    posts,
+    tags,
+    comments,
+    revisions,
+    attachments,
+    reactions,
+    bookmarks,
+    follows,
+    identities,
+    personalTokens,
+    webhooks,
+    webhookDeliveries,
+    authTokens,
+  };
+}
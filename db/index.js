@@ -0,0 +1,36 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { createFileDb } from "./file.js";
+import { createSupabaseDb } from "./supabase.js";
+
+const DEFAULT_SEED_FILE = fileURLToPath(new URL("../posts.json", import.meta.url));
+
+/**
+ * Builds the repository layer for the configured backend.
+ *
+ * `DB_BACKEND` picks the implementation: `supabase`, `file` (persisted to
+ * `DB_FILE`) or `memory`. When unset, Supabase is used if `SUPABASE_URL` is
+ * configured and the offline file backend otherwise.
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {Object} Repositories keyed by resource (users, posts, tags, ...)
+ */
+export function createDb(env = process.env) {
+  const backend = env.DB_BACKEND || (env.SUPABASE_URL ? "supabase" : "file");
+  const seedFile = env.DB_SEED_FILE || DEFAULT_SEED_FILE;
+
+  switch (backend) {
+    case "supabase":
+      return createSupabaseDb({ url: env.SUPABASE_URL, key: env.SUPABASE_KEY });
+    case "file":
+      return createFileDb({
+        file: env.DB_FILE ? path.resolve(env.DB_FILE) : undefined,
+        seedFile,
+      });
+    case "memory":
+      return createFileDb({ seedFile });
+    default:
+      throw new Error(`Unknown DB_BACKEND "${backend}"`);
+  }
+}
+
+export { createFileDb, createSupabaseDb };
@@ -0,0 +1,361 @@
+-- Supabase (Postgres) schema used by db/supabase.js.
+-- The file/in-memory backend (db/file.js) keeps the same tables and columns.
+
+create table if not exists users (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  email text not null unique,
+  password text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists posts (
+  id bigint generated by default as identity primary key,
+  user_id bigint references users (id) on delete cascade,
+  title text not null,
+  content text not null,
+  created_at timestamptz not null default now()
+);
+
+-- Columns added since the first release. `create table if not exists` leaves an
+-- existing table alone, so every feature adds its columns here, backfilling
+-- rows that predate it. Re-running the file is safe.
+
+-- Roles and suspension
+alter table users add column if not exists role text not null default 'author'
+  check (role in ('reader', 'author', 'editor', 'admin'));
+alter table users add column if not exists suspended_at timestamptz;
+-- Email verification
+alter table users add column if not exists email_verified_at timestamptz;
+-- Profiles; avatar_key is the storage key of the processed avatar image
+alter table users add column if not exists bio text;
+alter table users add column if not exists website text;
+alter table users add column if not exists avatar_key text;
+-- Set when the user asks to delete the account; it is removed for good once this passes
+alter table users add column if not exists deletion_due_at timestamptz;
+
+-- Slugs for public URLs. Older posts get one from the title (ASCII letters and
+-- digits, as lib/slug.js), with the id appended when the slug is already taken.
+alter table posts add column if not exists slug text;
+with bases as (
+  select
+    id,
+    coalesce(
+      nullif(trim(both '-' from left(regexp_replace(lower(title), '[^a-z0-9]+', '-', 'g'), 80)), ''),
+      'post'
+    ) as base
+  from posts
+  where slug is null
+), numbered as (
+  select id, base, row_number() over (partition by base order by id) as n from bases
+)
+update posts p
+set slug = case
+  when numbered.n = 1 and not exists (select 1 from posts o where o.slug = numbered.base)
+    then numbered.base
+  else numbered.base || '-' || p.id
+end
+from numbered
+where p.id = numbered.id;
+alter table posts alter column slug set not null;
+create unique index if not exists posts_slug_key on posts (slug);
+
+-- Lifecycle. Posts from before statuses existed were live from the moment they were written.
+alter table posts add column if not exists status text not null default 'published'
+  check (status in ('draft', 'published', 'scheduled', 'archived'));
+alter table posts add column if not exists publish_at timestamptz;
+alter table posts add column if not exists published_at timestamptz;
+update posts set published_at = created_at where status = 'published' and published_at is null;
+
+-- Sorting by last edit; older posts were last edited when they were written
+alter table posts add column if not exists updated_at timestamptz;
+update posts set updated_at = created_at where updated_at is null;
+alter table posts alter column updated_at set default now();
+alter table posts alter column updated_at set not null;
+
+alter table posts add column if not exists comments_closed boolean not null default false;
+
+-- markdown for new posts; rows written before formats existed are plain text
+alter table posts add column if not exists format text not null default 'plain'
+  check (format in ('markdown', 'plain'));
+
+-- Set while the post is in the trash; purged after TRASH_RETENTION_DAYS
+alter table posts add column if not exists deleted_at timestamptz;
+-- Moderator who removed the post; such posts can't be restored by their author.
+-- No foreign key, so the removal outlives the moderator's account.
+alter table posts add column if not exists removed_by bigint;
+
+create index if not exists posts_user_created_idx on posts (user_id, created_at desc, id desc);
+create index if not exists posts_user_updated_idx on posts (user_id, updated_at desc, id desc);
+create index if not exists posts_user_title_idx on posts (user_id, title, id);
+-- Home feed: followed authors' published posts, newest first
+create index if not exists posts_user_published_idx on posts (user_id, published_at desc, id desc)
+  where status = 'published';
+
+-- Full-text search. The 'simple' configuration (no stemming) keeps matches in
+-- line with the offline backend in lib/search.js, which also builds snippets.
+alter table posts add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(content, '')), 'D')
+  ) stored;
+create index if not exists posts_search_idx on posts using gin (search_vector);
+
+create or replace function search_posts(p_user_id bigint, p_query text, p_limit int)
+returns table (post jsonb, rank real)
+language sql stable
+as $$
+  select to_jsonb(p) - 'search_vector', ts_rank(p.search_vector, q)
+  from posts p, to_tsquery('simple', p_query) q
+  where p.user_id = p_user_id and p.deleted_at is null and p.search_vector @@ q
+  order by 2 desc, p.id desc
+  limit p_limit;
+$$;
+create index if not exists posts_scheduled_idx on posts (publish_at) where status = 'scheduled';
+create index if not exists posts_trash_idx on posts (deleted_at) where deleted_at is not null;
+
+-- Per-user tags, stored as lowercase slugs
+create table if not exists tags (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  slug text not null,
+  created_at timestamptz not null default now(),
+  unique (user_id, slug)
+);
+
+create table if not exists post_tags (
+  post_id bigint not null references posts (id) on delete cascade,
+  tag_id bigint not null references tags (id) on delete cascade,
+  primary key (post_id, tag_id)
+);
+create index if not exists post_tags_tag_idx on post_tags (tag_id);
+
+-- Threaded comments; deleted ones keep their row so replies stay attached
+create table if not exists comments (
+  id bigint generated by default as identity primary key,
+  post_id bigint not null references posts (id) on delete cascade,
+  user_id bigint references users (id) on delete set null,
+  parent_id bigint references comments (id) on delete cascade,
+  body text,
+  status text not null default 'pending'
+    check (status in ('pending', 'approved', 'hidden')),
+  deleted_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists comments_post_idx on comments (post_id, id);
+
+-- Snapshot of a post's title and content after each save, numbered per post
+create table if not exists post_revisions (
+  id bigint generated by default as identity primary key,
+  post_id bigint not null references posts (id) on delete cascade,
+  rev integer not null,
+  user_id bigint references users (id) on delete set null,
+  title text not null,
+  content text not null,
+  restored_from integer,
+  created_at timestamptz not null default now(),
+  unique (post_id, rev)
+);
+-- Revisions recorded before formats existed are plain text
+alter table post_revisions add column if not exists format text not null default 'plain';
+
+-- Uploaded files; rows outlive a deleted post (post_id null) until the files are removed
+create table if not exists attachments (
+  id bigint generated by default as identity primary key,
+  post_id bigint references posts (id) on delete set null,
+  user_id bigint references users (id) on delete set null,
+  filename text not null,
+  content_type text not null,
+  size integer not null,
+  width integer,
+  height integer,
+  storage_key text not null unique,
+  thumbnail_key text,
+  created_at timestamptz not null default now()
+);
+create index if not exists attachments_post_idx on attachments (post_id, id);
+create index if not exists attachments_detached_idx on attachments (id) where post_id is null;
+
+-- One reaction per user per post; types are listed in lib/reactions.js
+create table if not exists reactions (
+  id bigint generated by default as identity primary key,
+  post_id bigint not null references posts (id) on delete cascade,
+  user_id bigint not null references users (id) on delete cascade,
+  type text not null check (type in ('like', 'love', 'laugh', 'wow', 'sad')),
+  created_at timestamptz not null default now(),
+  unique (post_id, user_id)
+);
+
+create or replace function post_reaction_counts(p_post_ids bigint[])
+returns table (post_id bigint, type text, count bigint)
+language sql stable
+as $$
+  select r.post_id, r.type, count(*)
+  from reactions r
+  where r.post_id = any (p_post_ids)
+  group by r.post_id, r.type;
+$$;
+
+create table if not exists bookmarks (
+  id bigint generated by default as identity primary key,
+  post_id bigint not null references posts (id) on delete cascade,
+  user_id bigint not null references users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (post_id, user_id)
+);
+create index if not exists bookmarks_user_idx on bookmarks (user_id, id desc);
+
+create table if not exists follows (
+  id bigint generated by default as identity primary key,
+  follower_id bigint not null references users (id) on delete cascade,
+  followee_id bigint not null references users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (follower_id, followee_id),
+  check (follower_id <> followee_id)
+);
+create index if not exists follows_followee_idx on follows (followee_id, id desc);
+
+-- Rotating refresh tokens; one family per login session
+create table if not exists refresh_tokens (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  family_id uuid not null,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+create index if not exists refresh_tokens_family_idx on refresh_tokens (family_id);
+
+-- Deletes sessions whose refresh tokens have all expired. A family is kept
+-- while any token in it is valid: its revoked tokens detect reuse, and its
+-- first token records when the session started.
+create or replace function purge_expired_refresh_tokens(p_now timestamptz)
+returns setof bigint
+language sql volatile
+as $$
+  delete from refresh_tokens t
+  where not exists (
+    select 1 from refresh_tokens live
+    where live.family_id = t.family_id and live.expires_at > p_now
+  )
+  returning t.id;
+$$;
+
+-- Single-use links sent by email (verify the address, reset the password), stored hashed
+create table if not exists one_time_tokens (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  purpose text not null,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+-- Replaced rather than declared inline, so new purposes reach existing tables
+alter table one_time_tokens drop constraint if exists one_time_tokens_purpose_check;
+alter table one_time_tokens add constraint one_time_tokens_purpose_check
+  check (purpose in ('verify_email', 'reset_password', 'link_identity'));
+create index if not exists one_time_tokens_user_idx on one_time_tokens (user_id, purpose);
+create index if not exists one_time_tokens_expires_idx on one_time_tokens (expires_at);
+
+-- OAuth logins of a user, next to the optional password. A provider account
+-- links to one user only; its email is kept for display, never for matching.
+create table if not exists identities (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  provider text not null,
+  provider_user_id text not null,
+  email text,
+  created_at timestamptz not null default now(),
+  unique (provider, provider_user_id)
+);
+create index if not exists identities_user_idx on identities (user_id, id);
+
+-- Long-lived tokens for scripts, stored hashed; scopes are listed in lib/personalTokens.js
+create table if not exists personal_access_tokens (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  name text not null,
+  scopes text[] not null,
+  token_hash text not null unique,
+  -- Leading characters of the token, shown so users can tell tokens apart
+  token_hint text not null,
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+create index if not exists personal_access_tokens_user_idx on personal_access_tokens (user_id, id);
+
+-- Endpoints notified of a user's post events; events are listed in lib/webhooks.js
+create table if not exists webhooks (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  url text not null,
+  events text[] not null,
+  -- Signs each payload (X-Webhook-Signature); only shown when the webhook is created
+  secret text not null,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists webhooks_user_idx on webhooks (user_id, id);
+
+-- Delivery queue and log: pending rows are sent by jobs/webhookDeliverer.js,
+-- retried with exponential backoff until they succeed or run out of attempts
+create table if not exists webhook_deliveries (
+  id bigint generated by default as identity primary key,
+  webhook_id bigint not null references webhooks (id) on delete cascade,
+  event text not null,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'succeeded', 'failed')),
+  attempts int not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_attempt_at timestamptz,
+  delivered_at timestamptz,
+  response_status int,
+  error text,
+  -- The delivery this one resends, for manual redeliveries
+  redelivery_of bigint references webhook_deliveries (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+create index if not exists webhook_deliveries_due_idx on webhook_deliveries (next_attempt_at)
+  where status = 'pending';
+create index if not exists webhook_deliveries_webhook_idx on webhook_deliveries (webhook_id, id desc);
+
+-- Access token denylist, by token id (jti) or whole session (family_id)
+create table if not exists revoked_tokens (
+  id bigint generated by default as identity primary key,
+  jti uuid,
+  session_id uuid,
+  user_id bigint,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+create index if not exists revoked_tokens_jti_idx on revoked_tokens (jti);
+create index if not exists revoked_tokens_session_idx on revoked_tokens (session_id);
+create index if not exists revoked_tokens_expires_idx on revoked_tokens (expires_at);
+
+-- Rate limit and login lockout counters for RATE_LIMIT_STORE=supabase
+-- (counters/supabase.js); the default in-memory store does not use it
+create table if not exists rate_limit_counters (
+  key text primary key,
+  count int not null,
+  reset_at timestamptz not null
+);
+create index if not exists rate_limit_counters_reset_idx on rate_limit_counters (reset_at);
+
+-- Counts a hit in a fixed window, starting a new window once the old one has passed
+create or replace function increment_rate_limit(p_key text, p_window_ms int, p_now timestamptz)
+returns table (count int, reset_at timestamptz)
+language sql volatile
+as $$
+  insert into rate_limit_counters as c (key, count, reset_at)
+  values (p_key, 1, p_now + p_window_ms * interval '1 millisecond')
+  on conflict (key) do update set
+    count = case when c.reset_at <= p_now then 1 else c.count + 1 end,
+    reset_at = case when c.reset_at <= p_now then excluded.reset_at else c.reset_at end
+  returning c.count, c.reset_at;
+$$;
@@ -0,0 +1,768 @@
+import { createClient } from "@supabase/supabase-js";
+import { SORT_COLUMNS } from "../lib/pagination.js";
+import { toTsQuery } from "../lib/search.js";
+
+// Quotes a value for use inside a PostgREST or() filter
+const quoteFilterValue = (value) =>
+  `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+/**
+ * Supabase-backed repositories
+ * @param {Object} options
+ * @param {Object} [options.client] - Existing Supabase client (takes precedence)
+ * @param {string} [options.url] - Supabase project URL
+ * @param {string} [options.key] - Supabase API key
+ * @param {Function} [options.clock] - Returns the current Date, used for timestamps
+ * @returns {Object} Repositories keyed by resource (users, posts, tags, ...)
+ */
+export function createSupabaseDb({ client, url, key, clock = () => new Date() } = {}) {
+  const supabase = client || createClient(url, key);
+
+  const users = {
+    findByEmail: (email) =>
+      supabase.from("users").select("*").eq("email", email).maybeSingle(),
+
+    findById: (id) =>
+      supabase.from("users").select("*").eq("id", id).maybeSingle(),
+
+    findByIds: (ids) => supabase.from("users").select("*").in("id", ids),
+
+    create: (user) =>
+      supabase.from("users").insert([user]).select().single(),
+
+    update: (id, changes) =>
+      supabase.from("users").update(changes).eq("id", id).select().maybeSingle(),
+
+    listDeletionDue: (now) =>
+      supabase.from("users").select("*").lte("deletion_due_at", now),
+
+    // Foreign keys cascade to the user's posts, tags, reactions, bookmarks, follows,
+    // tokens and webhooks
+    remove: (id) => supabase.from("users").delete().eq("id", id).select(),
+
+    // Case-insensitive match on name or email, in id order after the `after` id
+    search: ({ q, role, after, limit }) => {
+      let query = supabase.from("users").select("*");
+      if (q) {
+        const pattern = quoteFilterValue(`%${q.replace(/[%_\\]/g, "\\$&")}%`);
+        query = query.or(`name.ilike.${pattern},email.ilike.${pattern}`);
+      }
+      if (role) query = query.eq("role", role);
+      if (after != null) query = query.gt("id", after);
+      return query.order("id", { ascending: true }).limit(limit);
+    },
+  };
+
+  // Trashed posts are invisible everywhere except the trash itself
+  const livePosts = (columns = "*") =>
+    supabase.from("posts").select(columns).is("deleted_at", null);
+
+  const posts = {
+    listByUser: (userId) =>
+      livePosts().eq("user_id", userId).order("id", { ascending: false }),
+
+    listPublic: () =>
+      livePosts().eq("status", "published").order("id", { ascending: false }),
+
+    listPublicByUser: (userId) =>
+      livePosts()
+        .eq("status", "published")
+        .eq("user_id", userId)
+        .order("id", { ascending: false }),
+
+    // Includes trashed posts so a restored post gets its slug back
+    findBySlug: (slug) =>
+      supabase.from("posts").select("*").eq("slug", slug).maybeSingle(),
+
+    findPublicBySlug: (slug) =>
+      livePosts().eq("slug", slug).eq("status", "published").maybeSingle(),
+
+    publishDue: async (now) => {
+      const { data: due, error } = await livePosts("id, publish_at")
+        .eq("status", "scheduled")
+        .lte("publish_at", now);
+      if (error) return { data: null, error };
+
+      const published = [];
+      for (const post of due) {
+        // The status guard keeps a concurrent unpublish from being overwritten
+        const { data, error: updateError } = await supabase
+          .from("posts")
+          .update({ status: "published", published_at: post.publish_at, publish_at: null })
+          .eq("id", post.id)
+          .eq("status", "scheduled")
+          .select()
+          .maybeSingle();
+        if (updateError) return { data: null, error: updateError };
+        if (data) published.push(data);
+      }
+      return { data: published, error: null };
+    },
+
+    query: async ({ userId, authorIds, status, tag, from, to, sort, order, after, limit }) => {
+      const column = SORT_COLUMNS[sort];
+      const ascending = order === "asc";
+      // The inner join only keeps posts carrying the tag
+      let query = tag
+        ? livePosts("*, post_tags!inner(tags!inner(slug))").eq("post_tags.tags.slug", tag)
+        : livePosts();
+
+      if (userId != null) query = query.eq("user_id", userId);
+      if (authorIds) query = query.in("user_id", authorIds);
+      if (status) query = query.eq("status", status);
+      if (from) query = query.gte("created_at", from);
+      if (to) query = query.lt("created_at", to);
+      if (after) {
+        const op = ascending ? "gt" : "lt";
+        const value = quoteFilterValue(after.value);
+        query = query.or(
+          `${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${after.id})`
+        );
+      }
+
+      const { data, error } = await query
+        .order(column, { ascending })
+        .order("id", { ascending })
+        .limit(limit);
+      if (error) return { data: null, error };
+      return { data: data.map(({ post_tags, ...post }) => post), error: null };
+    },
+
+    // Ranked by the search_posts() function in schema.sql
+    search: async ({ userId, terms, limit }) => {
+      const { data, error } = await supabase.rpc("search_posts", {
+        p_user_id: userId,
+        p_query: toTsQuery(terms),
+        p_limit: limit,
+      });
+      if (error) return { data: null, error };
+      return { data: data.map(({ post, rank }) => ({ ...post, rank })), error: null };
+    },
+
+    findById: (id) => livePosts().eq("id", id).maybeSingle(),
+
+    findByIds: (ids) => livePosts().in("id", ids),
+
+    findOwned: (id, userId) => livePosts().eq("id", id).eq("user_id", userId).maybeSingle(),
+
+    findTrashed: (id, userId) =>
+      supabase
+        .from("posts")
+        .select("*")
+        .eq("id", id)
+        .eq("user_id", userId)
+        .not("deleted_at", "is", null)
+        .maybeSingle(),
+
+    listTrash: (userId) =>
+      supabase
+        .from("posts")
+        .select("*")
+        .eq("user_id", userId)
+        .not("deleted_at", "is", null)
+        .order("deleted_at", { ascending: false })
+        .order("id", { ascending: false }),
+
+    create: (post) =>
+      supabase
+        .from("posts")
+        .insert([{ ...post, updated_at: clock().toISOString() }])
+        .select()
+        .single(),
+
+    update: (id, userId, changes) =>
+      supabase
+        .from("posts")
+        .update({ ...changes, updated_at: clock().toISOString() })
+        .eq("id", id)
+        .eq("user_id", userId)
+        .is("deleted_at", null)
+        .select()
+        .single(),
+
+    trash: (id, userId, deletedAt, removedBy = null) =>
+      supabase
+        .from("posts")
+        .update({ deleted_at: deletedAt, removed_by: removedBy })
+        .eq("id", id)
+        .eq("user_id", userId)
+        .is("deleted_at", null)
+        .select()
+        .single(),
+
+    // Posts removed by a moderator stay in the trash
+    restore: (id, userId) =>
+      supabase
+        .from("posts")
+        .update({ deleted_at: null })
+        .eq("id", id)
+        .eq("user_id", userId)
+        .not("deleted_at", "is", null)
+        .is("removed_by", null)
+        .select()
+        .single(),
+
+    // Permanent; only posts already in the trash can be removed
+    remove: (id, userId) =>
+      supabase
+        .from("posts")
+        .delete()
+        .eq("id", id)
+        .eq("user_id", userId)
+        .not("deleted_at", "is", null)
+        .select(),
+
+    purgeTrashed: (before) =>
+      supabase.from("posts").delete().lte("deleted_at", before).select("id, user_id"),
+  };
+
+  const tags = {
+    setForPost: async (postId, userId, slugs) => {
+      let tagIds = [];
+      if (slugs.length > 0) {
+        const { data, error } = await supabase
+          .from("tags")
+          .upsert(slugs.map((slug) => ({ user_id: userId, slug })), { onConflict: "user_id,slug" })
+          .select("id");
+        if (error) return { data: null, error };
+        tagIds = data.map((t) => t.id);
+      }
+
+      const { error: deleteError } = await supabase
+        .from("post_tags")
+        .delete()
+        .eq("post_id", postId);
+      if (deleteError) return { data: null, error: deleteError };
+
+      if (tagIds.length > 0) {
+        const { error } = await supabase
+          .from("post_tags")
+          .insert(tagIds.map((tagId) => ({ post_id: postId, tag_id: tagId })));
+        if (error) return { data: null, error };
+      }
+      return { data: slugs, error: null };
+    },
+
+    listForPosts: async (postIds) => {
+      const { data, error } = await supabase
+        .from("post_tags")
+        .select("post_id, tags(slug)")
+        .in("post_id", postIds);
+      if (error) return { data: null, error };
+      return { data: data.map((pt) => ({ post_id: pt.post_id, slug: pt.tags.slug })), error: null };
+    },
+
+    listByUser: async (userId) => {
+      const { data, error } = await supabase
+        .from("tags")
+        .select("slug, post_tags(posts(deleted_at))")
+        .eq("user_id", userId);
+      if (error) return { data: null, error };
+      // Counts skip trashed posts; tags used only in the trash are left out
+      return {
+        data: data
+          .map((t) => ({
+            slug: t.slug,
+            count: t.post_tags.filter((pt) => !pt.posts.deleted_at).length,
+          }))
+          .filter((t) => t.count > 0)
+          .sort((a, b) => b.count - a.count || a.slug.localeCompare(b.slug)),
+        error: null,
+      };
+    },
+
+    removeOrphans: async (userId) => {
+      const { data, error } = await supabase
+        .from("tags")
+        .select("id, post_tags(count)")
+        .eq("user_id", userId);
+      if (error) return { data: null, error };
+
+      const orphanIds = data.filter((t) => !t.post_tags[0]?.count).map((t) => t.id);
+      if (orphanIds.length === 0) return { data: [], error: null };
+      return supabase.from("tags").delete().in("id", orphanIds).select();
+    },
+  };
+
+  const comments = {
+    create: (comment) =>
+      supabase
+        .from("comments")
+        .insert([{ ...comment, updated_at: clock().toISOString() }])
+        .select()
+        .single(),
+
+    findById: (id) =>
+      supabase.from("comments").select("*").eq("id", id).maybeSingle(),
+
+    listByPost: (postId) =>
+      supabase
+        .from("comments")
+        .select("*")
+        .eq("post_id", postId)
+        .order("id", { ascending: true }),
+
+    listByUser: (userId) =>
+      supabase
+        .from("comments")
+        .select("*")
+        .eq("user_id", userId)
+        .order("id", { ascending: true }),
+
+    update: (id, changes) =>
+      supabase
+        .from("comments")
+        .update({ ...changes, updated_at: clock().toISOString() })
+        .eq("id", id)
+        .select()
+        .single(),
+  };
+
+  const reactions = {
+    set: (postId, userId, type) =>
+      supabase
+        .from("reactions")
+        .upsert([{ post_id: postId, user_id: userId, type }], { onConflict: "post_id,user_id" })
+        .select()
+        .single(),
+
+    remove: (postId, userId) =>
+      supabase.from("reactions").delete().eq("post_id", postId).eq("user_id", userId),
+
+    // Grouped in the database by post_reaction_counts() from schema.sql
+    countForPosts: (postIds) =>
+      supabase.rpc("post_reaction_counts", { p_post_ids: postIds }),
+
+    listForUser: (userId, postIds) =>
+      supabase
+        .from("reactions")
+        .select("post_id, type")
+        .eq("user_id", userId)
+        .in("post_id", postIds),
+
+    listByUser: (userId) =>
+      supabase
+        .from("reactions")
+        .select("*")
+        .eq("user_id", userId)
+        .order("id", { ascending: true }),
+  };
+
+  const bookmarks = {
+    add: (postId, userId) =>
+      supabase
+        .from("bookmarks")
+        .upsert([{ post_id: postId, user_id: userId }], {
+          onConflict: "post_id,user_id",
+          ignoreDuplicates: true,
+        })
+        .select(),
+
+    remove: (postId, userId) =>
+      supabase.from("bookmarks").delete().eq("post_id", postId).eq("user_id", userId),
+
+    listForUser: (userId, postIds) =>
+      supabase
+        .from("bookmarks")
+        .select("post_id")
+        .eq("user_id", userId)
+        .in("post_id", postIds),
+
+    listByUser: (userId) =>
+      supabase
+        .from("bookmarks")
+        .select("*")
+        .eq("user_id", userId)
+        .order("id", { ascending: false }),
+  };
+
+  const revisions = {
+    // post_revisions (post_id, rev) is unique, so a concurrent save fails instead of sharing a number
+    create: async (revision) => {
+      const { data: latest, error } = await revisions.latest(revision.post_id);
+      if (error) return { data: null, error };
+      return supabase
+        .from("post_revisions")
+        .insert([{ ...revision, rev: (latest?.rev ?? 0) + 1 }])
+        .select()
+        .single();
+    },
+
+    latest: (postId) =>
+      supabase
+        .from("post_revisions")
+        .select("*")
+        .eq("post_id", postId)
+        .order("rev", { ascending: false })
+        .limit(1)
+        .maybeSingle(),
+
+    listByPost: (postId) =>
+      supabase
+        .from("post_revisions")
+        .select("*")
+        .eq("post_id", postId)
+        .order("rev", { ascending: false }),
+
+    listByUser: (userId) =>
+      supabase
+        .from("post_revisions")
+        .select("*")
+        .eq("user_id", userId)
+        .order("id", { ascending: true }),
+
+    find: (postId, rev) =>
+      supabase
+        .from("post_revisions")
+        .select("*")
+        .eq("post_id", postId)
+        .eq("rev", rev)
+        .maybeSingle(),
+  };
+
+  const attachments = {
+    create: (attachment) =>
+      supabase.from("attachments").insert([attachment]).select().single(),
+
+    findById: (id) =>
+      supabase.from("attachments").select("*").eq("id", id).maybeSingle(),
+
+    listByPost: (postId) =>
+      supabase
+        .from("attachments")
+        .select("*")
+        .eq("post_id", postId)
+        .order("id", { ascending: true }),
+
+    // post_id is set to null when the post is deleted for good
+    listDetached: () => supabase.from("attachments").select("*").is("post_id", null),
+
+    listByUser: (userId) =>
+      supabase
+        .from("attachments")
+        .select("*")
+        .eq("user_id", userId)
+        .order("id", { ascending: true }),
+
+    remove: (id) => supabase.from("attachments").delete().eq("id", id).select(),
+
+    removeMany: (ids) => supabase.from("attachments").delete().in("id", ids).select(),
+  };
+
+  const follows = {
+    follow: (followerId, followeeId) =>
+      supabase
+        .from("follows")
+        .upsert([{ follower_id: followerId, followee_id: followeeId }], {
+          onConflict: "follower_id,followee_id",
+          ignoreDuplicates: true,
+        })
+        .select(),
+
+    unfollow: (followerId, followeeId) =>
+      supabase
+        .from("follows")
+        .delete()
+        .eq("follower_id", followerId)
+        .eq("followee_id", followeeId),
+
+    isFollowing: async (followerId, followeeId) => {
+      const { data, error } = await supabase
+        .from("follows")
+        .select("id")
+        .eq("follower_id", followerId)
+        .eq("followee_id", followeeId)
+        .maybeSingle();
+      return { data: !!data, error };
+    },
+
+    listFollowers: (userId) =>
+      supabase
+        .from("follows")
+        .select("*")
+        .eq("followee_id", userId)
+        .order("id", { ascending: false }),
+
+    listFollowing: (userId) =>
+      supabase
+        .from("follows")
+        .select("*")
+        .eq("follower_id", userId)
+        .order("id", { ascending: false }),
+  };
+
+  const identities = {
+    findByProvider: (provider, providerUserId) =>
+      supabase
+        .from("identities")
+        .select("*")
+        .eq("provider", provider)
+        .eq("provider_user_id", String(providerUserId))
+        .maybeSingle(),
+
+    listByUser: (userId) =>
+      supabase
+        .from("identities")
+        .select("*")
+        .eq("user_id", userId)
+        .order("id", { ascending: true }),
+
+    // (provider, provider_user_id) is unique, so an account can't be linked twice
+    create: (identity) =>
+      supabase.from("identities").insert([identity]).select().single(),
+
+    remove: (id, userId) =>
+      supabase.from("identities").delete().eq("id", id).eq("user_id", userId).select(),
+  };
+
+  const personalTokens = {
+    create: (record) =>
+      supabase.from("personal_access_tokens").insert([record]).select().single(),
+
+    findByHash: (tokenHash) =>
+      supabase
+        .from("personal_access_tokens")
+        .select("*")
+        .eq("token_hash", tokenHash)
+        .maybeSingle(),
+
+    // Revoked tokens are kept for reference but never listed
+    listByUser: (userId) =>
+      supabase
+        .from("personal_access_tokens")
+        .select("*")
+        .eq("user_id", userId)
+        .is("revoked_at", null)
+        .order("id", { ascending: false }),
+
+    update: (id, changes) =>
+      supabase
+        .from("personal_access_tokens")
+        .update(changes)
+        .eq("id", id)
+        .select()
+        .maybeSingle(),
+
+    revoke: (id, userId, revokedAt) =>
+      supabase
+        .from("personal_access_tokens")
+        .update({ revoked_at: revokedAt })
+        .eq("id", id)
+        .eq("user_id", userId)
+        .is("revoked_at", null)
+        .select()
+        .maybeSingle(),
+  };
+
+  const webhooks = {
+    create: (webhook) => supabase.from("webhooks").insert([webhook]).select().single(),
+
+    listByUser: (userId) =>
+      supabase
+        .from("webhooks")
+        .select("*")
+        .eq("user_id", userId)
+        .order("id", { ascending: true }),
+
+    findOwned: (id, userId) =>
+      supabase.from("webhooks").select("*").eq("id", id).eq("user_id", userId).maybeSingle(),
+
+    findById: (id) => supabase.from("webhooks").select("*").eq("id", id).maybeSingle(),
+
+    // Active webhooks of the user subscribed to the event
+    listForEvent: (userId, event) =>
+      supabase
+        .from("webhooks")
+        .select("*")
+        .eq("user_id", userId)
+        .eq("active", true)
+        .contains("events", [event]),
+
+    update: (id, userId, changes) =>
+      supabase
+        .from("webhooks")
+        .update(changes)
+        .eq("id", id)
+        .eq("user_id", userId)
+        .select()
+        .single(),
+
+    // Deliveries go with it through ON DELETE CASCADE
+    remove: (id, userId) =>
+      supabase.from("webhooks").delete().eq("id", id).eq("user_id", userId).select(),
+  };
+
+  const webhookDeliveries = {
+    create: (delivery) =>
+      supabase.from("webhook_deliveries").insert([delivery]).select().single(),
+
+    findById: (id) =>
+      supabase.from("webhook_deliveries").select("*").eq("id", id).maybeSingle(),
+
+    // Pending deliveries whose next attempt is due, oldest first
+    listDue: (now, limit) =>
+      supabase
+        .from("webhook_deliveries")
+        .select("*")
+        .eq("status", "pending")
+        .lte("next_attempt_at", now)
+        .order("next_attempt_at", { ascending: true })
+        .order("id", { ascending: true })
+        .limit(limit),
+
+    // Moves next_attempt_at on to leaseUntil, unless another worker already did
+    claim: (id, nextAttemptAt, leaseUntil) =>
+      supabase
+        .from("webhook_deliveries")
+        .update({ next_attempt_at: leaseUntil })
+        .eq("id", id)
+        .eq("status", "pending")
+        .eq("next_attempt_at", nextAttemptAt)
+        .select()
+        .maybeSingle(),
+
+    update: (id, changes) =>
+      supabase
+        .from("webhook_deliveries")
+        .update(changes)
+        .eq("id", id)
+        .select()
+        .single(),
+
+    listByWebhook: (webhookId, limit) =>
+      supabase
+        .from("webhook_deliveries")
+        .select("*")
+        .eq("webhook_id", webhookId)
+        .order("id", { ascending: false })
+        .limit(limit),
+  };
+
+  const authTokens = {
+    createRefreshToken: (token) =>
+      supabase.from("refresh_tokens").insert([token]).select().single(),
+
+    findRefreshToken: (tokenHash) =>
+      supabase
+        .from("refresh_tokens")
+        .select("*")
+        .eq("token_hash", tokenHash)
+        .maybeSingle(),
+
+    revokeRefreshToken: (id, revokedAt) =>
+      supabase
+        .from("refresh_tokens")
+        .update({ revoked_at: revokedAt })
+        .eq("id", id)
+        .is("revoked_at", null)
+        .select()
+        .maybeSingle(),
+
+    revokeFamily: (familyId, revokedAt) =>
+      supabase
+        .from("refresh_tokens")
+        .update({ revoked_at: revokedAt })
+        .eq("family_id", familyId)
+        .is("revoked_at", null)
+        .select(),
+
+    listActiveFamilies: async (userId) => {
+      const { data, error } = await supabase
+        .from("refresh_tokens")
+        .select("family_id")
+        .eq("user_id", userId)
+        .is("revoked_at", null);
+      if (error) return { data: null, error };
+      return { data: [...new Set(data.map((t) => t.family_id))], error: null };
+    },
+
+    // The family's first refresh token was issued when the user signed in
+    findSessionStart: (familyId) =>
+      supabase
+        .from("refresh_tokens")
+        .select("*")
+        .eq("family_id", familyId)
+        .order("created_at", { ascending: true })
+        .limit(1)
+        .maybeSingle(),
+
+    // Whole sessions only, see purge_expired_refresh_tokens() in schema.sql
+    purgeExpiredRefreshTokens: async (now) => {
+      const { data, error } = await supabase.rpc("purge_expired_refresh_tokens", { p_now: now });
+      if (error) return { data: null, error };
+      return { data: data.map((id) => ({ id })), error: null };
+    },
+
+    createOneTimeToken: (token) =>
+      supabase.from("one_time_tokens").insert([token]).select().single(),
+
+    findOneTimeToken: (purpose, tokenHash) =>
+      supabase
+        .from("one_time_tokens")
+        .select("*")
+        .eq("purpose", purpose)
+        .eq("token_hash", tokenHash)
+        .maybeSingle(),
+
+    useOneTimeToken: (id, usedAt) =>
+      supabase
+        .from("one_time_tokens")
+        .update({ used_at: usedAt })
+        .eq("id", id)
+        .is("used_at", null)
+        .select()
+        .maybeSingle(),
+
+    // Marks every unused token of a purpose as used, so older links stop working
+    expireOneTimeTokens: (userId, purpose, usedAt) =>
+      supabase
+        .from("one_time_tokens")
+        .update({ used_at: usedAt })
+        .eq("user_id", userId)
+        .eq("purpose", purpose)
+        .is("used_at", null)
+        .select(),
+
+    purgeExpiredOneTimeTokens: (now) =>
+      supabase.from("one_time_tokens").delete().lte("expires_at", now).select("id"),
+
+    denyToken: (entry) =>
+      supabase.from("revoked_tokens").insert([entry]).select().single(),
+
+    isDenied: async ({ jti, sessionId }) => {
+      const filters = [jti && `jti.eq.${jti}`, sessionId && `session_id.eq.${sessionId}`]
+        .filter(Boolean);
+      if (filters.length === 0) return { data: false, error: null };
+      const { data, error } = await supabase
+        .from("revoked_tokens")
+        .select("id")
+        .or(filters.join(","))
+        .limit(1);
+      if (error) return { data: null, error };
+      return { data: data.length > 0, error: null };
+    },
+
+    // Access tokens past their expiry are rejected anyway, denied or not
+    purgeExpiredDenials: (now) =>
+      supabase.from("revoked_tokens").delete().lte("expires_at", now).select("id"),
+  };
+
+  return {
+    backend: "supabase",
+    client: supabase,
+    users,
+    posts,
+    tags,
+    comments,
+    revisions,
+    attachments,
+    reactions,
+    bookmarks,
+    follows,
+    identities,
+    personalTokens,
+    webhooks,
+    webhookDeliveries,
+    authTokens,
+  };
+}
@@ -5,4 +5,41 @@
  * @version 1.0.0
  * @since 2024
  */
-import './server.js';
\ No newline at end of file
+import dotenv from "dotenv";
+import express from "express";
+import { createCounterStore } from "./counters/index.js";
+import { createDb } from "./db/index.js";
+import { createAccountPurger } from "./jobs/accountPurger.js";
+import { createPublishScheduler } from "./jobs/publishScheduler.js";
+import { createTokenPurger } from "./jobs/tokenPurger.js";
+import { createTrashPurger } from "./jobs/trashPurger.js";
+import { createWebhookDeliverer } from "./jobs/webhookDeliverer.js";
+import { createWebhookEmitter } from "./lib/webhooks.js";
+import { createApp } from "./server.js";
+import { createStorage } from "./storage/index.js";
+
+dotenv.config();
+
+const PORT = process.env.PORT || 3000;
+const API_PREFIX = process.env.API_PREFIX;
+const PUBLISH_INTERVAL_MS = Number(process.env.PUBLISH_INTERVAL_MS) || 30000;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const db = createDb();
+const storage = createStorage(process.env, { client: db.client });
+const webhooks = createWebhookEmitter({ db });
+// Shared with the token purger, which clears expired counters
+const counterStore = createCounterStore(process.env, { client: db.client });
+const app = createApp({ db, storage, webhooks, counterStore });
+const server = API_PREFIX ? express().use(API_PREFIX, app) : app;
+
+createPublishScheduler({ db, webhooks, intervalMs: PUBLISH_INTERVAL_MS }).start();
+createTrashPurger({ db, storage, retentionDays: TRASH_RETENTION_DAYS }).start();
+createAccountPurger({ db, storage }).start();
+createTokenPurger({ db, counterStore }).start();
+createWebhookDeliverer({ db }).start();
+
+server.listen(PORT, () => {
+  console.log(`🚀 Server running on port ${PORT}`);
+  console.log(`📊 Health check: http://localhost:${PORT}${API_PREFIX || ""}/profile`);
+});
@@ -0,0 +1,67 @@
+import { purgeAccount } from "../lib/accountDeletion.js";
+
+/**
+ * Periodically removes accounts whose deletion grace period has passed
+ * @param {Object} options
+ * @param {Object} options.db - Repository layer
+ * @param {Object} options.storage - Upload storage; avatars and attachments of removed accounts are deleted from it
+ * @param {Function} [options.clock] - Returns the current Date
+ * @param {number} [options.intervalMs=3600000] - Polling interval
+ * @returns {Object} { start, stop, runOnce }
+ */
+export function createAccountPurger({
+  db,
+  storage,
+  clock = () => new Date(),
+  intervalMs = 60 * 60 * 1000,
+}) {
+  let timer = null;
+  let running = false;
+
+  const runOnce = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return [];
+    running = true;
+    try {
+      const { data: due, error } = await db.users.listDeletionDue(clock().toISOString());
+      if (error) {
+        console.error("Account purger error:", error);
+        return [];
+      }
+
+      const purged = [];
+      for (const user of due) {
+        try {
+          await purgeAccount({ db, storage }, user);
+          purged.push(user);
+        } catch (err) {
+          // Left for the next tick; the other accounts still go
+          console.error(`Account purger error for user ${user.id}:`, err);
+        }
+      }
+      if (purged.length > 0) {
+        console.log("Account purger - Deleted users:", purged.map((u) => u.id));
+      }
+      return purged;
+    } catch (err) {
+      console.error("Account purger error:", err);
+      return [];
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    runOnce();
+    timer = setInterval(runOnce, intervalMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, runOnce };
+}
@@ -0,0 +1,57 @@
+/**
+ * Periodically flips scheduled posts whose publish_at has passed to published
+ * @param {Object} options
+ * @param {Object} options.db - Repository layer
+ * @param {Function} [options.clock] - Returns the current Date
+ * @param {Object} [options.webhooks] - Queues post.updated and post.published for each post
+ * @param {number} [options.intervalMs=30000] - Polling interval
+ * @returns {Object} { start, stop, runOnce }
+ */
+export function createPublishScheduler({
+  db,
+  clock = () => new Date(),
+  webhooks,
+  intervalMs = 30000,
+}) {
+  let timer = null;
+  let running = false;
+
+  const runOnce = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return [];
+    running = true;
+    try {
+      const { data: published, error } = await db.posts.publishDue(clock().toISOString());
+      if (error) {
+        console.error("Publish scheduler error:", error);
+        return [];
+      }
+      if (published.length > 0) {
+        console.log("Publish scheduler - Published posts:", published.map((p) => p.id));
+      }
+      for (const post of published) {
+        await webhooks?.postChanged({ ...post, status: "scheduled" }, post);
+      }
+      return published;
+    } catch (err) {
+      console.error("Publish scheduler error:", err);
+      return [];
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    runOnce();
+    timer = setInterval(runOnce, intervalMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, runOnce };
+}
@@ -0,0 +1,77 @@
+/**
+ * Periodically deletes expired sign-in state: refresh token sessions, one-time
+ * tokens, access token denials and rate limit counters. Nothing it removes is
+ * still accepted; the tables would otherwise only ever grow.
+ * @param {Object} options
+ * @param {Object} options.db - Repository layer
+ * @param {Object} [options.counterStore] - Rate limit counters to purge as well
+ * @param {Function} [options.clock] - Returns the current Date
+ * @param {number} [options.intervalMs=3600000] - Polling interval
+ * @returns {Object} { start, stop, runOnce }
+ */
+export function createTokenPurger({
+  db,
+  counterStore,
+  clock = () => new Date(),
+  intervalMs = 60 * 60 * 1000,
+}) {
+  let timer = null;
+  let running = false;
+
+  // Each purge resolves { data: number of rows removed, error }
+  const countRemoved = async (removal) => {
+    const { data, error } = await removal;
+    return { data: error ? null : data.length, error };
+  };
+
+  const purges = {
+    refreshTokens: (now) => countRemoved(db.authTokens.purgeExpiredRefreshTokens(now)),
+    oneTimeTokens: (now) => countRemoved(db.authTokens.purgeExpiredOneTimeTokens(now)),
+    revokedTokens: (now) => countRemoved(db.authTokens.purgeExpiredDenials(now)),
+    rateLimitCounters: async () =>
+      counterStore ? counterStore.purgeExpired() : { data: 0, error: null },
+  };
+
+  const runOnce = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return {};
+    running = true;
+    try {
+      const now = clock().toISOString();
+      const removed = {};
+      // Each purge runs even when another fails; the failed one is retried next tick
+      for (const [name, purge] of Object.entries(purges)) {
+        try {
+          const { data: count, error } = await purge(now);
+          if (error) {
+            console.error(`Token purger error for ${name}:`, error);
+            continue;
+          }
+          removed[name] = count;
+        } catch (err) {
+          console.error(`Token purger error for ${name}:`, err);
+        }
+      }
+      if (Object.values(removed).some((count) => count > 0)) {
+        console.log("Token purger - Deleted:", removed);
+      }
+      return removed;
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    runOnce();
+    timer = setInterval(runOnce, intervalMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, runOnce };
+}
@@ -0,0 +1,67 @@
+import { removeDetachedAttachments } from "../lib/uploads.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Periodically deletes posts that have been in the trash longer than the retention period
+ * @param {Object} options
+ * @param {Object} options.db - Repository layer
+ * @param {Object} [options.storage] - Upload storage; attachments of purged posts are removed from it
+ * @param {Function} [options.clock] - Returns the current Date
+ * @param {number} [options.retentionDays=30] - How long trashed posts are kept
+ * @param {number} [options.intervalMs=3600000] - Polling interval
+ * @returns {Object} { start, stop, runOnce }
+ */
+export function createTrashPurger({
+  db,
+  storage,
+  clock = () => new Date(),
+  retentionDays = 30,
+  intervalMs = 60 * 60 * 1000,
+}) {
+  let timer = null;
+  let running = false;
+
+  const runOnce = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return [];
+    running = true;
+    try {
+      const cutoff = new Date(clock().getTime() - retentionDays * DAY_MS).toISOString();
+      const { data: purged, error } = await db.posts.purgeTrashed(cutoff);
+      if (error) {
+        console.error("Trash purger error:", error);
+        return [];
+      }
+      if (purged.length > 0) {
+        console.log("Trash purger - Deleted posts:", purged.map((p) => p.id));
+        const owners = new Set(purged.map((p) => String(p.user_id)));
+        for (const userId of owners) {
+          await db.tags.removeOrphans(userId);
+        }
+      }
+      // Also retries files left behind by an earlier failed cleanup
+      if (storage) await removeDetachedAttachments({ db, storage });
+      return purged;
+    } catch (err) {
+      console.error("Trash purger error:", err);
+      return [];
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    runOnce();
+    timer = setInterval(runOnce, intervalMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, runOnce };
+}
@@ -0,0 +1,150 @@
+import { postToPublicUrl } from "../lib/outbound.js";
+import {
+  MAX_DELIVERY_ATTEMPTS,
+  retryDelayMs,
+  signPayload,
+} from "../lib/webhooks.js";
+
+const USER_AGENT = "posts-api-server-webhooks/1.0";
+
+/**
+ * Periodically sends queued webhook deliveries. A 2xx response completes a
+ * delivery; anything else is retried with exponential backoff until
+ * MAX_DELIVERY_ATTEMPTS have failed. Only public addresses are contacted,
+ * checked again after DNS resolution, and redirects are not followed.
+ * @param {Object} options
+ * @param {Object} options.db - Repository layer
+ * @param {Function} [options.clock] - Returns the current Date
+ * @param {Function} [options.post] - Sends `(url, { headers, body, timeoutMs })` and resolves `{ status }` (default: postToPublicUrl)
+ * @param {number} [options.intervalMs=10000] - Polling interval
+ * @param {number} [options.timeoutMs=10000] - How long to wait for a receiver to respond
+ * @param {number} [options.batchSize=20] - Deliveries sent per run
+ * @returns {Object} { start, stop, runOnce }
+ */
+export function createWebhookDeliverer({
+  db,
+  clock = () => new Date(),
+  post = postToPublicUrl,
+  intervalMs = 10000,
+  timeoutMs = 10000,
+  batchSize = 20,
+}) {
+  let timer = null;
+  let running = false;
+
+  const send = async (webhook, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(clock().getTime() / 1000);
+    try {
+      const { status } = await post(webhook.url, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": USER_AGENT,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Delivery": String(delivery.id),
+          "X-Webhook-Signature": signPayload(webhook.secret, timestamp, body),
+        },
+        body,
+        timeoutMs,
+      });
+      // A redirect could point anywhere, so it counts as a failed attempt
+      const ok = status >= 200 && status < 300;
+      return { ok, status, error: ok ? null : `HTTP ${status}` };
+    } catch (err) {
+      return { ok: false, status: null, error: err.message };
+    }
+  };
+
+  const deliver = async (delivery) => {
+    const attempts = delivery.attempts + 1;
+    // Leased until its next retry, so a run that dies mid-send behaves like a failed attempt
+    const { data: claimed, error: claimError } = await db.webhookDeliveries.claim(
+      delivery.id,
+      delivery.next_attempt_at,
+      new Date(clock().getTime() + retryDelayMs(attempts)).toISOString()
+    );
+    if (claimError) throw new Error(claimError.message);
+    if (!claimed) return null;
+
+    const { data: webhook, error } = await db.webhooks.findById(delivery.webhook_id);
+    if (error) throw new Error(error.message);
+
+    if (!webhook?.active) {
+      return db.webhookDeliveries.update(delivery.id, {
+        status: "failed",
+        error: "Webhook is inactive",
+      });
+    }
+
+    const result = await send(webhook, claimed);
+    const now = clock();
+    const outcome = {
+      attempts,
+      last_attempt_at: now.toISOString(),
+      response_status: result.status,
+      error: result.error,
+    };
+
+    if (result.ok) {
+      return db.webhookDeliveries.update(delivery.id, {
+        ...outcome,
+        status: "succeeded",
+        delivered_at: now.toISOString(),
+      });
+    }
+    if (attempts >= MAX_DELIVERY_ATTEMPTS) {
+      return db.webhookDeliveries.update(delivery.id, { ...outcome, status: "failed" });
+    }
+    return db.webhookDeliveries.update(delivery.id, {
+      ...outcome,
+      next_attempt_at: new Date(now.getTime() + retryDelayMs(attempts)).toISOString(),
+    });
+  };
+
+  const runOnce = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return [];
+    running = true;
+    try {
+      const { data: due, error } = await db.webhookDeliveries.listDue(
+        clock().toISOString(),
+        batchSize
+      );
+      if (error) {
+        console.error("Webhook deliverer error:", error);
+        return [];
+      }
+
+      const sent = [];
+      for (const delivery of due) {
+        try {
+          const result = await deliver(delivery);
+          if (result?.error) console.error("Webhook deliverer error:", result.error);
+          if (result?.data) sent.push(result.data);
+        } catch (err) {
+          console.error("Webhook deliverer error:", err);
+        }
+      }
+      return sent;
+    } catch (err) {
+      console.error("Webhook deliverer error:", err);
+      return [];
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    runOnce();
+    timer = setInterval(runOnce, intervalMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, runOnce };
+}
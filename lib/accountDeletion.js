@@ -0,0 +1,41 @@
+import { removeDetachedAttachments } from "./uploads.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days between asking to delete an account and it being removed for good
+export const DEFAULT_DELETION_GRACE_DAYS = 14;
+
+// Users without a password confirm a deletion by having signed in this recently
+export const REAUTH_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * When an account asked to be deleted now is removed for good
+ * @param {Date} now - Current time
+ * @param {number} graceDays - Grace period in days
+ * @returns {string} ISO timestamp
+ */
+export function deletionDueAt(now, graceDays) {
+  return new Date(now.getTime() + graceDays * DAY_MS).toISOString();
+}
+
+/**
+ * Removes an account for good: the user row with everything that cascades
+ * from it, its avatar, then the files of its posts' attachments.
+ * Comments, revisions and attachments elsewhere stay, without an author.
+ * @param {Object} deps
+ * @param {Object} deps.db - Repository layer
+ * @param {Object} deps.storage - Upload storage
+ * @param {Object} user - User row
+ * @throws {Error} When the user row or stored files can't be removed
+ */
+export async function purgeAccount({ db, storage }, user) {
+  const { error } = await db.users.remove(user.id);
+  if (error) throw new Error(error.message);
+
+  // After the row, so a failed removal doesn't leave a profile pointing at no image
+  if (user.avatar_key) {
+    const { error: avatarError } = await storage.remove([user.avatar_key]);
+    if (avatarError) console.error("Remove avatar error:", avatarError);
+  }
+  await removeDetachedAttachments({ db, storage });
+}
@@ -0,0 +1,41 @@
+/**
+ * Asks a new user to confirm their address
+ * @param {Object} user - User row
+ * @param {string} link - Verification link carrying the token
+ * @returns {Object} Message for mailer.send
+ */
+export function verificationEmail(user, link) {
+  return {
+    to: user.email,
+    subject: "Confirm your email address",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Please confirm your email address by opening this link:",
+      link,
+      "",
+      "The link expires in 24 hours. If you did not sign up, you can ignore this email.",
+    ].join("\n"),
+  };
+}
+
+/**
+ * Sends a password reset link
+ * @param {Object} user - User row
+ * @param {string} link - Reset link carrying the token
+ * @returns {Object} Message for mailer.send
+ */
+export function passwordResetEmail(user, link) {
+  return {
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Someone asked to reset the password for your account. To choose a new one, open this link:",
+      link,
+      "",
+      "The link expires in 1 hour and works once. If you did not ask for this, you can ignore this email.",
+    ].join("\n"),
+  };
+}
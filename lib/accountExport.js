@@ -0,0 +1,106 @@
+import JSZip from "jszip";
+import { presentIdentity } from "./identities.js";
+import { presentPersonalToken } from "./personalTokens.js";
+import { exportEntry } from "./postTransfer.js";
+import { safeFilename } from "./uploads.js";
+import { presentWebhook } from "./webhooks.js";
+
+const byId = (a, b) => Number(a.id) - Number(b.id);
+
+// Repository reads are { data, error }; an archive missing a part is worse than none
+const rowsOf = ({ data, error }) => {
+  if (error) throw new Error(error.message);
+  return data ?? [];
+};
+
+const json = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+/**
+ * Zips everything stored for an account: the account, its login
+ * methods, tokens and webhooks, its posts (trashed ones included) with their revisions, its
+ * comments, reactions, bookmarks and follows, and the uploaded files. Comments and reactions on
+ * the user's posts by other people are theirs, and are left out.
+ * @param {Object} deps
+ * @param {Object} deps.db - Repository layer
+ * @param {Object} deps.storage - Upload storage
+ * @param {Object} user - User row
+ * @returns {Promise<Buffer>} Zip archive
+ * @throws {Error} When a repository or storage read fails
+ */
+export async function exportAccountArchive({ db, storage }, user) {
+  const [
+    live,
+    trashed,
+    revisions,
+    comments,
+    reactions,
+    bookmarks,
+    followers,
+    following,
+    uploads,
+    identities,
+    personalTokens,
+    webhooks,
+  ] = (
+    await Promise.all([
+      db.posts.listByUser(user.id),
+      db.posts.listTrash(user.id),
+      db.revisions.listByUser(user.id),
+      db.comments.listByUser(user.id),
+      db.reactions.listByUser(user.id),
+      db.bookmarks.listByUser(user.id),
+      db.follows.listFollowers(user.id),
+      db.follows.listFollowing(user.id),
+      db.attachments.listByUser(user.id),
+      db.identities.listByUser(user.id),
+      db.personalTokens.listByUser(user.id),
+      db.webhooks.listByUser(user.id),
+    ])
+  ).map(rowsOf);
+
+  const posts = [...live, ...trashed].sort(byId);
+  const tagRows = rowsOf(await db.tags.listForPosts(posts.map((p) => p.id)));
+  const tagsOf = (post) =>
+    tagRows.filter((t) => String(t.post_id) === String(post.id)).map((t) => t.slug);
+
+  const entries = posts.map((post) => ({
+    ...exportEntry(post, tagsOf(post)),
+    deleted_at: post.deleted_at ?? null,
+  }));
+  const since = (userId, follow) => ({ user_id: userId, since: follow.created_at });
+
+  const { password, avatar_key, ...account } = user;
+  const zip = new JSZip();
+  zip.file("account.json", json({ ...account, has_password: Boolean(password) }));
+  zip.file("identities.json", json(identities.map(presentIdentity)));
+  zip.file("personal_tokens.json", json(personalTokens.map(presentPersonalToken)));
+  zip.file("webhooks.json", json(webhooks.map(presentWebhook)));
+  zip.file("posts.json", json(entries));
+  zip.file("revisions.json", json([...revisions].sort(byId)));
+  zip.file("comments.json", json(comments));
+  zip.file("reactions.json", json(reactions));
+  zip.file("bookmarks.json", json([...bookmarks].sort(byId)));
+  zip.file("followers.json", json(followers.map((f) => since(f.follower_id, f))));
+  zip.file("following.json", json(following.map((f) => since(f.followee_id, f))));
+
+  const files = [];
+  for (const attachment of uploads) {
+    const { data: content, error } = await storage.get(attachment.storage_key);
+    if (error) throw new Error(error.message);
+    // A row whose file is already gone is still listed, without a path
+    const path = content
+      ? `attachments/${attachment.id}-${safeFilename(attachment.filename)}`
+      : null;
+    if (content) zip.file(path, content);
+    files.push({ ...attachment, file: path });
+  }
+  zip.file("attachments.json", json(files));
+
+  if (avatar_key) {
+    const { data: avatar, error } = await storage.get(avatar_key);
+    if (error) throw new Error(error.message);
+    if (avatar) zip.file("avatar.webp", avatar);
+  }
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
@@ -0,0 +1,47 @@
+/**
+ * Shapes a comment row for clients; deleted comments lose their body
+ * @param {Object} comment - Comment row
+ * @returns {Object} Comment as returned by the API
+ */
+export function presentComment(comment) {
+  const deleted = Boolean(comment.deleted_at);
+  return {
+    id: comment.id,
+    post_id: comment.post_id,
+    parent_id: comment.parent_id ?? null,
+    user_id: deleted ? null : comment.user_id,
+    body: deleted ? null : comment.body,
+    status: comment.status,
+    deleted,
+    created_at: comment.created_at,
+    updated_at: comment.updated_at,
+  };
+}
+
+/**
+ * Nests comments into reply threads, oldest first.
+ *
+ * Comments the viewer may not see are dropped along with their replies.
+ * Deleted comments stay as placeholders only while they still have visible
+ * replies, so a thread never loses its context.
+ * @param {Array} comments - Comment rows for one post
+ * @param {Function} isVisible - Whether the viewer may see a (non-deleted) comment
+ * @returns {Array} Top-level comments, each with nested `replies`
+ */
+export function buildThreads(comments, isVisible) {
+  const childrenOf = new Map();
+  for (const comment of comments) {
+    const key = String(comment.parent_id ?? "");
+    childrenOf.set(key, [...(childrenOf.get(key) || []), comment]);
+  }
+
+  const build = (parentKey) =>
+    (childrenOf.get(parentKey) || []).flatMap((comment) => {
+      if (!comment.deleted_at && !isVisible(comment)) return [];
+      const replies = build(String(comment.id));
+      if (comment.deleted_at && replies.length === 0) return [];
+      return [{ ...presentComment(comment), replies }];
+    });
+
+  return build("");
+}
@@ -0,0 +1,93 @@
+import { Marked } from "marked";
+import sanitizeHtml from "sanitize-html";
+import { escapeHtml } from "./html.js";
+
+// How post `content` is written; posts from before formats existed are plain text
+export const CONTENT_FORMATS = ["markdown", "plain"];
+export const DEFAULT_CONTENT_FORMAT = "markdown";
+
+const EXCERPT_LENGTH = 200;
+const WORDS_PER_MINUTE = 200;
+
+const markdown = new Marked({ gfm: true, async: false });
+
+// Raw HTML in Markdown is allowed through marked, so everything is cleaned here
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img", "del", "s"],
+  allowedAttributes: {
+    a: ["href", "title", "rel"],
+    img: ["src", "alt", "title"],
+    code: ["class"],
+    th: ["align"],
+    td: ["align"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel: "noopener noreferrer nofollow" }),
+  },
+};
+
+const HTML_ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"', "&#39;": "'" };
+
+/**
+ * Renders post content to sanitized HTML; scripts, event handlers and
+ * javascript: URLs never survive, whatever the format
+ * @param {string} content - Post content
+ * @param {string} [format] - One of CONTENT_FORMATS
+ * @returns {string} Safe HTML
+ */
+export function renderContent(content, format = DEFAULT_CONTENT_FORMAT) {
+  const html =
+    format === "markdown"
+      ? markdown.parse(String(content ?? ""))
+      : String(content ?? "")
+          .split(/\n{2,}/)
+          .filter((paragraph) => paragraph.trim())
+          .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`)
+          .join("\n");
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
+
+/**
+ * Reduces rendered HTML to its readable text, one space between blocks
+ * @param {string} html - Output of renderContent
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+  const spaced = html.replace(/<\/(p|h[1-6]|li|blockquote|pre|tr|td|th)>|<br\s*\/?>/gi, " ");
+  return sanitizeHtml(spaced, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&(amp|lt|gt|quot|#39);/g, (entity) => HTML_ENTITIES[entity])
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Shortens text to about `length` characters, breaking between words
+ * @param {string} text - Plain text
+ * @param {number} [length=200] - Maximum length before the ellipsis
+ * @returns {string} Excerpt
+ */
+export function excerpt(text, length = EXCERPT_LENGTH) {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length + 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut.slice(0, length)).trimEnd()}…`;
+}
+
+/**
+ * Fields derived from a post's content for API responses
+ * @param {Object} post - Post row with `content` and `format`
+ * @returns {Object} `{ content_html, excerpt, word_count, reading_time_minutes }`
+ */
+export function contentFields(post) {
+  const contentHtml = renderContent(post.content, post.format ?? "plain");
+  const text = htmlToText(contentHtml);
+  const wordCount = text ? text.split(" ").length : 0;
+  return {
+    content_html: contentHtml,
+    excerpt: excerpt(text),
+    word_count: wordCount,
+    reading_time_minutes: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)),
+  };
+}
@@ -0,0 +1,81 @@
+// Largest LCS table diffLines builds (4 bytes a cell), about 2000 changed lines on each side
+export const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Line-by-line diff of two texts using the longest common subsequence.
+ *
+ * The shared prefix and suffix are stripped first, so the quadratic table
+ * only covers the lines that actually changed between two revisions. When
+ * that table would exceed MAX_DIFF_CELLS there is no diff.
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array|null} `{ op: "equal"|"insert"|"delete", line }` entries in reading order, or null when too large
+ */
+export function diffLines(before, after) {
+  const a = String(before ?? "").split("\n");
+  const b = String(after ?? "").split("\n");
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) return null;
+
+  // lcs[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lcs[i][j] =
+        a[start + i] === b[start + j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map((line) => ({ op: "equal", line }));
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      ops.push({ op: "equal", line: a[start + i] });
+      i += 1;
+      j += 1;
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      // Deletions come before insertions when a line was replaced
+      ops.push({ op: "delete", line: a[start + i] });
+      i += 1;
+    } else {
+      ops.push({ op: "insert", line: b[start + j] });
+      j += 1;
+    }
+  }
+  a.slice(endA).forEach((line) => ops.push({ op: "equal", line }));
+
+  return ops;
+}
+
+/**
+ * Compares two revisions field by field
+ * @param {Object} from - Older revision `{ title, content }`
+ * @param {Object} to - Newer revision `{ title, content }`
+ * @returns {Object|null} `{ title: { from, to, changed }, content, stats: { added, removed } }`, or null when the content is too large to diff
+ */
+export function diffRevisions(from, to) {
+  const content = diffLines(from.content, to.content);
+  if (!content) return null;
+  return {
+    title: { from: from.title, to: to.title, changed: from.title !== to.title },
+    content,
+    stats: {
+      added: content.filter((d) => d.op === "insert").length,
+      removed: content.filter((d) => d.op === "delete").length,
+    },
+  };
+}
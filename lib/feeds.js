@@ -0,0 +1,144 @@
+import { escapeHtml } from "./html.js";
+
+export const FEED_SIZE = 20;
+
+// Characters XML 1.0 does not allow anywhere, even escaped
+const INVALID_XML_CHARS = /[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+const xml = (text) => escapeHtml(String(text ?? "").replace(INVALID_XML_CHARS, ""));
+
+/**
+ * Renders an RSS 2.0 document
+ * @param {Object} feed - `{ title, description, homeUrl, feedUrl, updated, items }`, see feedItem
+ * @returns {string} XML
+ */
+export function renderRss(feed) {
+  const items = feed.items.map(
+    (item) => `    <item>
+      <title>${xml(item.title)}</title>
+      <link>${xml(item.url)}</link>
+      <guid isPermaLink="false">${xml(item.id)}</guid>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>
+      <dc:creator>${xml(item.author)}</dc:creator>
+${item.tags.map((tag) => `      <category>${xml(tag)}</category>\n`).join("")}      <description>${xml(item.summary)}</description>
+      <content:encoded>${xml(item.contentHtml)}</content:encoded>
+    </item>
+`
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${xml(feed.title)}</title>
+    <link>${xml(feed.homeUrl)}</link>
+    <description>${xml(feed.description)}</description>
+    <atom:link href="${xml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+${items.join("")}  </channel>
+</rss>
+`;
+}
+
+/**
+ * Renders an Atom 1.0 document
+ * @param {Object} feed - `{ title, description, homeUrl, feedUrl, updated, items }`, see feedItem
+ * @returns {string} XML
+ */
+export function renderAtom(feed) {
+  const entries = feed.items.map(
+    (item) => `  <entry>
+    <title>${xml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${xml(item.url)}"/>
+    <id>${xml(item.id)}</id>
+    <published>${new Date(item.published).toISOString()}</published>
+    <updated>${new Date(item.updated).toISOString()}</updated>
+    <author><name>${xml(item.author)}</name></author>
+${item.tags.map((tag) => `    <category term="${xml(tag)}"/>\n`).join("")}    <summary>${xml(item.summary)}</summary>
+    <content type="html">${xml(item.contentHtml)}</content>
+  </entry>
+`
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${xml(feed.title)}</title>
+  <subtitle>${xml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${xml(feed.homeUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${xml(feed.feedUrl)}"/>
+  <id>${xml(feed.feedUrl)}</id>
+  <updated>${new Date(feed.updated).toISOString()}</updated>
+${entries.join("")}</feed>
+`;
+}
+
+/**
+ * Renders a JSON Feed 1.1 document
+ * @param {Object} feed - `{ title, description, homeUrl, feedUrl, items }`, see feedItem
+ * @returns {string} JSON
+ */
+export function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    items: feed.items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_html: item.contentHtml,
+      summary: item.summary,
+      date_published: new Date(item.published).toISOString(),
+      date_modified: new Date(item.updated).toISOString(),
+      authors: [{ name: item.author }],
+      tags: item.tags,
+    })),
+  });
+}
+
+// Output formats by file extension
+export const FEED_FORMATS = {
+  rss: { render: renderRss, contentType: "application/rss+xml; charset=utf-8" },
+  atom: { render: renderAtom, contentType: "application/atom+xml; charset=utf-8" },
+  json: { render: renderJsonFeed, contentType: "application/feed+json; charset=utf-8" },
+};
+
+/**
+ * Turns a decorated post into a feed item
+ * @param {Object} post - Post with `content_html`, `excerpt` and `tags`
+ * @param {Object} options
+ * @param {string} options.siteUrl - Site root that post links are built from
+ * @param {string} options.author - Author display name
+ * @returns {Object} Feed item
+ */
+export function feedItem(post, { siteUrl, author }) {
+  const url = `${siteUrl}/posts/${encodeURIComponent(post.slug)}`;
+  return {
+    // Slugs are stable, but ids never change at all
+    id: `${siteUrl}/posts/${post.id}`,
+    url,
+    title: post.title,
+    contentHtml: post.content_html,
+    summary: post.excerpt,
+    published: post.published_at ?? post.created_at,
+    updated: post.updated_at ?? post.published_at ?? post.created_at,
+    author,
+    tags: post.tags,
+  };
+}
+
+/**
+ * The feed's own update time (RSS lastBuildDate, Atom updated): its newest
+ * item update, or `fallback` when empty
+ * @param {Array} items - Feed items
+ * @param {Date} fallback - Used for an empty feed
+ * @returns {Date} Newest update, truncated to whole seconds like HTTP dates
+ */
+export function lastModified(items, fallback) {
+  const newest = items.reduce(
+    (max, item) => Math.max(max, new Date(item.updated).getTime()),
+    items.length > 0 ? 0 : fallback.getTime()
+  );
+  return new Date(Math.floor(newest / 1000) * 1000);
+}
@@ -0,0 +1,16 @@
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escapes text for safe use in HTML element content and attribute values
+ * @param {string} text - Untrusted text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
@@ -0,0 +1,116 @@
+// OAuth providers a user can sign in with, by name shown in messages
+export const LOGIN_PROVIDERS = {
+  google: "Google",
+};
+
+const refuse = (message) => ({ data: null, error: { message } });
+
+const orThrow = ({ data, error }) => {
+  if (error) throw new Error(error.message);
+  return data;
+};
+
+/**
+ * The identity fields anyone signed in as the user may see
+ * @param {Object} identity - Identity row
+ * @returns {Object} `{ id, provider, email, created_at }`
+ */
+export function presentIdentity(identity) {
+  return {
+    id: identity.id,
+    provider: identity.provider,
+    email: identity.email ?? null,
+    created_at: identity.created_at,
+  };
+}
+
+/**
+ * Finds the user an OAuth sign-in belongs to, linking or creating as needed.
+ *
+ * A linked identity always wins, so linking refuses a provider account whose
+ * verified email belongs to someone else. Otherwise the email decides, but
+ * only when the provider and the existing account have both verified it: an
+ * address nobody proved could belong to someone else, who would then share
+ * the account. Accounts with neither a password nor an identity were created by
+ * OAuth sign-in before identities existed, and are linked on their next one.
+ * A refused sign-in comes back as `error`; repository failures throw.
+ * @param {Object} deps
+ * @param {Object} deps.db - Repository layer
+ * @param {Function} deps.clock - Returns the current Date
+ * @param {Object} profile - `{ provider, providerUserId, email, emailVerified, name }`
+ * @param {Object} [options]
+ * @param {string|number} [options.linkUserId] - Signed-in user linking this identity to their account
+ * @returns {Promise<Object>} `{ data, error }` with the user
+ */
+export async function resolveOAuthLogin({ db, clock }, profile, { linkUserId } = {}) {
+  const { provider, providerUserId, email, emailVerified, name } = profile;
+  const label = LOGIN_PROVIDERS[provider] ?? provider;
+  const linked = orThrow(await db.identities.findByProvider(provider, providerUserId));
+
+  const link = async (user) =>
+    orThrow(
+      await db.identities.create({
+        user_id: user.id,
+        provider,
+        provider_user_id: String(providerUserId),
+        email: email ?? null,
+      })
+    );
+
+  if (linkUserId != null) {
+    if (linked && String(linked.user_id) !== String(linkUserId)) {
+      return refuse(`This ${label} account is already linked to another user`);
+    }
+    // Its next sign-in would otherwise go to this user rather than the address's owner
+    const owner = email && emailVerified ? orThrow(await db.users.findByEmail(email)) : null;
+    if (owner && String(owner.id) !== String(linkUserId)) {
+      return refuse(`The email of this ${label} account belongs to another user`);
+    }
+    const user = orThrow(await db.users.findById(linkUserId));
+    if (!user) return refuse("User not found");
+    if (!linked) await link(user);
+    return { data: user, error: null };
+  }
+
+  if (linked) {
+    return { data: orThrow(await db.users.findById(linked.user_id)), error: null };
+  }
+
+  if (!email || !emailVerified) {
+    return refuse(`${label} has not verified the email address of this account`);
+  }
+
+  const existing = orThrow(await db.users.findByEmail(email));
+  if (existing) {
+    // Before identities were recorded, OAuth sign-in was the only way to end up
+    // without a password, so such an account already belongs to this address
+    const legacyOAuth =
+      !existing.password && orThrow(await db.identities.listByUser(existing.id)).length === 0;
+
+    if (!existing.email_verified_at && !legacyOAuth) {
+      return refuse(
+        `An account with this email already exists. Sign in to it and link ${label} from your profile.`
+      );
+    }
+    await link(existing);
+    if (!existing.email_verified_at) {
+      const verified = orThrow(
+        await db.users.update(existing.id, { email_verified_at: clock().toISOString() })
+      );
+      return { data: verified, error: null };
+    }
+    return { data: existing, error: null };
+  }
+
+  const user = orThrow(
+    await db.users.create({
+      email,
+      name: name || email,
+      password: null,
+      // The provider has already confirmed the address
+      email_verified_at: clock().toISOString(),
+    })
+  );
+  await link(user);
+  return { data: user, error: null };
+}
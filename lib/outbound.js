@@ -0,0 +1,132 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+// Loopback, private, link-local (cloud metadata), shared, reserved and multicast ranges
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, "ipv4"));
+[
+  // Unspecified, loopback and IPv4-compatible
+  ["::", 96],
+  // IPv4-mapped and NAT64, which could reach any of the IPv4 ranges above
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, "ipv6"));
+
+// Names that only ever point inside the host or its network
+const LOCAL_HOSTNAME = /(^|\.)(localhost|local|internal)\.?$/i;
+
+/**
+ * Whether an IP address is reachable on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for loopback, private, link-local and other reserved addresses
+ */
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blockedAddresses.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Whether a URL may be requested by the server: http(s), and not an IP
+ * literal or name for a local or private host. Names are only resolved when
+ * the request is made, by publicOnlyLookup.
+ * @param {string} url - URL to check
+ * @returns {boolean} True when the URL may be used
+ */
+export function isPublicUrl(url) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    return false;
+  }
+  if (target.protocol !== "http:" && target.protocol !== "https:") return false;
+
+  const host = target.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return isPublicAddress(host);
+  return !LOCAL_HOSTNAME.test(host);
+}
+
+/**
+ * A `lookup` for http(s).request that fails when a name resolves to a
+ * non-public address. The socket connects to the address checked here, so
+ * the name can't be re-pointed between the check and the connection.
+ * @param {Function} [lookup] - Resolver with the dns.lookup signature
+ * @returns {Function} Lookup function
+ */
+export function publicOnlyLookup(lookup = dns.lookup) {
+  return (hostname, options, callback) => {
+    lookup(hostname, options, (err, address, family) => {
+      if (err) return callback(err);
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      if (addresses.length === 0 || !addresses.every((a) => isPublicAddress(a.address))) {
+        const error = new Error(`${hostname} resolves to a local or private address`);
+        error.code = "EADDRNOTPUBLIC";
+        return callback(error);
+      }
+      callback(null, address, family);
+    });
+  };
+}
+
+/**
+ * POSTs a body to a public URL. Redirects are not followed: their status is
+ * returned like any other.
+ * @param {string} url - Target URL
+ * @param {Object} options
+ * @param {Object} options.headers - Request headers
+ * @param {string} options.body - Request body
+ * @param {number} options.timeoutMs - Time allowed for the response headers to arrive
+ * @param {Function} [options.lookup] - Resolver with the dns.lookup signature
+ * @returns {Promise<Object>} `{ status }`
+ * @throws {Error} When the URL is not public, or on network errors and timeouts
+ */
+export function postToPublicUrl(url, { headers, body, timeoutMs, lookup }) {
+  return new Promise((resolve, reject) => {
+    if (!isPublicUrl(url)) {
+      reject(new Error("URL points to a local or private address"));
+      return;
+    }
+
+    const target = new URL(url);
+    const client = target.protocol === "https:" ? https : http;
+    const req = client.request(target, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: publicOnlyLookup(lookup),
+    });
+    const timer = setTimeout(
+      () => req.destroy(new Error(`No response within ${timeoutMs} ms`)),
+      timeoutMs
+    );
+
+    req.on("response", (res) => {
+      clearTimeout(timer);
+      // Only the status matters; drain the body to free the socket
+      res.resume();
+      resolve({ status: res.statusCode });
+    });
+    req.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    req.end(body);
+  });
+}
@@ -0,0 +1,64 @@
+// Public sort names mapped to the post columns they order by
+export const SORT_COLUMNS = {
+  created: "created_at",
+  updated: "updated_at",
+  title: "title",
+  // Only used by the feed, where every post has been published
+  published: "published_at",
+};
+
+// Sorts offered on GET /posts, where drafts have no published_at
+export const LIST_SORTS = ["created", "updated", "title"];
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encodes the position after `row` as an opaque keyset cursor
+ * @param {Object} row - Last row of the current page
+ * @param {string} sort - Sort name (created, updated, title)
+ * @param {string} order - asc or desc
+ * @returns {string} base64url cursor
+ */
+export function encodeCursor(row, sort, order) {
+  const payload = { s: sort, o: order, v: row[SORT_COLUMNS[sort]], id: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor for the same sort and order.
+ * Cursors come from clients and end up in database filters, so the id must be
+ * a positive integer and the value a string of the sort column's kind.
+ * @param {string} cursor - Cursor from a previous `next_cursor`
+ * @param {string} sort - Sort name the cursor must have been created with
+ * @param {string} order - Order the cursor must have been created with
+ * @returns {Object|null} `{ value, id }`, or null when the cursor is invalid
+ */
+export function decodeCursor(cursor, sort, order) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (payload?.s !== sort || payload.o !== order) return null;
+    if (!Number.isSafeInteger(payload.id) || payload.id < 1) return null;
+    if (typeof payload.v !== "string") return null;
+    // Every sort but title is on a timestamp column
+    if (sort !== "title" && Number.isNaN(Date.parse(payload.v))) return null;
+    return { value: payload.v, id: payload.id };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Splits `limit + 1` fetched rows into a page and the cursor for the next one
+ * @param {Array} rows - Rows fetched with a limit of `limit + 1`
+ * @param {Object} query - `{ limit, sort, order }`
+ * @returns {Object} `{ items, next_cursor }`
+ */
+export function toPage(rows, { limit, sort, order }) {
+  const items = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+  return {
+    items,
+    next_cursor: hasMore ? encodeCursor(items[items.length - 1], sort, order) : null,
+  };
+}
@@ -0,0 +1,27 @@
+// What a personal access token can be allowed to do; each scope unlocks the posts routes below
+// - posts:read - list, search, export and read your posts, their revisions, tags and attachments
+// - posts:write - create, edit, publish, trash and import posts, and manage their attachments
+export const TOKEN_SCOPES = ["posts:read", "posts:write"];
+
+// Marks personal access tokens, so they are told apart from JWTs without a lookup
+export const PERSONAL_TOKEN_PREFIX = "pat_";
+
+// Characters of the token kept in the clear, so users can recognise their tokens
+export const TOKEN_HINT_LENGTH = PERSONAL_TOKEN_PREFIX.length + 4;
+
+/**
+ * A personal access token as listed to its owner; the secret is never stored
+ * @param {Object} record - personal_access_tokens row
+ * @returns {Object} `{ id, name, scopes, token_hint, expires_at, last_used_at, created_at }`
+ */
+export function presentPersonalToken(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    scopes: record.scopes,
+    token_hint: record.token_hint,
+    expires_at: record.expires_at ?? null,
+    last_used_at: record.last_used_at ?? null,
+    created_at: record.created_at,
+  };
+}
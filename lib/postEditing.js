@@ -0,0 +1,85 @@
+import { DEFAULT_CONTENT_FORMAT } from "./content.js";
+import { statusChanges } from "./postLifecycle.js";
+import { recordRevision } from "./revisions.js";
+import { normalizeTags, uniqueSlug } from "./slug.js";
+
+/**
+ * Creates a post from a validated postSchema body, with its tags and first revision
+ * @param {Object} deps
+ * @param {Object} deps.db - Repository layer
+ * @param {Function} deps.clock - Returns the current Date
+ * @param {string|number} userId - Author
+ * @param {Object} body - Parsed postSchema body
+ * @param {Object} [columns] - Columns stored as given, e.g. an imported post's slug and timestamps
+ * @returns {Promise<Object>} `{ data, error }` with the new post row
+ */
+export async function createPost({ db, clock }, userId, body, columns = {}) {
+  const { title, content, format, status, publish_at, tags = [] } = body;
+
+  const { data: post, error } = await db.posts.create({
+    title,
+    slug: columns.slug ?? (await uniqueSlug(db, title)),
+    content,
+    format: format ?? DEFAULT_CONTENT_FORMAT,
+    user_id: userId,
+    comments_closed: false,
+    ...statusChanges(null, { status, publish_at }, clock()),
+    ...columns,
+  });
+  if (error) return { data: null, error };
+
+  const { error: tagError } = await db.tags.setForPost(post.id, userId, normalizeTags(tags));
+  if (tagError) return { data: null, error: tagError };
+
+  const { error: revisionError } = await recordRevision(db, post);
+  if (revisionError) return { data: null, error: revisionError };
+
+  return { data: post, error: null };
+}
+
+/**
+ * Applies a validated postSchema body to an existing post: saves the
+ * changes, records a revision and replaces tags when the body has them.
+ * Works on the post's own author, so moderators can edit anyone's post.
+ * @param {Object} deps
+ * @param {Object} deps.db - Repository layer
+ * @param {Function} deps.clock - Returns the current Date
+ * @param {Object} existingPost - Post row before the update
+ * @param {Object} body - Parsed postSchema body
+ * @returns {Promise<Object>} `{ data, error }` with the updated post row
+ */
+export async function updatePost({ db, clock }, existingPost, body) {
+  const { title, content, format, status, publish_at, tags } = body;
+  const authorId = existingPost.user_id;
+
+  // Leave the lifecycle alone unless the body asks to change it
+  const lifecycle =
+    status === undefined && publish_at === undefined
+      ? {}
+      : statusChanges(
+          existingPost,
+          { status, publish_at: publish_at ?? existingPost.publish_at },
+          clock()
+        );
+
+  const { data: post, error } = await db.posts.update(existingPost.id, authorId, {
+    title,
+    content,
+    // Keep the stored format unless the body names one
+    ...(format !== undefined && { format }),
+    ...lifecycle,
+  });
+  if (error) return { data: null, error };
+
+  const { error: revisionError } = await recordRevision(db, post, { previous: existingPost });
+  if (revisionError) return { data: null, error: revisionError };
+
+  // Tags are replaced only when the body includes them
+  if (tags !== undefined) {
+    const { error: tagError } = await db.tags.setForPost(post.id, authorId, normalizeTags(tags));
+    if (tagError) return { data: null, error: tagError };
+    await db.tags.removeOrphans(authorId);
+  }
+
+  return { data: post, error: null };
+}
@@ -0,0 +1,55 @@
+export const POST_STATUSES = ["draft", "published", "scheduled", "archived"];
+
+// Posts created before statuses existed were always live
+export const DEFAULT_POST_STATUS = "published";
+
+/**
+ * Works out the status columns to store for a requested status change.
+ *
+ * Scheduling a post for a time that has already passed publishes it straight
+ * away, and `published_at` only moves when a post newly becomes published.
+ * @param {Object|null} existing - Current post row, null when creating
+ * @param {Object} requested - `{ status, publish_at }` from the request body
+ * @param {Date} now - Current time
+ * @returns {Object} `{ status, publish_at, published_at }` changes
+ */
+export function statusChanges(existing, { status, publish_at }, now) {
+  const currentStatus = existing?.status ?? null;
+  const nextStatus = status ?? currentStatus ?? DEFAULT_POST_STATUS;
+
+  if (nextStatus === "scheduled" && new Date(publish_at) > now) {
+    return {
+      status: "scheduled",
+      publish_at: new Date(publish_at).toISOString(),
+      published_at: existing?.published_at ?? null,
+    };
+  }
+
+  if (nextStatus === "published" || nextStatus === "scheduled") {
+    return {
+      status: "published",
+      publish_at: null,
+      published_at:
+        currentStatus === "published" && existing.published_at
+          ? existing.published_at
+          : now.toISOString(),
+    };
+  }
+
+  return {
+    status: nextStatus,
+    publish_at: null,
+    published_at: existing?.published_at ?? null,
+  };
+}
+
+/**
+ * Whether a viewer may read a post: anyone once it is published, otherwise only its author
+ * @param {Object|null} post - Post row
+ * @param {string|number|null} viewerId - Signed-in user, if any
+ * @returns {boolean}
+ */
+export function isReadable(post, viewerId) {
+  if (!post) return false;
+  return post.status === "published" || (viewerId != null && String(post.user_id) === String(viewerId));
+}
@@ -0,0 +1,191 @@
+import JSZip from "jszip";
+import YAML from "yaml";
+
+export const EXPORT_FORMATS = ["json", "markdown"];
+
+// Posts accepted by one import, so a single request can't run unbounded
+export const MAX_IMPORT_POSTS = 1000;
+
+// Declared uncompressed size of a zip's Markdown files; JSZip rejects entries that lie about it
+const MAX_ARCHIVE_BYTES = 50 * 1024 * 1024;
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+/**
+ * One post as exported: the posts.json shape (`id`, `title`, `body`,
+ * `createdAt`) plus the columns readSeedPosts and the importer understand
+ * @param {Object} post - Post row
+ * @param {Array<string>} tags - Tag slugs of the post
+ * @returns {Object} Export entry
+ */
+export function exportEntry(post, tags) {
+  return {
+    id: String(post.id),
+    title: post.title,
+    slug: post.slug,
+    body: post.content,
+    format: post.format ?? "plain",
+    status: post.status,
+    publish_at: post.publish_at ?? null,
+    published_at: post.published_at ?? null,
+    comments_closed: Boolean(post.comments_closed),
+    tags,
+    createdAt: post.created_at,
+    updated_at: post.updated_at,
+  };
+}
+
+/**
+ * Renders an export entry as a Markdown file with YAML front matter
+ * @param {Object} entry - Entry from exportEntry
+ * @returns {string} File contents
+ */
+export function toMarkdownFile(entry) {
+  const meta = {
+    title: entry.title,
+    slug: entry.slug,
+    format: entry.format,
+    status: entry.status,
+    publish_at: entry.publish_at,
+    published_at: entry.published_at,
+    comments_closed: entry.comments_closed,
+    tags: entry.tags,
+    created_at: entry.createdAt,
+    updated_at: entry.updated_at,
+  };
+  const present = Object.fromEntries(Object.entries(meta).filter(([, value]) => value != null));
+  return `---\n${YAML.stringify(present)}---\n\n${entry.body}\n`;
+}
+
+/**
+ * Zips export entries as `<slug>.md` files
+ * @param {Array<Object>} entries - Entries from exportEntry
+ * @returns {Promise<Buffer>} Zip archive
+ */
+export async function exportMarkdownZip(entries) {
+  const zip = new JSZip();
+  entries.forEach((entry) => zip.file(`${entry.slug}.md`, toMarkdownFile(entry)));
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+/**
+ * Splits a Markdown file into its front matter and content
+ * @param {string} text - File contents
+ * @returns {Object} Entry with the front matter fields and `content`
+ * @throws {Error} When the front matter is not a YAML mapping
+ */
+export function parseMarkdownFile(text) {
+  const match = text.match(FRONT_MATTER);
+  const meta = match ? YAML.parse(match[1]) ?? {} : {};
+  if (typeof meta !== "object" || Array.isArray(meta)) {
+    throw new Error("Front matter must be a YAML mapping");
+  }
+  // Drop the blank line toMarkdownFile puts after the front matter and the final newline
+  const content = (match ? text.slice(match[0].length) : text)
+    .replace(/^\r?\n/, "")
+    .replace(/\r?\n$/, "");
+  return { ...meta, content };
+}
+
+const tooManyPosts = () => ({
+  data: null,
+  error: { message: `Imports are limited to ${MAX_IMPORT_POSTS} posts` },
+});
+
+/**
+ * Reads an import file: a JSON array of posts (a posts.json export) or a zip
+ * of Markdown files with front matter. Entries that can't be parsed carry
+ * an `error` instead of an `entry`, so the report can point at them.
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object>} `{ data, error }` with `[{ file?, entry, format, error? }]`
+ */
+export async function readImport(buffer) {
+  if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) return readMarkdownZip(buffer);
+
+  try {
+    // posts.json itself starts with a doc comment
+    const raw = buffer.toString("utf8").replace(/^\s*\/\*[\s\S]*?\*\/\s*/, "");
+    const entries = JSON.parse(raw);
+    if (!Array.isArray(entries)) throw new Error("Import is not an array");
+    if (entries.length > MAX_IMPORT_POSTS) return tooManyPosts();
+    // Entries without a format predate formats, like the posts.json seed
+    return {
+      data: entries.map((entry) =>
+        entry && typeof entry === "object" && !Array.isArray(entry)
+          ? { entry, format: "plain" }
+          : { error: "Entry must be an object" }
+      ),
+      error: null,
+    };
+  } catch (err) {
+    return {
+      data: null,
+      error: { message: "Import must be a JSON array of posts or a zip of Markdown files" },
+    };
+  }
+}
+
+async function readMarkdownZip(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    return { data: null, error: { message: "Zip archive could not be read" } };
+  }
+
+  const files = Object.values(zip.files)
+    .filter((file) => !file.dir && /\.md$/i.test(file.name) && !file.name.startsWith("__MACOSX/"))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  // _data is JSZip's record of the central directory sizes
+  const declaredBytes = files.reduce((sum, file) => sum + (file._data?.uncompressedSize ?? 0), 0);
+  if (declaredBytes > MAX_ARCHIVE_BYTES) {
+    return {
+      data: null,
+      error: { message: `Zip archive expands to more than ${MAX_ARCHIVE_BYTES} bytes` },
+    };
+  }
+  if (files.length > MAX_IMPORT_POSTS) return tooManyPosts();
+
+  const items = [];
+  for (const file of files) {
+    try {
+      const entry = parseMarkdownFile(await file.async("string"));
+      items.push({ file: file.name, entry, format: "markdown" });
+    } catch (err) {
+      items.push({ file: file.name, error: err.message });
+    }
+  }
+  return { data: items, error: null };
+}
+
+/**
+ * Maps an import entry onto a postSchema body and the columns carried over
+ * from the exported post. Accepts both the posts.json names (`body`,
+ * `createdAt`) and the column names (`content`, `created_at`).
+ * @param {Object} entry - Parsed entry
+ * @param {string} defaultFormat - Format for entries that don't name one
+ * @returns {Object} `{ body, columns }`
+ */
+export function importFields(entry, defaultFormat) {
+  const body = {
+    title: entry.title,
+    content: entry.content ?? entry.body,
+    format: entry.format ?? defaultFormat,
+    status: entry.status,
+    publish_at: entry.publish_at,
+    tags: entry.tags,
+  };
+  const columns = {
+    slug: entry.slug,
+    created_at: entry.created_at ?? entry.createdAt,
+    updated_at: entry.updated_at ?? entry.updatedAt,
+    published_at: entry.published_at,
+    comments_closed: entry.comments_closed,
+  };
+  const defined = (fields) =>
+    Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  return { body: defined(body), columns: defined(columns) };
+}
@@ -0,0 +1,77 @@
+import { contentFields } from "./content.js";
+import { REACTION_TYPES } from "./reactions.js";
+
+const emptyCounts = () => Object.fromEntries(REACTION_TYPES.map((type) => [type, 0]));
+
+const groupByPost = (rows, reduce, initial) => {
+  const grouped = new Map();
+  for (const row of rows) {
+    const key = String(row.post_id);
+    grouped.set(key, reduce(grouped.get(key) ?? initial(), row));
+  }
+  return grouped;
+};
+
+const unwrap = ({ data, error }) => {
+  if (error) throw new Error(error.message);
+  return data;
+};
+
+/**
+ * Adds the fields every post response carries: rendered `content_html` with
+ * its excerpt and reading stats, `tags`, `reactions` counts and, for a
+ * signed-in viewer, `viewer: { reaction, bookmarked }`
+ * @param {Object} db - Repository layer
+ * @param {Array} posts - Post rows
+ * @param {string|number|null} [viewerId] - Signed-in user, if any
+ * @returns {Promise<Array>} Decorated posts
+ */
+export async function decoratePosts(db, posts, viewerId = null) {
+  if (posts.length === 0) return posts;
+  const postIds = posts.map((p) => p.id);
+
+  const [tagRows, countRows, ownReactions, ownBookmarks] = await Promise.all([
+    db.tags.listForPosts(postIds).then(unwrap),
+    db.reactions.countForPosts(postIds).then(unwrap),
+    viewerId == null ? [] : db.reactions.listForUser(viewerId, postIds).then(unwrap),
+    viewerId == null ? [] : db.bookmarks.listForUser(viewerId, postIds).then(unwrap),
+  ]);
+
+  const tagsByPost = groupByPost(tagRows, (tags, { slug }) => [...tags, slug], () => []);
+  const countsByPost = groupByPost(
+    countRows,
+    (counts, { type, count }) => ({ ...counts, [type]: Number(count) }),
+    emptyCounts
+  );
+  const reactionByPost = groupByPost(ownReactions, (_, { type }) => type, () => null);
+  const bookmarked = new Set(ownBookmarks.map((b) => String(b.post_id)));
+
+  return posts.map((post) => {
+    const key = String(post.id);
+    const decorated = {
+      ...post,
+      ...contentFields(post),
+      tags: (tagsByPost.get(key) || []).sort(),
+      reactions: countsByPost.get(key) || emptyCounts(),
+    };
+    if (viewerId != null) {
+      decorated.viewer = {
+        reaction: reactionByPost.get(key) ?? null,
+        bookmarked: bookmarked.has(key),
+      };
+    }
+    return decorated;
+  });
+}
+
+/**
+ * Single-post form of decoratePosts
+ * @param {Object} db - Repository layer
+ * @param {Object} post - Post row
+ * @param {string|number|null} [viewerId] - Signed-in user, if any
+ * @returns {Promise<Object>} Decorated post
+ */
+export async function decoratePost(db, post, viewerId = null) {
+  const [decorated] = await decoratePosts(db, [post], viewerId);
+  return decorated;
+}
@@ -0,0 +1,29 @@
+/**
+ * URL of a user's avatar, relative to the API root. The version parameter
+ * changes with every upload, so the image can be cached for long.
+ * @param {Object} user - User row
+ * @param {string} baseUrl - Prefix the app is mounted under (req.baseUrl)
+ * @returns {string|null} URL, or null without an avatar
+ */
+export function avatarUrl(user, baseUrl) {
+  if (!user.avatar_key) return null;
+  const version = user.avatar_key.split("/").pop().replace(/\.\w+$/, "");
+  return `${baseUrl}/users/${user.id}/avatar?v=${version}`;
+}
+
+/**
+ * The profile fields anyone may see; never the email, role or account state
+ * @param {Object} user - User row
+ * @param {string} baseUrl - Prefix the app is mounted under (req.baseUrl)
+ * @returns {Object} `{ id, name, bio, website, avatar_url, joined_at }`
+ */
+export function presentProfile(user, baseUrl) {
+  return {
+    id: user.id,
+    name: user.name,
+    bio: user.bio ?? null,
+    website: user.website ?? null,
+    avatar_url: avatarUrl(user, baseUrl),
+    joined_at: user.created_at,
+  };
+}
@@ -0,0 +1,107 @@
+// Failed logins are remembered this long unless a successful login clears them
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_RATE_LIMITS = {
+  // Length of each rate limit window
+  windowMs: 15 * 60 * 1000,
+  // Requests per window to one auth route from one IP address
+  ipMax: 100,
+  // Requests per window to one auth route for one email address
+  accountMax: 10,
+  // Failed logins before an account is locked, then how long the first and longest lockouts last
+  lockoutThreshold: 5,
+  lockoutBaseMs: 60 * 1000,
+  lockoutMaxMs: 60 * 60 * 1000,
+};
+
+/**
+ * Rate limit settings from the environment, falling back to DEFAULT_RATE_LIMITS
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {Object} Settings shaped like DEFAULT_RATE_LIMITS
+ */
+export function rateLimitsFromEnv(env = process.env) {
+  const setting = (name, fallback) => Number(env[name]) || fallback;
+  return {
+    windowMs: setting("RATE_LIMIT_WINDOW_MS", DEFAULT_RATE_LIMITS.windowMs),
+    ipMax: setting("RATE_LIMIT_IP_MAX", DEFAULT_RATE_LIMITS.ipMax),
+    accountMax: setting("RATE_LIMIT_ACCOUNT_MAX", DEFAULT_RATE_LIMITS.accountMax),
+    lockoutThreshold: setting("LOGIN_LOCKOUT_THRESHOLD", DEFAULT_RATE_LIMITS.lockoutThreshold),
+    lockoutBaseMs: setting("LOGIN_LOCKOUT_BASE_MS", DEFAULT_RATE_LIMITS.lockoutBaseMs),
+    lockoutMaxMs: setting("LOGIN_LOCKOUT_MAX_MS", DEFAULT_RATE_LIMITS.lockoutMaxMs),
+  };
+}
+
+/**
+ * Whole seconds until a window resets, for the Retry-After header
+ * @param {Date} resetAt - When the window ends
+ * @param {Date} now - Current time
+ * @returns {number} At least 1
+ */
+export function retryAfterSeconds(resetAt, now) {
+  return Math.max(1, Math.ceil((resetAt.getTime() - now.getTime()) / 1000));
+}
+
+// Emails are matched case-insensitively so "A@x.com" and "a@x.com" share a limit
+export const accountKey = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+/**
+ * Progressive lockout for /login: once an account has `lockoutThreshold`
+ * failed logins, each further failure locks it for twice as long as the last,
+ * from `lockoutBaseMs` up to `lockoutMaxMs`. Store errors are logged and let
+ * the login through, so an outage of a shared store can't lock everyone out.
+ * @param {Object} options
+ * @param {Object} options.store - Counter store from counters/index.js
+ * @param {Function} options.clock - Returns the current Date
+ * @param {number} options.lockoutThreshold - Failures before the first lockout
+ * @param {number} options.lockoutBaseMs - Length of the first lockout
+ * @param {number} options.lockoutMaxMs - Longest lockout
+ * @returns {Object} { lockedFor, recordFailure, recordSuccess }
+ */
+export function createLoginLockout({ store, clock, lockoutThreshold, lockoutBaseMs, lockoutMaxMs }) {
+  const failuresKey = (email) => `login-failures:${accountKey(email)}`;
+  const lockKey = (email) => `login-lock:${accountKey(email)}`;
+
+  /**
+   * Seconds until the account can try again
+   * @param {string} email - Email the login is for
+   * @returns {Promise<number>} 0 when not locked
+   */
+  const lockedFor = async (email) => {
+    try {
+      const { data: lock, error } = await store.get(lockKey(email));
+      if (error) throw new Error(error.message);
+      return lock ? retryAfterSeconds(lock.resetAt, clock()) : 0;
+    } catch (err) {
+      console.error("Login lockout check error:", err);
+      return 0;
+    }
+  };
+
+  const recordFailure = async (email) => {
+    try {
+      const { data: failures, error } = await store.increment(failuresKey(email), FAILURE_WINDOW_MS);
+      if (error) throw new Error(error.message);
+      if (failures.count < lockoutThreshold) return;
+
+      const lockMs = Math.min(
+        lockoutBaseMs * 2 ** (failures.count - lockoutThreshold),
+        lockoutMaxMs
+      );
+      const { error: lockError } = await store.increment(lockKey(email), lockMs);
+      if (lockError) throw new Error(lockError.message);
+    } catch (err) {
+      console.error("Login lockout update error:", err);
+    }
+  };
+
+  const recordSuccess = async (email) => {
+    try {
+      const { error } = await store.reset(failuresKey(email));
+      if (error) throw new Error(error.message);
+    } catch (err) {
+      console.error("Login lockout reset error:", err);
+    }
+  };
+
+  return { lockedFor, recordFailure, recordSuccess };
+}
@@ -0,0 +1,2 @@
+// One reaction per user per post, from this fixed set
+export const REACTION_TYPES = ["like", "love", "laugh", "wow", "sad"];
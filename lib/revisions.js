@@ -0,0 +1,46 @@
+/**
+ * Saves the post's current title and content as its next revision.
+ *
+ * Posts written before revisions existed have no history yet; their state
+ * before this update (`previous`) is stored first so it can be restored too.
+ * @param {Object} db - Repository layer
+ * @param {Object} post - Post row after the change
+ * @param {Object} [options]
+ * @param {Object} [options.previous] - Post row before the change, for updates
+ * @param {number} [options.restoredFrom] - Revision number being restored
+ * @returns {Promise<Object>} `{ data, error }` with the new revision
+ */
+export async function recordRevision(db, post, { previous, restoredFrom = null } = {}) {
+  if (previous) {
+    const { data: latest, error } = await db.revisions.latest(post.id);
+    if (error) return { data: null, error };
+    if (!latest) {
+      const baseline = await db.revisions.create(snapshot(previous));
+      if (baseline.error) return baseline;
+    }
+  }
+  return db.revisions.create({ ...snapshot(post), restored_from: restoredFrom });
+}
+
+const snapshot = (post) => ({
+  post_id: post.id,
+  user_id: post.user_id,
+  title: post.title,
+  content: post.content,
+  format: post.format ?? "plain",
+  restored_from: null,
+});
+
+/**
+ * Shapes a revision row for listings, leaving out the full content
+ * @param {Object} revision - Revision row
+ * @returns {Object} Revision summary
+ */
+export function summarizeRevision(revision) {
+  return {
+    rev: revision.rev,
+    title: revision.title,
+    restored_from: revision.restored_from ?? null,
+    created_at: revision.created_at,
+  };
+}
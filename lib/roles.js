@@ -0,0 +1,44 @@
+// Roles from least to most privileged
+export const ROLES = ["reader", "author", "editor", "admin"];
+
+// New accounts can write, as every account could before roles existed
+export const DEFAULT_ROLE = "author";
+
+/**
+ * What each role may do:
+ * - posts:write - create, edit and publish your own posts
+ * - posts:moderate - edit or remove anyone's posts
+ * - users:manage - list users, change roles and suspend accounts
+ */
+const PERMISSIONS = {
+  reader: [],
+  author: ["posts:write"],
+  editor: ["posts:write", "posts:moderate"],
+  admin: ["posts:write", "posts:moderate", "users:manage"],
+};
+
+/**
+ * Whether a role grants a permission; unknown or missing roles get the default role
+ * @param {string} [role] - Role from the user row or access token
+ * @param {string} permission - Permission name, e.g. "posts:write"
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  const granted = PERMISSIONS[role] ?? PERMISSIONS[DEFAULT_ROLE];
+  return granted.includes(permission);
+}
+
+/**
+ * The account fields returned by the auth and profile endpoints
+ * @param {Object} user - User row
+ * @returns {Object} `{ id, name, email, role, email_verified }`
+ */
+export function presentUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role ?? DEFAULT_ROLE,
+    email_verified: Boolean(user.email_verified_at),
+  };
+}
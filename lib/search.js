@@ -0,0 +1,136 @@
+import { escapeHtml } from "./html.js";
+
+const TITLE_WEIGHT = 3;
+const SNIPPET_CONTEXT = 60;
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Splits text into lowercase word tokens, keeping their character offsets
+ * @param {string} text - Text to tokenize
+ * @returns {Array} `{ word, start, end }` tokens
+ */
+export function tokenize(text) {
+  return [...String(text ?? "").matchAll(/[\p{L}\p{N}]+/gu)].map((match) => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+/**
+ * Parses a search string into terms: bare words must all match, `word*`
+ * matches by prefix and `"quoted words"` must appear consecutively.
+ * @param {string} q - Raw search string
+ * @returns {Array} `{ words, prefix }` terms; a phrase has several words
+ */
+export function parseSearchQuery(q) {
+  const terms = [];
+
+  for (const [, phrase, bare] of String(q).matchAll(/"([^"]*)"|(\S+)/g)) {
+    const text = phrase ?? bare;
+    const words = tokenize(text).map((token) => token.word);
+    if (words.length === 0) continue;
+    terms.push({ words, prefix: phrase === undefined && text.endsWith("*") });
+  }
+
+  return terms;
+}
+
+// Character spans in `tokens` where the term matches
+function matchSpans(tokens, { words, prefix }) {
+  const spans = [];
+  for (let i = 0; i + words.length <= tokens.length; i += 1) {
+    const matches = words.every((word, j) => {
+      const token = tokens[i + j].word;
+      return prefix && j === words.length - 1 ? token.startsWith(word) : token === word;
+    });
+    if (matches) spans.push([tokens[i].start, tokens[i + words.length - 1].end]);
+  }
+  return spans;
+}
+
+/**
+ * Ranks a post against parsed terms; every term must match the title or content
+ * @param {Object} post - Post row
+ * @param {Array} terms - Terms from parseSearchQuery
+ * @returns {number} Rank, 0 when the post does not match
+ */
+export function rankPost(post, terms) {
+  const titleTokens = tokenize(post.title);
+  const contentTokens = tokenize(post.content);
+  let rank = 0;
+
+  for (const term of terms) {
+    const inTitle = matchSpans(titleTokens, term).length;
+    const inContent = matchSpans(contentTokens, term).length;
+    if (inTitle + inContent === 0) return 0;
+    rank += TITLE_WEIGHT * Math.log1p(inTitle) + Math.log1p(inContent);
+  }
+
+  return Math.round(rank * 10000) / 10000;
+}
+
+// Escapes `text` between `from` and `to`, wrapping matched spans in <mark>
+function markSpans(text, spans, from, to) {
+  let html = "";
+  let cursor = from;
+
+  for (const [start, end] of spans) {
+    if (start < cursor || end > to) continue;
+    html += escapeHtml(text.slice(cursor, start));
+    html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    cursor = end;
+  }
+
+  return html + escapeHtml(text.slice(cursor, to));
+}
+
+function allSpans(text, terms) {
+  const tokens = tokenize(text);
+  return terms
+    .flatMap((term) => matchSpans(tokens, term))
+    .sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * HTML-escaped title and content excerpt with matches wrapped in <mark>
+ * @param {Object} post - Post row
+ * @param {Array} terms - Terms from parseSearchQuery
+ * @returns {Object} `{ title, content }` highlighted HTML
+ */
+export function highlightPost(post, terms) {
+  const title = String(post.title ?? "");
+  const content = String(post.content ?? "");
+  const contentSpans = allSpans(content, terms);
+
+  let start = 0;
+  if (contentSpans.length > 0) {
+    start = Math.max(0, contentSpans[0][0] - SNIPPET_CONTEXT);
+    // Don't start the excerpt mid-word
+    while (start > 0 && /[\p{L}\p{N}]/u.test(content[start - 1])) start -= 1;
+  }
+  const end = Math.min(content.length, start + SNIPPET_LENGTH);
+
+  return {
+    title: markSpans(title, allSpans(title, terms), 0, title.length),
+    content:
+      (start > 0 ? "…" : "") +
+      markSpans(content, contentSpans, start, end) +
+      (end < content.length ? "…" : ""),
+  };
+}
+
+/**
+ * Builds a Postgres to_tsquery() string equivalent to the parsed terms
+ * @param {Array} terms - Terms from parseSearchQuery
+ * @returns {string} tsquery text, e.g. `'quick' & 'brown' <-> 'fox' & 'jum':*`
+ */
+export function toTsQuery(terms) {
+  return terms
+    .map(({ words, prefix }) =>
+      words
+        .map((word, i) => `'${word}'${prefix && i === words.length - 1 ? ":*" : ""}`)
+        .join(" <-> ")
+    )
+    .join(" & ");
+}
@@ -0,0 +1,46 @@
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Turns a title into a URL-safe slug ("Hello, World!" -> "hello-world")
+ * @param {string} text - Source text
+ * @param {string} [fallback="post"] - Returned when nothing usable remains
+ * @returns {string} Slug
+ */
+export function slugify(text, fallback = "post") {
+  const slug = String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, "");
+
+  return slug || fallback;
+}
+
+/**
+ * Normalizes tag names to unique lowercase slugs, dropping empty ones
+ * @param {Array<string>} names - Tag names as entered
+ * @returns {Array<string>} Tag slugs in first-seen order
+ */
+export function normalizeTags(names) {
+  return [...new Set(names.map((name) => slugify(name, "")).filter(Boolean))];
+}
+
+/**
+ * Finds a slug for the title that no other post uses yet, suffixing -2, -3...
+ * @param {Object} db - Repository layer
+ * @param {string} title - Post title
+ * @returns {Promise<string>} Unused slug
+ */
+export async function uniqueSlug(db, title) {
+  const base = slugify(title);
+
+  for (let n = 1; ; n += 1) {
+    const candidate = n === 1 ? base : `${base}-${n}`;
+    const { data: existing, error } = await db.posts.findBySlug(candidate);
+    if (error) throw new Error(error.message);
+    if (!existing) return candidate;
+  }
+}
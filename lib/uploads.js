@@ -0,0 +1,129 @@
+import { randomUUID } from "crypto";
+import sharp from "sharp";
+
+export const DEFAULT_MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+export const THUMBNAIL_SIZE = 320;
+export const AVATAR_SIZE = 256;
+
+// Accepted upload types, keyed by the type sniffed from the file's first bytes
+export const UPLOAD_TYPES = {
+  "image/jpeg": { extension: "jpg", image: true },
+  "image/png": { extension: "png", image: true },
+  "image/gif": { extension: "gif", image: true },
+  "image/webp": { extension: "webp", image: true },
+  "application/pdf": { extension: "pdf", image: false },
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+/**
+ * Detects the real type of an upload from its magic bytes; the
+ * client-declared Content-Type is never trusted
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} One of the UPLOAD_TYPES keys, or null
+ */
+export function sniffType(buffer) {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (startsWith(buffer, ascii("GIF87a")) || startsWith(buffer, ascii("GIF89a"))) return "image/gif";
+  if (startsWith(buffer, ascii("RIFF")) && startsWith(buffer, ascii("WEBP"), 8)) return "image/webp";
+  if (startsWith(buffer, ascii("%PDF-"))) return "application/pdf";
+  return null;
+}
+
+/**
+ * Storage keys for a new attachment and its thumbnail
+ * @param {string|number} postId - Owning post
+ * @param {string} type - Sniffed content type
+ * @returns {Object} `{ key, thumbnailKey }`
+ */
+export function storageKeys(postId, type) {
+  const base = `posts/${postId}/${randomUUID()}`;
+  return { key: `${base}.${UPLOAD_TYPES[type].extension}`, thumbnailKey: `${base}-thumb.webp` };
+}
+
+/**
+ * Reads an image's dimensions and renders a WebP thumbnail that fits in
+ * THUMBNAIL_SIZE x THUMBNAIL_SIZE, honouring EXIF orientation
+ * @param {Buffer} buffer - Image contents
+ * @returns {Promise<Object>} `{ width, height, thumbnail }`
+ */
+export async function processImage(buffer) {
+  const { width, height } = await sharp(buffer).rotate().metadata();
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize({
+      width: THUMBNAIL_SIZE,
+      height: THUMBNAIL_SIZE,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .webp()
+    .toBuffer();
+  return { width, height, thumbnail };
+}
+
+/**
+ * Crops an image to a square AVATAR_SIZE WebP, honouring EXIF orientation
+ * @param {Buffer} buffer - Image contents
+ * @returns {Promise<Buffer>} Avatar image
+ */
+export async function processAvatar(buffer) {
+  return sharp(buffer)
+    .rotate()
+    .resize({ width: AVATAR_SIZE, height: AVATAR_SIZE, fit: "cover" })
+    .webp()
+    .toBuffer();
+}
+
+/**
+ * Storage key for a user's new avatar; each upload gets a fresh key so
+ * cached copies of the old image are never served for the new one
+ * @param {string|number} userId - Owning user
+ * @returns {string} Storage key
+ */
+export function avatarKey(userId) {
+  return `avatars/${userId}/${randomUUID()}.webp`;
+}
+
+/**
+ * Keeps an uploaded file name readable but safe to echo in headers
+ * @param {string} name - Client-supplied file name
+ * @returns {string} Sanitized file name
+ */
+export function safeFilename(name) {
+  const cleaned = String(name || "")
+    .replace(/^.*[\\/]/, "")
+    .replace(/[^\w.\- ]+/g, "_")
+    .trim()
+    .slice(0, 200);
+  return cleaned || "file";
+}
+
+/**
+ * Deletes attachments whose post no longer exists, files first.
+ *
+ * Permanently deleting a post detaches its attachment rows (their
+ * `post_id` becomes null) rather than dropping them, so the stored files
+ * can still be found and removed here.
+ * @param {Object} deps
+ * @param {Object} deps.db - Repository layer
+ * @param {Object} deps.storage - File storage
+ * @returns {Promise<Array>} Removed attachment rows
+ */
+export async function removeDetachedAttachments({ db, storage }) {
+  const { data: detached, error } = await db.attachments.listDetached();
+  if (error) throw new Error(error.message);
+  if (detached.length === 0) return [];
+
+  const keys = detached.flatMap((a) => [a.storage_key, a.thumbnail_key].filter(Boolean));
+  const { error: storageError } = await storage.remove(keys);
+  if (storageError) throw new Error(storageError.message);
+
+  const { error: removeError } = await db.attachments.removeMany(detached.map((a) => a.id));
+  if (removeError) throw new Error(removeError.message);
+  return detached;
+}
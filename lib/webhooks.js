@@ -0,0 +1,182 @@
+import crypto from "crypto";
+
+export const WEBHOOK_EVENTS = ["post.created", "post.updated", "post.deleted", "post.published"];
+
+export const MAX_WEBHOOKS_PER_USER = 10;
+
+// A delivery is given up after this many failed attempts
+export const MAX_DELIVERY_ATTEMPTS = 8;
+
+// Wait before the first retry; each further retry waits twice as long
+export const RETRY_BASE_MS = 60 * 1000;
+
+/**
+ * How long to wait after a failed attempt before trying again
+ * @param {number} attempts - Attempts made so far, at least 1
+ * @returns {number} Delay in milliseconds
+ */
+export function retryDelayMs(attempts) {
+  return RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+/**
+ * Creates the secret a webhook's payloads are signed with
+ * @returns {string} Secret
+ */
+export function createWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString("base64url")}`;
+}
+
+/**
+ * Signs a request body for the X-Webhook-Signature header. The timestamp is
+ * signed along with the body, so receivers can reject replayed requests.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Exact JSON body being sent
+ * @returns {string} `t=<timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<body>">`
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * The post as sent in payloads: its own columns, without view-specific fields
+ * @param {Object} post - Post row
+ * @returns {Object} Post fields
+ */
+export function webhookPost(post) {
+  return {
+    id: post.id,
+    user_id: post.user_id,
+    title: post.title,
+    slug: post.slug,
+    content: post.content,
+    format: post.format ?? "plain",
+    status: post.status,
+    publish_at: post.publish_at ?? null,
+    published_at: post.published_at ?? null,
+    created_at: post.created_at,
+    updated_at: post.updated_at ?? null,
+    deleted_at: post.deleted_at ?? null,
+  };
+}
+
+/**
+ * Events for one change to a post: created, updated or deleted, plus
+ * published when the change made it go live
+ * @param {Object|null} before - Post before the change; null when it was created
+ * @param {Object} after - Post after the change
+ * @returns {Array<string>} Event names
+ */
+export function postChangeEvents(before, after) {
+  if (after.deleted_at && !before?.deleted_at) return ["post.deleted"];
+  const events = [before ? "post.updated" : "post.created"];
+  if (after.status === "published" && before?.status !== "published") {
+    events.push("post.published");
+  }
+  return events;
+}
+
+/**
+ * A webhook as shown to its owner; the secret is only returned on creation
+ * @param {Object} webhook - Webhook row
+ * @returns {Object} `{ id, url, events, active, created_at, updated_at }`
+ */
+export function presentWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    active: Boolean(webhook.active),
+    created_at: webhook.created_at,
+    updated_at: webhook.updated_at ?? webhook.created_at,
+  };
+}
+
+/**
+ * A delivery log entry
+ * @param {Object} delivery - webhook_deliveries row
+ * @returns {Object} Delivery with its payload and the outcome of the last attempt
+ */
+export function presentDelivery(delivery) {
+  return {
+    id: delivery.id,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    next_attempt_at: delivery.status === "pending" ? delivery.next_attempt_at : null,
+    last_attempt_at: delivery.last_attempt_at ?? null,
+    delivered_at: delivery.delivered_at ?? null,
+    response_status: delivery.response_status ?? null,
+    error: delivery.error ?? null,
+    redelivery_of: delivery.redelivery_of ?? null,
+    payload: delivery.payload,
+    created_at: delivery.created_at,
+  };
+}
+
+/**
+ * Queues deliveries for post events. Routes and jobs call it after a change
+ * is saved; a failure is logged rather than failing the change itself.
+ * @param {Object} deps
+ * @param {Object} deps.db - Repository layer
+ * @param {Function} [deps.clock] - Returns the current Date
+ * @returns {Object} `{ emit, postChanged }`
+ */
+export function createWebhookEmitter({ db, clock = () => new Date() }) {
+  /**
+   * Queues one event for every active webhook of the post's author that subscribes to it
+   * @param {string} event - Event name from WEBHOOK_EVENTS
+   * @param {Object} post - Post row
+   * @returns {Promise<Array>} Queued delivery rows
+   */
+  const emit = async (event, post) => {
+    try {
+      const { data: webhooks, error } = await db.webhooks.listForEvent(post.user_id, event);
+      if (error) throw new Error(error.message);
+
+      const now = clock().toISOString();
+      const payload = {
+        id: crypto.randomUUID(),
+        event,
+        created_at: now,
+        data: { post: webhookPost(post) },
+      };
+
+      const queued = [];
+      for (const webhook of webhooks) {
+        const { data: delivery, error: queueError } = await db.webhookDeliveries.create({
+          webhook_id: webhook.id,
+          event,
+          payload,
+          status: "pending",
+          attempts: 0,
+          next_attempt_at: now,
+        });
+        if (queueError) throw new Error(queueError.message);
+        queued.push(delivery);
+      }
+      return queued;
+    } catch (err) {
+      console.error(`Webhook ${event} error:`, err);
+      return [];
+    }
+  };
+
+  /**
+   * Queues the events of one change to a post
+   * @param {Object|null} before - Post before the change; null when it was created
+   * @param {Object} after - Post after the change
+   * @returns {Promise<Array>} Queued delivery rows
+   */
+  const postChanged = async (before, after) => {
+    const queued = [];
+    for (const event of postChangeEvents(before, after)) {
+      queued.push(...(await emit(event, after)));
+    }
+    return queued;
+  };
+
+  return { emit, postChanged };
+}
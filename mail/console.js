@@ -0,0 +1,18 @@
+/**
+ * Prints messages to the console instead of delivering them, so links can be
+ * copied from the server log during development
+ * @param {Object} options
+ * @param {string} options.from - Sender address
+ * @returns {Object} Mailer with send({ to, subject, text })
+ */
+export function createConsoleMailer({ from }) {
+  return {
+    transport: "console",
+
+    send: async (message) => {
+      const sent = { from, ...message };
+      console.log(`📧 To: ${sent.to}\nSubject: ${sent.subject}\n\n${sent.text}`);
+      return { data: sent, error: null };
+    },
+  };
+}
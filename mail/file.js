@@ -0,0 +1,45 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// Header values come from user input (names, addresses); keep them on one line
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, " ");
+
+/**
+ * Writes each message to its own `.eml` file, which mail clients can open
+ * @param {Object} options
+ * @param {string} options.from - Sender address
+ * @param {string} options.dir - Directory messages are written to
+ * @returns {Object} Mailer with send({ to, subject, text })
+ */
+export function createFileMailer({ from, dir }) {
+  return {
+    transport: "file",
+
+    send: async (message) => {
+      const sent = { from, ...message };
+      const date = new Date();
+      const file = path.join(
+        dir,
+        `${date.toISOString().replace(/[:.]/g, "-")}-${crypto.randomUUID()}.eml`
+      );
+      const eml = [
+        `From: ${headerValue(sent.from)}`,
+        `To: ${headerValue(sent.to)}`,
+        `Subject: ${headerValue(sent.subject)}`,
+        `Date: ${date.toUTCString()}`,
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        sent.text,
+      ].join("\r\n");
+
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(file, eml);
+        return { data: { ...sent, file }, error: null };
+      } catch (err) {
+        return { data: null, error: { message: err.message } };
+      }
+    },
+  };
+}
@@ -0,0 +1,32 @@
+import path from "path";
+import { createConsoleMailer } from "./console.js";
+import { createFileMailer } from "./file.js";
+import { createMemoryMailer } from "./memory.js";
+
+/**
+ * Builds the mailer for account emails (verification, password reset).
+ *
+ * `MAIL_TRANSPORT` picks the implementation: `console` (logs each message,
+ * the default), `file` (one `.eml` file per message under `MAIL_DIR`) or
+ * `memory`. Any object with the same `send` method can be passed to
+ * createApp instead, e.g. one wrapping an SMTP client.
+ * @param {Object} [env=process.env] - Configuration source
+ * @returns {Object} Mailer with send({ to, subject, text })
+ */
+export function createMailer(env = process.env) {
+  const transport = env.MAIL_TRANSPORT || "console";
+  const from = env.MAIL_FROM || "Posts API <no-reply@localhost>";
+
+  switch (transport) {
+    case "console":
+      return createConsoleMailer({ from });
+    case "file":
+      return createFileMailer({ from, dir: path.resolve(env.MAIL_DIR || "data/mail") });
+    case "memory":
+      return createMemoryMailer({ from });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${transport}"`);
+  }
+}
+
+export { createConsoleMailer, createFileMailer, createMemoryMailer };
@@ -0,0 +1,20 @@
+/**
+ * Keeps sent messages in memory; for tests and throwaway instances
+ * @param {Object} [options]
+ * @param {string} [options.from] - Sender address
+ * @returns {Object} Mailer with send({ to, subject, text }) and the sent `messages`
+ */
+export function createMemoryMailer({ from = "no-reply@localhost" } = {}) {
+  const messages = [];
+
+  return {
+    transport: "memory",
+    messages,
+
+    send: async (message) => {
+      const sent = { from, ...message };
+      messages.push(sent);
+      return { data: sent, error: null };
+    },
+  };
+}
@@ -0,0 +1,37 @@
+import { retryAfterSeconds } from "../lib/rateLimits.js";
+
+/**
+ * Fixed-window rate limit: past `max` requests per `windowMs` for the same
+ * key, answers 429 with a Retry-After header. Requests without a key pass
+ * through, and store errors are logged and let the request through.
+ * @param {Object} options
+ * @param {Object} options.store - Counter store from counters/index.js
+ * @param {Function} options.clock - Returns the current Date
+ * @param {string} options.name - Prefix that keeps this limit's counters apart
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per window
+ * @param {Function} options.key - Maps a request to its key, e.g. the IP address
+ * @returns {Function} Express middleware
+ */
+export function createRateLimit({ store, clock, name, windowMs, max, key }) {
+  return async function rateLimit(req, res, next) {
+    const id = key(req);
+    if (!id) return next();
+
+    let counter;
+    try {
+      const { data, error } = await store.increment(`${name}:${id}`, windowMs);
+      if (error) throw new Error(error.message);
+      counter = data;
+    } catch (err) {
+      console.error("Rate limit error:", err);
+      return next();
+    }
+
+    if (counter.count > max) {
+      res.set("Retry-After", String(retryAfterSeconds(counter.resetAt, clock())));
+      return res.status(429).json({ error: "Too many requests, please try again later" });
+    }
+    next();
+  };
+}
@@ -0,0 +1,24 @@
+export const validate = (schema) => (req, res, next) => {
+  try {
+    schema.parse(req.body);
+    next();
+  } catch (err) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: err.errors,
+    });
+  }
+};
+
+// Query strings arrive as text, so the parsed (coerced) values replace req.query
+export const validateQuery = (schema) => (req, res, next) => {
+  try {
+    req.query = schema.parse(req.query);
+    next();
+  } catch (err) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: err.errors,
+    });
+  }
+};
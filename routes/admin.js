@@ -0,0 +1,156 @@
+import express from "express";
+import { updatePost } from "../lib/postEditing.js";
+import { decoratePost } from "../lib/postViews.js";
+import { presentUser } from "../lib/roles.js";
+import { requirePermission } from "../middleware/auth.js";
+import { validate, validateQuery } from "../middleware/validate.js";
+import { adminUsersQuerySchema, postSchema, roleSchema } from "../schemas.js";
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Account fields admins see, never the password hash
+const presentAccount = (user) => ({
+  ...presentUser(user),
+  suspended_at: user.suspended_at ?? null,
+  created_at: user.created_at,
+});
+
+/**
+ * Staff routes: user management for admins, post moderation for editors and admins
+ * @param {Object} deps - Shared app dependencies (db, clock, tokens, webhooks, authenticateToken)
+ * @returns {express.Router} Router
+ */
+export function createAdminRouter({ db, clock, tokens, webhooks, authenticateToken }) {
+  const router = express.Router();
+  const manageUsers = [authenticateToken, requirePermission("users:manage")];
+  const moderatePosts = [authenticateToken, requirePermission("posts:moderate")];
+
+  router.get("/admin/users", manageUsers, validateQuery(adminUsersQuerySchema), async (req, res) => {
+    const { q, role, limit, cursor } = req.query;
+    try {
+      const { data: users, error } = await db.users.search({
+        q,
+        role,
+        after: cursor,
+        limit: limit + 1,
+      });
+
+      if (error) {
+        console.error("Admin list users error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      const page = users.slice(0, limit);
+      res.json({
+        users: page.map(presentAccount),
+        next_cursor: users.length > limit ? String(page[page.length - 1].id) : null,
+      });
+    } catch (err) {
+      console.error("Admin list users error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // Changes an account and ends its sessions, so tokens carrying the old role stop working
+  const changeAccount = (label, changes) => async (req, res) => {
+    if (sameId(req.params.id, req.user.id)) {
+      return res.status(400).json({ error: "You cannot change your own account here" });
+    }
+
+    try {
+      const { data: existing } = await db.users.findById(req.params.id);
+
+      if (!existing) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const { data: user, error } = await db.users.update(existing.id, changes(req));
+
+      if (error) {
+        console.error(`${label} error:`, error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      await tokens.revokeUserSessions(user.id);
+      res.json({ user: presentAccount(user) });
+    } catch (err) {
+      console.error(`${label} error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+
+  router.patch(
+    "/admin/users/:id/role",
+    manageUsers,
+    validate(roleSchema),
+    changeAccount("Change role", (req) => ({ role: req.body.role }))
+  );
+
+  router.post(
+    "/admin/users/:id/suspend",
+    manageUsers,
+    changeAccount("Suspend user", () => ({ suspended_at: clock().toISOString() }))
+  );
+
+  router.post(
+    "/admin/users/:id/unsuspend",
+    manageUsers,
+    changeAccount("Unsuspend user", () => ({ suspended_at: null }))
+  );
+
+  router.put("/admin/posts/:id", moderatePosts, validate(postSchema), async (req, res) => {
+    try {
+      const { data: existingPost } = await db.posts.findById(req.params.id);
+
+      if (!existingPost) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+
+      const { data: post, error } = await updatePost({ db, clock }, existingPost, req.body);
+
+      if (error) {
+        console.error("Admin update post error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      console.log("Admin update post - Post:", post.id, "By:", req.user.id);
+      await webhooks.postChanged(existingPost, post);
+      res.json({ post: await decoratePost(db, post, req.user.id) });
+    } catch (err) {
+      console.error("Admin update post error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // Moves the post to its author's trash, marked so they can't restore it; it
+  // is purged with the rest of the trash
+  router.delete("/admin/posts/:id", moderatePosts, async (req, res) => {
+    try {
+      const { data: existingPost } = await db.posts.findById(req.params.id);
+
+      if (!existingPost) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+
+      const { data: post, error } = await db.posts.trash(
+        existingPost.id,
+        existingPost.user_id,
+        clock().toISOString(),
+        req.user.id
+      );
+
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      console.log("Admin delete post - Post:", post.id, "By:", req.user.id);
+      await webhooks.postChanged(existingPost, post);
+      res.json({ message: "Post removed", post });
+    } catch (err) {
+      console.error("Admin delete post error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,264 @@
+import express from "express";
+import multer from "multer";
+import { isReadable } from "../lib/postLifecycle.js";
+import {
+  UPLOAD_TYPES,
+  processImage,
+  safeFilename,
+  sniffType,
+  storageKeys,
+} from "../lib/uploads.js";
+import { requirePermission } from "../middleware/auth.js";
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Shapes an attachment row for clients, with URLs relative to the API root
+ * @param {Object} attachment - Attachment row
+ * @param {string} baseUrl - Prefix the app is mounted under (req.baseUrl)
+ * @returns {Object} Attachment as returned by the API
+ */
+function presentAttachment(attachment, baseUrl) {
+  const url = `${baseUrl}/attachments/${attachment.id}`;
+  return {
+    id: attachment.id,
+    post_id: attachment.post_id,
+    filename: attachment.filename,
+    content_type: attachment.content_type,
+    size: attachment.size,
+    width: attachment.width ?? null,
+    height: attachment.height ?? null,
+    url,
+    thumbnail_url: attachment.thumbnail_key ? `${url}/thumbnail` : null,
+    created_at: attachment.created_at,
+  };
+}
+
+/**
+ * Multipart uploads attached to posts, and serving them back
+ * @param {Object} deps - Shared app dependencies (db, storage, maxUploadBytes, authenticateWrite, optionalAuthenticateRead)
+ * @returns {express.Router} Router
+ */
+export function createAttachmentsRouter({
+  db,
+  storage,
+  maxUploadBytes,
+  authenticateWrite,
+  optionalAuthenticateRead,
+}) {
+  const router = express.Router();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxUploadBytes, files: 1 },
+  }).single("file");
+
+  const receiveFile = (req, res) =>
+    new Promise((resolve, reject) => {
+      upload(req, res, (err) => (err ? reject(err) : resolve(req.file)));
+    });
+
+  // Loads an attachment whose post the viewer may read, or responds 404
+  const loadAttachment = async (req, res) => {
+    const { data: attachment } = await db.attachments.findById(req.params.id);
+    const { data: post } = attachment?.post_id
+      ? await db.posts.findById(attachment.post_id)
+      : { data: null };
+
+    if (!isReadable(post, req.user?.id)) {
+      res.status(404).json({ error: "Attachment not found" });
+      return null;
+    }
+    return attachment;
+  };
+
+  const sendFile = async (res, key, contentType, filename) => {
+    const { data: file, error } = await storage.get(key);
+    if (error) throw new Error(error.message);
+    if (!file) return res.status(404).json({ error: "Attachment not found" });
+
+    res.set({
+      "Content-Type": contentType,
+      "Content-Length": file.length,
+      "Content-Disposition": `${contentType.startsWith("image/") ? "inline" : "attachment"}; filename="${filename}"`,
+      // Let the frontend origin embed images despite helmet's same-origin default
+      "Cross-Origin-Resource-Policy": "cross-origin",
+      "Cache-Control": "private, max-age=3600",
+    });
+    res.send(file);
+  };
+
+  router.post(
+    "/posts/:id/attachments",
+    authenticateWrite,
+    requirePermission("posts:write"),
+    async (req, res) => {
+      try {
+        const { data: post } = await db.posts.findOwned(req.params.id, req.user.id);
+
+        if (!post) {
+          return res
+            .status(404)
+            .json({ error: "Post not found or unauthorized" });
+        }
+
+        let file;
+        try {
+          file = await receiveFile(req, res);
+        } catch (err) {
+          if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+            return res
+              .status(413)
+              .json({ error: `File is larger than ${maxUploadBytes} bytes` });
+          }
+          if (err instanceof multer.MulterError) {
+            return res.status(400).json({ error: err.message });
+          }
+          throw err;
+        }
+
+        if (!file) {
+          return res.status(400).json({ error: "No file uploaded in the \"file\" field" });
+        }
+
+        const type = sniffType(file.buffer);
+
+        if (!type) {
+          return res.status(415).json({
+            error: `Unsupported file type; allowed: ${Object.keys(UPLOAD_TYPES).join(", ")}`,
+          });
+        }
+
+        let image = null;
+        if (UPLOAD_TYPES[type].image) {
+          try {
+            image = await processImage(file.buffer);
+          } catch (err) {
+            return res.status(400).json({ error: "Image could not be read" });
+          }
+        }
+
+        const { key, thumbnailKey } = storageKeys(post.id, type);
+        const files = [[key, file.buffer, type]];
+        if (image) files.push([thumbnailKey, image.thumbnail, "image/webp"]);
+        const storedKeys = files.map(([fileKey]) => fileKey);
+
+        for (const [fileKey, buffer, contentType] of files) {
+          const { error: storeError } = await storage.put(fileKey, buffer, contentType);
+          if (storeError) {
+            await storage.remove(storedKeys);
+            throw new Error(storeError.message);
+          }
+        }
+
+        const { data: attachment, error } = await db.attachments.create({
+          post_id: post.id,
+          user_id: req.user.id,
+          filename: safeFilename(file.originalname),
+          content_type: type,
+          size: file.size,
+          width: image?.width ?? null,
+          height: image?.height ?? null,
+          storage_key: key,
+          thumbnail_key: image ? thumbnailKey : null,
+        });
+
+        if (error) {
+          await storage.remove(storedKeys);
+          console.error("Create attachment error:", error);
+          return res.status(400).json({ error: error.message });
+        }
+
+        res.status(201).json({ attachment: presentAttachment(attachment, req.baseUrl) });
+      } catch (err) {
+        console.error("Upload attachment error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  router.get("/posts/:id/attachments", optionalAuthenticateRead, async (req, res) => {
+    try {
+      const { data: post } = await db.posts.findById(req.params.id);
+
+      if (!isReadable(post, req.user?.id)) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+
+      const { data: attachments, error } = await db.attachments.listByPost(post.id);
+
+      if (error) {
+        console.error("Get attachments error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ attachments: attachments.map((a) => presentAttachment(a, req.baseUrl)) });
+    } catch (err) {
+      console.error("Get attachments error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.get("/attachments/:id", optionalAuthenticateRead, async (req, res) => {
+    try {
+      const attachment = await loadAttachment(req, res);
+      if (!attachment) return;
+
+      await sendFile(res, attachment.storage_key, attachment.content_type, attachment.filename);
+    } catch (err) {
+      console.error("Get attachment error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.get("/attachments/:id/thumbnail", optionalAuthenticateRead, async (req, res) => {
+    try {
+      const attachment = await loadAttachment(req, res);
+      if (!attachment) return;
+
+      if (!attachment.thumbnail_key) {
+        return res.status(404).json({ error: "Attachment has no thumbnail" });
+      }
+
+      await sendFile(res, attachment.thumbnail_key, "image/webp", `thumb-${attachment.id}.webp`);
+    } catch (err) {
+      console.error("Get thumbnail error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.delete(
+    "/attachments/:id",
+    authenticateWrite,
+    requirePermission("posts:write"),
+    async (req, res) => {
+      try {
+        const { data: attachment } = await db.attachments.findById(req.params.id);
+
+        if (!attachment || !sameId(attachment.user_id, req.user.id)) {
+          return res
+            .status(404)
+            .json({ error: "Attachment not found or unauthorized" });
+        }
+
+        const { error: storageError } = await storage.remove(
+          [attachment.storage_key, attachment.thumbnail_key].filter(Boolean)
+        );
+        if (storageError) throw new Error(storageError.message);
+
+        const { error } = await db.attachments.remove(attachment.id);
+
+        if (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        res.json({ message: "Attachment deleted successfully" });
+      } catch (err) {
+        console.error("Delete attachment error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  return router;
+}
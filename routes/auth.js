@@ -0,0 +1,361 @@
+import bcrypt from "bcrypt";
+import express from "express";
+import { hashToken } from "../auth/tokens.js";
+import { passwordResetEmail, verificationEmail } from "../lib/accountEmails.js";
+import { accountKey, createLoginLockout } from "../lib/rateLimits.js";
+import { presentUser } from "../lib/roles.js";
+import { createRateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import {
+  emailTokenSchema,
+  forgotPasswordSchema,
+  loginSchema,
+  logoutSchema,
+  refreshSchema,
+  resetPasswordSchema,
+  signupSchema,
+} from "../schemas.js";
+
+/**
+ * Password and OAuth login, email verification and password reset routes.
+ * Each route is rate limited per IP address, and the routes that take an
+ * email per account as well.
+ * @param {Object} deps - Shared app dependencies (db, clock, tokens, mailer, counterStore, rateLimits, passport, frontendOrigin, siteUrl, authenticateToken)
+ * @returns {express.Router} Router
+ */
+export function createAuthRouter({
+  db,
+  clock,
+  tokens,
+  mailer,
+  counterStore,
+  rateLimits,
+  passport,
+  frontendOrigin,
+  siteUrl,
+  hasGoogle,
+  authenticateToken,
+}) {
+  const router = express.Router();
+
+  const limit = (name, max, key) =>
+    createRateLimit({
+      store: counterStore,
+      clock,
+      name,
+      windowMs: rateLimits.windowMs,
+      max,
+      key,
+    });
+  const perIp = (route) => limit(`ip:${route}`, rateLimits.ipMax, (req) => req.ip);
+  // Runs after validation, so the email is known to be present
+  const perAccount = (route) =>
+    limit(`account:${route}`, rateLimits.accountMax, (req) => accountKey(req.body.email));
+
+  const lockout = createLoginLockout({ store: counterStore, clock, ...rateLimits });
+
+  // Emailed links point at the frontend, which posts the token back to the API
+  const link = (req, pathname, token) => {
+    const root = (siteUrl || frontendOrigin || `${req.protocol}://${req.get("host")}`).replace(
+      /\/+$/,
+      ""
+    );
+    return `${root}${pathname}?token=${encodeURIComponent(token)}`;
+  };
+
+  // A mail outage must not fail the request that triggered the email
+  const sendMail = async (message) => {
+    try {
+      const { error } = await mailer.send(message);
+      if (error) console.error("Mail error:", error.message);
+    } catch (err) {
+      console.error("Mail error:", err);
+    }
+  };
+
+  const sendVerification = async (req, user) => {
+    const token = await tokens.issueOneTimeToken(user, "verify_email");
+    await sendMail(verificationEmail(user, link(req, "/verify-email", token)));
+  };
+
+  if (hasGoogle) {
+    const authError = (message) =>
+      `${frontendOrigin}/auth/error${message ? `?message=${encodeURIComponent(message)}` : ""}`;
+
+    // `?link=<token>` from POST /profile/identities/google/link adds Google to that
+    // user, only in the browser session that asked for the token
+    router.get("/auth/google", async (req, res, next) => {
+      try {
+        delete req.session.linkUserId;
+        if (req.query.link) {
+          const token = String(req.query.link);
+          const pending = req.session.pendingLink;
+          delete req.session.pendingLink;
+          if (pending !== hashToken(token)) {
+            return res.redirect(authError("Open the link in the browser that requested it"));
+          }
+          const user = await tokens.consumeOneTimeToken(token, "link_identity");
+          if (!user) return res.redirect(authError("Invalid or expired link"));
+          req.session.linkUserId = user.id;
+        }
+      } catch (err) {
+        console.error("Google link error:", err);
+        return res.redirect(authError());
+      }
+
+      console.log("Initiating Google OAuth...");
+      passport.authenticate("google", {
+        scope: ["profile", "email"],
+        accessType: "offline",
+        prompt: "consent",
+      })(req, res, next);
+    });
+
+    // Tokens travel in the redirect, so there is no passport session to log in to
+    router.get("/auth/google/callback", (req, res, next) => {
+      const linking = req.session.linkUserId != null;
+      passport.authenticate("google", { session: false }, async (err, user, info) => {
+        delete req.session.linkUserId;
+        try {
+          if (err) throw err;
+          if (!user) return res.redirect(authError(info?.message));
+          if (user.suspended_at) {
+            return res.redirect(`${frontendOrigin}/auth/error`);
+          }
+          if (linking) {
+            return res.redirect(`${frontendOrigin}/auth/google/callback?linked=true`);
+          }
+          console.log("Google callback successful, generating token...");
+          const { token, refreshToken } = await tokens.issueTokens(user);
+          res.redirect(
+            `${frontendOrigin}/auth/google/callback?token=${token}&refresh_token=${refreshToken}`
+          );
+        } catch (error) {
+          console.error("Callback error:", error);
+          res.redirect(authError());
+        }
+      })(req, res, next);
+    });
+  }
+
+  router.post(
+    "/signup",
+    perIp("signup"),
+    validate(signupSchema),
+    perAccount("signup"),
+    async (req, res) => {
+      const { name, email, password } = req.body;
+      try {
+        const { data: existingUser } = await db.users.findByEmail(email);
+
+        if (existingUser) {
+          return res.status(400).json({ error: "User already exists" });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 12);
+        const { data, error } = await db.users.create({
+          name,
+          email,
+          password: hashedPassword,
+        });
+
+        if (error) return res.status(400).json({ error: error.message });
+
+        await sendVerification(req, data);
+        const { token, refreshToken } = await tokens.issueTokens(data);
+
+        res.status(201).json({
+          message: "User registered successfully",
+          token,
+          refreshToken,
+          user: presentUser(data)
+        });
+      } catch (err) {
+        console.error("Signup error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  router.post(
+    "/login",
+    perIp("login"),
+    validate(loginSchema),
+    perAccount("login"),
+    async (req, res) => {
+      const { email, password } = req.body;
+      try {
+        // Checked before bcrypt, so a locked account costs no hashing
+        const lockedFor = await lockout.lockedFor(email);
+        if (lockedFor) {
+          res.set("Retry-After", String(lockedFor));
+          return res
+            .status(429)
+            .json({ error: "Too many failed login attempts, please try again later" });
+        }
+
+        const { data: user, error } = await db.users.findByEmail(email);
+
+        if (error || !user) {
+          await lockout.recordFailure(email);
+          return res.status(401).json({ error: "Invalid credentials" });
+        }
+
+        // Accounts that only sign in with Google fail like a wrong password,
+        // so the response doesn't tell which login methods an email has
+        const validPassword = user.password
+          ? await bcrypt.compare(password, user.password)
+          : false;
+        if (!validPassword) {
+          await lockout.recordFailure(email);
+          return res.status(401).json({ error: "Invalid credentials" });
+        }
+
+        await lockout.recordSuccess(email);
+
+        if (user.suspended_at) {
+          return res.status(403).json({ error: "Account suspended" });
+        }
+
+        const { token, refreshToken } = await tokens.issueTokens(user);
+        res.json({
+          token,
+          refreshToken,
+          user: presentUser(user)
+        });
+      } catch (err) {
+        console.error("Login error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  router.post("/auth/refresh", perIp("refresh"), validate(refreshSchema), async (req, res) => {
+    try {
+      const rotated = await tokens.rotateRefreshToken(req.body.refreshToken);
+
+      if (!rotated) {
+        return res.status(401).json({ error: "Invalid refresh token" });
+      }
+
+      const { user, token, refreshToken } = rotated;
+      res.json({
+        token,
+        refreshToken,
+        user: presentUser(user)
+      });
+    } catch (err) {
+      console.error("Refresh error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.post(
+    "/email/verify",
+    perIp("verify-email"),
+    validate(emailTokenSchema),
+    async (req, res) => {
+      try {
+        const user = await tokens.consumeOneTimeToken(req.body.token, "verify_email");
+        if (!user) {
+          return res.status(400).json({ error: "Invalid or expired token" });
+        }
+
+        const { data, error } = user.email_verified_at
+          ? { data: user, error: null }
+          : await db.users.update(user.id, { email_verified_at: clock().toISOString() });
+        if (error) return res.status(500).json({ error: error.message });
+
+        res.json({ message: "Email verified", user: presentUser(data) });
+      } catch (err) {
+        console.error("Verify email error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  router.post(
+    "/email/verify/resend",
+    perIp("resend-verification"),
+    authenticateToken,
+    async (req, res) => {
+      try {
+        const { data: user, error } = await db.users.findById(req.user.id);
+        if (error) return res.status(500).json({ error: error.message });
+        if (!user) return res.status(404).json({ error: "User not found" });
+
+        if (user.email_verified_at) {
+          return res.status(400).json({ error: "Email already verified" });
+        }
+
+        await sendVerification(req, user);
+        res.json({ message: "Verification email sent" });
+      } catch (err) {
+        console.error("Resend verification error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  // Answers the same whether or not the account exists, so it can't be used to probe emails
+  router.post(
+    "/password/forgot",
+    perIp("forgot-password"),
+    validate(forgotPasswordSchema),
+    perAccount("forgot-password"),
+    async (req, res) => {
+      try {
+        const { data: user } = await db.users.findByEmail(req.body.email);
+
+        if (user && !user.suspended_at) {
+          const token = await tokens.issueOneTimeToken(user, "reset_password");
+          await sendMail(passwordResetEmail(user, link(req, "/reset-password", token)));
+        }
+
+        res.json({ message: "If that account exists, a password reset link has been sent" });
+      } catch (err) {
+        console.error("Forgot password error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  router.post(
+    "/password/reset",
+    perIp("reset-password"),
+    validate(resetPasswordSchema),
+    async (req, res) => {
+      try {
+        const user = await tokens.consumeOneTimeToken(req.body.token, "reset_password");
+        if (!user) {
+          return res.status(400).json({ error: "Invalid or expired token" });
+        }
+
+        // Following the emailed link also proves the address belongs to the user
+        const { error } = await db.users.update(user.id, {
+          password: await bcrypt.hash(req.body.password, 12),
+          email_verified_at: user.email_verified_at ?? clock().toISOString(),
+        });
+        if (error) return res.status(500).json({ error: error.message });
+
+        await tokens.revokeUserSessions(user.id);
+        res.json({ message: "Password has been reset" });
+      } catch (err) {
+        console.error("Reset password error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  router.post("/logout", authenticateToken, validate(logoutSchema), async (req, res) => {
+    try {
+      await tokens.revokeAccess(req.user, { allSessions: req.body.all === true });
+      res.json({ message: "Logged out successfully" });
+    } catch (err) {
+      console.error("Logout error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  return router;
+}
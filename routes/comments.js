@@ -0,0 +1,224 @@
+import express from "express";
+import { buildThreads, presentComment } from "../lib/commentThreads.js";
+import { isReadable } from "../lib/postLifecycle.js";
+import { validate } from "../middleware/validate.js";
+import { commentEditSchema, commentSchema } from "../schemas.js";
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Threaded comments on posts, with moderation by the post author
+ * @param {Object} deps - Shared app dependencies (db, clock, authenticateToken)
+ * @returns {express.Router} Router
+ */
+export function createCommentsRouter({ db, clock, authenticateToken }) {
+  const router = express.Router();
+
+  // Drafts and other unpublished posts only take comments from their author
+  const loadPost = async (req, res) => {
+    const { data: post } = await db.posts.findById(req.params.id);
+    if (!isReadable(post, req.user.id)) {
+      res.status(404).json({ error: "Post not found" });
+      return null;
+    }
+    return { post, isAuthor: sameId(post.user_id, req.user.id) };
+  };
+
+  const loadComment = async (req, res) => {
+    const { data: comment } = await db.comments.findById(req.params.id);
+
+    if (!comment || comment.deleted_at) {
+      res.status(404).json({ error: "Comment not found" });
+      return null;
+    }
+
+    const { data: post } = await db.posts.findById(comment.post_id);
+    return {
+      comment,
+      post,
+      isCommenter: sameId(comment.user_id, req.user.id),
+      isPostAuthor: Boolean(post) && sameId(post.user_id, req.user.id),
+    };
+  };
+
+  router.get("/posts/:id/comments", authenticateToken, async (req, res) => {
+    try {
+      const loaded = await loadPost(req, res);
+      if (!loaded) return;
+      const { post, isAuthor } = loaded;
+
+      const { data: comments, error } = await db.comments.listByPost(post.id);
+
+      if (error) {
+        console.error("Get comments error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      // Authors see the whole moderation queue; readers see approved comments and their own
+      const isVisible = (comment) =>
+        isAuthor || comment.status === "approved" || sameId(comment.user_id, req.user.id);
+
+      res.json({
+        comments_closed: Boolean(post.comments_closed),
+        comments: buildThreads(comments, isVisible),
+      });
+    } catch (err) {
+      console.error("Get comments error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.post(
+    "/posts/:id/comments",
+    authenticateToken,
+    validate(commentSchema),
+    async (req, res) => {
+      const { body, parent_id } = req.body;
+      try {
+        const loaded = await loadPost(req, res);
+        if (!loaded) return;
+        const { post, isAuthor } = loaded;
+
+        if (post.comments_closed) {
+          return res.status(403).json({ error: "Comments are closed" });
+        }
+
+        if (parent_id !== undefined) {
+          const { data: parent } = await db.comments.findById(parent_id);
+          if (!parent || parent.deleted_at || !sameId(parent.post_id, post.id)) {
+            return res.status(400).json({ error: "Parent comment not found on this post" });
+          }
+        }
+
+        const { data: comment, error } = await db.comments.create({
+          post_id: post.id,
+          user_id: req.user.id,
+          parent_id: parent_id ?? null,
+          body,
+          // The post author's own comments skip the moderation queue
+          status: isAuthor ? "approved" : "pending",
+          deleted_at: null,
+        });
+
+        if (error) {
+          console.error("Create comment error:", error);
+          return res.status(400).json({ error: error.message });
+        }
+
+        res.status(201).json({ comment: presentComment(comment) });
+      } catch (err) {
+        console.error("Create comment error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  const setCommentsClosed = (closed) => async (req, res) => {
+    try {
+      const { data: post, error } = await db.posts.update(req.params.id, req.user.id, {
+        comments_closed: closed,
+      });
+
+      if (error || !post) {
+        return res.status(404).json({ error: "Post not found or unauthorized" });
+      }
+
+      res.json({ comments_closed: post.comments_closed });
+    } catch (err) {
+      console.error("Toggle comments error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+
+  router.post("/posts/:id/comments/close", authenticateToken, setCommentsClosed(true));
+  router.post("/posts/:id/comments/open", authenticateToken, setCommentsClosed(false));
+
+  router.patch(
+    "/comments/:id",
+    authenticateToken,
+    validate(commentEditSchema),
+    async (req, res) => {
+      try {
+        const loaded = await loadComment(req, res);
+        if (!loaded) return;
+        const { comment, isCommenter, isPostAuthor } = loaded;
+
+        if (!isCommenter) {
+          return res.status(403).json({ error: "Only the comment author can edit it" });
+        }
+
+        const { data: updated, error } = await db.comments.update(comment.id, {
+          body: req.body.body,
+          // An edit could swap approved text for spam, so it goes back to the queue;
+          // a hidden comment stays hidden
+          status:
+            comment.status === "hidden" || isPostAuthor ? comment.status : "pending",
+        });
+
+        if (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        res.json({ comment: presentComment(updated) });
+      } catch (err) {
+        console.error("Edit comment error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  router.delete("/comments/:id", authenticateToken, async (req, res) => {
+    try {
+      const loaded = await loadComment(req, res);
+      if (!loaded) return;
+      const { comment, isCommenter, isPostAuthor } = loaded;
+
+      if (!isCommenter && !isPostAuthor) {
+        return res.status(403).json({ error: "Not allowed to delete this comment" });
+      }
+
+      // Soft delete so replies keep their place in the thread
+      const { error } = await db.comments.update(comment.id, {
+        body: null,
+        deleted_at: clock().toISOString(),
+      });
+
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ message: "Comment deleted successfully" });
+    } catch (err) {
+      console.error("Delete comment error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  const moderate = (status) => async (req, res) => {
+    try {
+      const loaded = await loadComment(req, res);
+      if (!loaded) return;
+      const { comment, isPostAuthor } = loaded;
+
+      if (!isPostAuthor) {
+        return res.status(403).json({ error: "Only the post author can moderate comments" });
+      }
+
+      const { data: updated, error } = await db.comments.update(comment.id, { status });
+
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ comment: presentComment(updated) });
+    } catch (err) {
+      console.error("Moderate comment error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+
+  router.post("/comments/:id/approve", authenticateToken, moderate("approved"));
+  router.post("/comments/:id/hide", authenticateToken, moderate("hidden"));
+
+  return router;
+}
@@ -0,0 +1,105 @@
+import express from "express";
+import { FEED_FORMATS, FEED_SIZE, feedItem, lastModified } from "../lib/feeds.js";
+import { decoratePosts } from "../lib/postViews.js";
+
+/**
+ * Public RSS, Atom and JSON Feed output for one author or the whole site
+ * @param {Object} deps - Shared app dependencies (db, clock, siteUrl, frontendOrigin)
+ * @returns {express.Router} Router
+ */
+export function createFeedsRouter({ db, clock, siteUrl, frontendOrigin }) {
+  const router = express.Router();
+
+  // Post links point at the site, falling back to whatever host served the request
+  const siteRoot = (req) =>
+    (siteUrl || frontendOrigin || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+
+  // The feed's own address: this API's origin and the canonical path, without the client's query
+  const selfUrl = (req, path) => `${req.protocol}://${req.get("host")}${req.baseUrl}${path}`;
+
+  const latestPosts = async (authorId) => {
+    const { data, error } = await db.posts.query({
+      userId: authorId,
+      status: "published",
+      sort: "published",
+      order: "desc",
+      after: null,
+      limit: FEED_SIZE,
+    });
+    if (error) throw new Error(error.message);
+    return decoratePosts(db, data);
+  };
+
+  const authorNames = async (posts) => {
+    const ids = [...new Set(posts.filter((p) => p.user_id != null).map((p) => String(p.user_id)))];
+    const { data: users, error } = await db.users.findByIds(ids);
+    if (error) throw new Error(error.message);
+    return new Map(users.map((u) => [String(u.id), u.name]));
+  };
+
+  // Express sends an ETag of the body and answers a matching If-None-Match with 304. No
+  // Last-Modified: the newest remaining item moves back when a post leaves the feed, so
+  // If-Modified-Since would keep the removed post in readers' copies.
+  const sendFeed = (req, res, format, feed) => {
+    const { render, contentType } = FEED_FORMATS[format];
+    res.set({
+      "Content-Type": contentType,
+      "Cache-Control": "public, max-age=300",
+    });
+    res.send(render(feed));
+  };
+
+  for (const format of Object.keys(FEED_FORMATS)) {
+    router.get(`/users/:id/feed.${format}`, async (req, res) => {
+      try {
+        const { data: author } = await db.users.findById(req.params.id);
+
+        if (!author) {
+          return res.status(404).json({ error: "Author not found" });
+        }
+
+        const root = siteRoot(req);
+        const items = (await latestPosts(author.id)).map((post) =>
+          feedItem(post, { siteUrl: root, author: author.name })
+        );
+
+        sendFeed(req, res, format, {
+          title: `${author.name}'s posts`,
+          description: `Latest posts by ${author.name}`,
+          homeUrl: `${root}/users/${author.id}`,
+          feedUrl: selfUrl(req, `/users/${author.id}/feed.${format}`),
+          updated: lastModified(items, clock()),
+          items,
+        });
+      } catch (err) {
+        console.error("Get author feed error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    });
+
+    router.get(`/feed.${format}`, async (req, res) => {
+      try {
+        const root = siteRoot(req);
+        const posts = await latestPosts(null);
+        const names = await authorNames(posts);
+        const items = posts.map((post) =>
+          feedItem(post, { siteUrl: root, author: names.get(String(post.user_id)) ?? "Unknown" })
+        );
+
+        sendFeed(req, res, format, {
+          title: "All posts",
+          description: "Latest posts from every author",
+          homeUrl: root,
+          feedUrl: selfUrl(req, `/feed.${format}`),
+          updated: lastModified(items, clock()),
+          items,
+        });
+      } catch (err) {
+        console.error("Get site feed error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    });
+  }
+
+  return router;
+}
@@ -0,0 +1,137 @@
+import express from "express";
+import { toPage } from "../lib/pagination.js";
+import { decoratePosts } from "../lib/postViews.js";
+import { validateQuery } from "../middleware/validate.js";
+import { feedQuerySchema } from "../schemas.js";
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Following other authors and the home feed built from them
+ * @param {Object} deps - Shared app dependencies (db, authenticateToken)
+ * @returns {express.Router} Router
+ */
+export function createFollowsRouter({ db, authenticateToken }) {
+  const router = express.Router();
+
+  // Resolves follow rows to `{ id, name, followed_at }`, keeping their order
+  const listUsers = async (rows, idColumn) => {
+    const { data: users, error } = await db.users.findByIds(rows.map((r) => r[idColumn]));
+    if (error) throw new Error(error.message);
+    const usersById = new Map(users.map((u) => [String(u.id), u]));
+    return rows
+      .filter((row) => usersById.has(String(row[idColumn])))
+      .map((row) => {
+        const user = usersById.get(String(row[idColumn]));
+        return { id: user.id, name: user.name, followed_at: row.created_at };
+      });
+  };
+
+  const onAuthor = (label, action) => async (req, res) => {
+    if (sameId(req.params.id, req.user.id)) {
+      return res.status(400).json({ error: "You cannot follow yourself" });
+    }
+
+    try {
+      const { data: author } = await db.users.findById(req.params.id);
+
+      if (!author) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const { error } = await action(req.user.id, author.id);
+
+      if (error) {
+        console.error(`${label} error:`, error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      const { data: following } = await db.follows.isFollowing(req.user.id, author.id);
+      res.json({ user: { id: author.id, name: author.name }, following });
+    } catch (err) {
+      console.error(`${label} error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+
+  router.put("/users/:id/follow", authenticateToken, onAuthor("Follow", db.follows.follow));
+
+  router.delete("/users/:id/follow", authenticateToken, onAuthor("Unfollow", db.follows.unfollow));
+
+  router.get("/profile/followers", authenticateToken, async (req, res) => {
+    try {
+      const { data: rows, error } = await db.follows.listFollowers(req.user.id);
+
+      if (error) {
+        console.error("Get followers error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ users: await listUsers(rows, "follower_id") });
+    } catch (err) {
+      console.error("Get followers error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.get("/profile/following", authenticateToken, async (req, res) => {
+    try {
+      const { data: rows, error } = await db.follows.listFollowing(req.user.id);
+
+      if (error) {
+        console.error("Get following error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ users: await listUsers(rows, "followee_id") });
+    } catch (err) {
+      console.error("Get following error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.get("/feed", authenticateToken, validateQuery(feedQuerySchema), async (req, res) => {
+    try {
+      const { data: following, error: followError } = await db.follows.listFollowing(req.user.id);
+
+      if (followError) {
+        console.error("Get feed error:", followError);
+        return res.status(400).json({ error: followError.message });
+      }
+
+      if (following.length === 0) {
+        return res.json({ posts: [], next_cursor: null });
+      }
+
+      // Fetch one extra row to know whether another page exists
+      const { data: rows, error } = await db.posts.query({
+        ...req.query,
+        authorIds: following.map((f) => f.followee_id),
+        status: "published",
+        limit: req.query.limit + 1,
+      });
+
+      if (error) {
+        console.error("Get feed error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      const { items, next_cursor } = toPage(rows, req.query);
+      const authors = await listUsers(
+        following.filter((f) => items.some((p) => sameId(p.user_id, f.followee_id))),
+        "followee_id"
+      );
+      const posts = (await decoratePosts(db, items, req.user.id)).map((post) => {
+        const author = authors.find((a) => sameId(a.id, post.user_id));
+        return { ...post, author: author ? { id: author.id, name: author.name } : null };
+      });
+
+      res.json({ posts, next_cursor });
+    } catch (err) {
+      console.error("Get feed error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,155 @@
+import bcrypt from "bcrypt";
+import express from "express";
+import { hashToken } from "../auth/tokens.js";
+import { LOGIN_PROVIDERS, presentIdentity } from "../lib/identities.js";
+import { createRateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import { passwordRemovalSchema } from "../schemas.js";
+
+/**
+ * The signed-in user's login methods: the password and linked OAuth
+ * identities. At least one of them always remains.
+ * @param {Object} deps - Shared app dependencies (db, clock, tokens, counterStore, rateLimits, hasGoogle, authenticateToken)
+ * @returns {express.Router} Router
+ */
+export function createIdentitiesRouter({
+  db,
+  clock,
+  tokens,
+  counterStore,
+  rateLimits,
+  hasGoogle,
+  authenticateToken,
+}) {
+  const router = express.Router();
+
+  // Like changing it, removing the password must not allow guessing it
+  const passwordRemovalLimit = createRateLimit({
+    store: counterStore,
+    clock,
+    name: "account:remove-password",
+    windowMs: rateLimits.windowMs,
+    max: rateLimits.accountMax,
+    key: (req) => req.user.id,
+  });
+
+  const enabled = new Set(hasGoogle ? ["google"] : []);
+
+  const loadMethods = async (userId) => {
+    const [{ data: user, error }, { data: identities, error: identitiesError }] =
+      await Promise.all([db.users.findById(userId), db.identities.listByUser(userId)]);
+    if (error || identitiesError) throw new Error((error || identitiesError).message);
+    return { user, identities };
+  };
+
+  router.get("/profile/identities", authenticateToken, async (req, res) => {
+    try {
+      const { user, identities } = await loadMethods(req.user.id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      res.json({
+        has_password: Boolean(user.password),
+        identities: identities.map(presentIdentity),
+        providers: [...enabled],
+      });
+    } catch (err) {
+      console.error("List identities error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  /**
+   * Starts linking a provider account: the client opens the returned URL in
+   * the browser, which goes through the provider's consent screen and back.
+   * The URL only works in the browser that asked for it, which must send this
+   * request with credentials so it gets the OAuth session cookie.
+   */
+  router.post("/profile/identities/:provider/link", authenticateToken, async (req, res) => {
+    const { provider } = req.params;
+    if (!enabled.has(provider)) {
+      return res.status(404).json({ error: "Unknown login provider" });
+    }
+
+    try {
+      const { data: user } = await db.users.findById(req.user.id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      const token = await tokens.issueOneTimeToken(user, "link_identity");
+      // Checked by GET /auth/:provider, so a link sent to someone else links nothing
+      req.session.pendingLink = hashToken(token);
+      res.json({ url: `${req.baseUrl}/auth/${provider}?link=${encodeURIComponent(token)}` });
+    } catch (err) {
+      console.error("Link identity error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.delete("/profile/identities/:id", authenticateToken, async (req, res) => {
+    try {
+      const { user, identities } = await loadMethods(req.user.id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      const identity = identities.find((i) => String(i.id) === req.params.id);
+      if (!identity) return res.status(404).json({ error: "Identity not found" });
+
+      if (!user.password && identities.length === 1) {
+        return res.status(409).json({
+          error: "Set a password or link another login method before removing this one",
+        });
+      }
+
+      const { error } = await db.identities.remove(identity.id, user.id);
+      if (error) {
+        console.error("Unlink identity error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({
+        message: `${LOGIN_PROVIDERS[identity.provider] ?? identity.provider} login removed`,
+      });
+    } catch (err) {
+      console.error("Unlink identity error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.delete(
+    "/profile/password",
+    authenticateToken,
+    passwordRemovalLimit,
+    validate(passwordRemovalSchema),
+    async (req, res) => {
+      try {
+        const { user, identities } = await loadMethods(req.user.id);
+        if (!user) return res.status(404).json({ error: "User not found" });
+
+        if (!user.password) {
+          return res.status(400).json({ error: "Account has no password" });
+        }
+        if (identities.length === 0) {
+          return res.status(409).json({
+            error: "Link another login method before removing the password",
+          });
+        }
+        if (!(await bcrypt.compare(req.body.current_password, user.password))) {
+          return res.status(403).json({ error: "Current password is incorrect" });
+        }
+
+        const { error } = await db.users.update(user.id, { password: null });
+        if (error) {
+          console.error("Remove password error:", error);
+          return res.status(400).json({ error: error.message });
+        }
+
+        // Sessions signed in with the password end with it
+        await tokens.revokeUserSessions(user.id, { except: req.user.sid });
+        res.json({ message: "Password removed" });
+      } catch (err) {
+        console.error("Remove password error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  return router;
+}
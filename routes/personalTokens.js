@@ -0,0 +1,83 @@
+import express from "express";
+import { TOKEN_SCOPES, presentPersonalToken } from "../lib/personalTokens.js";
+import { validate } from "../middleware/validate.js";
+import { personalTokenSchema } from "../schemas.js";
+
+/**
+ * Creating, listing and revoking the signed-in user's personal access
+ * tokens. These routes need a session: a personal access token can't be
+ * used to manage tokens.
+ * @param {Object} deps - Shared app dependencies (db, clock, tokens, authenticateToken)
+ * @returns {express.Router} Router
+ */
+export function createPersonalTokensRouter({ db, clock, tokens, authenticateToken }) {
+  const router = express.Router();
+
+  router.get("/profile/tokens", authenticateToken, async (req, res) => {
+    try {
+      const { data, error } = await db.personalTokens.listByUser(req.user.id);
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ tokens: data.map(presentPersonalToken) });
+    } catch (err) {
+      console.error("List personal tokens error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // The token itself is only in this response; afterwards it can only be revoked
+  router.post(
+    "/profile/tokens",
+    authenticateToken,
+    validate(personalTokenSchema),
+    async (req, res) => {
+      const { name, scopes, expires_at } = req.body;
+      try {
+        if (expires_at && new Date(expires_at) <= clock()) {
+          return res.status(400).json({ error: "expires_at must be in the future" });
+        }
+
+        const { data: user } = await db.users.findById(req.user.id);
+        if (!user) return res.status(404).json({ error: "User not found" });
+
+        const { token, record } = await tokens.createPersonalAccessToken(user, {
+          name,
+          scopes: TOKEN_SCOPES.filter((scope) => scopes.includes(scope)),
+          expiresAt: expires_at ? new Date(expires_at).toISOString() : null,
+        });
+
+        res.status(201).json({ token, personal_token: presentPersonalToken(record) });
+      } catch (err) {
+        console.error("Create personal token error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  router.delete("/profile/tokens/:id", authenticateToken, async (req, res) => {
+    try {
+      const { data: active, error: listError } = await db.personalTokens.listByUser(req.user.id);
+      if (listError) return res.status(400).json({ error: listError.message });
+
+      const record = active.find((t) => String(t.id) === req.params.id);
+      if (!record) return res.status(404).json({ error: "Token not found" });
+
+      const { error } = await db.personalTokens.revoke(
+        record.id,
+        req.user.id,
+        clock().toISOString()
+      );
+      if (error) {
+        console.error("Revoke personal token error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ message: "Token revoked" });
+    } catch (err) {
+      console.error("Revoke personal token error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  return router;
+}
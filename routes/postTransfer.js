@@ -0,0 +1,211 @@
+import express from "express";
+import multer from "multer";
+import { createPost } from "../lib/postEditing.js";
+import { DEFAULT_POST_STATUS } from "../lib/postLifecycle.js";
+import {
+  exportEntry,
+  exportMarkdownZip,
+  importFields,
+  readImport,
+} from "../lib/postTransfer.js";
+import { requirePermission } from "../middleware/auth.js";
+import { validateQuery } from "../middleware/validate.js";
+import {
+  exportQuerySchema,
+  importColumnsSchema,
+  importQuerySchema,
+  postSchema,
+} from "../schemas.js";
+
+// Same title and content means the same post, whatever its slug
+const contentKey = (post) => `${post.title}\n${post.content}`;
+
+/**
+ * Backing up and moving the signed-in user's posts: export as JSON or a zip
+ * of Markdown files, and import either format back
+ * @param {Object} deps - Shared app dependencies (db, clock, maxUploadBytes, webhooks, authenticateRead, authenticateWrite)
+ * @returns {express.Router} Router
+ */
+export function createPostTransferRouter({
+  db,
+  clock,
+  maxUploadBytes,
+  webhooks,
+  authenticateRead,
+  authenticateWrite,
+}) {
+  const router = express.Router();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxUploadBytes, files: 1 },
+  }).single("file");
+
+  const receiveFile = (req, res) =>
+    new Promise((resolve, reject) => {
+      upload(req, res, (err) => (err ? reject(err) : resolve(req.file)));
+    });
+
+  /**
+   * Columns kept from an imported post. Its slug is reused when no other
+   * post has it, and its publication date only when it is published again.
+   */
+  const importedColumns = async (body, { slug, published_at, ...columns }) => {
+    const { data: taken } = slug ? await db.posts.findBySlug(slug) : { data: null };
+    const publishes = (body.status ?? DEFAULT_POST_STATUS) === "published";
+    return {
+      ...columns,
+      ...(slug && !taken && { slug }),
+      ...(publishes && published_at && { published_at }),
+    };
+  };
+
+  router.get("/posts/export", authenticateRead, validateQuery(exportQuerySchema), async (req, res) => {
+    try {
+      const { data: posts, error } = await db.posts.listByUser(req.user.id);
+      if (error) return res.status(400).json({ error: error.message });
+
+      const { data: tagRows, error: tagError } = await db.tags.listForPosts(
+        posts.map((p) => p.id)
+      );
+      if (tagError) return res.status(400).json({ error: tagError.message });
+
+      const entries = [...posts]
+        .sort((a, b) => Number(a.id) - Number(b.id))
+        .map((post) =>
+          exportEntry(
+            post,
+            tagRows.filter((t) => String(t.post_id) === String(post.id)).map((t) => t.slug)
+          )
+        );
+      const filename = `posts-${clock().toISOString().slice(0, 10)}`;
+
+      if (req.query.format === "markdown") {
+        res.set("Content-Disposition", `attachment; filename="${filename}.zip"`);
+        return res.type("application/zip").send(await exportMarkdownZip(entries));
+      }
+      res.set("Content-Disposition", `attachment; filename="${filename}.json"`);
+      res.type("application/json").send(JSON.stringify(entries, null, 2));
+    } catch (err) {
+      console.error("Export posts error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.post(
+    "/posts/import",
+    authenticateWrite,
+    requirePermission("posts:write"),
+    validateQuery(importQuerySchema),
+    async (req, res) => {
+      const dryRun = req.query.dry_run;
+      try {
+        let file;
+        try {
+          file = await receiveFile(req, res);
+        } catch (err) {
+          if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+            return res
+              .status(413)
+              .json({ error: `File is larger than ${maxUploadBytes} bytes` });
+          }
+          if (err instanceof multer.MulterError) {
+            return res.status(400).json({ error: err.message });
+          }
+          throw err;
+        }
+
+        if (!file) {
+          return res.status(400).json({ error: "No file uploaded in the \"file\" field" });
+        }
+
+        const { data: items, error: readError } = await readImport(file.buffer);
+        if (readError) return res.status(400).json({ error: readError.message });
+
+        const { data: existing, error } = await db.posts.listByUser(req.user.id);
+        if (error) return res.status(400).json({ error: error.message });
+
+        // Earlier entries of the same file count as existing posts too
+        const bySlug = new Map(existing.map((post) => [post.slug, { post_id: post.id }]));
+        const byContent = new Map(existing.map((post) => [contentKey(post), { post_id: post.id }]));
+
+        const results = [];
+        for (const [index, item] of items.entries()) {
+          const report = {
+            index,
+            ...(item.file && { file: item.file }),
+            title: item.entry?.title ?? null,
+          };
+
+          if (item.error) {
+            results.push({ ...report, result: "invalid", errors: [{ message: item.error }] });
+            continue;
+          }
+
+          const { body, columns } = importFields(item.entry, item.format);
+          const parsedBody = postSchema.safeParse(body);
+          const parsedColumns = importColumnsSchema.safeParse(columns);
+          if (!parsedBody.success || !parsedColumns.success) {
+            results.push({
+              ...report,
+              result: "invalid",
+              errors: [
+                ...(parsedBody.error?.errors ?? []),
+                ...(parsedColumns.error?.errors ?? []),
+              ],
+            });
+            continue;
+          }
+
+          const duplicateOf =
+            (columns.slug && bySlug.get(columns.slug)) ??
+            byContent.get(contentKey(parsedBody.data));
+          if (duplicateOf) {
+            results.push({ ...report, result: "duplicate", duplicate_of: duplicateOf });
+            continue;
+          }
+
+          let created = null;
+          if (!dryRun) {
+            const { data: post, error: createError } = await createPost(
+              { db, clock },
+              req.user.id,
+              parsedBody.data,
+              await importedColumns(parsedBody.data, parsedColumns.data)
+            );
+            if (createError) {
+              results.push({
+                ...report,
+                result: "failed",
+                errors: [{ message: createError.message }],
+              });
+              continue;
+            }
+            created = post;
+            await webhooks.postChanged(null, post);
+          }
+
+          const seen = created ? { post_id: created.id } : { index };
+          if (columns.slug) bySlug.set(columns.slug, seen);
+          byContent.set(contentKey(parsedBody.data), seen);
+          results.push(
+            created
+              ? { ...report, result: "created", post_id: created.id, slug: created.slug }
+              : { ...report, result: "new" }
+          );
+        }
+
+        const summary = { total: results.length };
+        results.forEach(({ result }) => {
+          summary[result] = (summary[result] ?? 0) + 1;
+        });
+        res.status(dryRun ? 200 : 201).json({ dry_run: dryRun, summary, results });
+      } catch (err) {
+        console.error("Import posts error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  return router;
+}
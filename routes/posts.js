@@ -0,0 +1,300 @@
+import express from "express";
+import { toPage } from "../lib/pagination.js";
+import { createPost, updatePost } from "../lib/postEditing.js";
+import { statusChanges } from "../lib/postLifecycle.js";
+import { decoratePost, decoratePosts } from "../lib/postViews.js";
+import { highlightPost, parseSearchQuery } from "../lib/search.js";
+import { removeDetachedAttachments } from "../lib/uploads.js";
+import { requirePermission } from "../middleware/auth.js";
+import { validate, validateQuery } from "../middleware/validate.js";
+import {
+  listPostsQuerySchema,
+  postSchema,
+  publishSchema,
+  searchQuerySchema,
+} from "../schemas.js";
+
+/**
+ * CRUD routes for the signed-in user's posts
+ * @param {Object} deps - Shared app dependencies (db, storage, clock, webhooks, authenticateRead, authenticateWrite)
+ * @returns {express.Router} Router
+ */
+export function createPostsRouter({
+  db,
+  storage,
+  clock,
+  webhooks,
+  authenticateRead,
+  authenticateWrite,
+}) {
+  const router = express.Router();
+
+  router.get("/posts", authenticateRead, validateQuery(listPostsQuerySchema), async (req, res) => {
+    try {
+      console.log("GET /posts - User ID:", req.user.id);
+      // Fetch one extra row to know whether another page exists
+      const { data: rows, error } = await db.posts.query({
+        ...req.query,
+        userId: req.user.id,
+        limit: req.query.limit + 1,
+      });
+
+      if (error) {
+        console.error("Get posts error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      const { items, next_cursor } = toPage(rows, req.query);
+      console.log("GET /posts - Found posts:", items.length);
+      res.json({ posts: await decoratePosts(db, items, req.user.id), next_cursor });
+    } catch (err) {
+      console.error("Get posts error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.get("/posts/search", authenticateRead, validateQuery(searchQuerySchema), async (req, res) => {
+    const { q, limit } = req.query;
+    const terms = parseSearchQuery(q);
+
+    if (terms.length === 0) {
+      return res.status(400).json({ error: "Search query has no searchable words" });
+    }
+
+    try {
+      const { data: matches, error } = await db.posts.search({
+        userId: req.user.id,
+        terms,
+        limit,
+      });
+
+      if (error) {
+        console.error("Search posts error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      const posts = await decoratePosts(
+        db,
+        matches.map(({ rank, ...post }) => post),
+        req.user.id
+      );
+      const results = posts.map((post, i) => ({
+        post,
+        rank: matches[i].rank,
+        highlights: highlightPost(post, terms),
+      }));
+      res.json({ results });
+    } catch (err) {
+      console.error("Search posts error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.post(
+    "/posts",
+    authenticateWrite,
+    requirePermission("posts:write"),
+    validate(postSchema),
+    async (req, res) => {
+      try {
+        console.log("POST /posts - User ID:", req.user.id, "Title:", req.body.title);
+        const { data: post, error } = await createPost({ db, clock }, req.user.id, req.body);
+
+        if (error) {
+          console.error("Create post error:", error);
+          return res.status(400).json({ error: error.message });
+        }
+
+        console.log("POST /posts - Created post:", post);
+        await webhooks.postChanged(null, post);
+        res.status(201).json({ post: await decoratePost(db, post, req.user.id) });
+      } catch (err) {
+        console.error("Create post error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  router.put(
+    "/posts/:id",
+    authenticateWrite,
+    requirePermission("posts:write"),
+    validate(postSchema),
+    async (req, res) => {
+      const { id } = req.params;
+      try {
+        const { data: existingPost } = await db.posts.findOwned(id, req.user.id);
+
+        if (!existingPost) {
+          return res
+            .status(404)
+            .json({ error: "Post not found or unauthorized" });
+        }
+
+        const { data: post, error } = await updatePost({ db, clock }, existingPost, req.body);
+
+        if (error) {
+          console.error("Update post error:", error);
+          return res.status(400).json({ error: error.message });
+        }
+
+        await webhooks.postChanged(existingPost, post);
+        res.json({ post: await decoratePost(db, post, req.user.id) });
+      } catch (err) {
+        console.error("Update post error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  const changeStatus = (requested) => async (req, res) => {
+    const { id } = req.params;
+    try {
+      const { data: existingPost } = await db.posts.findOwned(id, req.user.id);
+
+      if (!existingPost) {
+        return res
+          .status(404)
+          .json({ error: "Post not found or unauthorized" });
+      }
+
+      const { data: post, error } = await db.posts.update(
+        id,
+        req.user.id,
+        statusChanges(existingPost, requested(req.body), clock())
+      );
+
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      await webhooks.postChanged(existingPost, post);
+
+      res.json({ post: await decoratePost(db, post, req.user.id) });
+    } catch (err) {
+      console.error("Change post status error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+
+  // Publishes now, or schedules when a future publish_at is given
+  router.post(
+    "/posts/:id/publish",
+    authenticateWrite,
+    requirePermission("posts:write"),
+    validate(publishSchema),
+    changeStatus(({ publish_at }) =>
+      publish_at ? { status: "scheduled", publish_at } : { status: "published" }
+    )
+  );
+
+  router.post(
+    "/posts/:id/unpublish",
+    authenticateWrite,
+    requirePermission("posts:write"),
+    changeStatus(() => ({ status: "draft" }))
+  );
+
+  router.get("/posts/trash", authenticateRead, async (req, res) => {
+    try {
+      const { data: posts, error } = await db.posts.listTrash(req.user.id);
+
+      if (error) {
+        console.error("Get trash error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ posts: await decoratePosts(db, posts, req.user.id) });
+    } catch (err) {
+      console.error("Get trash error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // Moves the post to the trash; it is purged for good after the retention period
+  router.delete("/posts/:id", authenticateWrite, requirePermission("posts:write"), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const { data: existingPost } = await db.posts.findOwned(id, req.user.id);
+
+      if (!existingPost) {
+        return res
+          .status(404)
+          .json({ error: "Post not found or unauthorized" });
+      }
+
+      const { data: post, error } = await db.posts.trash(
+        id,
+        req.user.id,
+        clock().toISOString()
+      );
+
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      await webhooks.postChanged(existingPost, post);
+      res.json({ message: "Post moved to trash", post });
+    } catch (err) {
+      console.error("Delete post error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.post("/posts/:id/restore", authenticateWrite, requirePermission("posts:write"), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const { data: trashed } = await db.posts.findTrashed(id, req.user.id);
+
+      if (!trashed) {
+        return res.status(404).json({ error: "Post not found in trash" });
+      }
+      if (trashed.removed_by != null) {
+        return res.status(403).json({ error: "Post was removed by a moderator" });
+      }
+
+      const { data: post, error } = await db.posts.restore(id, req.user.id);
+
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      await webhooks.postChanged(trashed, post);
+
+      res.json({ post: await decoratePost(db, post, req.user.id) });
+    } catch (err) {
+      console.error("Restore post error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.delete("/posts/trash/:id", authenticateWrite, requirePermission("posts:write"), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const { data: trashed } = await db.posts.findTrashed(id, req.user.id);
+
+      if (!trashed) {
+        return res.status(404).json({ error: "Post not found in trash" });
+      }
+
+      const { error } = await db.posts.remove(id, req.user.id);
+
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      await db.tags.removeOrphans(req.user.id);
+      // A failure here leaves the files detached; the trash purger retries them
+      await removeDetachedAttachments({ db, storage }).catch((err) =>
+        console.error("Remove attachments error:", err)
+      );
+
+      res.json({ message: "Post deleted permanently" });
+    } catch (err) {
+      console.error("Permanently delete post error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  return router;
+}
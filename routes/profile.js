@@ -0,0 +1,328 @@
+import bcrypt from "bcrypt";
+import express from "express";
+import multer from "multer";
+import { REAUTH_WINDOW_MS, deletionDueAt } from "../lib/accountDeletion.js";
+import { exportAccountArchive } from "../lib/accountExport.js";
+import { presentProfile } from "../lib/profiles.js";
+import { presentUser } from "../lib/roles.js";
+import { UPLOAD_TYPES, avatarKey, processAvatar, sniffType } from "../lib/uploads.js";
+import { createRateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import { accountDeletionSchema, passwordChangeSchema, profileSchema } from "../schemas.js";
+
+/**
+ * Routes for the signed-in user's own account, and the avatars it shows
+ * @param {Object} deps - Shared app dependencies (db, storage, clock, tokens, maxUploadBytes, counterStore, rateLimits, deletionGraceDays, authenticateToken)
+ * @returns {express.Router} Router
+ */
+export function createProfileRouter({
+  db,
+  storage,
+  clock,
+  tokens,
+  maxUploadBytes,
+  counterStore,
+  rateLimits,
+  deletionGraceDays,
+  authenticateToken,
+}) {
+  const router = express.Router();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxUploadBytes, files: 1 },
+  }).single("avatar");
+
+  const receiveAvatar = (req, res) =>
+    new Promise((resolve, reject) => {
+      upload(req, res, (err) => (err ? reject(err) : resolve(req.file)));
+    });
+
+  // A stolen access token should not allow guessing the current password
+  const passwordChangeLimit = createRateLimit({
+    store: counterStore,
+    clock,
+    name: "account:change-password",
+    windowMs: rateLimits.windowMs,
+    max: rateLimits.accountMax,
+    key: (req) => req.user.id,
+  });
+
+  const deletionLimit = createRateLimit({
+    store: counterStore,
+    clock,
+    name: "account:delete",
+    windowMs: rateLimits.windowMs,
+    max: rateLimits.accountMax,
+    key: (req) => req.user.id,
+  });
+
+  // The signed-in user's own view: account fields, public profile and counts
+  const presentAccount = async (user, req) => {
+    const [followers, following] = await Promise.all([
+      db.follows.listFollowers(user.id),
+      db.follows.listFollowing(user.id),
+    ]);
+
+    return {
+      ...presentUser(user),
+      ...presentProfile(user, req.baseUrl),
+      has_password: Boolean(user.password),
+      deletion_due_at: user.deletion_due_at ?? null,
+      followers_count: followers.data?.length ?? 0,
+      following_count: following.data?.length ?? 0,
+    };
+  };
+
+  router.get("/profile", authenticateToken, async (req, res) => {
+    try {
+      const { data: user, error } = await db.users.findById(req.user.id);
+
+      if (error || !user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      res.json({ user: await presentAccount(user, req) });
+    } catch (err) {
+      console.error("Profile error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // JSON, or multipart form data with the new image in the `avatar` field
+  router.patch("/profile", authenticateToken, async (req, res) => {
+    try {
+      let file;
+      try {
+        file = await receiveAvatar(req, res);
+      } catch (err) {
+        if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+          return res
+            .status(413)
+            .json({ error: `File is larger than ${maxUploadBytes} bytes` });
+        }
+        if (err instanceof multer.MulterError) {
+          return res.status(400).json({ error: err.message });
+        }
+        throw err;
+      }
+
+      const parsed = profileSchema.safeParse(req.body ?? {});
+      if (!parsed.success) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: parsed.error.errors,
+        });
+      }
+
+      const { avatar, ...fields } = parsed.data;
+      if (file && avatar === null) {
+        return res.status(400).json({ error: "Upload an avatar or remove it, not both" });
+      }
+      if (Object.keys(parsed.data).length === 0 && !file) {
+        return res.status(400).json({ error: "Nothing to update" });
+      }
+
+      const { data: user } = await db.users.findById(req.user.id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      const changes = { ...fields };
+      if (file) {
+        const type = sniffType(file.buffer);
+        if (!type || !UPLOAD_TYPES[type].image) {
+          return res
+            .status(415)
+            .json({ error: "Avatar must be a JPEG, PNG, GIF or WebP image" });
+        }
+
+        let image;
+        try {
+          image = await processAvatar(file.buffer);
+        } catch (err) {
+          return res.status(400).json({ error: "Image could not be read" });
+        }
+
+        changes.avatar_key = avatarKey(user.id);
+        const { error: storeError } = await storage.put(changes.avatar_key, image, "image/webp");
+        if (storeError) throw new Error(storeError.message);
+      } else if (avatar === null) {
+        changes.avatar_key = null;
+      }
+
+      const { data: updated, error } = await db.users.update(user.id, changes);
+      if (error) {
+        if (changes.avatar_key) await storage.remove([changes.avatar_key]);
+        console.error("Update profile error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      if (user.avatar_key && "avatar_key" in changes) {
+        const { error: removeError } = await storage.remove([user.avatar_key]);
+        if (removeError) console.error("Remove old avatar error:", removeError);
+      }
+
+      res.json({ user: await presentAccount(updated, req) });
+    } catch (err) {
+      console.error("Update profile error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // Users who signed up with Google have no password yet and can set one without a current password
+  router.post(
+    "/profile/password",
+    authenticateToken,
+    passwordChangeLimit,
+    validate(passwordChangeSchema),
+    async (req, res) => {
+      const { current_password, new_password } = req.body;
+      try {
+        const { data: user } = await db.users.findById(req.user.id);
+        if (!user) return res.status(404).json({ error: "User not found" });
+
+        if (user.password) {
+          const matches =
+            current_password !== undefined &&
+            (await bcrypt.compare(current_password, user.password));
+          if (!matches) {
+            return res.status(403).json({ error: "Current password is incorrect" });
+          }
+        }
+
+        const { error } = await db.users.update(user.id, {
+          password: await bcrypt.hash(new_password, 12),
+        });
+        if (error) {
+          console.error("Change password error:", error);
+          return res.status(400).json({ error: error.message });
+        }
+
+        // Other devices have to log in again with the new password
+        await tokens.revokeUserSessions(user.id, { except: req.user.sid });
+        res.json({ message: user.password ? "Password changed" : "Password set" });
+      } catch (err) {
+        console.error("Change password error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  router.get("/profile/data-export", authenticateToken, async (req, res) => {
+    try {
+      const { data: user, error } = await db.users.findById(req.user.id);
+
+      if (error || !user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const archive = await exportAccountArchive({ db, storage }, user);
+      const filename = `account-${user.id}-${clock().toISOString().slice(0, 10)}.zip`;
+      res.set("Content-Disposition", `attachment; filename="${filename}"`);
+      res.type("application/zip").send(archive);
+    } catch (err) {
+      console.error("Data export error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  /**
+   * Schedules the account for removal after the grace period and signs it
+   * out everywhere. Signing in again still works until then, so the
+   * deletion can be cancelled; posts stay visible until they are removed.
+   */
+  router.delete(
+    "/profile",
+    authenticateToken,
+    deletionLimit,
+    validate(accountDeletionSchema),
+    async (req, res) => {
+      try {
+        const { data: user } = await db.users.findById(req.user.id);
+        if (!user) return res.status(404).json({ error: "User not found" });
+
+        if (user.deletion_due_at) {
+          return res.status(409).json({ error: "Account is already scheduled for deletion" });
+        }
+
+        if (user.password) {
+          const matches =
+            req.body.password !== undefined &&
+            (await bcrypt.compare(req.body.password, user.password));
+          if (!matches) return res.status(403).json({ error: "Password is incorrect" });
+        } else {
+          const { data: session } = await db.authTokens.findSessionStart(req.user.sid);
+          const signedInAt = session ? new Date(session.created_at).getTime() : 0;
+          if (clock().getTime() - signedInAt > REAUTH_WINDOW_MS) {
+            return res
+              .status(403)
+              .json({ error: "Sign in again to confirm deleting your account" });
+          }
+        }
+
+        const { data: updated, error } = await db.users.update(user.id, {
+          deletion_due_at: deletionDueAt(clock(), deletionGraceDays),
+        });
+        if (error) {
+          console.error("Delete account error:", error);
+          return res.status(400).json({ error: error.message });
+        }
+
+        await tokens.revokeUserSessions(user.id);
+        res.status(202).json({
+          message: "Account scheduled for deletion",
+          deletion_due_at: updated.deletion_due_at,
+        });
+      } catch (err) {
+        console.error("Delete account error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  router.post("/profile/deletion/cancel", authenticateToken, async (req, res) => {
+    try {
+      const { data: user } = await db.users.findById(req.user.id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      if (!user.deletion_due_at) {
+        return res.status(400).json({ error: "Account is not scheduled for deletion" });
+      }
+
+      const { data: updated, error } = await db.users.update(user.id, { deletion_due_at: null });
+      if (error) {
+        console.error("Cancel account deletion error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ message: "Account deletion cancelled", user: await presentAccount(updated, req) });
+    } catch (err) {
+      console.error("Cancel account deletion error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.get("/users/:id/avatar", async (req, res) => {
+    try {
+      const { data: user } = await db.users.findById(req.params.id);
+      if (!user?.avatar_key) return res.status(404).json({ error: "Avatar not found" });
+
+      const { data: image, error } = await storage.get(user.avatar_key);
+      if (error) throw new Error(error.message);
+      if (!image) return res.status(404).json({ error: "Avatar not found" });
+
+      res.set({
+        "Content-Type": "image/webp",
+        "Content-Length": image.length,
+        // Let the frontend origin embed avatars despite helmet's same-origin default
+        "Cross-Origin-Resource-Policy": "cross-origin",
+        "Cache-Control": "public, max-age=86400",
+      });
+      res.send(image);
+    } catch (err) {
+      console.error("Get avatar error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,104 @@
+import express from "express";
+import { decoratePost, decoratePosts } from "../lib/postViews.js";
+import { presentProfile } from "../lib/profiles.js";
+
+/**
+ * Unauthenticated read-only routes for readers; only published posts are visible
+ * @param {Object} deps - Shared app dependencies (db, optionalAuthenticateToken)
+ * @returns {express.Router} Router
+ */
+export function createPublicRouter({ db, optionalAuthenticateToken }) {
+  const router = express.Router();
+
+  router.get("/public/posts", optionalAuthenticateToken, async (req, res) => {
+    try {
+      const { data: posts, error } = await db.posts.listPublic();
+
+      if (error) {
+        console.error("Get public posts error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ posts: await decoratePosts(db, posts, req.user?.id) });
+    } catch (err) {
+      console.error("Get public posts error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.get("/public/users/:userId", async (req, res) => {
+    try {
+      const { data: author } = await db.users.findById(req.params.userId);
+
+      if (!author) {
+        return res.status(404).json({ error: "Author not found" });
+      }
+
+      const [posts, followers, following] = await Promise.all([
+        db.posts.listPublicByUser(author.id),
+        db.follows.listFollowers(author.id),
+        db.follows.listFollowing(author.id),
+      ]);
+
+      res.json({
+        author: {
+          ...presentProfile(author, req.baseUrl),
+          posts_count: posts.data?.length ?? 0,
+          followers_count: followers.data?.length ?? 0,
+          following_count: following.data?.length ?? 0,
+        },
+      });
+    } catch (err) {
+      console.error("Get author profile error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.get("/public/users/:userId/posts", optionalAuthenticateToken, async (req, res) => {
+    const { userId } = req.params;
+    try {
+      const { data: author } = await db.users.findById(userId);
+
+      if (!author) {
+        return res.status(404).json({ error: "Author not found" });
+      }
+
+      const { data: posts, error } = await db.posts.listPublicByUser(author.id);
+
+      if (error) {
+        console.error("Get author posts error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({
+        author: { id: author.id, name: author.name },
+        posts: await decoratePosts(db, posts, req.user?.id),
+      });
+    } catch (err) {
+      console.error("Get author posts error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.get("/public/posts/:slug", optionalAuthenticateToken, async (req, res) => {
+    const { slug } = req.params;
+    try {
+      const { data: post, error } = await db.posts.findPublicBySlug(slug);
+
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      if (!post) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+
+      res.json({ post: await decoratePost(db, post, req.user?.id) });
+    } catch (err) {
+      console.error("Get post by slug error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  return router;
+}
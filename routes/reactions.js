@@ -0,0 +1,102 @@
+import express from "express";
+import { isReadable } from "../lib/postLifecycle.js";
+import { decoratePost, decoratePosts } from "../lib/postViews.js";
+import { validate } from "../middleware/validate.js";
+import { reactionSchema } from "../schemas.js";
+
+/**
+ * Reactions and bookmarks on posts the signed-in user can read
+ * @param {Object} deps - Shared app dependencies (db, authenticateToken)
+ * @returns {express.Router} Router
+ */
+export function createReactionsRouter({ db, authenticateToken }) {
+  const router = express.Router();
+
+  // Runs `action(post)` on a readable post and responds with the refreshed post
+  const onPost = (label, action) => async (req, res) => {
+    try {
+      const { data: post } = await db.posts.findById(req.params.id);
+
+      if (!isReadable(post, req.user.id)) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+
+      const { error } = await action(post, req);
+
+      if (error) {
+        console.error(`${label} error:`, error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ post: await decoratePost(db, post, req.user.id) });
+    } catch (err) {
+      console.error(`${label} error:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+
+  // PUT replaces any earlier reaction, so each user has at most one per post
+  router.put(
+    "/posts/:id/reaction",
+    authenticateToken,
+    validate(reactionSchema),
+    onPost("React", (post, req) => db.reactions.set(post.id, req.user.id, req.body.type))
+  );
+
+  router.delete(
+    "/posts/:id/reaction",
+    authenticateToken,
+    onPost("Remove reaction", (post, req) => db.reactions.remove(post.id, req.user.id))
+  );
+
+  router.put(
+    "/posts/:id/bookmark",
+    authenticateToken,
+    onPost("Bookmark", (post, req) => db.bookmarks.add(post.id, req.user.id))
+  );
+
+  router.delete(
+    "/posts/:id/bookmark",
+    authenticateToken,
+    onPost("Remove bookmark", (post, req) => db.bookmarks.remove(post.id, req.user.id))
+  );
+
+  router.get("/profile/bookmarks", authenticateToken, async (req, res) => {
+    try {
+      const { data: saved, error } = await db.bookmarks.listByUser(req.user.id);
+
+      if (error) {
+        console.error("Get bookmarks error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      const { data: posts, error: postsError } = await db.posts.findByIds(
+        saved.map((b) => b.post_id)
+      );
+
+      if (postsError) {
+        console.error("Get bookmarks error:", postsError);
+        return res.status(400).json({ error: postsError.message });
+      }
+
+      // Keep bookmark order (newest first) and drop posts that were unpublished since
+      const postsById = new Map(posts.map((p) => [String(p.id), p]));
+      const readable = saved
+        .map((b) => postsById.get(String(b.post_id)))
+        .filter((post) => isReadable(post, req.user.id));
+
+      const decorated = await decoratePosts(db, readable, req.user.id);
+      res.json({
+        bookmarks: decorated.map((post) => ({
+          bookmarked_at: saved.find((b) => String(b.post_id) === String(post.id)).created_at,
+          post,
+        })),
+      });
+    } catch (err) {
+      console.error("Get bookmarks error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,159 @@
+import express from "express";
+import { diffRevisions } from "../lib/diff.js";
+import { decoratePost } from "../lib/postViews.js";
+import { recordRevision, summarizeRevision } from "../lib/revisions.js";
+import { requirePermission } from "../middleware/auth.js";
+import { validateQuery } from "../middleware/validate.js";
+import { revisionDiffQuerySchema } from "../schemas.js";
+
+/**
+ * Revision history of the signed-in user's posts
+ * @param {Object} deps - Shared app dependencies (db, webhooks, authenticateRead, authenticateWrite)
+ * @returns {express.Router} Router
+ */
+export function createRevisionsRouter({ db, webhooks, authenticateRead, authenticateWrite }) {
+  const router = express.Router();
+
+  // Loads the caller's post, or responds 404 and returns null
+  const loadOwnPost = async (req, res) => {
+    const { data: post } = await db.posts.findOwned(req.params.id, req.user.id);
+    if (!post) {
+      res.status(404).json({ error: "Post not found or unauthorized" });
+      return null;
+    }
+    return post;
+  };
+
+  const findRevision = async (postId, rev) => {
+    if (!/^\d+$/.test(String(rev))) return null;
+    const { data, error } = await db.revisions.find(postId, rev);
+    if (error) throw new Error(error.message);
+    return data;
+  };
+
+  router.get("/posts/:id/revisions", authenticateRead, async (req, res) => {
+    try {
+      const post = await loadOwnPost(req, res);
+      if (!post) return;
+
+      const { data: revisions, error } = await db.revisions.listByPost(post.id);
+
+      if (error) {
+        console.error("Get revisions error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ revisions: revisions.map(summarizeRevision) });
+    } catch (err) {
+      console.error("Get revisions error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.get(
+    "/posts/:id/revisions/diff",
+    authenticateRead,
+    validateQuery(revisionDiffQuerySchema),
+    async (req, res) => {
+      try {
+        const post = await loadOwnPost(req, res);
+        if (!post) return;
+
+        const from = await findRevision(post.id, req.query.from);
+        const to =
+          req.query.to === undefined
+            ? (await db.revisions.latest(post.id)).data
+            : await findRevision(post.id, req.query.to);
+
+        if (!from || !to) {
+          return res.status(404).json({ error: "Revision not found" });
+        }
+
+        const diff = diffRevisions(from, to);
+        if (!diff) {
+          return res.status(413).json({ error: "Revisions are too large to diff" });
+        }
+
+        res.json({ from: from.rev, to: to.rev, ...diff });
+      } catch (err) {
+        console.error("Diff revisions error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  router.get("/posts/:id/revisions/:rev", authenticateRead, async (req, res) => {
+    try {
+      const post = await loadOwnPost(req, res);
+      if (!post) return;
+
+      const revision = await findRevision(post.id, req.params.rev);
+
+      if (!revision) {
+        return res.status(404).json({ error: "Revision not found" });
+      }
+
+      res.json({
+        revision: {
+          ...summarizeRevision(revision),
+          content: revision.content,
+          format: revision.format,
+        },
+      });
+    } catch (err) {
+      console.error("Get revision error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // Restoring is itself a save, so it adds a new revision rather than rewriting history
+  router.post(
+    "/posts/:id/revisions/:rev/restore",
+    authenticateWrite,
+    requirePermission("posts:write"),
+    async (req, res) => {
+      try {
+        const existingPost = await loadOwnPost(req, res);
+        if (!existingPost) return;
+
+        const revision = await findRevision(existingPost.id, req.params.rev);
+
+        if (!revision) {
+          return res.status(404).json({ error: "Revision not found" });
+        }
+
+        const { data: post, error } = await db.posts.update(existingPost.id, req.user.id, {
+          title: revision.title,
+          content: revision.content,
+          format: revision.format,
+        });
+
+        if (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        const { data: restored, error: revisionError } = await recordRevision(db, post, {
+          previous: existingPost,
+          restoredFrom: revision.rev,
+        });
+
+        if (revisionError) {
+          console.error("Restore revision error:", revisionError);
+          return res.status(400).json({ error: revisionError.message });
+        }
+
+        await webhooks.postChanged(existingPost, post);
+
+        res.json({
+          post: await decoratePost(db, post, req.user.id),
+          revision: summarizeRevision(restored),
+        });
+      } catch (err) {
+        console.error("Restore revision error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  return router;
+}
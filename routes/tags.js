@@ -0,0 +1,63 @@
+import express from "express";
+import { toPage } from "../lib/pagination.js";
+import { decoratePosts } from "../lib/postViews.js";
+import { slugify } from "../lib/slug.js";
+import { validateQuery } from "../middleware/validate.js";
+import { listPostsQuerySchema } from "../schemas.js";
+
+/**
+ * Routes for the signed-in user's tags
+ * @param {Object} deps - Shared app dependencies (db, authenticateRead)
+ * @returns {express.Router} Router
+ */
+export function createTagsRouter({ db, authenticateRead }) {
+  const router = express.Router();
+
+  router.get("/tags", authenticateRead, async (req, res) => {
+    try {
+      const { data: tags, error } = await db.tags.listByUser(req.user.id);
+
+      if (error) {
+        console.error("Get tags error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ tags });
+    } catch (err) {
+      console.error("Get tags error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.get(
+    "/tags/:tag/posts",
+    authenticateRead,
+    validateQuery(listPostsQuerySchema),
+    async (req, res) => {
+      const tag = slugify(req.params.tag, "");
+      if (!tag) return res.json({ posts: [], next_cursor: null });
+
+      try {
+        const { data: rows, error } = await db.posts.query({
+          ...req.query,
+          tag,
+          userId: req.user.id,
+          limit: req.query.limit + 1,
+        });
+
+        if (error) {
+          console.error("Get tag posts error:", error);
+          return res.status(400).json({ error: error.message });
+        }
+
+        const { items, next_cursor } = toPage(rows, req.query);
+        res.json({ posts: await decoratePosts(db, items, req.user.id), next_cursor });
+      } catch (err) {
+        console.error("Get tag posts error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  return router;
+}
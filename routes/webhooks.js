@@ -0,0 +1,202 @@
+import express from "express";
+import {
+  MAX_WEBHOOKS_PER_USER,
+  WEBHOOK_EVENTS,
+  createWebhookSecret,
+  presentDelivery,
+  presentWebhook,
+} from "../lib/webhooks.js";
+import { validate, validateQuery } from "../middleware/validate.js";
+import {
+  webhookDeliveriesQuerySchema,
+  webhookSchema,
+  webhookUpdateSchema,
+} from "../schemas.js";
+
+// Keeps the listed order and drops repeats
+const eventList = (events) => WEBHOOK_EVENTS.filter((event) => events.includes(event));
+
+/**
+ * The signed-in user's webhooks and their delivery log. Deliveries are
+ * queued by the post routes and sent by jobs/webhookDeliverer.js.
+ * @param {Object} deps - Shared app dependencies (db, clock, authenticateToken)
+ * @returns {express.Router} Router
+ */
+export function createWebhooksRouter({ db, clock, authenticateToken }) {
+  const router = express.Router();
+
+  const loadOwnWebhook = async (req, res) => {
+    const { data: webhook, error } = await db.webhooks.findOwned(req.params.id, req.user.id);
+    if (error) throw new Error(error.message);
+    if (!webhook) res.status(404).json({ error: "Webhook not found" });
+    return webhook;
+  };
+
+  router.get("/webhooks", authenticateToken, async (req, res) => {
+    try {
+      const { data, error } = await db.webhooks.listByUser(req.user.id);
+      if (error) return res.status(400).json({ error: error.message });
+
+      res.json({ webhooks: data.map(presentWebhook), events: WEBHOOK_EVENTS });
+    } catch (err) {
+      console.error("List webhooks error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  // The secret is only in this response; receivers need it to check signatures
+  router.post("/webhooks", authenticateToken, validate(webhookSchema), async (req, res) => {
+    const { url, events, active = true } = req.body;
+    try {
+      const { data: existing, error: listError } = await db.webhooks.listByUser(req.user.id);
+      if (listError) return res.status(400).json({ error: listError.message });
+
+      if (existing.length >= MAX_WEBHOOKS_PER_USER) {
+        return res
+          .status(409)
+          .json({ error: `At most ${MAX_WEBHOOKS_PER_USER} webhooks are allowed` });
+      }
+
+      const secret = createWebhookSecret();
+      const { data: webhook, error } = await db.webhooks.create({
+        user_id: req.user.id,
+        url,
+        events: eventList(events),
+        secret,
+        active,
+      });
+
+      if (error) {
+        console.error("Create webhook error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.status(201).json({ webhook: presentWebhook(webhook), secret });
+    } catch (err) {
+      console.error("Create webhook error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.patch(
+    "/webhooks/:id",
+    authenticateToken,
+    validate(webhookUpdateSchema),
+    async (req, res) => {
+      const { url, events, active } = req.body;
+      try {
+        const existing = await loadOwnWebhook(req, res);
+        if (!existing) return;
+
+        const changes = { updated_at: clock().toISOString() };
+        if (url !== undefined) changes.url = url;
+        if (events !== undefined) changes.events = eventList(events);
+        if (active !== undefined) changes.active = active;
+
+        const { data: webhook, error } = await db.webhooks.update(
+          existing.id,
+          req.user.id,
+          changes
+        );
+
+        if (error) {
+          console.error("Update webhook error:", error);
+          return res.status(400).json({ error: error.message });
+        }
+
+        res.json({ webhook: presentWebhook(webhook) });
+      } catch (err) {
+        console.error("Update webhook error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  // Deliveries still queued are dropped along with the log
+  router.delete("/webhooks/:id", authenticateToken, async (req, res) => {
+    try {
+      const existing = await loadOwnWebhook(req, res);
+      if (!existing) return;
+
+      const { error } = await db.webhooks.remove(existing.id, req.user.id);
+      if (error) {
+        console.error("Delete webhook error:", error);
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({ message: "Webhook deleted" });
+    } catch (err) {
+      console.error("Delete webhook error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  router.get(
+    "/webhooks/:id/deliveries",
+    authenticateToken,
+    validateQuery(webhookDeliveriesQuerySchema),
+    async (req, res) => {
+      try {
+        const webhook = await loadOwnWebhook(req, res);
+        if (!webhook) return;
+
+        const { data, error } = await db.webhookDeliveries.listByWebhook(
+          webhook.id,
+          req.query.limit
+        );
+        if (error) return res.status(400).json({ error: error.message });
+
+        res.json({ deliveries: data.map(presentDelivery) });
+      } catch (err) {
+        console.error("List webhook deliveries error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  // Queues a new delivery with the same payload, so receivers can dedupe on its id
+  router.post(
+    "/webhooks/:id/deliveries/:deliveryId/redeliver",
+    authenticateToken,
+    async (req, res) => {
+      try {
+        const webhook = await loadOwnWebhook(req, res);
+        if (!webhook) return;
+
+        const { data: original, error: findError } = await db.webhookDeliveries.findById(
+          req.params.deliveryId
+        );
+        if (findError) return res.status(400).json({ error: findError.message });
+
+        if (!original || String(original.webhook_id) !== String(webhook.id)) {
+          return res.status(404).json({ error: "Delivery not found" });
+        }
+        if (!webhook.active) {
+          return res.status(409).json({ error: "Webhook is inactive" });
+        }
+
+        const { data: delivery, error } = await db.webhookDeliveries.create({
+          webhook_id: webhook.id,
+          event: original.event,
+          payload: original.payload,
+          status: "pending",
+          attempts: 0,
+          next_attempt_at: clock().toISOString(),
+          redelivery_of: original.id,
+        });
+
+        if (error) {
+          console.error("Redeliver webhook error:", error);
+          return res.status(400).json({ error: error.message });
+        }
+
+        res.status(202).json({ delivery: presentDelivery(delivery) });
+      } catch (err) {
+        console.error("Redeliver webhook error:", err);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+
+  return router;
+}
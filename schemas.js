@@ -0,0 +1,259 @@
+import { z } from "zod";
+import {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  LIST_SORTS,
+  decodeCursor,
+} from "./lib/pagination.js";
+import { CONTENT_FORMATS } from "./lib/content.js";
+import { isPublicUrl } from "./lib/outbound.js";
+import { TOKEN_SCOPES } from "./lib/personalTokens.js";
+import { POST_STATUSES } from "./lib/postLifecycle.js";
+import { EXPORT_FORMATS } from "./lib/postTransfer.js";
+import { REACTION_TYPES } from "./lib/reactions.js";
+import { ROLES } from "./lib/roles.js";
+import { slugify } from "./lib/slug.js";
+import { WEBHOOK_EVENTS } from "./lib/webhooks.js";
+
+export const signupSchema = z.object({
+  email: z.string().email(),
+  password: z.string().min(6),
+  name: z.string().min(3, "Name is required"),
+});
+
+// Empty strings clear optional profile fields
+const clearable = (schema) =>
+  z.preprocess((value) => (value === "" ? null : value), schema.nullable().optional());
+
+export const profileSchema = z
+  .object({
+    name: z.string().trim().min(3, "Name is required").max(100).optional(),
+    bio: clearable(z.string().trim().max(500, "Bio must be at most 500 characters")),
+    website: clearable(
+      z
+        .string()
+        .trim()
+        .max(200)
+        .url("Website must be a URL")
+        .refine((url) => /^https?:\/\//i.test(url), "Website must be an http(s) URL")
+    ),
+    // Avatars are uploaded as a file; null removes the current one
+    avatar: z.null().optional(),
+  })
+  .strict();
+
+export const passwordChangeSchema = z.object({
+  current_password: z.string().optional(),
+  new_password: z.string().min(6),
+});
+
+export const passwordRemovalSchema = z.object({
+  current_password: z.string().min(1, "Current password is required"),
+});
+
+export const personalTokenSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, "Name is required")
+    .max(100, "Name must be at most 100 characters"),
+  scopes: z.array(z.enum(TOKEN_SCOPES)).min(1, "At least one scope is required"),
+  expires_at: z
+    .string()
+    .datetime({ offset: true, message: "expires_at must be an ISO 8601 timestamp" })
+    .nullable()
+    .optional(),
+});
+
+export const webhookSchema = z.object({
+  url: z
+    .string()
+    .max(2000)
+    .url("url must be a URL")
+    .refine((url) => /^https?:\/\//i.test(url), "url must be an http(s) URL")
+    .refine(isPublicUrl, "url must not point to a local or private address"),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1, "At least one event is required"),
+  active: z.boolean().optional(),
+});
+
+export const webhookUpdateSchema = webhookSchema
+  .partial()
+  .strict()
+  .refine((body) => Object.keys(body).length > 0, "Nothing to update");
+
+export const webhookDeliveriesQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+// Accounts without a password confirm by having signed in recently instead
+export const accountDeletionSchema = z.object({
+  password: z.string().optional(),
+});
+
+export const loginSchema = z.object({
+  email: z.string().email(),
+  password: z.string().min(6, "Password is required"),
+});
+
+const tagName = z
+  .string()
+  .max(50, "Tags must be at most 50 characters")
+  .refine((name) => slugify(name, "") !== "", "Tags must contain letters or numbers");
+
+const publishAt = z.string().datetime({ offset: true, message: "publish_at must be an ISO 8601 timestamp" });
+
+export const postSchema = z
+  .object({
+    title: z.string().min(3, "Title is required"),
+    content: z.string().min(12, "Content is required"),
+    format: z.enum(CONTENT_FORMATS).optional(),
+    status: z.enum(POST_STATUSES).optional(),
+    publish_at: publishAt.nullable().optional(),
+    tags: z.array(tagName).max(20, "A post can have at most 20 tags").optional(),
+  })
+  .refine((post) => post.status !== "scheduled" || post.publish_at, {
+    message: "publish_at is required for scheduled posts",
+    path: ["publish_at"],
+  });
+
+export const publishSchema = z.object({
+  publish_at: publishAt.optional(),
+});
+
+export const emailTokenSchema = z.object({
+  token: z.string().min(1, "Token is required"),
+});
+
+export const forgotPasswordSchema = z.object({
+  email: z.string().email(),
+});
+
+export const resetPasswordSchema = z.object({
+  token: z.string().min(1, "Token is required"),
+  password: z.string().min(6),
+});
+
+export const refreshSchema = z.object({
+  refreshToken: z.string().min(1, "Refresh token is required"),
+});
+
+export const logoutSchema = z.object({
+  all: z.boolean().optional(),
+});
+
+const queryDate = z.coerce.date().transform((date) => date.toISOString());
+
+// Decodes `cursor` for the given sort/order, flagging a cursor from another listing
+const cursorAfter = (cursor, sort, order, ctx) => {
+  if (!cursor) return null;
+  const after = decodeCursor(cursor, sort, order);
+  if (!after) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: "Invalid cursor for this sort order",
+      path: ["cursor"],
+    });
+    return z.NEVER;
+  }
+  return after;
+};
+
+const pageLimit = z.coerce
+  .number()
+  .int()
+  .min(1)
+  .max(MAX_PAGE_SIZE)
+  .default(DEFAULT_PAGE_SIZE);
+
+export const listPostsQuerySchema = z
+  .object({
+    limit: pageLimit,
+    cursor: z.string().optional(),
+    sort: z.enum(LIST_SORTS).default("created"),
+    order: z.enum(["asc", "desc"]).optional(),
+    status: z.enum(POST_STATUSES).optional(),
+    tag: tagName.transform((name) => slugify(name, "")).optional(),
+    from: queryDate.optional(),
+    to: queryDate.optional(),
+  })
+  .transform((query, ctx) => {
+    // Dates read newest first by default, titles alphabetically
+    const order = query.order ?? (query.sort === "title" ? "asc" : "desc");
+    const after = cursorAfter(query.cursor, query.sort, order, ctx);
+    return after === z.NEVER ? z.NEVER : { ...query, order, after };
+  });
+
+// The feed always reads newest published first
+export const feedQuerySchema = z
+  .object({
+    limit: pageLimit,
+    cursor: z.string().optional(),
+  })
+  .transform((query, ctx) => {
+    const after = cursorAfter(query.cursor, "published", "desc", ctx);
+    return after === z.NEVER ? z.NEVER : { ...query, sort: "published", order: "desc", after };
+  });
+
+export const searchQuerySchema = z.object({
+  q: z.string().trim().min(1, "Search query is required").max(200),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+});
+
+export const commentSchema = z.object({
+  body: z.string().trim().min(1, "Comment is required").max(5000),
+  parent_id: z.number().int().positive().optional(),
+});
+
+export const commentEditSchema = z.object({
+  body: z.string().trim().min(1, "Comment is required").max(5000),
+});
+
+export const reactionSchema = z.object({
+  type: z.enum(REACTION_TYPES),
+});
+
+const revisionNumber = z.coerce.number().int().positive();
+
+// `to` defaults to the latest revision
+export const revisionDiffQuerySchema = z.object({
+  from: revisionNumber,
+  to: revisionNumber.optional(),
+});
+
+export const roleSchema = z.object({
+  role: z.enum(ROLES),
+});
+
+export const adminUsersQuerySchema = z.object({
+  q: z.string().trim().max(200).optional(),
+  role: z.enum(ROLES).optional(),
+  limit: pageLimit,
+  // The last user id of the previous page
+  cursor: z.coerce.number().int().positive().optional(),
+});
+
+export const exportQuerySchema = z.object({
+  format: z.enum(EXPORT_FORMATS).default("json"),
+});
+
+export const importQuerySchema = z.object({
+  dry_run: z
+    .enum(["true", "false"])
+    .default("false")
+    .transform((flag) => flag === "true"),
+});
+
+const timestamp = z.string().datetime({ offset: true, message: "Must be an ISO 8601 timestamp" });
+
+// Columns an import keeps from the exported post, beyond what postSchema covers
+export const importColumnsSchema = z.object({
+  slug: z
+    .string()
+    .max(80)
+    .regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, "slug must be lowercase letters, digits and dashes")
+    .optional(),
+  created_at: timestamp.optional(),
+  updated_at: timestamp.optional(),
+  published_at: timestamp.nullable().optional(),
+  comments_closed: z.boolean().optional(),
+});
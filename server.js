@@ -1,394 +1,176 @@
-import { createClient } from "@supabase/supabase-js";
-import bcrypt from "bcrypt";
 import cors from "cors";
-import dotenv from "dotenv";
 import express from "express";
 import session from "express-session";
 import helmet from "helmet";
-import jwt from "jsonwebtoken";
-import passport from "passport";
-import { Strategy as GoogleStrategy } from "passport-google-oauth20";
-import { z } from "zod";
-
-dotenv.config();
-
-const app = express();
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
-const JWT_SECRET = process.env.JWT_SECRET;
-const PORT = process.env.PORT || 3000;
-
-app.use(express.json());
-app.use(helmet());
-app.use(
-  cors({
-    origin: process.env.FRONTEND_ORIGIN,
-    credentials: true,
-  })
-);
-
-app.use(
-  session({
-    secret: process.env.SESSION_SECRET,
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-      secure: process.env.NODE_ENV === "production",
-      httpOnly: true,
-      maxAge: 5 * 60 * 1000, // 5 minutes - just for OAuth flow
-    },
-    // Use memory store only for OAuth flow, not for persistent sessions
-    name: 'oauth.session',
-  })
-);
-
-const signupSchema = z.object({
-  email: z.string().email(),
-  password: z.string().min(6),
-  name: z.string().min(3, "Name is required"),
-});
-
-const loginSchema = z.object({
-  email: z.string().email(),
-  password: z.string().min(6, "Password is required"),
-});
-
-const postSchema = z.object({
-  title: z.string().min(3, "Title is required"),
-  content: z.string().min(12, "Content is required"),
-});
-
-const validate = (schema) => (req, res, next) => {
-  try {
-    schema.parse(req.body);
-    next();
-  } catch (err) {
-    return res.status(400).json({
-      error: "Validation failed",
-      details: err.errors,
-    });
-  }
+import { Passport } from "passport";
+import { defaultStrategies } from "./auth/google.js";
+import { createTokenService } from "./auth/tokens.js";
+import { createCounterStore } from "./counters/index.js";
+import { createDb } from "./db/index.js";
+import { DEFAULT_DELETION_GRACE_DAYS } from "./lib/accountDeletion.js";
+import { rateLimitsFromEnv } from "./lib/rateLimits.js";
+import { DEFAULT_MAX_UPLOAD_BYTES } from "./lib/uploads.js";
+import { createWebhookEmitter } from "./lib/webhooks.js";
+import { createMailer } from "./mail/index.js";
+import {
+  createAuthenticateToken,
+  createOptionalAuthenticateToken,
+} from "./middleware/auth.js";
+import { createAdminRouter } from "./routes/admin.js";
+import { createAttachmentsRouter } from "./routes/attachments.js";
+import { createAuthRouter } from "./routes/auth.js";
+import { createCommentsRouter } from "./routes/comments.js";
+import { createFeedsRouter } from "./routes/feeds.js";
+import { createFollowsRouter } from "./routes/follows.js";
+import { createIdentitiesRouter } from "./routes/identities.js";
+import { createPersonalTokensRouter } from "./routes/personalTokens.js";
+import { createPostTransferRouter } from "./routes/postTransfer.js";
+import { createPostsRouter } from "./routes/posts.js";
+import { createProfileRouter } from "./routes/profile.js";
+import { createPublicRouter } from "./routes/public.js";
+import { createReactionsRouter } from "./routes/reactions.js";
+import { createRevisionsRouter } from "./routes/revisions.js";
+import { createTagsRouter } from "./routes/tags.js";
+import { createWebhooksRouter } from "./routes/webhooks.js";
+import { createStorage } from "./storage/index.js";
+
+// TRUST_PROXY arrives as text: "true"/"false", a hop count, or addresses/subnets
+const parseTrustProxy = (value) => {
+  if (typeof value !== "string") return value;
+  if (value === "true" || value === "false") return value === "true";
+  return /^\d+$/.test(value) ? Number(value) : value;
 };
 
-passport.use(
-  new GoogleStrategy(
-    {
-      clientID: process.env.GOOGLE_CLIENT_ID,
-      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      callbackURL: process.env.GOOGLE_CALLBACK_URL,
-    },
-    async (_, __, profile, done) => {
-      try {
-        console.log("Google profile received:", profile.emails?.[0]?.value);
-        let { data: user } = await supabase
-          .from("users")
-          .select("*")
-          .eq("email", profile.emails?.[0]?.value)
-          .single();
-
-        if (!user) {
-          console.log("Creating new user...");
-          const { data: newUser, error } = await supabase
-            .from("users")
-            .insert([
-              {
-                email: profile.emails?.[0]?.value,
-                name: profile.displayName,
-                password: null,
-              },
-            ])
-            .select()
-            .single();
-
-          if (error) {
-            console.error("Error creating user:", error);
-            return done(error, null);
-          }
-          user = newUser;
-        }
-
-        console.log("User authenticated:", user.email);
-        return done(null, user);
-      } catch (err) {
-        console.error("Google auth error:", err);
-        return done(err, null);
-      }
-    }
-  )
-);
-
-passport.serializeUser((user, done) => {
-  done(null, user);
-});
-
-passport.deserializeUser((user, done) => {
-  done(null, user);
-});
-
-app.use(passport.initialize());
-app.use(passport.session());
-
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
-
-  if (!token) return res.status(401).json({ error: "No token provided" });
-
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ error: "Invalid token" });
-    req.user = user;
-    next();
-  });
-}
-
-app.get("/auth/google", (req, res, next) => {
-  console.log("Initiating Google OAuth...");
-  passport.authenticate("google", {
-    scope: ["profile", "email"],
-    accessType: "offline",
-    prompt: "consent",
-  })(req, res, next);
-});
-
-app.get(
-  "/auth/google/callback",
-  passport.authenticate("google", { failureRedirect: "/login" }),
-  (req, res) => {
-    try {
-      console.log("Google callback successful, generating token...");
-      const token = jwt.sign(
-        { id: req.user.id, email: req.user.email },
-        JWT_SECRET,
-        { expiresIn: "1h" }
-      );
-      res.redirect(`${process.env.FRONTEND_ORIGIN}/auth/google/callback?token=${token}`);
-    } catch (error) {
-      console.error("Callback error:", error);
-      res.redirect(`${process.env.FRONTEND_ORIGIN}/auth/error`);
-    }
+/**
+ * Builds the Express app without starting a listener, so it can be mounted
+ * under a prefix (e.g. `/api`) or driven directly by supertest.
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Repository layer (default: createDb() from the environment)
+ * @param {string} [options.jwtSecret] - Access token secret (default: JWT_SECRET)
+ * @param {Array} [options.passportStrategies] - Passport strategies (default: Google when configured)
+ * @param {Function} [options.clock] - Returns the current Date (default: wall clock)
+ * @param {string} [options.frontendOrigin] - CORS origin and OAuth redirect target (default: FRONTEND_ORIGIN)
+ * @param {string} [options.sessionSecret] - OAuth session secret (default: SESSION_SECRET)
+ * @param {string} [options.siteUrl] - Public site root used for links in feeds (default: SITE_URL, then frontendOrigin)
+ * @param {Object} [options.storage] - Upload storage (default: createStorage() from the environment)
+ * @param {number} [options.maxUploadBytes] - Upload size limit (default: MAX_UPLOAD_BYTES or 5 MB)
+ * @param {Object} [options.mailer] - Sends account emails (default: createMailer() from the environment)
+ * @param {Object} [options.counterStore] - Rate limit counters (default: createCounterStore() from the environment)
+ * @param {Object} [options.rateLimits] - Auth rate limit and lockout settings (default: rateLimitsFromEnv())
+ * @param {number} [options.deletionGraceDays] - Days before a deleted account is removed for good (default: ACCOUNT_DELETION_GRACE_DAYS or 14)
+ * @param {Object} [options.webhooks] - Queues webhook deliveries for post events (default: createWebhookEmitter())
+ * @param {boolean|number|string} [options.trustProxy] - Express "trust proxy" setting, so limits see client IPs (default: TRUST_PROXY)
+ * @returns {express.Express} Configured app
+ */
+export function createApp({
+  db = createDb(),
+  jwtSecret = process.env.JWT_SECRET,
+  passportStrategies,
+  clock = () => new Date(),
+  frontendOrigin = process.env.FRONTEND_ORIGIN,
+  sessionSecret = process.env.SESSION_SECRET,
+  siteUrl = process.env.SITE_URL,
+  storage = createStorage(process.env, { client: db.client }),
+  maxUploadBytes = Number(process.env.MAX_UPLOAD_BYTES) || DEFAULT_MAX_UPLOAD_BYTES,
+  mailer = createMailer(process.env),
+  counterStore = createCounterStore(process.env, { client: db.client, clock }),
+  rateLimits = rateLimitsFromEnv(process.env),
+  deletionGraceDays = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || DEFAULT_DELETION_GRACE_DAYS,
+  webhooks = createWebhookEmitter({ db, clock }),
+  trustProxy = process.env.TRUST_PROXY,
+} = {}) {
+  if (!jwtSecret) throw new Error("createApp requires a jwtSecret");
+
+  const app = express();
+  const strategies = passportStrategies ?? defaultStrategies(db);
+  const passport = new Passport();
+
+  // Behind a load balancer req.ip is the proxy's address unless X-Forwarded-For is trusted
+  if (trustProxy !== undefined && trustProxy !== "") {
+    app.set("trust proxy", parseTrustProxy(trustProxy));
   }
-);
-
-app.post("/signup", validate(signupSchema), async (req, res) => {
-  const { name, email, password } = req.body;
-  try {
-    const { data: existingUser } = await supabase
-      .from("users")
-      .select("*")
-      .eq("email", email)
-      .single();
-
-    if (existingUser) {
-      return res.status(400).json({ error: "User already exists" });
-    }
 
-    const hashedPassword = await bcrypt.hash(password, 12);
-    const { data, error } = await supabase
-      .from("users")
-      .insert([
-        {
-          name,
-          email,
-          password: hashedPassword,
+  app.use(express.json());
+  app.use(helmet());
+  app.use(
+    cors({
+      origin: frontendOrigin,
+      credentials: true,
+    })
+  );
+
+  // Sessions only carry the OAuth handshake, so skip them when no strategy needs one
+  if (strategies.length > 0) {
+    app.use(
+      session({
+        secret: sessionSecret,
+        resave: false,
+        saveUninitialized: false,
+        cookie: {
+          secure: process.env.NODE_ENV === "production",
+          httpOnly: true,
+          maxAge: 5 * 60 * 1000, // 5 minutes - just for OAuth flow
         },
-      ])
-      .select()
-      .single();
-
-    if (error) return res.status(400).json({ error: error.message });
-
-    const token = jwt.sign({ id: data.id, email: data.email }, JWT_SECRET, {
-      expiresIn: "1h",
-    });
-
-    res.status(201).json({
-      message: "User registered successfully",
-      token,
-      user: { id: data.id, name: data.name, email: data.email }
-    });
-  } catch (err) {
-    console.error("Signup error:", err);
-    res.status(500).json({ error: "Server error" });
+        // Use memory store only for OAuth flow, not for persistent sessions
+        name: 'oauth.session',
+      })
+    );
   }
-});
 
-app.post("/login", validate(loginSchema), async (req, res) => {
-  const { email, password } = req.body;
-  try {
-    const { data: user, error } = await supabase
-      .from("users")
-      .select("*")
-      .eq("email", email)
-      .single();
+  strategies.forEach((strategy) => passport.use(strategy));
 
-    if (error || !user) {
-      return res.status(401).json({ error: "Invalid credentials" });
-    }
-
-    if (!user.password) {
-      return res.status(401).json({
-        error: "Please login with Google",
-      });
-    }
-
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      return res.status(401).json({ error: "Invalid credentials" });
-    }
-
-    const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, {
-      expiresIn: "1h",
-    });
-    res.json({ 
-      token,
-      user: { id: user.id, name: user.name, email: user.email }
-    });
-  } catch (err) {
-    console.error("Login error:", err);
-    res.status(500).json({ error: "Server error" });
-  }
-});
-
-app.get("/profile", authenticateToken, async (req, res) => {
-  try {
-    const { data: user, error } = await supabase
-      .from("users")
-      .select("*")
-      .eq("id", req.user.id)
-      .single();
-
-    if (error || !user) {
-      return res.status(404).json({ error: "User not found" });
-    }
-
-    res.json({ user: { id: user.id, name: user.name, email: user.email } });
-  } catch (err) {
-    console.error("Profile error:", err);
-    res.status(500).json({ error: "Server error" });
-  }
-});
-
-app.get("/posts", authenticateToken, async (req, res) => {
-  try {
-    console.log("GET /posts - User ID:", req.user.id);
-    const { data: posts, error } = await supabase
-      .from("posts")
-      .select("*")
-      .eq("user_id", req.user.id)
-      .order("id", { ascending: false });
-
-    if (error) {
-      console.error("Get posts error:", error);
-      return res.status(400).json({ error: error.message });
-    }
-
-    console.log("GET /posts - Found posts:", posts?.length || 0);
-    res.json({ posts });
-  } catch (err) {
-    console.error("Get posts error:", err);
-    res.status(500).json({ error: "Server error" });
-  }
-});
-
-app.post(
-  "/posts",
-  authenticateToken,
-  validate(postSchema),
-  async (req, res) => {
-    const { title, content } = req.body;
-    try {
-      console.log("POST /posts - User ID:", req.user.id, "Title:", title);
-      const { data: post, error } = await supabase
-        .from("posts")
-        .insert([
-          {
-            title,
-            content,
-            user_id: req.user.id,
-          },
-        ])
-        .select()
-        .single();
-
-      if (error) {
-        console.error("Create post error:", error);
-        return res.status(400).json({ error: error.message });
-      }
-
-      console.log("POST /posts - Created post:", post);
-      res.status(201).json({ post });
-    } catch (err) {
-      console.error("Create post error:", err);
-      res.status(500).json({ error: "Server error" });
-    }
-  }
-);
-
-app.put(
-  "/posts/:id",
-  authenticateToken,
-  validate(postSchema),
-  async (req, res) => {
-    const { id } = req.params;
-    const { title, content } = req.body;
-    try {
-      const { data: existingPost } = await supabase
-        .from("posts")
-        .select("*")
-        .eq("id", id)
-        .eq("user_id", req.user.id)
-        .single();
-
-      if (!existingPost) {
-        return res
-          .status(404)
-          .json({ error: "Post not found or unauthorized" });
-      }
-
-      const { data: post, error } = await supabase
-        .from("posts")
-        .update({ title, content })
-        .eq("id", id)
-        .eq("user_id", req.user.id)
-        .select()
-        .single();
-
-      if (error) {
-        return res.status(400).json({ error: error.message });
-      }
-
-      res.json({ post });
-    } catch (err) {
-      console.error("Update post error:", err);
-      res.status(500).json({ error: "Server error" });
-    }
-  }
-);
-
-app.delete("/posts/:id", authenticateToken, async (req, res) => {
-  const { id } = req.params;
-  try {
-    const { error } = await supabase
-      .from("posts")
-      .delete()
-      .eq("id", id)
-      .eq("user_id", req.user.id);
-
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
+  passport.serializeUser((user, done) => {
+    done(null, user);
+  });
 
-    res.json({ message: "Post deleted successfully" });
-  } catch (err) {
-    console.error("Delete post error:", err);
-    res.status(500).json({ error: "Server error" });
-  }
-});
+  passport.deserializeUser((user, done) => {
+    done(null, user);
+  });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/profile`);
-});
\ No newline at end of file
+  app.use(passport.initialize());
+  if (strategies.length > 0) app.use(passport.session());
+
+  const tokens = createTokenService({ jwtSecret, clock, db });
+  const deps = {
+    db,
+    storage,
+    maxUploadBytes,
+    clock,
+    tokens,
+    mailer,
+    counterStore,
+    rateLimits,
+    deletionGraceDays,
+    webhooks,
+    passport,
+    frontendOrigin,
+    siteUrl,
+    hasGoogle: strategies.some((strategy) => strategy.name === "google"),
+    authenticateToken: createAuthenticateToken({ tokens }),
+    optionalAuthenticateToken: createOptionalAuthenticateToken({ tokens }),
+    // Guards for the routes on the user's posts. Like the two above, but they also
+    // accept personal access tokens that carry the posts:read or posts:write scope.
+    authenticateRead: createAuthenticateToken({ tokens, scope: "posts:read" }),
+    authenticateWrite: createAuthenticateToken({ tokens, scope: "posts:write" }),
+    optionalAuthenticateRead: createOptionalAuthenticateToken({ tokens, scope: "posts:read" }),
+  };
+
+  app.use(createAuthRouter(deps));
+  app.use(createProfileRouter(deps));
+  app.use(createIdentitiesRouter(deps));
+  app.use(createPersonalTokensRouter(deps));
+  app.use(createWebhooksRouter(deps));
+  app.use(createPostsRouter(deps));
+  app.use(createPostTransferRouter(deps));
+  app.use(createPublicRouter(deps));
+  app.use(createTagsRouter(deps));
+  app.use(createCommentsRouter(deps));
+  app.use(createReactionsRouter(deps));
+  app.use(createFollowsRouter(deps));
+  app.use(createRevisionsRouter(deps));
+  app.use(createAttachmentsRouter(deps));
+  app.use(createFeedsRouter(deps));
+  app.use(createAdminRouter(deps));
+
+  return app;
+}
@@ -0,0 +1,37 @@
+import path from "path";
+import { createLocalStorage } from "./local.js";
+import { createMemoryStorage } from "./memory.js";
+import { createSupabaseStorage } from "./supabase.js";
+
+/**
+ * Builds the file storage for uploads.
+ *
+ * `STORAGE_BACKEND` picks the implementation: `local` (files under
+ * `UPLOADS_DIR`, the default), `supabase` (the `SUPABASE_STORAGE_BUCKET`
+ * bucket) or `memory`.
+ * @param {Object} [env=process.env] - Configuration source
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Supabase client to reuse, e.g. the repository layer's
+ * @returns {Object} Storage with put/get/remove
+ */
+export function createStorage(env = process.env, { client } = {}) {
+  const backend = env.STORAGE_BACKEND || "local";
+
+  switch (backend) {
+    case "local":
+      return createLocalStorage({ dir: path.resolve(env.UPLOADS_DIR || "data/uploads") });
+    case "supabase":
+      return createSupabaseStorage({
+        client,
+        url: env.SUPABASE_URL,
+        key: env.SUPABASE_KEY,
+        bucket: env.SUPABASE_STORAGE_BUCKET || "attachments",
+      });
+    case "memory":
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+  }
+}
+
+export { createLocalStorage, createMemoryStorage, createSupabaseStorage };
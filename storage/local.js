@@ -0,0 +1,44 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Stores uploaded files on the local disk
+ * @param {Object} options
+ * @param {string} options.dir - Directory files are written under
+ * @returns {Object} Storage with put/get/remove
+ */
+export function createLocalStorage({ dir }) {
+  const root = path.resolve(dir);
+
+  // Keys are generated server-side, but never let one escape the upload directory
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return file;
+  };
+
+  return {
+    backend: "local",
+
+    put: async (key, buffer) => {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return { data: { key }, error: null };
+    },
+
+    get: async (key) => {
+      try {
+        return { data: await fs.readFile(resolve(key)), error: null };
+      } catch (err) {
+        if (err.code === "ENOENT") return { data: null, error: null };
+        return { data: null, error: { message: err.message } };
+      }
+    },
+
+    remove: async (keys) => {
+      await Promise.all(keys.map((key) => fs.rm(resolve(key), { force: true })));
+      return { data: keys, error: null };
+    },
+  };
+}
@@ -0,0 +1,24 @@
+/**
+ * Keeps uploaded files in memory; for tests and throwaway instances
+ * @returns {Object} Storage with put/get/remove
+ */
+export function createMemoryStorage() {
+  const files = new Map();
+
+  return {
+    backend: "memory",
+    files,
+
+    put: async (key, buffer) => {
+      files.set(key, Buffer.from(buffer));
+      return { data: { key }, error: null };
+    },
+
+    get: async (key) => ({ data: files.get(key) ?? null, error: null }),
+
+    remove: async (keys) => {
+      keys.forEach((key) => files.delete(key));
+      return { data: keys, error: null };
+    },
+  };
+}
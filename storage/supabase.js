@@ -0,0 +1,40 @@
+import { createClient } from "@supabase/supabase-js";
+
+/**
+ * Stores uploaded files in a Supabase Storage bucket
+ * @param {Object} options
+ * @param {Object} [options.client] - Existing Supabase client (takes precedence)
+ * @param {string} [options.url] - Supabase project URL
+ * @param {string} [options.key] - Supabase API key
+ * @param {string} [options.bucket="attachments"] - Bucket name; it should be private
+ * @returns {Object} Storage with put/get/remove
+ */
+export function createSupabaseStorage({ client, url, key, bucket = "attachments" } = {}) {
+  const files = (client || createClient(url, key)).storage.from(bucket);
+
+  return {
+    backend: "supabase",
+
+    put: async (fileKey, buffer, contentType) => {
+      const { error } = await files.upload(fileKey, buffer, { contentType, upsert: false });
+      return error ? { data: null, error } : { data: { key: fileKey }, error: null };
+    },
+
+    get: async (fileKey) => {
+      const { data, error } = await files.download(fileKey);
+      if (error) {
+        // Missing objects come back as errors; treat them like a miss
+        return error.statusCode === "404" || error.status === 404
+          ? { data: null, error: null }
+          : { data: null, error };
+      }
+      return { data: Buffer.from(await data.arrayBuffer()), error: null };
+    },
+
+    remove: async (keys) => {
+      if (keys.length === 0) return { data: [], error: null };
+      const { error } = await files.remove(keys);
+      return error ? { data: null, error } : { data: keys, error: null };
+    },
+  };
+}
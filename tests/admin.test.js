@@ -0,0 +1,203 @@
+import bcrypt from 'bcrypt';
+import request from 'supertest';
+import { hasPermission } from '../lib/roles.js';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('Roles and admin endpoints', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let admin;
+  let editor;
+  let author;
+  let reader;
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp());
+    admin = await seedUser(db, { name: 'Admin', email: 'admin@example.com', role: 'admin' });
+    editor = await seedUser(db, { name: 'Editor', email: 'editor@example.com', role: 'editor' });
+    author = await seedUser(db, { name: 'Author', email: 'author@example.com' });
+    reader = await seedUser(db, { name: 'Reader', email: 'reader@example.com', role: 'reader' });
+  });
+
+  const as = (user, req) => req.set('Authorization', `Bearer ${tokenFor(user)}`);
+  const createPost = async (user = author) =>
+    (await as(user, request(app).post('/api/posts'))
+      .send({ title: 'Moderated post', content: 'Some content to moderate' })
+      .expect(201)).body.post;
+
+  describe('Permissions', () => {
+    test('should map roles to permissions', () => {
+      // Assert
+      expect(hasPermission('reader', 'posts:write')).toBe(false);
+      expect(hasPermission('author', 'posts:write')).toBe(true);
+      expect(hasPermission('editor', 'posts:moderate')).toBe(true);
+      expect(hasPermission('editor', 'users:manage')).toBe(false);
+      expect(hasPermission('admin', 'users:manage')).toBe(true);
+      expect(hasPermission(undefined, 'posts:write')).toBe(true);
+    });
+
+    test('should keep readers from writing posts', async () => {
+      // Act
+      const response = await as(reader, request(app).post('/api/posts'))
+        .send({ title: 'Not allowed', content: 'Readers cannot write' })
+        .expect(403);
+
+      // Assert
+      expect(response.body.error).toBe('Insufficient permissions');
+    });
+
+    test('should carry the role in access tokens and on the profile', async () => {
+      // Arrange
+      await db.users.update(editor.id, { password: await bcrypt.hash('password123', 4) });
+
+      // Act
+      const login = await request(app)
+        .post('/api/login')
+        .send({ email: 'editor@example.com', password: 'password123' })
+        .expect(200);
+      const payload = JSON.parse(Buffer.from(login.body.token.split('.')[1], 'base64url'));
+
+      // Assert
+      expect(payload.role).toBe('editor');
+      expect(login.body.user.role).toBe('editor');
+    });
+  });
+
+  describe('User management', () => {
+    test('should list and search users without password hashes', async () => {
+      // Act
+      const all = await as(admin, request(app).get('/api/admin/users')).expect(200);
+      const found = await as(admin, request(app).get('/api/admin/users')).query({ q: 'EDIT' }).expect(200);
+      const readers = await as(admin, request(app).get('/api/admin/users')).query({ role: 'reader' }).expect(200);
+
+      // Assert
+      expect(all.body.users).toHaveLength(4);
+      expect(all.body.users[0]).not.toHaveProperty('password');
+      expect(found.body.users.map((u) => u.name)).toEqual(['Editor']);
+      expect(readers.body.users.map((u) => u.name)).toEqual(['Reader']);
+    });
+
+    test('should paginate users with a cursor', async () => {
+      // Act
+      const first = await as(admin, request(app).get('/api/admin/users')).query({ limit: 3 }).expect(200);
+      const second = await as(admin, request(app).get('/api/admin/users'))
+        .query({ limit: 3, cursor: first.body.next_cursor })
+        .expect(200);
+
+      // Assert
+      expect(first.body.users).toHaveLength(3);
+      expect(second.body.users.map((u) => u.name)).toEqual(['Reader']);
+      expect(second.body.next_cursor).toBeNull();
+    });
+
+    test('should only let admins manage users', async () => {
+      // Act & Assert
+      await as(editor, request(app).get('/api/admin/users')).expect(403);
+      await as(author, request(app).patch(`/api/admin/users/${reader.id}/role`))
+        .send({ role: 'admin' })
+        .expect(403);
+    });
+
+    test('should change roles and reject unknown ones or self-changes', async () => {
+      // Act
+      const changed = await as(admin, request(app).patch(`/api/admin/users/${reader.id}/role`))
+        .send({ role: 'author' })
+        .expect(200);
+
+      // Assert
+      expect(changed.body.user).toMatchObject({ id: reader.id, role: 'author' });
+      await as(admin, request(app).patch(`/api/admin/users/${reader.id}/role`))
+        .send({ role: 'owner' })
+        .expect(400);
+      await as(admin, request(app).patch(`/api/admin/users/${admin.id}/role`))
+        .send({ role: 'reader' })
+        .expect(400);
+      await as(admin, request(app).patch('/api/admin/users/9999/role'))
+        .send({ role: 'reader' })
+        .expect(404);
+    });
+
+    test('should suspend an account, ending its sessions and blocking login', async () => {
+      // Arrange
+      await db.users.update(author.id, { password: await bcrypt.hash('password123', 4) });
+      const credentials = { email: 'author@example.com', password: 'password123' };
+      const session = (await request(app).post('/api/login').send(credentials).expect(200)).body;
+
+      // Act
+      const suspended = await as(admin, request(app).post(`/api/admin/users/${author.id}/suspend`))
+        .expect(200);
+
+      // Assert
+      expect(suspended.body.user.suspended_at).not.toBeNull();
+      await request(app).get('/api/profile').set('Authorization', `Bearer ${session.token}`).expect(401);
+      await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken }).expect(401);
+      const login = await request(app).post('/api/login').send(credentials).expect(403);
+      expect(login.body.error).toBe('Account suspended');
+
+      await as(admin, request(app).post(`/api/admin/users/${author.id}/unsuspend`)).expect(200);
+      await request(app).post('/api/login').send(credentials).expect(200);
+    });
+  });
+
+  describe('Post moderation', () => {
+    test('should let editors edit any post', async () => {
+      // Arrange
+      const post = await createPost();
+
+      // Act
+      const response = await as(editor, request(app).put(`/api/admin/posts/${post.id}`))
+        .send({ title: 'Edited by staff', content: 'Cleaned up by an editor', tags: ['staff-pick'] })
+        .expect(200);
+
+      // Assert
+      expect(response.body.post).toMatchObject({
+        title: 'Edited by staff',
+        user_id: author.id,
+        tags: ['staff-pick']
+      });
+      const tags = await as(author, request(app).get('/api/tags')).expect(200);
+      expect(tags.body.tags.map((t) => t.slug)).toEqual(['staff-pick']);
+    });
+
+    test('should move removed posts to the author trash', async () => {
+      // Arrange
+      const post = await createPost();
+
+      // Act
+      await as(admin, request(app).delete(`/api/admin/posts/${post.id}`)).expect(200);
+
+      // Assert
+      const trash = await as(author, request(app).get('/api/posts/trash')).expect(200);
+      expect(trash.body.posts.map((p) => p.id)).toEqual([post.id]);
+      await as(admin, request(app).delete(`/api/admin/posts/${post.id}`)).expect(404);
+    });
+
+    test('should keep authors from restoring posts removed by a moderator', async () => {
+      // Arrange
+      const post = await createPost();
+      await as(editor, request(app).delete(`/api/admin/posts/${post.id}`)).expect(200);
+
+      // Act
+      const response = await as(author, request(app).post(`/api/posts/${post.id}/restore`))
+        .expect(403);
+
+      // Assert
+      expect(response.body.error).toBe('Post was removed by a moderator');
+      expect((await db.posts.restore(post.id, author.id)).error).toBeTruthy();
+      await request(app).get(`/api/public/posts/${post.slug}`).expect(404);
+      await as(author, request(app).delete(`/api/posts/trash/${post.id}`)).expect(200);
+    });
+
+    test('should keep authors and readers out of moderation', async () => {
+      // Arrange
+      const post = await createPost(editor);
+
+      // Act & Assert
+      await as(author, request(app).delete(`/api/admin/posts/${post.id}`)).expect(403);
+      await as(reader, request(app).put(`/api/admin/posts/${post.id}`))
+        .send({ title: 'Hijacked', content: 'Hijacked content' })
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import express from 'express';
+import request from 'supertest';
+import { createFileDb } from '../db/file.js';
+import { createApp } from '../server.js';
+import { createTestApp } from './helpers/testHelpers.js';
+
+describe('createApp', () => {
+  describe('Configuration', () => {
+    test('should require a JWT secret', () => {
+      // Act & Assert
+      expect(() => createApp({ db: createFileDb(), jwtSecret: '', passportStrategies: [] }))
+        .toThrow('createApp requires a jwtSecret');
+    });
+
+    test('should not register Google routes without a strategy', async () => {
+      // Arrange
+      const { app } = createTestApp();
+
+      // Act & Assert
+      await request(app).get('/api/auth/google').expect(404);
+    });
+
+    test('should mount under any prefix', async () => {
+      // Arrange
+      const api = createApp({ db: createFileDb(), jwtSecret: 'secret', passportStrategies: [] });
+      const app = express().use('/v2', api);
+
+      // Act & Assert
+      await request(app).get('/v2/posts').expect(401);
+    });
+  });
+
+  describe('Offline auth flow', () => {
+    test('should sign up, log in and reach protected routes', async () => {
+      // Arrange
+      const { app } = createTestApp();
+      const credentials = { email: 'reader@example.com', password: 'secret1' };
+
+      // Act
+      const signup = await request(app)
+        .post('/api/signup')
+        .send({ ...credentials, name: 'Reader' })
+        .expect(201);
+      const login = await request(app)
+        .post('/api/login')
+        .send(credentials)
+        .expect(200);
+      const profile = await request(app)
+        .get('/api/profile')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(200);
+
+      // Assert
+      expect(signup.body.user).toEqual(login.body.user);
+      expect(profile.body.user).toEqual({
+        id: signup.body.user.id,
+        name: 'Reader',
+        email: 'reader@example.com',
+        role: 'author',
+        email_verified: false,
+        bio: null,
+        website: null,
+        avatar_url: null,
+        joined_at: expect.any(String),
+        has_password: true,
+        deletion_due_at: null,
+        followers_count: 0,
+        following_count: 0
+      });
+    });
+
+    test('should expire tokens according to the injected clock', async () => {
+      // Arrange
+      let now = new Date('2025-01-01T00:00:00.000Z');
+      const { app } = createTestApp({ clock: () => now });
+      const { body } = await request(app)
+        .post('/api/signup')
+        .send({ email: 'clock@example.com', password: 'secret1', name: 'Clock' })
+        .expect(201);
+
+      // Act
+      now = new Date('2025-01-01T00:59:00.000Z');
+      await request(app).get('/api/profile').set('Authorization', `Bearer ${body.token}`).expect(200);
+      now = new Date('2025-01-01T01:01:00.000Z');
+      const expired = await request(app)
+        .get('/api/profile')
+        .set('Authorization', `Bearer ${body.token}`);
+
+      // Assert
+      expect(expired.status).toBe(403);
+    });
+  });
+});
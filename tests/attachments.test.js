@@ -0,0 +1,180 @@
+import request from 'supertest';
+import sharp from 'sharp';
+import { createTrashPurger } from '../jobs/trashPurger.js';
+import { sniffType } from '../lib/uploads.js';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('Post attachments', () => {
+  let app;
+  let db;
+  let storage;
+  let tokenFor;
+  let author;
+  let reader;
+  let post;
+  let png;
+
+  beforeAll(async () => {
+    png = await sharp({
+      create: { width: 800, height: 600, channels: 3, background: '#336699' }
+    }).png().toBuffer();
+  });
+
+  beforeEach(async () => {
+    ({ app, db, storage, tokenFor } = createTestApp({ maxUploadBytes: 64 * 1024 }));
+    author = await seedUser(db, { name: 'Author' });
+    reader = await seedUser(db, { name: 'Reader' });
+    const response = await as(author, request(app).post('/api/posts'))
+      .send({ title: 'Post with pictures', content: 'Look at these pictures' })
+      .expect(201);
+    post = response.body.post;
+  });
+
+  const as = (user, req) => req.set('Authorization', `Bearer ${tokenFor(user)}`);
+  const upload = (buffer, filename = 'photo.png', user = author, postId = post.id) =>
+    as(user, request(app).post(`/api/posts/${postId}/attachments`))
+      .attach('file', buffer, { filename, contentType: 'application/octet-stream' });
+
+  describe('Uploading', () => {
+    test('should store an image with its dimensions and a thumbnail', async () => {
+      // Act
+      const response = await upload(png).expect(201);
+
+      // Assert
+      const { attachment } = response.body;
+      expect(attachment).toMatchObject({
+        post_id: post.id,
+        filename: 'photo.png',
+        content_type: 'image/png',
+        size: png.length,
+        width: 800,
+        height: 600,
+        url: `/api/attachments/${attachment.id}`,
+        thumbnail_url: `/api/attachments/${attachment.id}/thumbnail`
+      });
+      expect(storage.files.size).toBe(2);
+    });
+
+    test('should serve the file and a thumbnail that fits 320px', async () => {
+      // Arrange
+      const { attachment } = (await upload(png).expect(201)).body;
+
+      // Act
+      const file = await request(app).get(attachment.url).buffer(true).expect(200);
+      const thumb = await request(app).get(attachment.thumbnail_url).buffer(true).expect(200);
+
+      // Assert
+      expect(file.headers['content-type']).toBe('image/png');
+      expect(Buffer.compare(file.body, png)).toBe(0);
+      const meta = await sharp(thumb.body).metadata();
+      expect(meta).toMatchObject({ format: 'webp', width: 320, height: 240 });
+    });
+
+    test('should sniff the real type instead of trusting the file name', async () => {
+      // Act
+      const disguised = await upload(Buffer.from('<script>alert(1)</script>'), 'evil.png').expect(415);
+      const pdf = await upload(Buffer.from('%PDF-1.4\n%fake pdf body'), 'notes.txt').expect(201);
+
+      // Assert
+      expect(disguised.body.error).toMatch(/Unsupported file type/);
+      expect(pdf.body.attachment).toMatchObject({ content_type: 'application/pdf', thumbnail_url: null });
+    });
+
+    test('should reject files over the size limit and missing files', async () => {
+      // Act & Assert
+      await upload(Buffer.concat([png, Buffer.alloc(70 * 1024)])).expect(413);
+      await as(author, request(app).post(`/api/posts/${post.id}/attachments`)).expect(400);
+    });
+
+    test('should only let the author upload', async () => {
+      // Act & Assert
+      await upload(png, 'photo.png', reader).expect(404);
+      await request(app).post(`/api/posts/${post.id}/attachments`).expect(401);
+    });
+
+    test('sniffType should recognise common signatures', () => {
+      // Assert
+      expect(sniffType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+      expect(sniffType(Buffer.from('GIF89a...'))).toBe('image/gif');
+      expect(sniffType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+      expect(sniffType(Buffer.from('hello'))).toBeNull();
+    });
+  });
+
+  describe('Listing and visibility', () => {
+    test('should list attachments of readable posts only', async () => {
+      // Arrange
+      await upload(png).expect(201);
+      const draft = (await as(author, request(app).post('/api/posts'))
+        .send({ title: 'Draft post', content: 'Not ready yet', status: 'draft' })
+        .expect(201)).body.post;
+      const hidden = (await upload(png, 'draft.png', author, draft.id).expect(201)).body.attachment;
+
+      // Act
+      const listed = await request(app).get(`/api/posts/${post.id}/attachments`).expect(200);
+
+      // Assert
+      expect(listed.body.attachments).toHaveLength(1);
+      await request(app).get(`/api/posts/${draft.id}/attachments`).expect(404);
+      await as(reader, request(app).get(hidden.url)).expect(404);
+      await as(author, request(app).get(hidden.url)).expect(200);
+    });
+  });
+
+  describe('Cleanup', () => {
+    test('should delete a single attachment and its files', async () => {
+      // Arrange
+      const { attachment } = (await upload(png).expect(201)).body;
+
+      // Act
+      await as(reader, request(app).delete(`/api/attachments/${attachment.id}`)).expect(404);
+      await as(author, request(app).delete(`/api/attachments/${attachment.id}`)).expect(200);
+
+      // Assert
+      expect(storage.files.size).toBe(0);
+      await request(app).get(attachment.url).expect(404);
+    });
+
+    test('should keep authors demoted to reader from deleting attachments', async () => {
+      // Arrange
+      const { attachment } = (await upload(png).expect(201)).body;
+
+      // Act
+      const response = await as({ ...author, role: 'reader' }, request(app).delete(`/api/attachments/${attachment.id}`))
+        .expect(403);
+
+      // Assert
+      expect(response.body.error).toBe('Insufficient permissions');
+      expect(storage.files.size).toBe(2);
+    });
+
+    test('should keep files while the post is in the trash and remove them on permanent delete', async () => {
+      // Arrange
+      await upload(png).expect(201);
+
+      // Act
+      await as(author, request(app).delete(`/api/posts/${post.id}`)).expect(200);
+      const whileTrashed = storage.files.size;
+      await as(author, request(app).delete(`/api/posts/trash/${post.id}`)).expect(200);
+
+      // Assert
+      expect(whileTrashed).toBe(2);
+      expect(storage.files.size).toBe(0);
+      expect((await db.attachments.listDetached()).data).toEqual([]);
+    });
+
+    test('should remove attachments of posts purged from the trash', async () => {
+      // Arrange
+      await upload(png).expect(201);
+      await as(author, request(app).delete(`/api/posts/${post.id}`)).expect(200);
+      const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+      const purger = createTrashPurger({ db, storage, clock: () => later });
+
+      // Act
+      await purger.runOnce();
+
+      // Assert
+      expect(storage.files.size).toBe(0);
+    });
+  });
+});
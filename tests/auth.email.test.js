@@ -0,0 +1,189 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createFileMailer } from '../mail/file.js';
+import { createTestApp } from './helpers/testHelpers.js';
+
+describe('Email verification and password reset', () => {
+  let app;
+  let db;
+  let mailer;
+  let now;
+
+  const credentials = { email: 'writer@example.com', password: 'secret1' };
+
+  // Pulls the token out of the link in the latest email to an address
+  const tokenFrom = (to) => {
+    const message = mailer.messages.filter((m) => m.to === to).at(-1);
+    return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+  };
+
+  const signup = () =>
+    request(app)
+      .post('/api/signup')
+      .send({ ...credentials, name: 'Writer' })
+      .expect(201);
+
+  beforeEach(() => {
+    now = new Date('2025-01-01T00:00:00.000Z');
+    ({ app, db, mailer } = createTestApp({
+      clock: () => now,
+      siteUrl: 'https://blog.example.com'
+    }));
+  });
+
+  describe('Email verification', () => {
+    test('should email a verification link on signup', async () => {
+      // Act
+      const response = await signup();
+
+      // Assert
+      expect(response.body.user.email_verified).toBe(false);
+      expect(mailer.messages).toHaveLength(1);
+      expect(mailer.messages[0]).toMatchObject({
+        to: 'writer@example.com',
+        subject: 'Confirm your email address'
+      });
+      expect(mailer.messages[0].text).toContain('https://blog.example.com/verify-email?token=');
+    });
+
+    test('should verify the email once per token', async () => {
+      // Arrange
+      await signup();
+      const token = tokenFrom('writer@example.com');
+
+      // Act
+      const verified = await request(app).post('/api/email/verify').send({ token }).expect(200);
+      const replayed = await request(app).post('/api/email/verify').send({ token }).expect(400);
+
+      // Assert
+      expect(verified.body.user.email_verified).toBe(true);
+      expect(replayed.body.error).toBe('Invalid or expired token');
+      const { data: user } = await db.users.findByEmail('writer@example.com');
+      expect(user.email_verified_at).toBe('2025-01-01T00:00:00.000Z');
+    });
+
+    test('should reject verification tokens after 24 hours', async () => {
+      // Arrange
+      await signup();
+      const token = tokenFrom('writer@example.com');
+      now = new Date('2025-01-02T00:00:01.000Z');
+
+      // Act & Assert
+      await request(app).post('/api/email/verify').send({ token }).expect(400);
+    });
+
+    test('should resend the link and retire the previous one', async () => {
+      // Arrange
+      const { body } = await signup();
+      const first = tokenFrom('writer@example.com');
+
+      // Act
+      await request(app)
+        .post('/api/email/verify/resend')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+      const second = tokenFrom('writer@example.com');
+
+      // Assert
+      await request(app).post('/api/email/verify').send({ token: first }).expect(400);
+      await request(app).post('/api/email/verify').send({ token: second }).expect(200);
+      const again = await request(app)
+        .post('/api/email/verify/resend')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(400);
+      expect(again.body.error).toBe('Email already verified');
+    });
+  });
+
+  describe('Password reset', () => {
+    test('should answer the same for unknown emails without sending anything', async () => {
+      // Arrange
+      await signup();
+      mailer.messages.length = 0;
+
+      // Act
+      const known = await request(app).post('/api/password/forgot').send({ email: credentials.email }).expect(200);
+      const unknown = await request(app).post('/api/password/forgot').send({ email: 'nobody@example.com' }).expect(200);
+
+      // Assert
+      expect(unknown.body).toEqual(known.body);
+      expect(mailer.messages.map((m) => m.to)).toEqual(['writer@example.com']);
+      expect(mailer.messages[0].text).toContain('https://blog.example.com/reset-password?token=');
+    });
+
+    test('should reset the password, verify the email and end existing sessions', async () => {
+      // Arrange
+      const session = (await signup()).body;
+      await request(app).post('/api/password/forgot').send({ email: credentials.email }).expect(200);
+      const token = tokenFrom('writer@example.com');
+
+      // Act
+      await request(app).post('/api/password/reset').send({ token, password: 'newsecret' }).expect(200);
+
+      // Assert
+      await request(app).post('/api/login').send(credentials).expect(401);
+      const login = await request(app)
+        .post('/api/login')
+        .send({ email: credentials.email, password: 'newsecret' })
+        .expect(200);
+      expect(login.body.user.email_verified).toBe(true);
+      await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken }).expect(401);
+      await request(app).post('/api/password/reset').send({ token, password: 'another1' }).expect(400);
+    });
+
+    test('should expire reset tokens after an hour and when a newer one is sent', async () => {
+      // Arrange
+      await signup();
+      await request(app).post('/api/password/forgot').send({ email: credentials.email }).expect(200);
+      const first = tokenFrom('writer@example.com');
+      await request(app).post('/api/password/forgot').send({ email: credentials.email }).expect(200);
+      const second = tokenFrom('writer@example.com');
+
+      // Act
+      const retired = await request(app).post('/api/password/reset').send({ token: first, password: 'newsecret' });
+      now = new Date('2025-01-01T01:00:01.000Z');
+      const expired = await request(app).post('/api/password/reset').send({ token: second, password: 'newsecret' });
+
+      // Assert
+      expect(retired.status).toBe(400);
+      expect(expired.status).toBe(400);
+    });
+
+    test('should not accept a verification token as a reset token', async () => {
+      // Arrange
+      await signup();
+      const token = tokenFrom('writer@example.com');
+
+      // Act & Assert
+      await request(app).post('/api/password/reset').send({ token, password: 'newsecret' }).expect(400);
+    });
+  });
+
+  describe('File mailer', () => {
+    test('should write each message to an .eml file', async () => {
+      // Arrange
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+      const fileMailer = createFileMailer({ from: 'Blog <no-reply@example.com>', dir });
+
+      try {
+        // Act
+        const { data, error } = await fileMailer.send({
+          to: 'writer@example.com',
+          subject: 'Hello\r\nBcc: someone@example.com',
+          text: 'Body text'
+        });
+
+        // Assert
+        expect(error).toBeNull();
+        const eml = fs.readFileSync(data.file, 'utf8');
+        expect(eml).toContain('To: writer@example.com\r\n');
+        expect(eml).toContain('Subject: Hello Bcc: someone@example.com\r\n');
+        expect(eml.endsWith('\r\n\r\nBody text')).toBe(true);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createMemoryCounterStore } from '../counters/memory.js';
+import { DEFAULT_RATE_LIMITS } from '../lib/rateLimits.js';
+import { createTestApp } from './helpers/testHelpers.js';
+
+describe('Auth rate limits and login lockout', () => {
+  let app;
+  let now;
+
+  const credentials = { email: 'writer@example.com', password: 'secret1' };
+  const wrong = { email: 'writer@example.com', password: 'wrong-password' };
+
+  const build = (rateLimits = {}, overrides = {}) => {
+    ({ app } = createTestApp({
+      clock: () => now,
+      rateLimits: { ...DEFAULT_RATE_LIMITS, ...rateLimits },
+      ...overrides
+    }));
+  };
+
+  const advance = (ms) => {
+    now = new Date(now.getTime() + ms);
+  };
+
+  beforeEach(() => {
+    now = new Date('2025-01-01T00:00:00.000Z');
+  });
+
+  describe('Per-IP limits', () => {
+    test('should answer 429 with Retry-After once an IP exceeds the limit', async () => {
+      // Arrange
+      build({ ipMax: 2, windowMs: 60 * 1000 });
+      await request(app).post('/api/password/forgot').send({ email: 'a@example.com' }).expect(200);
+      await request(app).post('/api/password/forgot').send({ email: 'b@example.com' }).expect(200);
+      advance(15 * 1000);
+
+      // Act
+      const response = await request(app)
+        .post('/api/password/forgot')
+        .send({ email: 'c@example.com' })
+        .expect(429);
+
+      // Assert
+      expect(response.headers['retry-after']).toBe('45');
+      expect(response.body.error).toBe('Too many requests, please try again later');
+    });
+
+    test('should count each route separately and start over after the window', async () => {
+      // Arrange
+      build({ ipMax: 1, windowMs: 60 * 1000 });
+      await request(app).post('/api/password/forgot').send({ email: 'a@example.com' }).expect(200);
+
+      // Act & Assert
+      await request(app).post('/api/password/forgot').send({ email: 'a@example.com' }).expect(429);
+      await request(app).post('/api/login').send(wrong).expect(401);
+      advance(60 * 1000);
+      await request(app).post('/api/password/forgot').send({ email: 'a@example.com' }).expect(200);
+    });
+
+    test('should key on the forwarded client address when the proxy is trusted', async () => {
+      // Arrange
+      build({ ipMax: 1 }, { trustProxy: 1 });
+      const from = (ip) =>
+        request(app).post('/api/password/forgot').set('X-Forwarded-For', ip).send({ email: 'a@example.com' });
+
+      // Act & Assert
+      await from('203.0.113.1').expect(200);
+      await from('203.0.113.2').expect(200);
+      await from('203.0.113.1').expect(429);
+    });
+  });
+
+  describe('Per-account limits', () => {
+    test('should limit an email address across IPs, ignoring case', async () => {
+      // Arrange
+      build({ accountMax: 2 }, { trustProxy: true });
+      const forgot = (ip, email) =>
+        request(app).post('/api/password/forgot').set('X-Forwarded-For', ip).send({ email });
+
+      // Act & Assert
+      await forgot('203.0.113.1', 'writer@example.com').expect(200);
+      await forgot('203.0.113.2', 'Writer@Example.com').expect(200);
+      await forgot('203.0.113.3', 'writer@example.com').expect(429);
+      await forgot('203.0.113.3', 'other@example.com').expect(200);
+    });
+  });
+
+  describe('Login lockout', () => {
+    beforeEach(async () => {
+      build({
+        accountMax: 100,
+        lockoutThreshold: 3,
+        lockoutBaseMs: 60 * 1000,
+        lockoutMaxMs: 4 * 60 * 1000
+      });
+      await request(app).post('/api/signup').send({ ...credentials, name: 'Writer' }).expect(201);
+    });
+
+    const failLogins = async (count) => {
+      for (let i = 0; i < count; i += 1) {
+        await request(app).post('/api/login').send(wrong).expect(401);
+      }
+    };
+
+    test('should lock the account after repeated failures, even for the right password', async () => {
+      // Arrange
+      await failLogins(3);
+
+      // Act
+      const response = await request(app).post('/api/login').send(credentials).expect(429);
+
+      // Assert
+      expect(response.headers['retry-after']).toBe('60');
+      expect(response.body.error).toBe('Too many failed login attempts, please try again later');
+      advance(60 * 1000);
+      await request(app).post('/api/login').send(credentials).expect(200);
+    });
+
+    test('should double each further lockout up to the maximum', async () => {
+      // Arrange
+      await failLogins(3);
+
+      // Act
+      const lockouts = [];
+      for (let i = 0; i < 3; i += 1) {
+        const locked = await request(app).post('/api/login').send(wrong).expect(429);
+        advance(Number(locked.headers['retry-after']) * 1000);
+        await request(app).post('/api/login').send(wrong).expect(401);
+        lockouts.push(locked.headers['retry-after']);
+      }
+
+      // Assert
+      expect(lockouts).toEqual(['60', '120', '240']);
+      const capped = await request(app).post('/api/login').send(wrong).expect(429);
+      expect(capped.headers['retry-after']).toBe('240');
+    });
+
+    test('should clear the failure count after a successful login', async () => {
+      // Arrange
+      await failLogins(2);
+      await request(app).post('/api/login').send(credentials).expect(200);
+
+      // Act
+      await failLogins(2);
+
+      // Assert
+      await request(app).post('/api/login').send(credentials).expect(200);
+    });
+
+    test('should lock unknown emails too, so lockouts do not reveal accounts', async () => {
+      // Arrange
+      const unknown = { email: 'nobody@example.com', password: 'whatever' };
+      for (let i = 0; i < 3; i += 1) {
+        await request(app).post('/api/login').send(unknown).expect(401);
+      }
+
+      // Act & Assert
+      await request(app).post('/api/login').send(unknown).expect(429);
+    });
+  });
+
+  describe('Counter store', () => {
+    test('should let requests through when the store fails', async () => {
+      // Arrange
+      const broken = {
+        increment: async () => ({ data: null, error: { message: 'store offline' } }),
+        get: async () => ({ data: null, error: { message: 'store offline' } }),
+        reset: async () => ({ data: null, error: { message: 'store offline' } })
+      };
+      build({ ipMax: 1, lockoutThreshold: 1 }, { counterStore: broken });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        // Act & Assert
+        await request(app).post('/api/login').send(wrong).expect(401);
+        await request(app).post('/api/login').send(wrong).expect(401);
+      } finally {
+        console.error.mockRestore();
+      }
+    });
+
+    test('should count hits in fixed windows', async () => {
+      // Arrange
+      const store = createMemoryCounterStore({ clock: () => now });
+
+      // Act
+      await store.increment('key', 1000);
+      const second = await store.increment('key', 1000);
+      advance(1000);
+      const afterWindow = await store.get('key');
+      const restarted = await store.increment('key', 1000);
+
+      // Assert
+      expect(second.data).toEqual({ count: 2, resetAt: new Date('2025-01-01T00:00:01.000Z') });
+      expect(afterWindow.data).toBeNull();
+      expect(restarted.data.count).toBe(1);
+    });
+  });
+});
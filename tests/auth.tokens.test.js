@@ -0,0 +1,203 @@
+import request from 'supertest';
+import { createMemoryCounterStore } from '../counters/memory.js';
+import { createTokenPurger } from '../jobs/tokenPurger.js';
+import { createTestApp } from './helpers/testHelpers.js';
+
+describe('Refresh tokens and logout', () => {
+  let app;
+  let db;
+  let now;
+  let session;
+
+  beforeEach(async () => {
+    now = new Date('2025-01-01T00:00:00.000Z');
+    ({ app, db } = createTestApp({ clock: () => now }));
+    const response = await request(app)
+      .post('/api/signup')
+      .send({ email: 'writer@example.com', password: 'secret1', name: 'Writer' })
+      .expect(201);
+    session = response.body;
+  });
+
+  const profileWith = (token) =>
+    request(app).get('/api/profile').set('Authorization', `Bearer ${token}`);
+
+  describe('POST /api/auth/refresh', () => {
+    test('should issue a refresh token on signup and login', async () => {
+      // Act
+      const login = await request(app)
+        .post('/api/login')
+        .send({ email: 'writer@example.com', password: 'secret1' })
+        .expect(200);
+
+      // Assert
+      expect(typeof session.refreshToken).toBe('string');
+      expect(typeof login.body.refreshToken).toBe('string');
+      expect(login.body.refreshToken).not.toBe(session.refreshToken);
+    });
+
+    test('should rotate the refresh token and return a working access token', async () => {
+      // Arrange
+      now = new Date('2025-01-01T02:00:00.000Z'); // original access token has expired
+
+      // Act
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      // Assert
+      expect(response.body.refreshToken).not.toBe(session.refreshToken);
+      expect(response.body.user.email).toBe('writer@example.com');
+      await profileWith(session.token).expect(403);
+      await profileWith(response.body.token).expect(200);
+    });
+
+    test('should revoke the whole session when a rotated token is replayed', async () => {
+      // Arrange
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      // Act
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+
+      // Assert
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.refreshToken })
+        .expect(401);
+      await profileWith(rotated.body.token).expect(401);
+    });
+
+    test('should reject expired refresh tokens', async () => {
+      // Arrange
+      now = new Date('2025-03-01T00:00:00.000Z');
+
+      // Act
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+
+      // Assert
+      expect(response.body).toEqual({ error: 'Invalid refresh token' });
+    });
+
+    test('should return 400 without a refresh token', async () => {
+      // Act
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({})
+        .expect(400);
+
+      // Assert
+      expect(response.body.error).toBe('Validation failed');
+    });
+  });
+
+  describe('POST /api/logout', () => {
+    test('should revoke the access and refresh tokens immediately', async () => {
+      // Act
+      await request(app)
+        .post('/api/logout')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+
+      // Assert
+      const response = await profileWith(session.token).expect(401);
+      expect(response.body).toEqual({ error: 'Token has been revoked' });
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+    });
+
+    test('should leave other sessions alone by default', async () => {
+      // Arrange
+      const other = await request(app)
+        .post('/api/login')
+        .send({ email: 'writer@example.com', password: 'secret1' })
+        .expect(200);
+
+      // Act
+      await request(app)
+        .post('/api/logout')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+
+      // Assert
+      await profileWith(other.body.token).expect(200);
+    });
+
+    test('should revoke every session with all: true', async () => {
+      // Arrange
+      const other = await request(app)
+        .post('/api/login')
+        .send({ email: 'writer@example.com', password: 'secret1' })
+        .expect(200);
+
+      // Act
+      await request(app)
+        .post('/api/logout')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({ all: true })
+        .expect(200);
+
+      // Assert
+      await profileWith(other.body.token).expect(401);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: other.body.refreshToken })
+        .expect(401);
+    });
+
+    test('should require authentication', async () => {
+      // Act & Assert
+      await request(app).post('/api/logout').expect(401);
+    });
+  });
+
+  describe('Token purger', () => {
+    test('should delete expired sessions, denials and counters but keep live sessions whole', async () => {
+      // Arrange
+      const login = await request(app)
+        .post('/api/login')
+        .send({ email: 'writer@example.com', password: 'secret1' })
+        .expect(200);
+      await request(app)
+        .post('/api/logout')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(200);
+      now = new Date('2025-01-20T00:00:00.000Z');
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+      const counterStore = createMemoryCounterStore({ clock: () => now });
+      await counterStore.increment('ip:127.0.0.1', 60 * 1000);
+      now = new Date('2025-02-05T00:00:00.000Z');
+      const purger = createTokenPurger({ db, counterStore, clock: () => now });
+
+      // Act
+      const removed = await purger.runOnce();
+
+      // Assert
+      expect(removed).toMatchObject({ refreshTokens: 1, revokedTokens: 2, rateLimitCounters: 1 });
+      expect(await purger.runOnce()).toMatchObject({ refreshTokens: 0, revokedTokens: 0 });
+      // The expired first token of the live session still gives a replay away
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.refreshToken })
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import request from 'supertest';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('Comments', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let author;
+  let reader;
+  let post;
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp());
+    author = await seedUser(db, { name: 'Author' });
+    reader = await seedUser(db, { name: 'Reader' });
+    const response = await as(author, request(app).post('/api/posts'))
+      .send({ title: 'Open for comments', content: 'Tell me what you think' })
+      .expect(201);
+    post = response.body.post;
+  });
+
+  const as = (user, req) => req.set('Authorization', `Bearer ${tokenFor(user)}`);
+  const comment = (user, body, postId = post.id) =>
+    as(user, request(app).post(`/api/posts/${postId}/comments`)).send(body);
+  const thread = async (user) =>
+    (await as(user, request(app).get(`/api/posts/${post.id}/comments`)).expect(200)).body;
+
+  describe('Posting and threading', () => {
+    test('should hold reader comments for moderation and auto-approve the author', async () => {
+      // Act
+      const fromReader = await comment(reader, { body: 'Great post!' }).expect(201);
+      const fromAuthor = await comment(author, { body: 'Thanks for reading' }).expect(201);
+
+      // Assert
+      expect(fromReader.body.comment).toMatchObject({ status: 'pending', user_id: reader.id });
+      expect(fromAuthor.body.comment.status).toBe('approved');
+    });
+
+    test('should nest replies under their parent', async () => {
+      // Arrange
+      const root = (await comment(author, { body: 'Root comment' }).expect(201)).body.comment;
+      const reply = (await comment(author, { body: 'A reply', parent_id: root.id }).expect(201)).body.comment;
+      await comment(author, { body: 'Nested reply', parent_id: reply.id }).expect(201);
+
+      // Act
+      const { comments } = await thread(reader);
+
+      // Assert
+      expect(comments).toHaveLength(1);
+      expect(comments[0].body).toBe('Root comment');
+      expect(comments[0].replies[0].body).toBe('A reply');
+      expect(comments[0].replies[0].replies[0].body).toBe('Nested reply');
+    });
+
+    test('should reject replies to comments on another post', async () => {
+      // Arrange
+      const other = (await as(author, request(app).post('/api/posts'))
+        .send({ title: 'Another post', content: 'Another post content' })
+        .expect(201)).body.post;
+      const foreign = (await comment(author, { body: 'Elsewhere' }, other.id).expect(201)).body.comment;
+
+      // Act
+      const response = await comment(reader, { body: 'Reply', parent_id: foreign.id }).expect(400);
+
+      // Assert
+      expect(response.body).toEqual({ error: 'Parent comment not found on this post' });
+    });
+
+    test('should not allow comments on someone else\'s draft', async () => {
+      // Arrange
+      await as(author, request(app).post(`/api/posts/${post.id}/unpublish`)).expect(200);
+
+      // Act & Assert
+      await comment(reader, { body: 'Sneaky' }).expect(404);
+      await comment(author, { body: 'Note to self' }).expect(201);
+    });
+
+    test('should validate the comment body', async () => {
+      // Act & Assert
+      await comment(reader, { body: '   ' }).expect(400);
+    });
+  });
+
+  describe('Visibility', () => {
+    test('should show pending comments only to their author and the post author', async () => {
+      // Arrange
+      await comment(reader, { body: 'Awaiting approval' }).expect(201);
+      const stranger = await seedUser(db);
+
+      // Act
+      const forReader = await thread(reader);
+      const forAuthor = await thread(author);
+      const forStranger = await thread(stranger);
+
+      // Assert
+      expect(forReader.comments).toHaveLength(1);
+      expect(forAuthor.comments).toHaveLength(1);
+      expect(forStranger.comments).toEqual([]);
+    });
+  });
+
+  describe('Editing and deleting', () => {
+    test('should let the commenter edit and send the comment back to moderation', async () => {
+      // Arrange
+      const created = (await comment(reader, { body: 'First draft' }).expect(201)).body.comment;
+      await as(author, request(app).post(`/api/comments/${created.id}/approve`)).expect(200);
+
+      // Act
+      const response = await as(reader, request(app).patch(`/api/comments/${created.id}`))
+        .send({ body: 'Second draft' })
+        .expect(200);
+
+      // Assert
+      expect(response.body.comment).toMatchObject({ body: 'Second draft', status: 'pending' });
+    });
+
+    test('should keep a hidden comment hidden when it is edited', async () => {
+      // Arrange
+      const created = (await comment(reader, { body: 'Rude remark' }).expect(201)).body.comment;
+      await as(author, request(app).post(`/api/comments/${created.id}/hide`)).expect(200);
+
+      // Act
+      const response = await as(reader, request(app).patch(`/api/comments/${created.id}`))
+        .send({ body: 'Polite remark' })
+        .expect(200);
+
+      // Assert
+      expect(response.body.comment).toMatchObject({ body: 'Polite remark', status: 'hidden' });
+    });
+
+    test('should not let anyone else edit a comment', async () => {
+      // Arrange
+      const created = (await comment(reader, { body: 'Mine' }).expect(201)).body.comment;
+
+      // Act & Assert
+      await as(author, request(app).patch(`/api/comments/${created.id}`))
+        .send({ body: 'Rewritten' })
+        .expect(403);
+    });
+
+    test('should keep a deleted comment as a placeholder while it has replies', async () => {
+      // Arrange
+      const root = (await comment(author, { body: 'Root' }).expect(201)).body.comment;
+      const reply = (await comment(author, { body: 'Reply', parent_id: root.id }).expect(201)).body.comment;
+
+      // Act
+      await as(author, request(app).delete(`/api/comments/${root.id}`)).expect(200);
+      const withReply = await thread(reader);
+      await as(author, request(app).delete(`/api/comments/${reply.id}`)).expect(200);
+      const empty = await thread(reader);
+
+      // Assert
+      expect(withReply.comments[0]).toMatchObject({ deleted: true, body: null, user_id: null });
+      expect(withReply.comments[0].replies[0].body).toBe('Reply');
+      expect(empty.comments).toEqual([]);
+    });
+
+    test('should let the post author delete any comment but not strangers', async () => {
+      // Arrange
+      const created = (await comment(reader, { body: 'Spam spam spam' }).expect(201)).body.comment;
+      const stranger = await seedUser(db);
+
+      // Act & Assert
+      await as(stranger, request(app).delete(`/api/comments/${created.id}`)).expect(403);
+      await as(author, request(app).delete(`/api/comments/${created.id}`)).expect(200);
+      await as(author, request(app).delete(`/api/comments/${created.id}`)).expect(404);
+    });
+  });
+
+  describe('Moderation', () => {
+    test('should approve and hide comments', async () => {
+      // Arrange
+      const created = (await comment(reader, { body: 'Please approve' }).expect(201)).body.comment;
+      const stranger = await seedUser(db);
+
+      // Act
+      await as(author, request(app).post(`/api/comments/${created.id}/approve`)).expect(200);
+      const approved = await thread(stranger);
+      await as(author, request(app).post(`/api/comments/${created.id}/hide`)).expect(200);
+      const hidden = await thread(stranger);
+
+      // Assert
+      expect(approved.comments.map((c) => c.body)).toEqual(['Please approve']);
+      expect(hidden.comments).toEqual([]);
+    });
+
+    test('should only let the post author moderate', async () => {
+      // Arrange
+      const created = (await comment(reader, { body: 'Approve myself' }).expect(201)).body.comment;
+
+      // Act & Assert
+      await as(reader, request(app).post(`/api/comments/${created.id}/approve`)).expect(403);
+    });
+
+    test('should close and reopen comments on a post', async () => {
+      // Act
+      const closed = await as(author, request(app).post(`/api/posts/${post.id}/comments/close`)).expect(200);
+      const rejected = await comment(reader, { body: 'Too late' }).expect(403);
+      const state = await thread(reader);
+      await as(author, request(app).post(`/api/posts/${post.id}/comments/open`)).expect(200);
+
+      // Assert
+      expect(closed.body).toEqual({ comments_closed: true });
+      expect(rejected.body).toEqual({ error: 'Comments are closed' });
+      expect(state.comments_closed).toBe(true);
+      await comment(reader, { body: 'Back again' }).expect(201);
+    });
+
+    test('should not let others close comments', async () => {
+      // Act & Assert
+      await as(reader, request(app).post(`/api/posts/${post.id}/comments/close`)).expect(404);
+    });
+  });
+
+  describe('Post deletion', () => {
+    test('should remove a post\'s comments when it is deleted permanently', async () => {
+      // Arrange
+      const created = (await comment(reader, { body: 'Soon gone' }).expect(201)).body.comment;
+
+      // Act
+      await as(author, request(app).delete(`/api/posts/${post.id}`)).expect(200);
+      await as(author, request(app).delete(`/api/posts/trash/${post.id}`)).expect(200);
+
+      // Assert
+      const { data } = await db.comments.findById(created.id);
+      expect(data).toBeNull();
+    });
+  });
+});
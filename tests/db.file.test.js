@@ -0,0 +1,130 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDb, createFileDb } from '../db/index.js';
+
+const SEED_FILE = new URL('../posts.json', import.meta.url).pathname;
+
+describe('File storage backend', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blogapp-db-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('Seeding', () => {
+    test('should seed posts from posts.json in the legacy shape', async () => {
+      // Arrange
+      const db = createFileDb({ seedFile: SEED_FILE });
+
+      // Act
+      const { data: post } = await db.posts.findOwned(1, null);
+
+      // Assert
+      expect(post).toMatchObject({
+        id: 1,
+        title: 'Welcome',
+        content: 'This is the first post in the file-backed DB.',
+        created_at: '2025-10-21T00:00:00.000Z'
+      });
+    });
+  });
+
+  describe('Repositories', () => {
+    test('should create and look up users', async () => {
+      // Arrange
+      const db = createFileDb();
+
+      // Act
+      const { data: created } = await db.users.create({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'hash'
+      });
+      const { data: byEmail } = await db.users.findByEmail('test@example.com');
+      const { data: byId } = await db.users.findById(String(created.id));
+
+      // Assert
+      expect(byEmail).toEqual(created);
+      expect(byId).toEqual(created);
+    });
+
+    test('should reject duplicate emails', async () => {
+      // Arrange
+      const db = createFileDb();
+      await db.users.create({ name: 'One', email: 'dup@example.com' });
+
+      // Act
+      const { data, error } = await db.users.create({ name: 'Two', email: 'dup@example.com' });
+
+      // Assert
+      expect(data).toBeNull();
+      expect(error.message).toBe('User already exists');
+    });
+
+    test('should scope posts to their owner', async () => {
+      // Arrange
+      const db = createFileDb();
+      const { data: mine } = await db.posts.create({ title: 'Mine', content: 'My content', user_id: 1 });
+      await db.posts.create({ title: 'Theirs', content: 'Their content', user_id: 2 });
+
+      // Act
+      const { data: posts } = await db.posts.listByUser(1);
+      const { data: missing } = await db.posts.findOwned(mine.id, 2);
+      const { error } = await db.posts.update(mine.id, 2, { title: 'Hijacked' });
+
+      // Assert
+      expect(posts.map((p) => p.title)).toEqual(['Mine']);
+      expect(missing).toBeNull();
+      expect(error).toBeTruthy();
+    });
+
+    test('should return copies rather than live rows', async () => {
+      // Arrange
+      const db = createFileDb();
+      const { data: post } = await db.posts.create({ title: 'Post', content: 'Some content', user_id: 1 });
+
+      // Act
+      post.title = 'Mutated';
+      const { data: stored } = await db.posts.findOwned(post.id, 1);
+
+      // Assert
+      expect(stored.title).toBe('Post');
+    });
+  });
+
+  describe('Persistence', () => {
+    test('should persist writes to DB_FILE and reload them', async () => {
+      // Arrange
+      const file = path.join(tmpDir, 'db.json');
+      const db = createDb({ DB_BACKEND: 'file', DB_FILE: file, DB_SEED_FILE: SEED_FILE });
+
+      // Act
+      await db.posts.create({ title: 'Saved', content: 'Persisted content', user_id: 7 });
+      const reloaded = createDb({ DB_BACKEND: 'file', DB_FILE: file, DB_SEED_FILE: SEED_FILE });
+      const { data: posts } = await reloaded.posts.listByUser(7);
+
+      // Assert
+      expect(fs.existsSync(file)).toBe(true);
+      expect(posts).toHaveLength(1);
+      expect(posts[0].title).toBe('Saved');
+    });
+
+    test('should default to the file backend without Supabase configuration', () => {
+      // Act
+      const db = createDb({});
+
+      // Assert
+      expect(db.backend).toBe('memory');
+    });
+
+    test('should reject unknown backends', () => {
+      // Act & Assert
+      expect(() => createDb({ DB_BACKEND: 'mongo' })).toThrow('Unknown DB_BACKEND "mongo"');
+    });
+  });
+});
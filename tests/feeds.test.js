@@ -0,0 +1,159 @@
+import request from 'supertest';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('Syndication feeds', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let alice;
+  let bob;
+  let now;
+
+  beforeEach(async () => {
+    now = new Date('2024-06-01T09:00:00Z');
+    ({ app, db, tokenFor } = createTestApp({
+      clock: () => now,
+      siteUrl: 'https://blog.example.com/'
+    }));
+    alice = await seedUser(db, { name: 'Alice & Co' });
+    bob = await seedUser(db, { name: 'Bob' });
+  });
+
+  const publish = async (user, body) => {
+    now = new Date(now.getTime() + 60 * 1000);
+    return (await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${tokenFor(user)}`)
+      .send(body)
+      .expect(201)).body.post;
+  };
+
+  // The self link names the host the feed was requested from, so keep it fixed
+  const getFeed = (path) => request(app).get(`/api${path}`).set('Host', 'api.example.com');
+
+  describe('Author feeds', () => {
+    test('should render RSS with escaped titles and content', async () => {
+      // Arrange
+      await publish(alice, { title: 'Fish & <Chips>', content: 'Some **bold** claims & more', tags: ['food'] });
+      await publish(alice, { title: 'Unfinished draft', content: 'Not public yet', status: 'draft' });
+
+      // Act
+      const response = await request(app).get(`/api/users/${alice.id}/feed.rss`).expect(200);
+
+      // Assert
+      expect(response.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+      expect(response.text).toContain('<title>Alice &amp; Co&#39;s posts</title>');
+      expect(response.text).toContain('<title>Fish &amp; &lt;Chips&gt;</title>');
+      expect(response.text).toContain('&lt;strong&gt;bold&lt;/strong&gt;');
+      expect(response.text).toContain('<link>https://blog.example.com/posts/fish-chips</link>');
+      expect(response.text).toContain('<category>food</category>');
+      expect(response.text).not.toContain('Unfinished draft');
+    });
+
+    test('should render Atom with RFC 3339 dates', async () => {
+      // Arrange
+      const post = await publish(alice, { title: 'Atom post', content: 'Atom content here' });
+
+      // Act
+      const response = await getFeed(`/users/${alice.id}/feed.atom`).expect(200);
+
+      // Assert
+      expect(response.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+      expect(response.text).toContain(`<published>${post.published_at}</published>`);
+      expect(response.text).toContain(
+        `<link rel="self" type="application/atom+xml" href="http://api.example.com/api/users/${alice.id}/feed.atom"/>`
+      );
+    });
+
+    test('should leave the query string out of the self link', async () => {
+      // Act
+      const response = await getFeed(`/users/${alice.id}/feed.json`)
+        .query({ ref: '"><script>alert(1)</script>' })
+        .expect(200);
+
+      // Assert
+      expect(JSON.parse(response.text).feed_url).toBe(`http://api.example.com/api/users/${alice.id}/feed.json`);
+      expect(response.text).not.toContain('alert');
+    });
+
+    test('should render JSON Feed 1.1 newest first', async () => {
+      // Arrange
+      await publish(alice, { title: 'Older post', content: 'Older content here' });
+      await publish(alice, { title: 'Newer post', content: 'Newer content here' });
+      await publish(bob, { title: 'Bob post', content: 'Bob content here' });
+
+      // Act
+      const response = await request(app).get(`/api/users/${alice.id}/feed.json`).expect(200);
+
+      // Assert
+      expect(response.headers['content-type']).toBe('application/feed+json; charset=utf-8');
+      const feed = JSON.parse(response.text);
+      expect(feed.version).toBe('https://jsonfeed.org/version/1.1');
+      expect(feed.items.map((i) => i.title)).toEqual(['Newer post', 'Older post']);
+      expect(feed.items[0]).toMatchObject({
+        url: 'https://blog.example.com/posts/newer-post',
+        authors: [{ name: 'Alice & Co' }],
+        summary: 'Newer content here'
+      });
+    });
+
+    test('should 404 for unknown authors', async () => {
+      // Act & Assert
+      await request(app).get('/api/users/9999/feed.rss').expect(404);
+    });
+  });
+
+  describe('Caching', () => {
+    test('should answer If-None-Match with 304 until the feed changes', async () => {
+      // Arrange
+      await publish(alice, { title: 'Cached post', content: 'Cache me if you can' });
+      const first = await getFeed(`/users/${alice.id}/feed.rss`).expect(200);
+
+      // Act & Assert
+      expect(first.headers.etag).toBeDefined();
+      await getFeed(`/users/${alice.id}/feed.rss`)
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+    });
+
+    test('should not send Last-Modified, which would go back when a post leaves the feed', async () => {
+      // Arrange
+      await publish(alice, { title: 'Older post', content: 'Older content here' });
+      const newer = await publish(alice, { title: 'Newer post', content: 'Newer content here' });
+      const first = await getFeed(`/users/${alice.id}/feed.rss`).expect(200);
+      await request(app)
+        .post(`/api/posts/${newer.id}/unpublish`)
+        .set('Authorization', `Bearer ${tokenFor(alice)}`)
+        .expect(200);
+
+      // Act
+      const response = await getFeed(`/users/${alice.id}/feed.rss`)
+        .set('If-None-Match', first.headers.etag)
+        .set('If-Modified-Since', new Date(now.getTime() + 60 * 1000).toUTCString())
+        .expect(200);
+
+      // Assert
+      expect(first.headers['last-modified']).toBeUndefined();
+      expect(response.text).not.toContain('Newer post');
+    });
+  });
+
+  describe('Site-wide feed', () => {
+    test('should combine published posts from every author', async () => {
+      // Arrange
+      await publish(alice, { title: 'From Alice', content: 'Alice writes here' });
+      await publish(bob, { title: 'From Bob', content: 'Bob writes here' });
+
+      // Act
+      const response = await request(app).get('/api/feed.json').expect(200);
+
+      // Assert
+      const feed = JSON.parse(response.text);
+      expect(feed.items.map((i) => [i.title, i.authors[0].name])).toEqual([
+        ['From Bob', 'Bob'],
+        ['From Alice', 'Alice & Co']
+      ]);
+      await request(app).get('/api/feed.atom').expect(200);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import request from 'supertest';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('Follows and the home feed', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let reader;
+  let alice;
+  let bob;
+  let now;
+
+  beforeEach(async () => {
+    now = new Date('2024-03-01T10:00:00Z');
+    ({ app, db, tokenFor } = createTestApp({ clock: () => now }));
+    reader = await seedUser(db, { name: 'Reader' });
+    alice = await seedUser(db, { name: 'Alice' });
+    bob = await seedUser(db, { name: 'Bob' });
+  });
+
+  const as = (user, req) => req.set('Authorization', `Bearer ${tokenFor(user)}`);
+  const follow = (user, target) => as(user, request(app).put(`/api/users/${target.id}/follow`));
+  const publish = async (user, title, body = {}) => {
+    now = new Date(now.getTime() + 60 * 1000);
+    const response = await as(user, request(app).post('/api/posts'))
+      .send({ title, content: `${title} content here`, ...body })
+      .expect(201);
+    return response.body.post;
+  };
+  const feed = (user, query = {}) => as(user, request(app).get('/api/feed')).query(query);
+
+  describe('Following', () => {
+    test('should follow and unfollow an author', async () => {
+      // Act
+      const followed = await follow(reader, alice).expect(200);
+      await follow(reader, alice).expect(200);
+      const unfollowed = await as(reader, request(app).delete(`/api/users/${alice.id}/follow`))
+        .expect(200);
+
+      // Assert
+      expect(followed.body).toEqual({ user: { id: alice.id, name: 'Alice' }, following: true });
+      expect(unfollowed.body.following).toBe(false);
+    });
+
+    test('should reject following yourself or unknown users', async () => {
+      // Act & Assert
+      await follow(reader, reader).expect(400);
+      await follow(reader, { id: 9999 }).expect(404);
+    });
+
+    test('should list followers and following on the profile', async () => {
+      // Arrange
+      await follow(reader, alice).expect(200);
+      await follow(reader, bob).expect(200);
+      await follow(bob, alice).expect(200);
+
+      // Act
+      const following = await as(reader, request(app).get('/api/profile/following')).expect(200);
+      const followers = await as(alice, request(app).get('/api/profile/followers')).expect(200);
+      const profile = await as(alice, request(app).get('/api/profile')).expect(200);
+
+      // Assert
+      expect(following.body.users.map((u) => u.name)).toEqual(['Bob', 'Alice']);
+      expect(followers.body.users.map((u) => u.name)).toEqual(['Bob', 'Reader']);
+      expect(followers.body.users[0]).toHaveProperty('followed_at');
+      expect(profile.body.user).toMatchObject({ followers_count: 2, following_count: 0 });
+    });
+  });
+
+  describe('GET /api/feed', () => {
+    test('should be empty when following nobody', async () => {
+      // Arrange
+      await publish(alice, 'Unseen');
+
+      // Act
+      const response = await feed(reader).expect(200);
+
+      // Assert
+      expect(response.body).toEqual({ posts: [], next_cursor: null });
+    });
+
+    test('should merge published posts of followed authors newest first', async () => {
+      // Arrange
+      await follow(reader, alice).expect(200);
+      await follow(reader, bob).expect(200);
+      await publish(alice, 'Alice first');
+      await publish(bob, 'Bob first');
+      await publish(alice, 'Alice draft', { status: 'draft' });
+      await publish(alice, 'Alice second');
+      await publish(reader, 'My own post');
+
+      // Act
+      const response = await feed(reader).expect(200);
+
+      // Assert
+      expect(response.body.posts.map((p) => p.title)).toEqual([
+        'Alice second',
+        'Bob first',
+        'Alice first',
+      ]);
+      expect(response.body.posts[0].author).toEqual({ id: alice.id, name: 'Alice' });
+      expect(response.body.posts[0].viewer).toEqual({ reaction: null, bookmarked: false });
+    });
+
+    test('should paginate with a cursor', async () => {
+      // Arrange
+      await follow(reader, alice).expect(200);
+      for (const title of ['One post', 'Two post', 'Three post']) {
+        await publish(alice, title);
+      }
+
+      // Act
+      const first = await feed(reader, { limit: 2 }).expect(200);
+      const second = await feed(reader, { limit: 2, cursor: first.body.next_cursor }).expect(200);
+
+      // Assert
+      expect(first.body.posts.map((p) => p.title)).toEqual(['Three post', 'Two post']);
+      expect(second.body.posts.map((p) => p.title)).toEqual(['One post']);
+      expect(second.body.next_cursor).toBeNull();
+    });
+
+    test('should reject cursors from other listings', async () => {
+      // Arrange
+      await follow(reader, alice).expect(200);
+      await publish(alice, 'One post');
+      await publish(alice, 'Two post');
+      const own = await as(alice, request(app).get('/api/posts')).query({ limit: 1 }).expect(200);
+
+      // Act
+      const response = await feed(reader, { cursor: own.body.next_cursor }).expect(400);
+
+      // Assert
+      expect(response.body).toHaveProperty('error');
+    });
+
+    test('should require authentication', async () => {
+      // Act & Assert
+      await request(app).get('/api/feed').expect(401);
+    });
+  });
+});
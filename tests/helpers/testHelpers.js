@@ -2,12 +2,22 @@
  * Test helper utilities for API testing
  */
 
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { createFileDb } from '../../db/file.js';
+import { createMemoryMailer } from '../../mail/memory.js';
+import { createApp } from '../../server.js';
+import { createMemoryStorage } from '../../storage/memory.js';
+
+export const TEST_JWT_SECRET = 'test-jwt-secret';
+
 /**
  * Creates a mock post object with default values
  * @param {Object} overrides - Properties to override in the default post
  * @returns {Object} Mock post object
  */
-const createMockPost = (overrides = {}) => {
+export const createMockPost = (overrides = {}) => {
   return {
     id: 1,
     title: 'Test Post Title',
@@ -24,7 +34,7 @@ const createMockPost = (overrides = {}) => {
  * @param {Object} baseOverrides - Base properties to apply to all posts
  * @returns {Array} Array of mock post objects
  */
-const createMockPosts = (count = 3, baseOverrides = {}) => {
+export const createMockPosts = (count = 3, baseOverrides = {}) => {
   return Array.from({ length: count }, (_, index) => 
     createMockPost({
       id: index + 1,
@@ -40,7 +50,7 @@ const createMockPosts = (count = 3, baseOverrides = {}) => {
  * @param {Object} overrides - Properties to override in the default user
  * @returns {Object} Mock user object
  */
-const createMockUser = (overrides = {}) => {
+export const createMockUser = (overrides = {}) => {
   return {
     id: 1,
     name: 'Test User',
@@ -54,7 +64,7 @@ const createMockUser = (overrides = {}) => {
  * @param {Array} requiredFields - Array of required field names
  * @returns {boolean} True if response has all required fields
  */
-const validateResponseStructure = (response, requiredFields = ['success', 'timestamp']) => {
+export const validateResponseStructure = (response, requiredFields = ['success', 'timestamp']) => {
   return requiredFields.every(field => response.hasOwnProperty(field));
 };
 
@@ -64,7 +74,7 @@ const validateResponseStructure = (response, requiredFields = ['success', 'times
  * @param {number} status - HTTP status code
  * @returns {Error} Mock error object
  */
-const createMockSupabaseError = (message = 'Database error', status = 500) => {
+export const createMockSupabaseError = (message = 'Database error', status = 500) => {
   const error = new Error(message);
   error.status = status;
   return error;
@@ -75,7 +85,7 @@ const createMockSupabaseError = (message = 'Database error', status = 500) => {
  * @param {Object} mockResponses - Object containing mock responses for different operations
  * @returns {Object} Mock Supabase client
  */
-const createMockSupabaseClient = (mockResponses = {}) => {
+export const createMockSupabaseClient = (mockResponses = {}) => {
   return {
     from: jest.fn((table) => ({
       select: jest.fn(() => ({
@@ -104,11 +114,42 @@ const createMockSupabaseClient = (mockResponses = {}) => {
   };
 };
 
-module.exports = {
-  createMockPost,
-  createMockPosts,
-  createMockUser,
-  validateResponseStructure,
-  createMockSupabaseError,
-  createMockSupabaseClient
-};
\ No newline at end of file
+/**
+ * Builds the app against an in-memory database, storage and mailer, mounted under /api
+ * @param {Object} overrides - Options passed through to createApp
+ * @returns {Object} { app, db, storage, mailer, tokenFor } where tokenFor(user) signs an access token
+ */
+export const createTestApp = (overrides = {}) => {
+  const db = overrides.db || createFileDb();
+  const storage = overrides.storage || createMemoryStorage();
+  const mailer = overrides.mailer || createMemoryMailer();
+  const api = createApp({
+    jwtSecret: TEST_JWT_SECRET,
+    passportStrategies: [],
+    ...overrides,
+    db,
+    storage,
+    mailer
+  });
+  const app = express().use('/api', api);
+  const tokenFor = (user) =>
+    jwt.sign({ id: user.id, email: user.email, role: user.role }, TEST_JWT_SECRET);
+
+  return { app, db, storage, mailer, tokenFor };
+};
+
+/**
+ * Inserts a user straight into the repository layer, skipping bcrypt
+ * @param {Object} db - Repository layer
+ * @param {Object} overrides - Properties to override in the default user
+ * @returns {Promise<Object>} Stored user row
+ */
+export const seedUser = async (db, overrides = {}) => {
+  const { data } = await db.users.create({
+    name: 'Test User',
+    email: `user${Math.random().toString(36).slice(2)}@example.com`,
+    password: null,
+    ...overrides
+  });
+  return data;
+};
@@ -0,0 +1,311 @@
+import request from 'supertest';
+import { createGoogleVerify } from '../auth/google.js';
+import { createFileDb } from '../db/file.js';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+const FRONTEND = 'http://frontend.test';
+
+// Stands in for passport-google-oauth20: the callback's `code` picks the Google profile
+class FakeGoogleStrategy {
+  constructor(verify, profiles) {
+    this.name = 'google';
+    this.verify = verify;
+    this.profiles = profiles;
+  }
+
+  authenticate(req) {
+    if (!req.query.code) return this.redirect('https://accounts.google.test/consent');
+    this.verify(req, 'access-token', 'refresh-token', this.profiles[req.query.code], (err, user, info) => {
+      if (err) return this.error(err);
+      if (!user) return this.fail(info);
+      this.success(user);
+    });
+  }
+}
+
+const googleProfile = (id, email, verified = true) => ({
+  id,
+  displayName: `Google ${id}`,
+  emails: [{ value: email, verified }]
+});
+
+describe('Login identities', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let profiles;
+
+  beforeEach(() => {
+    db = createFileDb();
+    profiles = {
+      alice: googleProfile('g-alice', 'alice@example.com'),
+      unverified: googleProfile('g-unverified', 'writer@example.com', false),
+      writer: googleProfile('g-writer', 'writer@example.com'),
+      other: googleProfile('g-other', 'someone.else@gmail.com')
+    };
+    ({ app, tokenFor } = createTestApp({
+      db,
+      passportStrategies: [new FakeGoogleStrategy(createGoogleVerify({ db }), profiles)],
+      sessionSecret: 'test-session-secret',
+      frontendOrigin: FRONTEND
+    }));
+  });
+
+  const as = (user, req) => req.set('Authorization', `Bearer ${tokenFor(user)}`);
+  const googleCallback = (code, agent = request(app)) =>
+    agent.get(`/api/auth/google/callback?code=${code}`).expect(302);
+  const signup = () =>
+    request(app)
+      .post('/api/signup')
+      .send({ email: 'writer@example.com', password: 'secret1', name: 'Writer' })
+      .expect(201);
+  // The link only works in the browser session that asked for it
+  const requestLink = async (user, agent) =>
+    (await as(user, agent.post('/api/profile/identities/google/link')).expect(200)).body.url;
+  const linkGoogle = async (user, code) => {
+    const agent = request.agent(app);
+    await agent.get(await requestLink(user, agent)).expect(302);
+    return googleCallback(code, agent);
+  };
+
+  describe('Google sign-in', () => {
+    test('should create a verified account and find it again by Google id', async () => {
+      // Act
+      const first = await googleCallback('alice');
+      profiles.alice.emails[0].value = 'alice@new-domain.example.com';
+      const second = await googleCallback('alice');
+
+      // Assert
+      expect(first.headers.location).toMatch(`${FRONTEND}/auth/google/callback?token=`);
+      expect(second.headers.location).toMatch(`${FRONTEND}/auth/google/callback?token=`);
+      const { data: user } = await db.users.findByEmail('alice@example.com');
+      expect(user.email_verified_at).not.toBeNull();
+      const { data: identities } = await db.identities.listByUser(user.id);
+      expect(identities).toEqual([
+        expect.objectContaining({ provider: 'google', provider_user_id: 'g-alice' })
+      ]);
+      expect((await db.users.findByEmail('alice@new-domain.example.com')).data).toBeNull();
+    });
+
+    test('should refuse Google accounts whose email Google has not verified', async () => {
+      // Arrange
+      const { body } = await signup();
+      await db.users.update(body.user.id, { email_verified_at: new Date().toISOString() });
+
+      // Act
+      const response = await googleCallback('unverified');
+
+      // Assert
+      expect(response.headers.location).toMatch(`${FRONTEND}/auth/error?message=`);
+      expect((await db.identities.listByUser(body.user.id)).data).toEqual([]);
+    });
+
+    test('should not take over an account whose email is unverified', async () => {
+      // Arrange
+      const { body } = await signup();
+
+      // Act
+      const refused = await googleCallback('writer');
+      await db.users.update(body.user.id, { email_verified_at: new Date().toISOString() });
+      const linked = await googleCallback('writer');
+
+      // Assert
+      expect(decodeURIComponent(refused.headers.location)).toContain(
+        'An account with this email already exists'
+      );
+      expect(linked.headers.location).toMatch(`${FRONTEND}/auth/google/callback?token=`);
+      expect((await db.identities.listByUser(body.user.id)).data).toHaveLength(1);
+    });
+
+    test('should link accounts created by Google sign-in before identities existed', async () => {
+      // Arrange
+      const legacy = await seedUser(db, { name: 'Alice', email: 'alice@example.com', password: null });
+
+      // Act
+      const response = await googleCallback('alice');
+
+      // Assert
+      expect(response.headers.location).toMatch(`${FRONTEND}/auth/google/callback?token=`);
+      const { data: identities } = await db.identities.listByUser(legacy.id);
+      expect(identities).toEqual([
+        expect.objectContaining({ provider: 'google', provider_user_id: 'g-alice' })
+      ]);
+      expect((await db.users.findById(legacy.id)).data.email_verified_at).not.toBeNull();
+    });
+
+    test('should reject password logins for accounts without a password', async () => {
+      // Arrange
+      await googleCallback('alice');
+
+      // Act
+      const response = await request(app)
+        .post('/api/login')
+        .send({ email: 'alice@example.com', password: 'anything' })
+        .expect(401);
+
+      // Assert
+      expect(response.body.error).toBe('Invalid credentials');
+    });
+  });
+
+  describe('Linking and unlinking', () => {
+    test('should link a Google account with any email to the signed-in user', async () => {
+      // Arrange
+      const writer = await seedUser(db, { name: 'Writer', email: 'writer@example.com', password: 'hash' });
+
+      // Act
+      const response = await linkGoogle(writer, 'other');
+      const signIn = await googleCallback('other');
+
+      // Assert
+      expect(response.headers.location).toBe(`${FRONTEND}/auth/google/callback?linked=true`);
+      expect(signIn.headers.location).toMatch(`${FRONTEND}/auth/google/callback?token=`);
+      const listed = await as(writer, request(app).get('/api/profile/identities')).expect(200);
+      expect(listed.body).toEqual({
+        has_password: true,
+        identities: [
+          {
+            id: expect.any(Number),
+            provider: 'google',
+            email: 'someone.else@gmail.com',
+            created_at: expect.any(String)
+          }
+        ],
+        providers: ['google']
+      });
+      expect((await db.users.findByEmail('someone.else@gmail.com')).data).toBeNull();
+    });
+
+    test('should not link a Google account that belongs to another user', async () => {
+      // Arrange
+      await googleCallback('alice');
+      const writer = await seedUser(db, { name: 'Writer' });
+
+      // Act
+      const response = await linkGoogle(writer, 'alice');
+
+      // Assert
+      expect(decodeURIComponent(response.headers.location)).toContain(
+        'already linked to another user'
+      );
+      expect((await db.identities.listByUser(writer.id)).data).toEqual([]);
+    });
+
+    test('should only accept a link token once', async () => {
+      // Arrange
+      const writer = await seedUser(db, { name: 'Writer' });
+      const agent = request.agent(app);
+      const url = await requestLink(writer, agent);
+      await agent.get(url).expect(302);
+
+      // Act
+      const reused = await agent.get(url).expect(302);
+
+      // Assert
+      expect(reused.headers.location).toMatch(`${FRONTEND}/auth/error?message=`);
+    });
+
+    test('should not link from a browser other than the one that asked for the link', async () => {
+      // Arrange
+      const attacker = await seedUser(db, { name: 'Attacker' });
+      const url = await requestLink(attacker, request.agent(app));
+      const victim = request.agent(app);
+
+      // Act
+      const opened = await victim.get(url).expect(302);
+      await googleCallback('alice', victim);
+
+      // Assert
+      expect(decodeURIComponent(opened.headers.location)).toBe(
+        `${FRONTEND}/auth/error?message=Open the link in the browser that requested it`
+      );
+      expect((await db.identities.listByUser(attacker.id)).data).toEqual([]);
+      const { data: alice } = await db.users.findByEmail('alice@example.com');
+      expect((await db.identities.listByUser(alice.id)).data).toEqual([
+        expect.objectContaining({ provider_user_id: 'g-alice' })
+      ]);
+    });
+
+    test('should not link a Google account whose verified email belongs to another user', async () => {
+      // Arrange
+      const writer = await seedUser(db, { name: 'Writer' });
+      await seedUser(db, { name: 'Alice', email: 'alice@example.com' });
+
+      // Act
+      const response = await linkGoogle(writer, 'alice');
+
+      // Assert
+      expect(decodeURIComponent(response.headers.location)).toContain('belongs to another user');
+      expect((await db.identities.listByUser(writer.id)).data).toEqual([]);
+    });
+
+    test('should keep at least one login method', async () => {
+      // Arrange
+      await googleCallback('alice');
+      const { data: alice } = await db.users.findByEmail('alice@example.com');
+      const [identity] = (await db.identities.listByUser(alice.id)).data;
+
+      // Act
+      const refused = await as(alice, request(app).delete(`/api/profile/identities/${identity.id}`)).expect(409);
+      await as(alice, request(app).post('/api/profile/password')).send({ new_password: 'secret1' }).expect(200);
+      const removed = await as(alice, request(app).delete(`/api/profile/identities/${identity.id}`)).expect(200);
+
+      // Assert
+      expect(refused.body.error).toBe('Set a password or link another login method before removing this one');
+      expect(removed.body.message).toBe('Google login removed');
+      await as(alice, request(app).delete('/api/profile/password'))
+        .send({ current_password: 'secret1' })
+        .expect(409);
+    });
+
+    test('should remove the password once another login method is linked', async () => {
+      // Arrange
+      const { body } = await signup();
+      const writer = body.user;
+      await linkGoogle(writer, 'other');
+
+      // Act
+      await as(writer, request(app).delete('/api/profile/password'))
+        .send({ current_password: 'wrong-password' })
+        .expect(403);
+      const response = await as(writer, request(app).delete('/api/profile/password'))
+        .send({ current_password: 'secret1' })
+        .expect(200);
+
+      // Assert
+      expect(response.body.message).toBe('Password removed');
+      await request(app)
+        .post('/api/login')
+        .send({ email: 'writer@example.com', password: 'secret1' })
+        .expect(401);
+      const identities = await as(writer, request(app).get('/api/profile/identities')).expect(200);
+      expect(identities.body.has_password).toBe(false);
+    });
+
+    test('should not unlink identities of other users', async () => {
+      // Arrange
+      await googleCallback('alice');
+      const { data: alice } = await db.users.findByEmail('alice@example.com');
+      const [identity] = (await db.identities.listByUser(alice.id)).data;
+      const writer = await seedUser(db, { name: 'Writer', password: 'hash' });
+
+      // Act & Assert
+      await as(writer, request(app).delete(`/api/profile/identities/${identity.id}`)).expect(404);
+    });
+  });
+
+  test('should not offer providers that are not configured', async () => {
+    // Arrange
+    const { app: offline, db: offlineDb, tokenFor: offlineToken } = createTestApp();
+    const user = await seedUser(offlineDb, { name: 'Offline' });
+
+    // Act
+    const response = await request(offline)
+      .post('/api/profile/identities/google/link')
+      .set('Authorization', `Bearer ${offlineToken(user)}`)
+      .expect(404);
+
+    // Assert
+    expect(response.body.error).toBe('Unknown login provider');
+  });
+});
@@ -0,0 +1,160 @@
+import request from 'supertest';
+import { createFileDb } from '../db/file.js';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('Personal access tokens', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let now;
+  let user;
+
+  beforeEach(async () => {
+    now = new Date('2025-05-01T09:00:00.000Z');
+    const clock = () => now;
+    ({ app, db, tokenFor } = createTestApp({ clock, db: createFileDb({ clock }) }));
+    user = await seedUser(db, { name: 'Automation', email: 'automation@example.com' });
+  });
+
+  const as = (account, req) => req.set('Authorization', `Bearer ${tokenFor(account)}`);
+  const withToken = (token, req) => req.set('Authorization', `Bearer ${token}`);
+  const createToken = async (body, account = user) =>
+    (await as(account, request(app).post('/api/profile/tokens')).send(body).expect(201)).body;
+  const newPost = { title: 'Automated post', content: 'Published from a script' };
+
+  describe('Managing tokens', () => {
+    test('should show the token once and list it by name and hint', async () => {
+      // Act
+      const created = await createToken({ name: 'CI publisher', scopes: ['posts:write', 'posts:read', 'posts:read'] });
+      const listed = await as(user, request(app).get('/api/profile/tokens')).expect(200);
+
+      // Assert
+      expect(created.token).toMatch(/^pat_[\w-]{43}$/);
+      const expected = {
+        id: expect.any(Number),
+        name: 'CI publisher',
+        scopes: ['posts:read', 'posts:write'],
+        token_hint: created.token.slice(0, 8),
+        expires_at: null,
+        last_used_at: null,
+        created_at: now.toISOString()
+      };
+      expect(created.personal_token).toEqual(expected);
+      expect(listed.body.tokens).toEqual([expected]);
+      expect(JSON.stringify(listed.body)).not.toContain(created.token);
+    });
+
+    test('should validate names, scopes and expiry', async () => {
+      // Act & Assert
+      await as(user, request(app).post('/api/profile/tokens')).send({ name: '', scopes: ['posts:read'] }).expect(400);
+      await as(user, request(app).post('/api/profile/tokens')).send({ name: 'No scopes', scopes: [] }).expect(400);
+      await as(user, request(app).post('/api/profile/tokens'))
+        .send({ name: 'Admin', scopes: ['users:manage'] })
+        .expect(400);
+      const past = await as(user, request(app).post('/api/profile/tokens'))
+        .send({ name: 'Expired', scopes: ['posts:read'], expires_at: '2025-04-30T00:00:00Z' })
+        .expect(400);
+      expect(past.body.error).toBe('expires_at must be in the future');
+    });
+
+    test('should revoke tokens of the signed-in user only', async () => {
+      // Arrange
+      const { token, personal_token } = await createToken({ name: 'Old script', scopes: ['posts:read'] });
+      const other = await seedUser(db, { name: 'Other' });
+
+      // Act
+      await as(other, request(app).delete(`/api/profile/tokens/${personal_token.id}`)).expect(404);
+      await as(user, request(app).delete(`/api/profile/tokens/${personal_token.id}`)).expect(200);
+
+      // Assert
+      const response = await withToken(token, request(app).get('/api/posts')).expect(401);
+      expect(response.body.error).toBe('Invalid or expired token');
+      const listed = await as(user, request(app).get('/api/profile/tokens')).expect(200);
+      expect(listed.body.tokens).toEqual([]);
+    });
+  });
+
+  describe('Authenticating with a token', () => {
+    test('should allow reading with posts:read but not writing', async () => {
+      // Arrange
+      await as(user, request(app).post('/api/posts')).send(newPost).expect(201);
+      const { token } = await createToken({ name: 'Reader script', scopes: ['posts:read'] });
+
+      // Act
+      const listed = await withToken(token, request(app).get('/api/posts')).expect(200);
+      await withToken(token, request(app).get('/api/tags')).expect(200);
+      await withToken(token, request(app).get('/api/posts/export')).expect(200);
+      const refused = await withToken(token, request(app).post('/api/posts')).send(newPost).expect(403);
+
+      // Assert
+      expect(listed.body.posts).toHaveLength(1);
+      expect(refused.body.error).toBe('Token is missing the posts:write scope');
+    });
+
+    test('should create and publish posts with posts:write and record the last use', async () => {
+      // Arrange
+      const { token, personal_token } = await createToken({ name: 'Publisher', scopes: ['posts:write'] });
+
+      // Act
+      now = new Date('2025-05-01T10:00:00.000Z');
+      const created = await withToken(token, request(app).post('/api/posts'))
+        .send({ ...newPost, status: 'draft' })
+        .expect(201);
+      await withToken(token, request(app).post(`/api/posts/${created.body.post.id}/publish`)).expect(200);
+
+      // Assert
+      expect(created.body.post.user_id).toBe(user.id);
+      const [record] = (await db.personalTokens.listByUser(user.id)).data;
+      expect(record.id).toBe(personal_token.id);
+      expect(record.last_used_at).toBe('2025-05-01T10:00:00.000Z');
+    });
+
+    test('should keep role permissions on top of scopes', async () => {
+      // Arrange
+      await db.users.update(user.id, { role: 'reader' });
+      const { token } = await createToken({ name: 'Publisher', scopes: ['posts:write'] });
+
+      // Act
+      const response = await withToken(token, request(app).post('/api/posts')).send(newPost).expect(403);
+
+      // Assert
+      expect(response.body.error).toBe('Insufficient permissions');
+    });
+
+    test('should not be accepted outside the posts routes', async () => {
+      // Arrange
+      const { token } = await createToken({ name: 'Everything', scopes: ['posts:read', 'posts:write'] });
+
+      // Act
+      const profile = await withToken(token, request(app).get('/api/profile')).expect(403);
+      await withToken(token, request(app).post('/api/profile/tokens'))
+        .send({ name: 'Another', scopes: ['posts:write'] })
+        .expect(403);
+      await withToken(token, request(app).delete('/api/profile')).send({}).expect(403);
+
+      // Assert
+      expect(profile.body.error).toBe("Personal access tokens can't be used for this route");
+    });
+
+    test('should stop working once expired or the account is suspended', async () => {
+      // Arrange
+      const expiring = await createToken({
+        name: 'Short lived',
+        scopes: ['posts:read'],
+        expires_at: '2025-05-02T09:00:00.000Z'
+      });
+      const lasting = await createToken({ name: 'Long lived', scopes: ['posts:read'] });
+
+      // Act
+      await withToken(expiring.token, request(app).get('/api/posts')).expect(200);
+      now = new Date('2025-05-02T09:00:00.000Z');
+      await withToken(expiring.token, request(app).get('/api/posts')).expect(401);
+      await withToken(lasting.token, request(app).get('/api/posts')).expect(200);
+      await db.users.update(user.id, { suspended_at: now.toISOString() });
+
+      // Assert
+      await withToken(lasting.token, request(app).get('/api/posts')).expect(401);
+      await withToken('pat_not-a-real-token', request(app).get('/api/posts')).expect(401);
+    });
+  });
+});
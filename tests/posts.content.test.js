@@ -0,0 +1,113 @@
+import request from 'supertest';
+import { contentFields, excerpt, renderContent } from '../lib/content.js';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('Post content rendering', () => {
+  describe('renderContent', () => {
+    test('should render Markdown to HTML', () => {
+      // Act
+      const html = renderContent('# Heading\n\nSome **bold** text and a [link](https://example.com).');
+
+      // Assert
+      expect(html).toContain('<h1>Heading</h1>');
+      expect(html).toContain('<strong>bold</strong>');
+      expect(html).toContain('<a href="https://example.com" rel="noopener noreferrer nofollow">link</a>');
+    });
+
+    test('should strip scripts, inline handlers and javascript: URLs', () => {
+      // Act
+      const html = renderContent(
+        'Hi <script>alert(1)</script>\n\n<img src="https://x.test/a.png" onerror="alert(1)">\n\n' +
+          '[click](javascript:alert(1)) <a href="#" onclick="steal()">a</a>'
+      );
+
+      // Assert
+      expect(html).not.toMatch(/<script|onerror|onclick|javascript:/i);
+      expect(html).toContain('<img src="https://x.test/a.png" />');
+    });
+
+    test('should escape plain text and keep its line breaks', () => {
+      // Act
+      const html = renderContent('1 < 2 & <b>not bold</b>\nnext line\n\nSecond paragraph', 'plain');
+
+      // Assert
+      expect(html).toBe(
+        '<p>1 &lt; 2 &amp; &lt;b&gt;not bold&lt;/b&gt;<br />next line</p>\n<p>Second paragraph</p>'
+      );
+    });
+  });
+
+  describe('derived fields', () => {
+    test('should count words and estimate reading time', () => {
+      // Act
+      const fields = contentFields({ content: Array(450).fill('word').join(' '), format: 'markdown' });
+
+      // Assert
+      expect(fields.word_count).toBe(450);
+      expect(fields.reading_time_minutes).toBe(3);
+    });
+
+    test('should cut excerpts between words', () => {
+      // Act & Assert
+      expect(excerpt('one two three four', 12)).toBe('one two…');
+      expect(excerpt('short', 12)).toBe('short');
+    });
+  });
+
+  describe('API responses', () => {
+    let app;
+    let db;
+    let tokenFor;
+    let author;
+
+    beforeEach(async () => {
+      ({ app, db, tokenFor } = createTestApp());
+      author = await seedUser(db, { name: 'Author' });
+    });
+
+    const as = (req) => req.set('Authorization', `Bearer ${tokenFor(author)}`);
+
+    test('should store Markdown by default and return rendered fields', async () => {
+      // Act
+      const response = await as(request(app).post('/api/posts'))
+        .send({ title: 'Markdown post', content: '## Intro\n\nHello *world*, welcome.' })
+        .expect(201);
+
+      // Assert
+      expect(response.body.post).toMatchObject({
+        content: '## Intro\n\nHello *world*, welcome.',
+        format: 'markdown',
+        excerpt: 'Intro Hello world, welcome.',
+        word_count: 4,
+        reading_time_minutes: 1
+      });
+      expect(response.body.post.content_html).toContain('<em>world</em>');
+    });
+
+    test('should keep the format on updates that omit it', async () => {
+      // Arrange
+      const created = (await as(request(app).post('/api/posts'))
+        .send({ title: 'Plain post', content: 'Just *plain* text', format: 'plain' })
+        .expect(201)).body.post;
+
+      // Act
+      const updated = await as(request(app).put(`/api/posts/${created.id}`))
+        .send({ title: 'Plain post', content: 'Still *plain* text' })
+        .expect(200);
+
+      // Assert
+      expect(updated.body.post.format).toBe('plain');
+      expect(updated.body.post.content_html).toBe('<p>Still *plain* text</p>');
+    });
+
+    test('should reject unknown formats', async () => {
+      // Act
+      const response = await as(request(app).post('/api/posts'))
+        .send({ title: 'HTML post', content: '<p>Raw html body</p>', format: 'html' })
+        .expect(400);
+
+      // Assert
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+});
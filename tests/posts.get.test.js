@@ -1,189 +1,267 @@
-const request = require('supertest');
-
-// Mock Supabase client
-const mockSupabase = {
-    from: jest.fn(() => ({
-        select: jest.fn(() => ({
-            order: jest.fn(() => ({
-                // This will be configured in individual tests
-            }))
-        }))
-    }))
-};
-
-// Mock the Supabase module before importing the app
-jest.mock('@supabase/supabase-js', () => ({
-    createClient: jest.fn(() => mockSupabase)
-}));
-
-// Mock dotenv to prevent loading actual environment variables
-jest.mock('dotenv', () => ({
-    config: jest.fn()
-}));
-
-// Import the app after mocking
-const app = require('../server.js');
+import request from 'supertest';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
 
 describe('GET /api/posts', () => {
-    beforeEach(() => {
-        // Clear all mocks before each test
-        jest.clearAllMocks();
+    let app;
+    let db;
+    let tokenFor;
+    let user;
+
+    beforeEach(async () => {
+        ({ app, db, tokenFor } = createTestApp());
+        user = await seedUser(db);
     });
 
     describe('Successful requests', () => {
-        test('should return all posts with success response', async () => {
+        test('should return the signed-in user\'s posts', async () => {
             // Arrange
-            const mockPosts = [
-                { id: 1, title: 'Test Post 1', content: 'Content 1', user_id: 1 },
-                { id: 2, title: 'Test Post 2', content: 'Content 2', user_id: 2 }
-            ];
-
-            mockSupabase.from.mockReturnValue({
-                select: jest.fn().mockReturnValue({
-                    order: jest.fn().mockResolvedValue({
-                        data: mockPosts,
-                        error: null
-                    })
-                })
-            });
+            await db.posts.create({ title: 'Test Post 1', content: 'Content number 1', user_id: user.id });
+            await db.posts.create({ title: 'Test Post 2', content: 'Content number 2', user_id: user.id });
 
             // Act
             const response = await request(app)
                 .get('/api/posts')
+                .set('Authorization', `Bearer ${tokenFor(user)}`)
                 .expect(200);
 
             // Assert
-            expect(response.body).toMatchObject({
-                success: true,
-                data: mockPosts,
-                count: 2
+            expect(response.body.posts).toHaveLength(2);
+            expect(response.body.posts[0]).toMatchObject({
+                title: 'Test Post 2',
+                content: 'Content number 2',
+                user_id: user.id
             });
-            expect(response.body).toHaveProperty('timestamp');
-            expect(mockSupabase.from).toHaveBeenCalledWith('posts');
         });
 
         test('should return empty array when no posts exist', async () => {
+            // Act
+            const response = await request(app)
+                .get('/api/posts')
+                .set('Authorization', `Bearer ${tokenFor(user)}`)
+                .expect(200);
+
+            // Assert
+            expect(response.body).toEqual({ posts: [], next_cursor: null });
+        });
+
+        test('should not return other users\' posts', async () => {
             // Arrange
-            mockSupabase.from.mockReturnValue({
-                select: jest.fn().mockReturnValue({
-                    order: jest.fn().mockResolvedValue({
-                        data: [],
-                        error: null
-                    })
-                })
-            });
+            const other = await seedUser(db);
+            await db.posts.create({ title: 'Not mine', content: 'Someone else wrote this', user_id: other.id });
 
             // Act
             const response = await request(app)
                 .get('/api/posts')
+                .set('Authorization', `Bearer ${tokenFor(user)}`)
                 .expect(200);
 
             // Assert
-            expect(response.body).toMatchObject({
-                success: true,
-                data: [],
-                count: 0
-            });
+            expect(response.body.posts).toEqual([]);
+        });
+    });
+
+    describe('Authentication errors', () => {
+        test('should return 401 without a token', async () => {
+            // Act
+            const response = await request(app)
+                .get('/api/posts')
+                .expect(401);
+
+            // Assert
+            expect(response.body).toEqual({ error: 'No token provided' });
+        });
+
+        test('should return 403 for an invalid token', async () => {
+            // Act
+            const response = await request(app)
+                .get('/api/posts')
+                .set('Authorization', 'Bearer not-a-jwt')
+                .expect(403);
+
+            // Assert
+            expect(response.body).toEqual({ error: 'Invalid token' });
         });
     });
 
     describe('Error handling', () => {
         test('should handle database errors gracefully', async () => {
             // Arrange
-            const mockError = new Error('Database connection failed');
-            mockSupabase.from.mockReturnValue({
-                select: jest.fn().mockReturnValue({
-                    order: jest.fn().mockResolvedValue({
-                        data: null,
-                        error: mockError
-                    })
-                })
+            db.posts.query = async () => ({
+                data: null,
+                error: { message: 'Database connection failed' }
             });
 
             // Act
             const response = await request(app)
                 .get('/api/posts')
-                .expect(500);
+                .set('Authorization', `Bearer ${tokenFor(user)}`)
+                .expect(400);
 
             // Assert
-            expect(response.body).toMatchObject({
-                success: false,
-                error: 'Database connection failed'
-            });
-            expect(response.body).toHaveProperty('timestamp');
+            expect(response.body).toEqual({ error: 'Database connection failed' });
         });
 
         test('should handle unexpected server errors', async () => {
             // Arrange
-            mockSupabase.from.mockImplementation(() => {
+            db.posts.query = async () => {
                 throw new Error('Unexpected error');
-            });
+            };
 
             // Act
             const response = await request(app)
                 .get('/api/posts')
+                .set('Authorization', `Bearer ${tokenFor(user)}`)
                 .expect(500);
 
             // Assert
-            expect(response.body).toMatchObject({
-                success: false,
-                error: 'Unexpected error'
+            expect(response.body).toEqual({ error: 'Server error' });
+        });
+    });
+
+    describe('Pagination', () => {
+        const getPosts = (query) =>
+            request(app)
+                .get('/api/posts')
+                .query(query)
+                .set('Authorization', `Bearer ${tokenFor(user)}`);
+
+        beforeEach(async () => {
+            for (const title of ['Charlie', 'Alpha', 'Echo', 'Bravo', 'Delta']) {
+                await db.posts.create({ title, content: 'Some post content', user_id: user.id, status: 'published' });
+            }
+        });
+
+        test('should page through posts with next_cursor', async () => {
+            // Act
+            const first = await getPosts({ limit: 2 }).expect(200);
+            const second = await getPosts({ limit: 2, cursor: first.body.next_cursor }).expect(200);
+            const third = await getPosts({ limit: 2, cursor: second.body.next_cursor }).expect(200);
+
+            // Assert
+            expect(first.body.posts.map((p) => p.title)).toEqual(['Delta', 'Bravo']);
+            expect(second.body.posts.map((p) => p.title)).toEqual(['Echo', 'Alpha']);
+            expect(third.body.posts.map((p) => p.title)).toEqual(['Charlie']);
+            expect(third.body.next_cursor).toBeNull();
+        });
+
+        test('should sort by title alphabetically by default', async () => {
+            // Act
+            const first = await getPosts({ sort: 'title', limit: 3 }).expect(200);
+            const second = await getPosts({ sort: 'title', limit: 3, cursor: first.body.next_cursor }).expect(200);
+
+            // Assert
+            expect(first.body.posts.map((p) => p.title)).toEqual(['Alpha', 'Bravo', 'Charlie']);
+            expect(second.body.posts.map((p) => p.title)).toEqual(['Delta', 'Echo']);
+        });
+
+        test('should sort by last update', async () => {
+            // Arrange
+            const { data: posts } = await db.posts.query({ userId: user.id, sort: 'title', order: 'asc', limit: 5 });
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            await db.posts.update(posts[0].id, user.id, { content: 'Freshly edited content' });
+
+            // Act
+            const response = await getPosts({ sort: 'updated', limit: 1 }).expect(200);
+
+            // Assert
+            expect(response.body.posts[0].title).toBe('Alpha');
+        });
+
+        test('should filter by status and creation date', async () => {
+            // Arrange
+            const { data: draft } = await db.posts.create({
+                title: 'Draft', content: 'Some post content', user_id: user.id, status: 'draft'
             });
+
+            // Act
+            const drafts = await getPosts({ status: 'draft' }).expect(200);
+            const future = await getPosts({ from: '2999-01-01' }).expect(200);
+            const past = await getPosts({ to: '2000-01-01T00:00:00Z' }).expect(200);
+
+            // Assert
+            expect(drafts.body.posts.map((p) => p.id)).toEqual([draft.id]);
+            expect(future.body.posts).toEqual([]);
+            expect(past.body.posts).toEqual([]);
+        });
+
+        test('should reject a cursor from a different sort', async () => {
+            // Arrange
+            const first = await getPosts({ limit: 2 }).expect(200);
+
+            // Act
+            const response = await getPosts({ sort: 'title', cursor: first.body.next_cursor }).expect(400);
+
+            // Assert
+            expect(response.body.details[0].message).toBe('Invalid cursor for this sort order');
+        });
+
+        test.each([
+            ['a non-integer id', { id: '1,status.eq.draft', v: '2024-01-01T00:00:00.000Z' }],
+            ['a fractional id', { id: 1.5, v: '2024-01-01T00:00:00.000Z' }],
+            ['a non-string value', { id: 1, v: { gt: 0 } }],
+            ['a value that is not a date', { id: 1, v: 'tomorrow' }]
+        ])('should reject a cursor with %s', async (name, fields) => {
+            // Arrange
+            const cursor = Buffer.from(JSON.stringify({ s: 'created', o: 'desc', ...fields }))
+                .toString('base64url');
+
+            // Act
+            const response = await getPosts({ cursor }).expect(400);
+
+            // Assert
+            expect(response.body.details[0].message).toBe('Invalid cursor for this sort order');
+        });
+
+        test.each([
+            [{ limit: 0 }],
+            [{ limit: 101 }],
+            [{ sort: 'popularity' }],
+            [{ status: 'deleted' }],
+            [{ from: 'yesterday' }],
+            [{ cursor: 'garbage' }]
+        ])('should return 400 for invalid query %p', async (query) => {
+            // Act & Assert
+            await getPosts(query).expect(400);
         });
     });
 
     describe('Response format validation', () => {
         test('should return posts ordered by id descending', async () => {
             // Arrange
-            const mockPosts = [
-                { id: 3, title: 'Newest Post', content: 'Content 3', user_id: 1 },
-                { id: 2, title: 'Middle Post', content: 'Content 2', user_id: 2 },
-                { id: 1, title: 'Oldest Post', content: 'Content 1', user_id: 1 }
-            ];
-
-            const mockOrderFn = jest.fn().mockResolvedValue({
-                data: mockPosts,
-                error: null
-            });
-
-            mockSupabase.from.mockReturnValue({
-                select: jest.fn().mockReturnValue({
-                    order: mockOrderFn
-                })
-            });
+            for (const title of ['Oldest Post', 'Middle Post', 'Newest Post']) {
+                await db.posts.create({ title, content: 'Some post content', user_id: user.id });
+            }
 
             // Act
-            await request(app).get('/api/posts');
+            const response = await request(app)
+                .get('/api/posts')
+                .set('Authorization', `Bearer ${tokenFor(user)}`);
 
             // Assert
-            expect(mockOrderFn).toHaveBeenCalledWith('id', { ascending: false });
+            expect(response.body.posts.map((p) => p.title)).toEqual([
+                'Newest Post',
+                'Middle Post',
+                'Oldest Post'
+            ]);
         });
 
-        test('should include all required response fields', async () => {
+        test('should include all required post fields', async () => {
             // Arrange
-            mockSupabase.from.mockReturnValue({
-                select: jest.fn().mockReturnValue({
-                    order: jest.fn().mockResolvedValue({
-                        data: [],
-                        error: null
-                    })
-                })
-            });
+            await db.posts.create({ title: 'Test Post', content: 'Some post content', user_id: user.id });
 
             // Act
             const response = await request(app)
                 .get('/api/posts')
+                .set('Authorization', `Bearer ${tokenFor(user)}`)
                 .expect(200);
 
             // Assert
-            expect(response.body).toHaveProperty('success');
-            expect(response.body).toHaveProperty('data');
-            expect(response.body).toHaveProperty('count');
-            expect(response.body).toHaveProperty('timestamp');
-            expect(typeof response.body.success).toBe('boolean');
-            expect(Array.isArray(response.body.data)).toBe(true);
-            expect(typeof response.body.count).toBe('number');
-            expect(typeof response.body.timestamp).toBe('string');
+            const [post] = response.body.posts;
+            expect(Array.isArray(response.body.posts)).toBe(true);
+            expect(typeof post.id).toBe('number');
+            expect(typeof post.title).toBe('string');
+            expect(typeof post.content).toBe('string');
+            expect(typeof post.created_at).toBe('string');
         });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,178 @@
+import request from 'supertest';
+import { createPublishScheduler } from '../jobs/publishScheduler.js';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('Post lifecycle', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let user;
+  let now;
+
+  beforeEach(async () => {
+    now = new Date('2025-01-01T00:00:00.000Z');
+    ({ app, db, tokenFor } = createTestApp({ clock: () => now }));
+    user = await seedUser(db);
+  });
+
+  const asUser = (req) => req.set('Authorization', `Bearer ${tokenFor(user)}`);
+  const createPost = (body) =>
+    asUser(request(app).post('/api/posts'))
+      .send({ title: 'Lifecycle post', content: 'Lifecycle post content', ...body });
+  const publicSlugs = async () =>
+    (await request(app).get('/api/public/posts').expect(200)).body.posts.map((p) => p.slug);
+
+  describe('Creating posts', () => {
+    test('should publish immediately by default', async () => {
+      // Act
+      const response = await createPost({}).expect(201);
+
+      // Assert
+      expect(response.body.post).toMatchObject({
+        status: 'published',
+        publish_at: null,
+        published_at: now.toISOString()
+      });
+    });
+
+    test('should keep drafts out of public reads', async () => {
+      // Arrange
+      const { body } = await createPost({ status: 'draft' }).expect(201);
+
+      // Act & Assert
+      expect(await publicSlugs()).toEqual([]);
+      await request(app).get(`/api/public/posts/${body.post.slug}`).expect(404);
+      await request(app).get(`/api/public/users/${user.id}/posts`)
+        .expect(200)
+        .then((response) => expect(response.body.posts).toEqual([]));
+    });
+
+    test('should require publish_at for scheduled posts', async () => {
+      // Act
+      const response = await createPost({ status: 'scheduled' }).expect(400);
+
+      // Assert
+      expect(response.body.details[0].message).toBe('publish_at is required for scheduled posts');
+    });
+
+    test('should reject unknown statuses', async () => {
+      // Act & Assert
+      await createPost({ status: 'live' }).expect(400);
+    });
+
+    test('should publish straight away when publish_at has already passed', async () => {
+      // Act
+      const response = await createPost({
+        status: 'scheduled',
+        publish_at: '2024-12-31T00:00:00.000Z'
+      }).expect(201);
+
+      // Assert
+      expect(response.body.post.status).toBe('published');
+    });
+  });
+
+  describe('Publish and unpublish endpoints', () => {
+    test('should publish and unpublish a draft', async () => {
+      // Arrange
+      const { body } = await createPost({ status: 'draft' }).expect(201);
+
+      // Act
+      const published = await asUser(request(app).post(`/api/posts/${body.post.id}/publish`)).expect(200);
+      const slugsWhilePublished = await publicSlugs();
+      const unpublished = await asUser(request(app).post(`/api/posts/${body.post.id}/unpublish`)).expect(200);
+
+      // Assert
+      expect(published.body.post.status).toBe('published');
+      expect(slugsWhilePublished).toEqual([body.post.slug]);
+      expect(unpublished.body.post.status).toBe('draft');
+      expect(await publicSlugs()).toEqual([]);
+    });
+
+    test('should schedule when publish_at is in the future', async () => {
+      // Arrange
+      const { body } = await createPost({ status: 'draft' }).expect(201);
+
+      // Act
+      const response = await asUser(request(app).post(`/api/posts/${body.post.id}/publish`))
+        .send({ publish_at: '2025-01-02T00:00:00.000Z' })
+        .expect(200);
+
+      // Assert
+      expect(response.body.post).toMatchObject({
+        status: 'scheduled',
+        publish_at: '2025-01-02T00:00:00.000Z'
+      });
+    });
+
+    test('should return 404 for someone else\'s post', async () => {
+      // Arrange
+      const { body } = await createPost({ status: 'draft' }).expect(201);
+      const other = await seedUser(db);
+
+      // Act & Assert
+      await request(app)
+        .post(`/api/posts/${body.post.id}/publish`)
+        .set('Authorization', `Bearer ${tokenFor(other)}`)
+        .expect(404);
+    });
+
+    test('should keep the lifecycle when PUT omits status', async () => {
+      // Arrange
+      const { body } = await createPost({ status: 'draft' }).expect(201);
+
+      // Act
+      const response = await asUser(request(app).put(`/api/posts/${body.post.id}`))
+        .send({ title: 'Edited title', content: 'Edited post content' })
+        .expect(200);
+
+      // Assert
+      expect(response.body.post.status).toBe('draft');
+    });
+  });
+
+  describe('Publish scheduler', () => {
+    test('should publish scheduled posts once publish_at passes', async () => {
+      // Arrange
+      const scheduler = createPublishScheduler({ db, clock: () => now });
+      const { body } = await createPost({
+        status: 'scheduled',
+        publish_at: '2025-01-01T12:00:00.000Z'
+      }).expect(201);
+
+      // Act
+      const early = await scheduler.runOnce();
+      const slugsBefore = await publicSlugs();
+      now = new Date('2025-01-01T12:00:01.000Z');
+      const due = await scheduler.runOnce();
+
+      // Assert
+      expect(early).toEqual([]);
+      expect(slugsBefore).toEqual([]);
+      expect(due.map((p) => p.id)).toEqual([body.post.id]);
+      expect(due[0]).toMatchObject({
+        status: 'published',
+        published_at: '2025-01-01T12:00:00.000Z',
+        publish_at: null
+      });
+      expect(await publicSlugs()).toEqual([body.post.slug]);
+    });
+
+    test('should leave posts unpublished before their time alone', async () => {
+      // Arrange
+      const scheduler = createPublishScheduler({ db, clock: () => now });
+      const { body } = await createPost({
+        status: 'scheduled',
+        publish_at: '2025-01-01T12:00:00.000Z'
+      }).expect(201);
+      await asUser(request(app).post(`/api/posts/${body.post.id}/unpublish`)).expect(200);
+
+      // Act
+      now = new Date('2025-01-02T00:00:00.000Z');
+      const due = await scheduler.runOnce();
+
+      // Assert
+      expect(due).toEqual([]);
+    });
+  });
+});
@@ -1,335 +1,172 @@
-const request = require('supertest');
-
-// Mock Supabase client
-const mockSupabase = {
-  from: jest.fn(() => ({
-    insert: jest.fn(() => ({
-      select: jest.fn(() => ({
-        single: jest.fn()
-      }))
-    }))
-  }))
-};
-
-// Mock the Supabase module before importing the app
-jest.mock('@supabase/supabase-js', () => ({
-  createClient: jest.fn(() => mockSupabase)
-}));
-
-// Mock dotenv to prevent loading actual environment variables
-jest.mock('dotenv', () => ({
-  config: jest.fn()
-}));
-
-// Import the app after mocking
-const app = require('../server.js');
+import request from 'supertest';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
 
 describe('POST /api/posts', () => {
-  beforeEach(() => {
-    // Clear all mocks before each test
-    jest.clearAllMocks();
+  let app;
+  let db;
+  let tokenFor;
+  let user;
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp());
+    user = await seedUser(db);
   });
 
+  const postAs = (body) =>
+    request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${tokenFor(user)}`)
+      .send(body);
+
   describe('Successful requests', () => {
     test('should create a new post with valid data', async () => {
       // Arrange
       const newPost = {
         title: 'Test Post Title',
-        content: 'This is test post content',
-        user_id: 1
+        content: 'This is test post content'
       };
 
-      const createdPost = {
-        id: 1,
-        ...newPost,
-        created_at: '2024-01-01T00:00:00.000Z'
-      };
-
-      mockSupabase.from.mockReturnValue({
-        insert: jest.fn().mockReturnValue({
-          select: jest.fn().mockReturnValue({
-            single: jest.fn().mockResolvedValue({
-              data: createdPost,
-              error: null
-            })
-          })
-        })
-      });
-
       // Act
-      const response = await request(app)
-        .post('/api/posts')
-        .send(newPost)
-        .expect(201);
+      const response = await postAs(newPost).expect(201);
 
       // Assert
-      expect(response.body).toMatchObject({
-        success: true,
-        data: createdPost,
-        message: 'Post created successfully'
+      expect(response.body.post).toMatchObject({
+        ...newPost,
+        user_id: user.id
       });
-      expect(response.body).toHaveProperty('timestamp');
-      expect(mockSupabase.from).toHaveBeenCalledWith('posts');
+      expect(response.body.post).toHaveProperty('id');
+      expect(response.body.post).toHaveProperty('created_at');
     });
 
     test('should handle posts with long content', async () => {
       // Arrange
       const longContent = 'A'.repeat(1000); // 1000 character content
-      const newPost = {
-        title: 'Long Content Post',
-        content: longContent,
-        user_id: 1
-      };
 
-      const createdPost = { id: 1, ...newPost };
+      // Act
+      const response = await postAs({ title: 'Long Content Post', content: longContent }).expect(201);
 
-      mockSupabase.from.mockReturnValue({
-        insert: jest.fn().mockReturnValue({
-          select: jest.fn().mockReturnValue({
-            single: jest.fn().mockResolvedValue({
-              data: createdPost,
-              error: null
-            })
-          })
-        })
-      });
+      // Assert
+      expect(response.body.post.content).toBe(longContent);
+    });
 
+    test('should ignore a user_id in the body and use the token owner', async () => {
       // Act
-      const response = await request(app)
-        .post('/api/posts')
-        .send(newPost)
-        .expect(201);
+      const response = await postAs({
+        title: 'Spoofed owner',
+        content: 'This is test post content',
+        user_id: 999
+      }).expect(201);
 
       // Assert
-      expect(response.body.success).toBe(true);
-      expect(response.body.data.content).toBe(longContent);
+      expect(response.body.post.user_id).toBe(user.id);
     });
   });
 
   describe('Validation errors', () => {
     test('should return 400 when title is missing', async () => {
-      // Arrange
-      const invalidPost = {
-        content: 'Content without title',
-        user_id: 1
-      };
-
       // Act
-      const response = await request(app)
-        .post('/api/posts')
-        .send(invalidPost)
-        .expect(400);
+      const response = await postAs({ content: 'Content without title' }).expect(400);
 
       // Assert
-      expect(response.body).toMatchObject({
-        success: false,
-        error: 'Missing required fields: title'
-      });
-      expect(response.body).toHaveProperty('timestamp');
+      expect(response.body.error).toBe('Validation failed');
+      expect(response.body.details[0].path).toEqual(['title']);
     });
 
     test('should return 400 when content is missing', async () => {
-      // Arrange
-      const invalidPost = {
-        title: 'Title without content',
-        user_id: 1
-      };
-
       // Act
-      const response = await request(app)
-        .post('/api/posts')
-        .send(invalidPost)
-        .expect(400);
+      const response = await postAs({ title: 'Title without content' }).expect(400);
 
       // Assert
-      expect(response.body).toMatchObject({
-        success: false,
-        error: 'Missing required fields: content'
-      });
+      expect(response.body.error).toBe('Validation failed');
+      expect(response.body.details[0].path).toEqual(['content']);
     });
 
-    test('should return 400 when user_id is missing', async () => {
-      // Arrange
-      const invalidPost = {
-        title: 'Test Title',
-        content: 'Test Content'
-      };
-
+    test('should return 400 when content is too short', async () => {
       // Act
-      const response = await request(app)
-        .post('/api/posts')
-        .send(invalidPost)
-        .expect(400);
+      const response = await postAs({ title: 'Short', content: 'Too short' }).expect(400);
 
       // Assert
-      expect(response.body).toMatchObject({
-        success: false,
-        error: 'Missing required fields: user_id'
-      });
-    });
-
-    test('should return 400 when multiple fields are missing', async () => {
-      // Arrange
-      const invalidPost = {
-        user_id: 1
-      };
-
-      // Act
-      const response = await request(app)
-        .post('/api/posts')
-        .send(invalidPost)
-        .expect(400);
-
-      // Assert
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Missing required fields:');
-      expect(response.body.error).toContain('title');
-      expect(response.body.error).toContain('content');
+      expect(response.body.details[0].message).toBe('Content is required');
     });
 
     test('should return 400 when request body is empty', async () => {
       // Act
-      const response = await request(app)
-        .post('/api/posts')
-        .send({})
-        .expect(400);
+      const response = await postAs({}).expect(400);
 
       // Assert
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Missing required fields:');
+      expect(response.body.details).toHaveLength(2);
     });
   });
 
   describe('Database errors', () => {
     test('should handle database insertion errors', async () => {
       // Arrange
-      const validPost = {
-        title: 'Test Title',
-        content: 'Test Content',
-        user_id: 1
-      };
-
-      const mockError = new Error('Database insertion failed');
-      mockSupabase.from.mockReturnValue({
-        insert: jest.fn().mockReturnValue({
-          select: jest.fn().mockReturnValue({
-            single: jest.fn().mockResolvedValue({
-              data: null,
-              error: mockError
-            })
-          })
-        })
+      db.posts.create = async () => ({
+        data: null,
+        error: { message: 'Database insertion failed' }
       });
 
       // Act
-      const response = await request(app)
-        .post('/api/posts')
-        .send(validPost)
-        .expect(500);
+      const response = await postAs({
+        title: 'Test Post',
+        content: 'This is test post content'
+      }).expect(400);
 
       // Assert
-      expect(response.body).toMatchObject({
-        success: false,
-        error: 'Database insertion failed'
-      });
-      expect(response.body).toHaveProperty('timestamp');
+      expect(response.body).toEqual({ error: 'Database insertion failed' });
     });
 
-    test('should handle foreign key constraint errors', async () => {
+    test('should handle unexpected server errors', async () => {
       // Arrange
-      const postWithInvalidUser = {
-        title: 'Test Title',
-        content: 'Test Content',
-        user_id: 999 // Non-existent user
+      db.posts.create = async () => {
+        throw new Error('Connection reset');
       };
 
-      const mockError = new Error('Foreign key constraint violation');
-      mockError.status = 409;
-      
-      mockSupabase.from.mockReturnValue({
-        insert: jest.fn().mockReturnValue({
-          select: jest.fn().mockReturnValue({
-            single: jest.fn().mockResolvedValue({
-              data: null,
-              error: mockError
-            })
-          })
-        })
-      });
-
       // Act
-      const response = await request(app)
-        .post('/api/posts')
-        .send(postWithInvalidUser)
-        .expect(409);
+      const response = await postAs({
+        title: 'Test Post',
+        content: 'This is test post content'
+      }).expect(500);
 
       // Assert
-      expect(response.body).toMatchObject({
-        success: false,
-        error: 'Foreign key constraint violation'
-      });
+      expect(response.body).toEqual({ error: 'Server error' });
     });
   });
 
   describe('Request format validation', () => {
     test('should accept valid JSON content type', async () => {
-      // Arrange
-      const validPost = {
-        title: 'Test Title',
-        content: 'Test Content',
-        user_id: 1
-      };
-
-      mockSupabase.from.mockReturnValue({
-        insert: jest.fn().mockReturnValue({
-          select: jest.fn().mockReturnValue({
-            single: jest.fn().mockResolvedValue({
-              data: { id: 1, ...validPost },
-              error: null
-            })
-          })
-        })
-      });
-
       // Act
       const response = await request(app)
         .post('/api/posts')
+        .set('Authorization', `Bearer ${tokenFor(user)}`)
         .set('Content-Type', 'application/json')
-        .send(validPost)
+        .send(JSON.stringify({ title: 'JSON Post', content: 'This is test post content' }))
         .expect(201);
 
       // Assert
-      expect(response.body.success).toBe(true);
+      expect(response.body.post.title).toBe('JSON Post');
     });
 
-    test('should verify correct data is passed to Supabase', async () => {
+    test('should verify correct data is passed to the database', async () => {
       // Arrange
-      const validPost = {
-        title: 'Test Title',
-        content: 'Test Content',
-        user_id: 1
+      const calls = [];
+      const create = db.posts.create;
+      db.posts.create = async (post) => {
+        calls.push(post);
+        return create(post);
       };
 
-      const mockInsert = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          single: jest.fn().mockResolvedValue({
-            data: { id: 1, ...validPost },
-            error: null
-          })
-        })
-      });
-
-      mockSupabase.from.mockReturnValue({
-        insert: mockInsert
-      });
-
       // Act
-      await request(app)
-        .post('/api/posts')
-        .send(validPost);
+      await postAs({ title: 'Test Post', content: 'This is test post content' }).expect(201);
 
       // Assert
-      expect(mockInsert).toHaveBeenCalledWith([validPost]);
+      expect(calls).toHaveLength(1);
+      expect(calls[0]).toMatchObject({
+        title: 'Test Post',
+        slug: 'test-post',
+        content: 'This is test post content',
+        user_id: user.id
+      });
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,153 @@
+import request from 'supertest';
+import { parseSearchQuery, toTsQuery } from '../lib/search.js';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('GET /api/posts/search', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let user;
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp());
+    user = await seedUser(db);
+    await db.posts.create({
+      title: 'Baking sourdough bread',
+      content: 'A slow fermentation gives sourdough its flavour. Bread flour matters.',
+      user_id: user.id
+    });
+    await db.posts.create({
+      title: 'Weekend hike',
+      content: 'We stopped for bread and cheese halfway up the mountain trail.',
+      user_id: user.id
+    });
+    await db.posts.create({
+      title: 'Notes on <script> tags',
+      content: 'Never trust <b>user</b> input, said the quick brown fox.',
+      user_id: user.id
+    });
+  });
+
+  const search = (query) =>
+    request(app)
+      .get('/api/posts/search')
+      .query(query)
+      .set('Authorization', `Bearer ${tokenFor(user)}`);
+
+  describe('Successful requests', () => {
+    test('should rank title matches above content matches', async () => {
+      // Act
+      const response = await search({ q: 'bread' }).expect(200);
+
+      // Assert
+      expect(response.body.results.map((r) => r.post.title)).toEqual([
+        'Baking sourdough bread',
+        'Weekend hike'
+      ]);
+      expect(response.body.results[0].rank).toBeGreaterThan(response.body.results[1].rank);
+    });
+
+    test('should require every word to match', async () => {
+      // Act
+      const response = await search({ q: 'bread mountain' }).expect(200);
+
+      // Assert
+      expect(response.body.results.map((r) => r.post.title)).toEqual(['Weekend hike']);
+    });
+
+    test('should support prefix matches', async () => {
+      // Act
+      const response = await search({ q: 'ferment*' }).expect(200);
+
+      // Assert
+      expect(response.body.results).toHaveLength(1);
+      expect(response.body.results[0].highlights.content).toContain('<mark>fermentation</mark>');
+    });
+
+    test('should match quoted phrases only when consecutive', async () => {
+      // Act
+      const hit = await search({ q: '"quick brown fox"' }).expect(200);
+      const miss = await search({ q: '"brown quick"' }).expect(200);
+
+      // Assert
+      expect(hit.body.results).toHaveLength(1);
+      expect(hit.body.results[0].highlights.content).toContain('<mark>quick brown fox</mark>');
+      expect(miss.body.results).toEqual([]);
+    });
+
+    test('should escape HTML in highlighted snippets', async () => {
+      // Act
+      const response = await search({ q: 'script user' }).expect(200);
+
+      // Assert
+      expect(response.body.results[0].highlights).toEqual({
+        title: 'Notes on &lt;<mark>script</mark>&gt; tags',
+        content: 'Never trust &lt;b&gt;<mark>user</mark>&lt;/b&gt; input, said the quick brown fox.'
+      });
+    });
+
+    test('should only search the signed-in user\'s posts', async () => {
+      // Arrange
+      const other = await seedUser(db);
+
+      // Act
+      const response = await request(app)
+        .get('/api/posts/search')
+        .query({ q: 'bread' })
+        .set('Authorization', `Bearer ${tokenFor(other)}`)
+        .expect(200);
+
+      // Assert
+      expect(response.body.results).toEqual([]);
+    });
+
+    test('should trim long content to an excerpt around the first match', async () => {
+      // Arrange
+      const { data: post } = await db.posts.create({
+        title: 'Long read',
+        content: `${'filler '.repeat(50)}needle ${'padding '.repeat(50)}`,
+        user_id: user.id
+      });
+
+      // Act
+      const response = await search({ q: 'needle' }).expect(200);
+
+      // Assert
+      const { content } = response.body.results[0].highlights;
+      expect(response.body.results[0].post.id).toBe(post.id);
+      expect(content.startsWith('…filler')).toBe(true);
+      expect(content.endsWith('…')).toBe(true);
+      expect(content).toContain('<mark>needle</mark>');
+    });
+  });
+
+  describe('Validation errors', () => {
+    test('should return 400 without a query', async () => {
+      // Act & Assert
+      await search({}).expect(400);
+    });
+
+    test('should return 400 when the query has no words', async () => {
+      // Act
+      const response = await search({ q: '"" ***' }).expect(400);
+
+      // Assert
+      expect(response.body).toEqual({ error: 'Search query has no searchable words' });
+    });
+  });
+
+  describe('Query parsing', () => {
+    test('should translate terms into a Postgres tsquery', () => {
+      // Act
+      const terms = parseSearchQuery('Quick "brown fox" jum*');
+
+      // Assert
+      expect(terms).toEqual([
+        { words: ['quick'], prefix: false },
+        { words: ['brown', 'fox'], prefix: false },
+        { words: ['jum'], prefix: true }
+      ]);
+      expect(toTsQuery(terms)).toBe("'quick' & 'brown' <-> 'fox' & 'jum':*");
+    });
+  });
+});
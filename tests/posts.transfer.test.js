@@ -0,0 +1,246 @@
+import JSZip from 'jszip';
+import request from 'supertest';
+import { createFileDb } from '../db/file.js';
+import { parseMarkdownFile } from '../lib/postTransfer.js';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+// Collects a binary response body into a Buffer
+const binary = (res, done) => {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => done(null, Buffer.concat(chunks)));
+};
+
+describe('Post export and import', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let user;
+  let token;
+
+  beforeEach(async () => {
+    const clock = () => new Date('2025-03-01T12:00:00.000Z');
+    ({ app, db, tokenFor } = createTestApp({ db: createFileDb({ clock }), clock }));
+    user = await seedUser(db, { name: 'Writer' });
+    token = tokenFor(user);
+  });
+
+  const createPost = (body) =>
+    request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body)
+      .expect(201);
+
+  const exportPosts = (format) =>
+    request(app)
+      .get('/api/posts/export')
+      .query(format ? { format } : {})
+      .set('Authorization', `Bearer ${token}`);
+
+  const importFile = (buffer, filename, query = {}, as = token) =>
+    request(app)
+      .post('/api/posts/import')
+      .query(query)
+      .set('Authorization', `Bearer ${as}`)
+      .attach('file', buffer, filename);
+
+  describe('GET /api/posts/export', () => {
+    test('should export posts as JSON in the posts.json shape', async () => {
+      // Arrange
+      const { post } = (await createPost({
+        title: 'First post',
+        content: 'Some **markdown** content',
+        tags: ['notes']
+      })).body;
+      await createPost({ title: 'Draft post', content: 'Not published yet', status: 'draft' });
+
+      // Act
+      const response = await exportPosts().expect(200);
+
+      // Assert
+      expect(response.headers['content-disposition']).toBe('attachment; filename="posts-2025-03-01.json"');
+      const entries = JSON.parse(response.text);
+      expect(entries.map((e) => e.title)).toEqual(['First post', 'Draft post']);
+      expect(entries[0]).toEqual({
+        id: String(post.id),
+        title: 'First post',
+        slug: 'first-post',
+        body: 'Some **markdown** content',
+        format: 'markdown',
+        status: 'published',
+        publish_at: null,
+        published_at: '2025-03-01T12:00:00.000Z',
+        comments_closed: false,
+        tags: ['notes'],
+        createdAt: '2025-03-01T12:00:00.000Z',
+        updated_at: '2025-03-01T12:00:00.000Z'
+      });
+      expect(entries[1].status).toBe('draft');
+    });
+
+    test('should leave out trashed posts and other users\' posts', async () => {
+      // Arrange
+      const { post } = (await createPost({ title: 'Trashed post', content: 'Gone to the trash' })).body;
+      await request(app).delete(`/api/posts/${post.id}`).set('Authorization', `Bearer ${token}`).expect(200);
+      const other = await seedUser(db);
+      await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${tokenFor(other)}`)
+        .send({ title: 'Not mine', content: 'Someone else wrote this' })
+        .expect(201);
+
+      // Act
+      const response = await exportPosts().expect(200);
+
+      // Assert
+      expect(JSON.parse(response.text)).toEqual([]);
+    });
+
+    test('should export a zip of Markdown files with front matter', async () => {
+      // Arrange
+      await createPost({ title: 'Zipped post', content: '# Heading\n\nBody text', tags: ['a', 'b'] });
+
+      // Act
+      const response = await exportPosts('markdown').buffer(true).parse(binary).expect(200);
+
+      // Assert
+      expect(response.headers['content-type']).toBe('application/zip');
+      const zip = await JSZip.loadAsync(response.body);
+      expect(Object.keys(zip.files)).toEqual(['zipped-post.md']);
+      const file = await zip.file('zipped-post.md').async('string');
+      expect(file.startsWith('---\ntitle: Zipped post\nslug: zipped-post\n')).toBe(true);
+      expect(parseMarkdownFile(file)).toMatchObject({
+        title: 'Zipped post',
+        format: 'markdown',
+        status: 'published',
+        tags: ['a', 'b'],
+        created_at: '2025-03-01T12:00:00.000Z',
+        content: '# Heading\n\nBody text'
+      });
+    });
+
+    test('should reject unknown formats', async () => {
+      // Act & Assert
+      await exportPosts('csv').expect(400);
+    });
+  });
+
+  describe('POST /api/posts/import', () => {
+    const legacy = Buffer.from(`/**
+ * Posts Database (JSON File)
+ */
+[
+  { "id": "1", "title": "Welcome", "body": "This is the first post in the file-backed DB.", "createdAt": "2025-10-21T00:00:00.000Z" }
+]`);
+
+    test('should import a posts.json file, keeping its dates', async () => {
+      // Act
+      const response = await importFile(legacy, 'posts.json').expect(201);
+
+      // Assert
+      expect(response.body).toMatchObject({
+        dry_run: false,
+        summary: { total: 1, created: 1 },
+        results: [{ index: 0, title: 'Welcome', result: 'created', slug: 'welcome' }]
+      });
+      const { data: post } = await db.posts.findById(response.body.results[0].post_id);
+      expect(post).toMatchObject({
+        user_id: user.id,
+        content: 'This is the first post in the file-backed DB.',
+        format: 'plain',
+        status: 'published',
+        created_at: '2025-10-21T00:00:00.000Z'
+      });
+    });
+
+    test('should round-trip an export, reusing free slugs and skipping duplicates', async () => {
+      // Arrange
+      await createPost({ title: 'Round trip', content: 'Content that travels', tags: ['travel'] });
+      const exported = (await exportPosts('markdown').buffer(true).parse(binary).expect(200)).body;
+      const newcomer = await seedUser(db);
+
+      // Act
+      const again = await importFile(exported, 'posts.zip').expect(201);
+      const moved = await importFile(exported, 'posts.zip', {}, tokenFor(newcomer)).expect(201);
+
+      // Assert
+      expect(again.body.results[0]).toMatchObject({
+        file: 'round-trip.md',
+        result: 'duplicate',
+        duplicate_of: { post_id: expect.any(Number) }
+      });
+      expect(moved.body.results[0]).toMatchObject({ result: 'created', slug: 'round-trip-2' });
+      const { data: post } = await db.posts.findById(moved.body.results[0].post_id);
+      expect(post).toMatchObject({
+        title: 'Round trip',
+        content: 'Content that travels',
+        format: 'markdown',
+        published_at: '2025-03-01T12:00:00.000Z'
+      });
+      const tags = await request(app)
+        .get('/api/tags')
+        .set('Authorization', `Bearer ${tokenFor(newcomer)}`)
+        .expect(200);
+      expect(tags.body.tags.map((t) => t.slug)).toEqual(['travel']);
+    });
+
+    test('should report invalid entries and duplicates within the file on a dry run', async () => {
+      // Arrange
+      const file = Buffer.from(JSON.stringify([
+        { title: 'Valid post', content: 'Long enough content' },
+        { title: 'No', content: 'short' },
+        { title: 'Valid post', body: 'Long enough content' },
+        { title: 'Bad date', content: 'Long enough content', created_at: 'yesterday' },
+        'not a post'
+      ]));
+
+      // Act
+      const response = await importFile(file, 'posts.json', { dry_run: 'true' }).expect(200);
+
+      // Assert
+      expect(response.body.dry_run).toBe(true);
+      expect(response.body.summary).toEqual({ total: 5, new: 1, invalid: 3, duplicate: 1 });
+      expect(response.body.results.map((r) => r.result)).toEqual([
+        'new',
+        'invalid',
+        'duplicate',
+        'invalid',
+        'invalid'
+      ]);
+      expect(response.body.results[1].errors.map((e) => e.path[0])).toEqual(['title', 'content']);
+      expect(response.body.results[2].duplicate_of).toEqual({ index: 0 });
+      const { data: posts } = await db.posts.listByUser(user.id);
+      expect(posts).toHaveLength(0);
+    });
+
+    test('should treat unreadable files and front matter as errors', async () => {
+      // Arrange
+      const zip = new JSZip();
+      zip.file('good.md', '---\ntitle: Good file\n---\n\nFrom a Markdown file');
+      zip.file('bad.md', '---\n- just\n- a list\n---\nBody');
+      zip.file('notes.txt', 'ignored');
+      const archive = await zip.generateAsync({ type: 'nodebuffer' });
+
+      // Act
+      const notJson = await importFile(Buffer.from('title,content'), 'posts.csv').expect(400);
+      const mixed = await importFile(archive, 'posts.zip').expect(201);
+
+      // Assert
+      expect(notJson.body.error).toBe('Import must be a JSON array of posts or a zip of Markdown files');
+      expect(mixed.body.results).toMatchObject([
+        { file: 'bad.md', result: 'invalid', errors: [{ message: 'Front matter must be a YAML mapping' }] },
+        { file: 'good.md', result: 'created' }
+      ]);
+    });
+
+    test('should require a file and the posts:write permission', async () => {
+      // Arrange
+      const reader = await seedUser(db, { role: 'reader' });
+
+      // Act & Assert
+      await request(app).post('/api/posts/import').set('Authorization', `Bearer ${token}`).expect(400);
+      await importFile(legacy, 'posts.json', {}, tokenFor(reader)).expect(403);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import request from 'supertest';
+import { createTrashPurger } from '../jobs/trashPurger.js';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('Post trash', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let author;
+  let post;
+  let now;
+
+  beforeEach(async () => {
+    now = new Date('2024-05-01T12:00:00Z');
+    ({ app, db, tokenFor } = createTestApp({ clock: () => now }));
+    author = await seedUser(db, { name: 'Author' });
+    const response = await as(author, request(app).post('/api/posts'))
+      .send({ title: 'Soon in the trash', content: 'Delete me later', tags: ['temp'] })
+      .expect(201);
+    post = response.body.post;
+  });
+
+  const as = (user, req) => req.set('Authorization', `Bearer ${tokenFor(user)}`);
+  const trash = (user = author, id = post.id) => as(user, request(app).delete(`/api/posts/${id}`));
+  const listTrash = async () =>
+    (await as(author, request(app).get('/api/posts/trash')).expect(200)).body.posts;
+
+  describe('DELETE /api/posts/:id', () => {
+    test('should move the post to the trash and hide it everywhere else', async () => {
+      // Act
+      const response = await trash().expect(200);
+
+      // Assert
+      expect(response.body.message).toBe('Post moved to trash');
+      expect(response.body.post.deleted_at).toBe(now.toISOString());
+      expect((await as(author, request(app).get('/api/posts')).expect(200)).body.posts).toEqual([]);
+      await request(app).get(`/api/public/posts/${post.slug}`).expect(404);
+      expect((await as(author, request(app).get('/api/tags')).expect(200)).body.tags).toEqual([]);
+      expect((await listTrash()).map((p) => p.id)).toEqual([post.id]);
+    });
+
+    test('should return 404 for missing, foreign or already trashed posts', async () => {
+      // Arrange
+      const other = await seedUser(db, { name: 'Other' });
+
+      // Act & Assert
+      await trash(author, 9999).expect(404);
+      await trash(other).expect(404);
+      await trash().expect(200);
+      await trash().expect(404);
+    });
+
+    test('should not allow editing a trashed post', async () => {
+      // Arrange
+      await trash().expect(200);
+
+      // Act & Assert
+      await as(author, request(app).put(`/api/posts/${post.id}`))
+        .send({ title: 'Edited', content: 'Edited content' })
+        .expect(404);
+    });
+  });
+
+  describe('Restore and permanent delete', () => {
+    test('should restore a trashed post with its slug and tags', async () => {
+      // Arrange
+      await trash().expect(200);
+
+      // Act
+      const response = await as(author, request(app).post(`/api/posts/${post.id}/restore`))
+        .expect(200);
+
+      // Assert
+      expect(response.body.post).toMatchObject({ slug: post.slug, tags: ['temp'], deleted_at: null });
+      expect(await listTrash()).toEqual([]);
+      await request(app).get(`/api/public/posts/${post.slug}`).expect(200);
+    });
+
+    test('should 404 when restoring a post that is not in the trash', async () => {
+      // Act & Assert
+      await as(author, request(app).post(`/api/posts/${post.id}/restore`)).expect(404);
+    });
+
+    test('should delete permanently only from the trash', async () => {
+      // Act & Assert
+      await as(author, request(app).delete(`/api/posts/trash/${post.id}`)).expect(404);
+      await trash().expect(200);
+      await as(author, request(app).delete(`/api/posts/trash/${post.id}`)).expect(200);
+      expect(await listTrash()).toEqual([]);
+      expect((await db.tags.listForPosts([post.id])).data).toEqual([]);
+    });
+
+    test('should keep authors demoted to reader from trashing or deleting their posts', async () => {
+      // Arrange
+      const demoted = { ...author, role: 'reader' };
+
+      // Act & Assert
+      await trash(demoted).expect(403);
+      await trash().expect(200);
+      await as(demoted, request(app).delete(`/api/posts/trash/${post.id}`)).expect(403);
+      expect((await listTrash()).map((p) => p.id)).toEqual([post.id]);
+    });
+  });
+
+  describe('Trash purger', () => {
+    test('should purge posts trashed longer than the retention period', async () => {
+      // Arrange
+      await trash().expect(200);
+      const purger = createTrashPurger({ db, clock: () => now, retentionDays: 7 });
+
+      // Act
+      now = new Date('2024-05-05T12:00:00Z');
+      const early = await purger.runOnce();
+      now = new Date('2024-05-08T12:00:00Z');
+      const purged = await purger.runOnce();
+
+      // Assert
+      expect(early).toEqual([]);
+      expect(purged.map((p) => p.id)).toEqual([post.id]);
+      expect(await listTrash()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import JSZip from 'jszip';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import sharp from 'sharp';
+import { createFileDb } from '../db/file.js';
+import { createAccountPurger } from '../jobs/accountPurger.js';
+import { TEST_JWT_SECRET, createTestApp, seedUser } from './helpers/testHelpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Account data export and deletion', () => {
+  let app;
+  let db;
+  let storage;
+  let tokenFor;
+  let now;
+  let session;
+  let writer;
+  let reader;
+
+  beforeEach(async () => {
+    now = new Date('2025-03-01T12:00:00.000Z');
+    const clock = () => now;
+    ({ app, db, storage, tokenFor } = createTestApp({ clock, db: createFileDb({ clock }) }));
+    const signup = await request(app)
+      .post('/api/signup')
+      .send({ email: 'writer@example.com', password: 'secret1', name: 'Writer' })
+      .expect(201);
+    session = signup.body;
+    ({ data: writer } = await db.users.findById(session.user.id));
+    reader = await seedUser(db, { name: 'Reader' });
+  });
+
+  const as = (user, req) => req.set('Authorization', `Bearer ${tokenFor(user)}`);
+  const withSession = (req) => req.set('Authorization', `Bearer ${session.token}`);
+  const createPost = async (user, body) =>
+    (await as(user, request(app).post('/api/posts')).send(body).expect(201)).body.post;
+
+  // supertest buffers zip responses only with an explicit parser
+  const download = (req) =>
+    req.buffer(true).parse((res, done) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => done(null, Buffer.concat(chunks)));
+    });
+  const readJson = async (zip, name) => JSON.parse(await zip.file(name).async('string'));
+
+  describe('GET /api/profile/data-export', () => {
+    test('should archive the account and everything tied to it', async () => {
+      // Arrange
+      const post = await createPost(writer, { title: 'Kept post', content: 'Still here today', tags: ['notes'] });
+      const trashed = await createPost(writer, { title: 'Trashed post', content: 'Sitting in the bin' });
+      await as(writer, request(app).delete(`/api/posts/${trashed.id}`)).expect(200);
+      const theirs = await createPost(reader, { title: 'Reader post', content: 'Not mine to export' });
+      await as(writer, request(app).post(`/api/posts/${theirs.id}/comments`)).send({ body: 'Nice one' }).expect(201);
+      await as(reader, request(app).post(`/api/posts/${post.id}/comments`)).send({ body: 'Their words' }).expect(201);
+      await as(writer, request(app).put(`/api/posts/${theirs.id}/reaction`)).send({ type: 'love' }).expect(200);
+      await as(writer, request(app).put(`/api/posts/${theirs.id}/bookmark`)).expect(200);
+      await as(reader, request(app).put(`/api/users/${writer.id}/follow`)).expect(200);
+      const png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#336699' } })
+        .png()
+        .toBuffer();
+      await as(writer, request(app).post(`/api/posts/${post.id}/attachments`))
+        .attach('file', png, { filename: 'photo.png', contentType: 'image/png' })
+        .expect(201);
+      await as(writer, request(app).patch('/api/profile'))
+        .attach('avatar', png, { filename: 'me.png', contentType: 'image/png' })
+        .expect(200);
+
+      // Act
+      const response = await download(withSession(request(app).get('/api/profile/data-export'))).expect(200);
+
+      // Assert
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-disposition']).toBe(
+        `attachment; filename="account-${writer.id}-2025-03-01.zip"`
+      );
+      const zip = await JSZip.loadAsync(response.body);
+      const account = await readJson(zip, 'account.json');
+      expect(account).toMatchObject({ id: writer.id, email: 'writer@example.com', has_password: true });
+      expect(account).not.toHaveProperty('password');
+      expect(account).not.toHaveProperty('avatar_key');
+      expect(await readJson(zip, 'identities.json')).toEqual([]);
+
+      const posts = await readJson(zip, 'posts.json');
+      expect(posts.map((p) => [p.title, p.deleted_at])).toEqual([
+        ['Kept post', null],
+        ['Trashed post', now.toISOString()]
+      ]);
+      expect(posts[0].tags).toEqual(['notes']);
+      expect((await readJson(zip, 'revisions.json')).length).toBeGreaterThan(0);
+      expect((await readJson(zip, 'comments.json')).map((c) => c.body)).toEqual(['Nice one']);
+      expect(await readJson(zip, 'reactions.json')).toEqual([
+        expect.objectContaining({ post_id: theirs.id, type: 'love' })
+      ]);
+      expect(await readJson(zip, 'bookmarks.json')).toEqual([expect.objectContaining({ post_id: theirs.id })]);
+      expect(await readJson(zip, 'followers.json')).toEqual([{ user_id: reader.id, since: now.toISOString() }]);
+      expect(await readJson(zip, 'following.json')).toEqual([]);
+
+      const [attachment] = await readJson(zip, 'attachments.json');
+      expect(attachment.file).toBe(`attachments/${attachment.id}-photo.png`);
+      expect(zip.file(attachment.file)).not.toBeNull();
+      expect(zip.file('avatar.webp')).not.toBeNull();
+    });
+
+    test('should require authentication', async () => {
+      // Act & Assert
+      await request(app).get('/api/profile/data-export').expect(401);
+    });
+  });
+
+  describe('DELETE /api/profile', () => {
+    test('should require the current password', async () => {
+      // Act & Assert
+      await withSession(request(app).delete('/api/profile')).send({}).expect(403);
+      const wrong = await withSession(request(app).delete('/api/profile'))
+        .send({ password: 'wrong-password' })
+        .expect(403);
+      expect(wrong.body.error).toBe('Password is incorrect');
+      expect((await db.users.findById(writer.id)).data.deletion_due_at).toBeNull();
+    });
+
+    test('should schedule the deletion and sign out every session', async () => {
+      // Act
+      const response = await withSession(request(app).delete('/api/profile'))
+        .send({ password: 'secret1' })
+        .expect(202);
+
+      // Assert
+      const due = new Date(now.getTime() + 14 * DAY_MS).toISOString();
+      expect(response.body).toEqual({ message: 'Account scheduled for deletion', deletion_due_at: due });
+      await withSession(request(app).get('/api/profile')).expect(401);
+      await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken }).expect(401);
+      await withSession(request(app).delete('/api/profile')).send({ password: 'secret1' }).expect(401);
+    });
+
+    test('should let the user sign in and cancel during the grace period', async () => {
+      // Arrange
+      await withSession(request(app).delete('/api/profile')).send({ password: 'secret1' }).expect(202);
+      const login = await request(app)
+        .post('/api/login')
+        .send({ email: 'writer@example.com', password: 'secret1' })
+        .expect(200);
+      const signedIn = (req) => req.set('Authorization', `Bearer ${login.body.token}`);
+      const profile = await signedIn(request(app).get('/api/profile')).expect(200);
+
+      // Act
+      const cancelled = await signedIn(request(app).post('/api/profile/deletion/cancel')).expect(200);
+
+      // Assert
+      expect(profile.body.user.deletion_due_at).toBe(new Date(now.getTime() + 14 * DAY_MS).toISOString());
+      expect(cancelled.body.message).toBe('Account deletion cancelled');
+      expect(cancelled.body.user.deletion_due_at).toBeNull();
+      await signedIn(request(app).post('/api/profile/deletion/cancel')).expect(400);
+    });
+
+    test('should ask users without a password to have signed in recently', async () => {
+      // Arrange
+      const googleUser = await seedUser(db, { name: 'Google User' });
+      const signIn = async (familyId) => {
+        await db.authTokens.createRefreshToken({
+          user_id: googleUser.id,
+          family_id: familyId,
+          token_hash: `hash-${familyId}`,
+          expires_at: new Date(now.getTime() + DAY_MS).toISOString()
+        });
+        return jwt.sign({ id: googleUser.id, email: googleUser.email, sid: familyId }, TEST_JWT_SECRET);
+      };
+      const staleToken = await signIn('stale-session');
+      now = new Date(now.getTime() + 10 * 60 * 1000);
+      const freshToken = await signIn('fresh-session');
+
+      // Act
+      const stale = await request(app)
+        .delete('/api/profile')
+        .set('Authorization', `Bearer ${staleToken}`)
+        .send({})
+        .expect(403);
+      await request(app).delete('/api/profile').set('Authorization', `Bearer ${freshToken}`).send({}).expect(202);
+
+      // Assert
+      expect(stale.body.error).toBe('Sign in again to confirm deleting your account');
+    });
+  });
+
+  describe('Account purger', () => {
+    test('should remove accounts once the grace period has passed', async () => {
+      // Arrange
+      const post = await createPost(writer, { title: 'Going away', content: 'Soon to be gone', tags: ['bye'] });
+      const theirs = await createPost(reader, { title: 'Staying', content: 'Still here tomorrow' });
+      await as(writer, request(app).post(`/api/posts/${theirs.id}/comments`)).send({ body: 'Farewell' }).expect(201);
+      await as(reader, request(app).put(`/api/users/${writer.id}/follow`)).expect(200);
+      const png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#336699' } })
+        .png()
+        .toBuffer();
+      await as(writer, request(app).post(`/api/posts/${post.id}/attachments`))
+        .attach('file', png, { filename: 'photo.png', contentType: 'image/png' })
+        .expect(201);
+      await withSession(request(app).delete('/api/profile')).send({ password: 'secret1' }).expect(202);
+      const purger = createAccountPurger({ db, storage, clock: () => now });
+
+      // Act
+      now = new Date(now.getTime() + 13 * DAY_MS);
+      const early = await purger.runOnce();
+      now = new Date(now.getTime() + 2 * DAY_MS);
+      const purged = await purger.runOnce();
+
+      // Assert
+      expect(early).toEqual([]);
+      expect(purged.map((u) => u.id)).toEqual([writer.id]);
+      expect((await db.users.findById(writer.id)).data).toBeNull();
+      expect((await db.posts.findById(post.id)).data).toBeNull();
+      expect((await db.posts.findById(theirs.id)).data).not.toBeNull();
+      expect((await db.follows.listFollowing(reader.id)).data).toEqual([]);
+      const [comment] = (await db.comments.listByPost(theirs.id)).data;
+      expect(comment).toMatchObject({ body: 'Farewell', user_id: null });
+      expect(storage.files.size).toBe(0);
+      await request(app)
+        .post('/api/login')
+        .send({ email: 'writer@example.com', password: 'secret1' })
+        .expect(401);
+    });
+  });
+});
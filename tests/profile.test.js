@@ -0,0 +1,211 @@
+import bcrypt from 'bcrypt';
+import request from 'supertest';
+import sharp from 'sharp';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('Profiles', () => {
+  let app;
+  let db;
+  let storage;
+  let tokenFor;
+  let user;
+
+  beforeEach(async () => {
+    ({ app, db, storage, tokenFor } = createTestApp());
+    user = await seedUser(db, { name: 'Writer', email: 'writer@example.com' });
+  });
+
+  const as = (account, req) => req.set('Authorization', `Bearer ${tokenFor(account)}`);
+  const image = (width, height) =>
+    sharp({ create: { width, height, channels: 3, background: '#336699' } }).png().toBuffer();
+
+  describe('PATCH /api/profile', () => {
+    test('should update the name, bio and website', async () => {
+      // Act
+      const response = await as(user, request(app).patch('/api/profile'))
+        .send({ name: 'New Name', bio: '  Writes about things.  ', website: 'https://writer.example.com' })
+        .expect(200);
+
+      // Assert
+      expect(response.body.user).toMatchObject({
+        name: 'New Name',
+        bio: 'Writes about things.',
+        website: 'https://writer.example.com',
+        avatar_url: null,
+        email: 'writer@example.com'
+      });
+      const profile = await as(user, request(app).get('/api/profile')).expect(200);
+      expect(profile.body.user.bio).toBe('Writes about things.');
+    });
+
+    test('should clear fields with empty strings or null', async () => {
+      // Arrange
+      await as(user, request(app).patch('/api/profile'))
+        .send({ bio: 'Old bio', website: 'https://old.example.com' })
+        .expect(200);
+
+      // Act
+      const response = await as(user, request(app).patch('/api/profile'))
+        .send({ bio: '', website: null })
+        .expect(200);
+
+      // Assert
+      expect(response.body.user).toMatchObject({ bio: null, website: null });
+    });
+
+    test('should reject invalid or unknown fields', async () => {
+      // Act & Assert
+      await as(user, request(app).patch('/api/profile')).send({ website: 'javascript:alert(1)' }).expect(400);
+      await as(user, request(app).patch('/api/profile')).send({ name: 'No' }).expect(400);
+      await as(user, request(app).patch('/api/profile')).send({ bio: 'x'.repeat(501) }).expect(400);
+      await as(user, request(app).patch('/api/profile')).send({ email: 'new@example.com' }).expect(400);
+      await as(user, request(app).patch('/api/profile')).send({ role: 'admin' }).expect(400);
+      const empty = await as(user, request(app).patch('/api/profile')).send({}).expect(400);
+      expect(empty.body.error).toBe('Nothing to update');
+    });
+
+    test('should crop an uploaded avatar to a square WebP and serve it', async () => {
+      // Act
+      const response = await as(user, request(app).patch('/api/profile'))
+        .field('bio', 'Now with a face')
+        .attach('avatar', await image(640, 480), 'me.png')
+        .expect(200);
+
+      // Assert
+      const { avatar_url: avatarUrl, bio } = response.body.user;
+      expect(bio).toBe('Now with a face');
+      expect(avatarUrl).toMatch(new RegExp(`^/api/users/${user.id}/avatar\\?v=[\\w-]+$`));
+      const avatar = await request(app).get(avatarUrl).buffer(true).expect(200);
+      expect(avatar.headers['content-type']).toBe('image/webp');
+      expect(await sharp(avatar.body).metadata()).toMatchObject({ format: 'webp', width: 256, height: 256 });
+    });
+
+    test('should replace and remove the avatar file', async () => {
+      // Arrange
+      await as(user, request(app).patch('/api/profile'))
+        .attach('avatar', await image(300, 300), 'a.png')
+        .expect(200);
+      const second = await as(user, request(app).patch('/api/profile'))
+        .attach('avatar', await image(300, 300), 'b.png')
+        .expect(200);
+      expect(storage.files.size).toBe(1);
+
+      // Act
+      const removed = await as(user, request(app).patch('/api/profile')).send({ avatar: null }).expect(200);
+
+      // Assert
+      expect(removed.body.user.avatar_url).toBeNull();
+      expect(storage.files.size).toBe(0);
+      await request(app).get(second.body.user.avatar_url).expect(404);
+    });
+
+    test('should reject avatars that are not images', async () => {
+      // Act
+      const response = await as(user, request(app).patch('/api/profile'))
+        .attach('avatar', Buffer.from('%PDF-1.4 not an avatar'), 'me.png')
+        .expect(415);
+
+      // Assert
+      expect(response.body.error).toBe('Avatar must be a JPEG, PNG, GIF or WebP image');
+      expect(storage.files.size).toBe(0);
+    });
+  });
+
+  describe('POST /api/profile/password', () => {
+    const login = (password) =>
+      request(app).post('/api/login').send({ email: 'writer@example.com', password });
+
+    beforeEach(async () => {
+      await db.users.update(user.id, { password: await bcrypt.hash('oldsecret', 4) });
+    });
+
+    test('should change the password when the current one is right', async () => {
+      // Arrange
+      const session = (await login('oldsecret').expect(200)).body;
+      const otherDevice = (await login('oldsecret').expect(200)).body;
+
+      // Act
+      const response = await request(app)
+        .post('/api/profile/password')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({ current_password: 'oldsecret', new_password: 'newsecret' })
+        .expect(200);
+
+      // Assert
+      expect(response.body.message).toBe('Password changed');
+      await login('oldsecret').expect(401);
+      await login('newsecret').expect(200);
+      await request(app).get('/api/profile').set('Authorization', `Bearer ${session.token}`).expect(200);
+      await request(app).get('/api/profile').set('Authorization', `Bearer ${otherDevice.token}`).expect(401);
+    });
+
+    test('should refuse a missing or wrong current password', async () => {
+      // Act
+      const wrong = await as(user, request(app).post('/api/profile/password'))
+        .send({ current_password: 'guess123', new_password: 'newsecret' })
+        .expect(403);
+      await as(user, request(app).post('/api/profile/password'))
+        .send({ new_password: 'newsecret' })
+        .expect(403);
+
+      // Assert
+      expect(wrong.body.error).toBe('Current password is incorrect');
+      await login('oldsecret').expect(200);
+    });
+
+    test('should let Google-only users set a first password', async () => {
+      // Arrange
+      const googleUser = await seedUser(db, { email: 'google@example.com', password: null });
+
+      // Act
+      const response = await as(googleUser, request(app).post('/api/profile/password'))
+        .send({ new_password: 'firstpass' })
+        .expect(200);
+
+      // Assert
+      expect(response.body.message).toBe('Password set');
+      await request(app)
+        .post('/api/login')
+        .send({ email: 'google@example.com', password: 'firstpass' })
+        .expect(200);
+      const profile = await as(googleUser, request(app).get('/api/profile')).expect(200);
+      expect(profile.body.user.has_password).toBe(true);
+    });
+  });
+
+  describe('GET /api/public/users/:userId', () => {
+    test('should show only the public profile fields', async () => {
+      // Arrange
+      await as(user, request(app).patch('/api/profile'))
+        .send({ bio: 'Hello there', website: 'https://w.example.com' })
+        .expect(200);
+      await as(user, request(app).post('/api/posts'))
+        .send({ title: 'Public post', content: 'Visible to everyone' })
+        .expect(201);
+      await as(user, request(app).post('/api/posts'))
+        .send({ title: 'Draft post', content: 'Visible to nobody', status: 'draft' })
+        .expect(201);
+
+      // Act
+      const response = await request(app).get(`/api/public/users/${user.id}`).expect(200);
+
+      // Assert
+      expect(response.body.author).toEqual({
+        id: user.id,
+        name: 'Writer',
+        bio: 'Hello there',
+        website: 'https://w.example.com',
+        avatar_url: null,
+        joined_at: user.created_at,
+        posts_count: 1,
+        followers_count: 0,
+        following_count: 0
+      });
+    });
+
+    test('should return 404 for an unknown author', async () => {
+      // Act & Assert
+      await request(app).get('/api/public/users/999').expect(404);
+    });
+  });
+});
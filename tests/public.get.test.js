@@ -0,0 +1,135 @@
+import request from 'supertest';
+import { slugify } from '../lib/slug.js';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('Public read API', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp());
+    alice = await seedUser(db, { name: 'Alice', email: 'alice@example.com' });
+    bob = await seedUser(db, { name: 'Bob', email: 'bob@example.com' });
+  });
+
+  const createPost = (user, body) =>
+    request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${tokenFor(user)}`)
+      .send(body)
+      .expect(201)
+      .then((response) => response.body.post);
+
+  describe('GET /api/public/posts', () => {
+    test('should list posts from every author without a token', async () => {
+      // Arrange
+      await createPost(alice, { title: 'Alice writes', content: 'Content from Alice' });
+      await createPost(bob, { title: 'Bob writes', content: 'Content from Bob' });
+
+      // Act
+      const response = await request(app)
+        .get('/api/public/posts')
+        .expect(200);
+
+      // Assert
+      expect(response.body.posts.map((p) => p.title)).toEqual(['Bob writes', 'Alice writes']);
+    });
+  });
+
+  describe('GET /api/public/users/:userId/posts', () => {
+    test('should list only that author\'s posts', async () => {
+      // Arrange
+      await createPost(alice, { title: 'Alice writes', content: 'Content from Alice' });
+      await createPost(bob, { title: 'Bob writes', content: 'Content from Bob' });
+
+      // Act
+      const response = await request(app)
+        .get(`/api/public/users/${alice.id}/posts`)
+        .expect(200);
+
+      // Assert
+      expect(response.body.author).toEqual({ id: alice.id, name: 'Alice' });
+      expect(response.body.posts.map((p) => p.title)).toEqual(['Alice writes']);
+    });
+
+    test('should not expose the author\'s email', async () => {
+      // Act
+      const response = await request(app)
+        .get(`/api/public/users/${alice.id}/posts`)
+        .expect(200);
+
+      // Assert
+      expect(response.body.author).not.toHaveProperty('email');
+    });
+
+    test('should return 404 for an unknown author', async () => {
+      // Act & Assert
+      await request(app).get('/api/public/users/999/posts').expect(404);
+    });
+  });
+
+  describe('GET /api/public/posts/:slug', () => {
+    test('should fetch a post by the slug generated from its title', async () => {
+      // Arrange
+      const post = await createPost(alice, { title: 'Hello, World!', content: 'My very first post' });
+
+      // Act
+      const response = await request(app)
+        .get('/api/public/posts/hello-world')
+        .expect(200);
+
+      // Assert
+      expect(post.slug).toBe('hello-world');
+      expect(response.body.post.id).toBe(post.id);
+    });
+
+    test('should keep slugs unique across authors', async () => {
+      // Act
+      const first = await createPost(alice, { title: 'Same title', content: 'Content from Alice' });
+      const second = await createPost(bob, { title: 'Same title', content: 'Content from Bob' });
+      const third = await createPost(bob, { title: 'Same Title?', content: 'More content from Bob' });
+
+      // Assert
+      expect([first.slug, second.slug, third.slug]).toEqual([
+        'same-title',
+        'same-title-2',
+        'same-title-3'
+      ]);
+    });
+
+    test('should keep the slug stable when the title changes', async () => {
+      // Arrange
+      const post = await createPost(alice, { title: 'Original title', content: 'Original content' });
+
+      // Act
+      const response = await request(app)
+        .put(`/api/posts/${post.id}`)
+        .set('Authorization', `Bearer ${tokenFor(alice)}`)
+        .send({ title: 'Renamed title', content: 'Original content' })
+        .expect(200);
+
+      // Assert
+      expect(response.body.post.slug).toBe('original-title');
+      await request(app).get('/api/public/posts/original-title').expect(200);
+    });
+
+    test('should return 404 for an unknown slug', async () => {
+      // Act & Assert
+      await request(app).get('/api/public/posts/nope').expect(404);
+    });
+  });
+
+  describe('slugify', () => {
+    test.each([
+      ['Hello, World!', 'hello-world'],
+      ['  Crème brûlée  ', 'creme-brulee'],
+      ['!!!', 'post'],
+      ['a'.repeat(100), 'a'.repeat(80)]
+    ])('should turn %p into %p', (title, slug) => {
+      expect(slugify(title)).toBe(slug);
+    });
+  });
+});
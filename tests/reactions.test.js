@@ -0,0 +1,158 @@
+import request from 'supertest';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('Reactions and bookmarks', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let author;
+  let reader;
+  let post;
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp());
+    author = await seedUser(db, { name: 'Author' });
+    reader = await seedUser(db, { name: 'Reader' });
+    const response = await as(author, request(app).post('/api/posts'))
+      .send({ title: 'Worth reacting to', content: 'Some content' })
+      .expect(201);
+    post = response.body.post;
+  });
+
+  const as = (user, req) => req.set('Authorization', `Bearer ${tokenFor(user)}`);
+  const react = (user, type, postId = post.id) =>
+    as(user, request(app).put(`/api/posts/${postId}/reaction`)).send({ type });
+  const bookmark = (user, postId = post.id) =>
+    as(user, request(app).put(`/api/posts/${postId}/bookmark`));
+
+  describe('Reactions', () => {
+    test('should count reactions and report the viewer reaction', async () => {
+      // Act
+      await react(author, 'love').expect(200);
+      const response = await react(reader, 'like').expect(200);
+
+      // Assert
+      expect(response.body.post.reactions).toMatchObject({ like: 1, love: 1, laugh: 0 });
+      expect(response.body.post.viewer).toEqual({ reaction: 'like', bookmarked: false });
+    });
+
+    test('should keep one reaction per user and replace its type', async () => {
+      // Arrange
+      await react(reader, 'like').expect(200);
+
+      // Act
+      const response = await react(reader, 'wow').expect(200);
+
+      // Assert
+      expect(response.body.post.reactions).toMatchObject({ like: 0, wow: 1 });
+      expect(response.body.post.viewer.reaction).toBe('wow');
+    });
+
+    test('should remove a reaction', async () => {
+      // Arrange
+      await react(reader, 'sad').expect(200);
+
+      // Act
+      const response = await as(reader, request(app).delete(`/api/posts/${post.id}/reaction`))
+        .expect(200);
+
+      // Assert
+      expect(response.body.post.reactions.sad).toBe(0);
+      expect(response.body.post.viewer.reaction).toBeNull();
+    });
+
+    test('should reject unknown reaction types', async () => {
+      // Act
+      const response = await react(reader, 'angry').expect(400);
+
+      // Assert
+      expect(response.body).toHaveProperty('error');
+    });
+
+    test('should not allow reacting to drafts of other users', async () => {
+      // Arrange
+      const draft = (await as(author, request(app).post('/api/posts'))
+        .send({ title: 'Draft post', content: 'Not ready yet', status: 'draft' })
+        .expect(201)).body.post;
+
+      // Act & Assert
+      await react(reader, 'like', draft.id).expect(404);
+      await react(author, 'like', draft.id).expect(200);
+    });
+
+    test('should show counts on public posts for anonymous and signed-in readers', async () => {
+      // Arrange
+      await react(reader, 'laugh').expect(200);
+
+      // Act
+      const anonymous = await request(app).get(`/api/public/posts/${post.slug}`).expect(200);
+      const signedIn = await as(reader, request(app).get(`/api/public/posts/${post.slug}`))
+        .expect(200);
+
+      // Assert
+      expect(anonymous.body.post.reactions.laugh).toBe(1);
+      expect(anonymous.body.post).not.toHaveProperty('viewer');
+      expect(signedIn.body.post.viewer.reaction).toBe('laugh');
+    });
+  });
+
+  describe('Bookmarks', () => {
+    test('should list bookmarked posts newest first', async () => {
+      // Arrange
+      const second = (await as(author, request(app).post('/api/posts'))
+        .send({ title: 'Second post', content: 'More content' })
+        .expect(201)).body.post;
+      await bookmark(reader).expect(200);
+      await bookmark(reader, second.id).expect(200);
+
+      // Act
+      const response = await as(reader, request(app).get('/api/profile/bookmarks')).expect(200);
+
+      // Assert
+      expect(response.body.bookmarks.map((b) => b.post.id)).toEqual([second.id, post.id]);
+      expect(response.body.bookmarks[0].post.viewer.bookmarked).toBe(true);
+      expect(response.body.bookmarks[0]).toHaveProperty('bookmarked_at');
+    });
+
+    test('should be idempotent and removable', async () => {
+      // Arrange
+      await bookmark(reader).expect(200);
+      await bookmark(reader).expect(200);
+
+      // Act
+      const removed = await as(reader, request(app).delete(`/api/posts/${post.id}/bookmark`))
+        .expect(200);
+      const listed = await as(reader, request(app).get('/api/profile/bookmarks')).expect(200);
+
+      // Assert
+      expect(removed.body.post.viewer.bookmarked).toBe(false);
+      expect(listed.body.bookmarks).toEqual([]);
+    });
+
+    test('should hide bookmarks of posts that are no longer published', async () => {
+      // Arrange
+      await bookmark(reader).expect(200);
+      await as(author, request(app).post(`/api/posts/${post.id}/unpublish`)).expect(200);
+
+      // Act
+      const response = await as(reader, request(app).get('/api/profile/bookmarks')).expect(200);
+
+      // Assert
+      expect(response.body.bookmarks).toEqual([]);
+    });
+
+    test('should drop reactions and bookmarks when the post is deleted permanently', async () => {
+      // Arrange
+      await react(reader, 'like').expect(200);
+      await bookmark(reader).expect(200);
+
+      // Act
+      await as(author, request(app).delete(`/api/posts/${post.id}`)).expect(200);
+      await as(author, request(app).delete(`/api/posts/trash/${post.id}`)).expect(200);
+
+      // Assert
+      expect((await db.bookmarks.listByUser(reader.id)).data).toEqual([]);
+      expect((await db.reactions.countForPosts([post.id])).data).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import request from 'supertest';
+import { diffLines } from '../lib/diff.js';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('Post revisions', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let author;
+  let post;
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp());
+    author = await seedUser(db, { name: 'Author' });
+    const response = await as(author, request(app).post('/api/posts'))
+      .send({ title: 'First title', content: 'Line one\nLine two\nLine three' })
+      .expect(201);
+    post = response.body.post;
+  });
+
+  const as = (user, req) => req.set('Authorization', `Bearer ${tokenFor(user)}`);
+  const update = (body) => as(author, request(app).put(`/api/posts/${post.id}`)).send(body);
+  const revisions = async (user = author) =>
+    (await as(user, request(app).get(`/api/posts/${post.id}/revisions`)).expect(200)).body.revisions;
+
+  describe('Recording', () => {
+    test('should record a revision on create and on every update', async () => {
+      // Arrange
+      await update({ title: 'Second title', content: 'Line one\nLine 2\nLine three' }).expect(200);
+
+      // Act
+      const list = await revisions();
+
+      // Assert
+      expect(list.map((r) => [r.rev, r.title])).toEqual([[2, 'Second title'], [1, 'First title']]);
+      expect(list[0]).not.toHaveProperty('content');
+    });
+
+    test('should keep the pre-update text of posts that had no history', async () => {
+      // Arrange
+      const legacy = (await db.posts.create({
+        title: 'Legacy post',
+        slug: 'legacy-post',
+        content: 'Written before revisions',
+        user_id: author.id,
+        status: 'published'
+      })).data;
+
+      // Act
+      await as(author, request(app).put(`/api/posts/${legacy.id}`))
+        .send({ title: 'Legacy post', content: 'Edited after revisions' })
+        .expect(200);
+      const first = await as(author, request(app).get(`/api/posts/${legacy.id}/revisions/1`))
+        .expect(200);
+
+      // Assert
+      expect(first.body.revision.content).toBe('Written before revisions');
+    });
+
+    test('should hide revisions of other users posts', async () => {
+      // Arrange
+      const other = await seedUser(db, { name: 'Other' });
+
+      // Act & Assert
+      await as(other, request(app).get(`/api/posts/${post.id}/revisions`)).expect(404);
+      await as(other, request(app).post(`/api/posts/${post.id}/revisions/1/restore`)).expect(404);
+    });
+  });
+
+  describe('Diff', () => {
+    test('should diff two revisions line by line', async () => {
+      // Arrange
+      await update({ title: 'Second title', content: 'Line one\nLine 2\nLine three' }).expect(200);
+
+      // Act
+      const response = await as(author, request(app).get(`/api/posts/${post.id}/revisions/diff`))
+        .query({ from: 1, to: 2 })
+        .expect(200);
+
+      // Assert
+      expect(response.body.title).toEqual({ from: 'First title', to: 'Second title', changed: true });
+      expect(response.body.content).toEqual([
+        { op: 'equal', line: 'Line one' },
+        { op: 'delete', line: 'Line two' },
+        { op: 'insert', line: 'Line 2' },
+        { op: 'equal', line: 'Line three' }
+      ]);
+      expect(response.body.stats).toEqual({ added: 1, removed: 1 });
+    });
+
+    test('should default to the latest revision and 404 on unknown ones', async () => {
+      // Arrange
+      await update({ title: 'First title', content: 'Line one\nLine two\nLine three\nLine four' })
+        .expect(200);
+
+      // Act
+      const latest = await as(author, request(app).get(`/api/posts/${post.id}/revisions/diff`))
+        .query({ from: 1 })
+        .expect(200);
+
+      // Assert
+      expect(latest.body.to).toBe(2);
+      expect(latest.body.title.changed).toBe(false);
+      await as(author, request(app).get(`/api/posts/${post.id}/revisions/diff`))
+        .query({ from: 1, to: 9 })
+        .expect(404);
+      await as(author, request(app).get(`/api/posts/${post.id}/revisions/diff`)).expect(400);
+    });
+
+    test('should refuse to diff revisions with too many changed lines', async () => {
+      // Arrange
+      const lines = (prefix) => Array.from({ length: 2100 }, (_, i) => `${prefix} ${i}`).join('\n');
+      await update({ title: 'First title', content: lines('old') }).expect(200);
+      await update({ title: 'First title', content: lines('new') }).expect(200);
+
+      // Act
+      const response = await as(author, request(app).get(`/api/posts/${post.id}/revisions/diff`))
+        .query({ from: 2, to: 3 })
+        .expect(413);
+
+      // Assert
+      expect(response.body.error).toBe('Revisions are too large to diff');
+      expect(diffLines(lines('old'), lines('new'))).toBeNull();
+      expect(diffLines(lines('same'), `${lines('same')}\nextra`)).toHaveLength(2101);
+    });
+
+    test('diffLines should handle insertions at the edges', () => {
+      // Act
+      const ops = diffLines('b\nc', 'a\nb\nc\nd');
+
+      // Assert
+      expect(ops.map((d) => d.op)).toEqual(['insert', 'equal', 'equal', 'insert']);
+    });
+  });
+
+  describe('Restore', () => {
+    test('should roll back and record the restore as a new revision', async () => {
+      // Arrange
+      await update({ title: 'Oops', content: 'Accidentally replaced everything' }).expect(200);
+
+      // Act
+      const response = await as(author, request(app).post(`/api/posts/${post.id}/revisions/1/restore`))
+        .expect(200);
+
+      // Assert
+      expect(response.body.post).toMatchObject({
+        title: 'First title',
+        content: 'Line one\nLine two\nLine three',
+        slug: post.slug
+      });
+      expect(response.body.revision).toMatchObject({ rev: 3, restored_from: 1 });
+      expect((await revisions()).map((r) => r.rev)).toEqual([3, 2, 1]);
+    });
+
+    test('should 404 for a missing revision', async () => {
+      // Act & Assert
+      await as(author, request(app).post(`/api/posts/${post.id}/revisions/7/restore`)).expect(404);
+      await as(author, request(app).post(`/api/posts/${post.id}/revisions/abc/restore`)).expect(404);
+    });
+  });
+});
@@ -1,6 +1,8 @@
 // Jest setup file for API tests
 // This file runs before each test suite
 
+import { jest } from '@jest/globals';
+
 // Mock environment variables for testing
 process.env.NODE_ENV = 'test';
 process.env.PORT = '3002'; // Use different port for testing
@@ -0,0 +1,157 @@
+import request from 'supertest';
+import { normalizeTags } from '../lib/slug.js';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+describe('Tags', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let user;
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp());
+    user = await seedUser(db);
+  });
+
+  const asUser = (req, who = user) => req.set('Authorization', `Bearer ${tokenFor(who)}`);
+  const createPost = (tags, who = user) =>
+    asUser(request(app).post('/api/posts'), who)
+      .send({ title: 'Tagged post', content: 'Tagged post content', tags })
+      .expect(201)
+      .then((response) => response.body.post);
+  const listTags = async (who = user) =>
+    (await asUser(request(app).get('/api/tags'), who).expect(200)).body.tags;
+
+  describe('POST/PUT /api/posts', () => {
+    test('should normalize tags to unique lowercase slugs', async () => {
+      // Act
+      const post = await createPost(['JavaScript', 'Web Dev', 'javascript ', 'Node.js']);
+
+      // Assert
+      expect(post.tags).toEqual(['javascript', 'node-js', 'web-dev']);
+    });
+
+    test('should default to no tags', async () => {
+      // Act
+      const post = await createPost(undefined);
+
+      // Assert
+      expect(post.tags).toEqual([]);
+    });
+
+    test('should reject tags without letters or numbers', async () => {
+      // Act
+      const response = await asUser(request(app).post('/api/posts'))
+        .send({ title: 'Tagged post', content: 'Tagged post content', tags: ['!!!'] })
+        .expect(400);
+
+      // Assert
+      expect(response.body.details[0].message).toBe('Tags must contain letters or numbers');
+    });
+
+    test('should replace tags on PUT and keep them when omitted', async () => {
+      // Arrange
+      const post = await createPost(['one', 'two']);
+
+      // Act
+      const kept = await asUser(request(app).put(`/api/posts/${post.id}`))
+        .send({ title: 'Tagged post', content: 'Edited post content' })
+        .expect(200);
+      const replaced = await asUser(request(app).put(`/api/posts/${post.id}`))
+        .send({ title: 'Tagged post', content: 'Edited post content', tags: ['three'] })
+        .expect(200);
+
+      // Assert
+      expect(kept.body.post.tags).toEqual(['one', 'two']);
+      expect(replaced.body.post.tags).toEqual(['three']);
+      expect(await listTags()).toEqual([{ slug: 'three', count: 1 }]);
+    });
+
+    test('should include tags in GET /posts and public reads', async () => {
+      // Arrange
+      const post = await createPost(['news']);
+
+      // Act
+      const own = await asUser(request(app).get('/api/posts')).expect(200);
+      const pub = await request(app).get(`/api/public/posts/${post.slug}`).expect(200);
+
+      // Assert
+      expect(own.body.posts[0].tags).toEqual(['news']);
+      expect(pub.body.post.tags).toEqual(['news']);
+    });
+  });
+
+  describe('GET /api/tags', () => {
+    test('should list the user\'s tags with post counts', async () => {
+      // Arrange
+      await createPost(['news', 'tech']);
+      await createPost(['tech']);
+      await createPost(['private'], await seedUser(db));
+
+      // Act
+      const tags = await listTags();
+
+      // Assert
+      expect(tags).toEqual([
+        { slug: 'tech', count: 2 },
+        { slug: 'news', count: 1 }
+      ]);
+    });
+
+    test('should remove a tag when its last post is deleted', async () => {
+      // Arrange
+      const first = await createPost(['news', 'tech']);
+      await createPost(['tech']);
+
+      // Act
+      await asUser(request(app).delete(`/api/posts/${first.id}`)).expect(200);
+
+      // Assert
+      expect(await listTags()).toEqual([{ slug: 'tech', count: 1 }]);
+    });
+  });
+
+  describe('GET /api/tags/:tag/posts', () => {
+    test('should list only posts with the tag', async () => {
+      // Arrange
+      const tagged = await createPost(['news']);
+      await createPost(['other']);
+
+      // Act
+      const response = await asUser(request(app).get('/api/tags/News/posts')).expect(200);
+
+      // Assert
+      expect(response.body.posts.map((p) => p.id)).toEqual([tagged.id]);
+      expect(response.body.next_cursor).toBeNull();
+    });
+
+    test('should not include other users\' posts with the same tag', async () => {
+      // Arrange
+      await createPost(['news'], await seedUser(db));
+
+      // Act
+      const response = await asUser(request(app).get('/api/tags/news/posts')).expect(200);
+
+      // Assert
+      expect(response.body.posts).toEqual([]);
+    });
+
+    test('should filter GET /posts by tag', async () => {
+      // Arrange
+      const tagged = await createPost(['news']);
+      await createPost([]);
+
+      // Act
+      const response = await asUser(request(app).get('/api/posts').query({ tag: 'news' })).expect(200);
+
+      // Assert
+      expect(response.body.posts.map((p) => p.id)).toEqual([tagged.id]);
+    });
+  });
+
+  describe('normalizeTags', () => {
+    test('should drop empty names and duplicates', () => {
+      expect(normalizeTags(['A', 'a', '***', 'Ünïcode'])).toEqual(['a', 'unicode']);
+    });
+  });
+});
@@ -0,0 +1,437 @@
+import crypto from 'crypto';
+import http from 'http';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { createFileDb } from '../db/file.js';
+import { createPublishScheduler } from '../jobs/publishScheduler.js';
+import { createWebhookDeliverer } from '../jobs/webhookDeliverer.js';
+import { postToPublicUrl } from '../lib/outbound.js';
+import { MAX_DELIVERY_ATTEMPTS, WEBHOOK_EVENTS, createWebhookEmitter } from '../lib/webhooks.js';
+import { createTestApp, seedUser } from './helpers/testHelpers.js';
+
+const HOOK_URL = 'https://hooks.example.com/rebuild';
+
+describe('Webhooks', () => {
+  let app;
+  let db;
+  let tokenFor;
+  let now;
+  let clock;
+  let user;
+  let post;
+  let deliverer;
+
+  beforeEach(async () => {
+    now = new Date('2025-06-01T08:00:00.000Z');
+    clock = () => now;
+    ({ app, db, tokenFor } = createTestApp({ clock, db: createFileDb({ clock }) }));
+    user = await seedUser(db, { name: 'Site Owner', email: 'owner@example.com' });
+    post = jest.fn(async () => ({ status: 200 }));
+    deliverer = createWebhookDeliverer({ db, clock, post: (...args) => post(...args) });
+  });
+
+  const as = (account, req) => req.set('Authorization', `Bearer ${tokenFor(account)}`);
+  const createWebhook = async (body = {}, account = user) =>
+    (
+      await as(account, request(app).post('/api/webhooks'))
+        .send({ url: HOOK_URL, events: WEBHOOK_EVENTS, ...body })
+        .expect(201)
+    ).body;
+  const createPost = (body = {}, account = user) =>
+    as(account, request(app).post('/api/posts'))
+      .send({ title: 'Release notes', content: 'Everything that changed this week', ...body })
+      .expect(201);
+  const deliveriesOf = async (webhook) =>
+    (await as(user, request(app).get(`/api/webhooks/${webhook.id}/deliveries`)).expect(200)).body
+      .deliveries;
+  const later = (ms) => {
+    now = new Date(now.getTime() + ms);
+  };
+
+  describe('Managing webhooks', () => {
+    test('should show the secret once and list webhooks without it', async () => {
+      // Act
+      const created = await createWebhook({ events: ['post.published', 'post.created', 'post.created'] });
+      const listed = await as(user, request(app).get('/api/webhooks')).expect(200);
+
+      // Assert
+      expect(created.secret).toMatch(/^whsec_[\w-]{43}$/);
+      const expected = {
+        id: expect.any(Number),
+        url: HOOK_URL,
+        events: ['post.created', 'post.published'],
+        active: true,
+        created_at: now.toISOString(),
+        updated_at: now.toISOString()
+      };
+      expect(created.webhook).toEqual(expected);
+      expect(listed.body.webhooks).toEqual([expected]);
+      expect(JSON.stringify(listed.body)).not.toContain(created.secret);
+    });
+
+    test('should validate urls and events', async () => {
+      // Act & Assert
+      await as(user, request(app).post('/api/webhooks'))
+        .send({ url: 'ftp://hooks.example.com', events: ['post.created'] })
+        .expect(400);
+      await as(user, request(app).post('/api/webhooks')).send({ url: HOOK_URL, events: [] }).expect(400);
+      await as(user, request(app).post('/api/webhooks'))
+        .send({ url: HOOK_URL, events: ['user.created'] })
+        .expect(400);
+      const { webhook } = await createWebhook();
+      await as(user, request(app).patch(`/api/webhooks/${webhook.id}`)).send({}).expect(400);
+    });
+
+    test('should refuse urls of local, private and metadata addresses', async () => {
+      // Arrange
+      const { webhook } = await createWebhook();
+      const internal = [
+        'http://127.0.0.1:3000/hook',
+        'http://localhost/hook',
+        'http://2130706433/hook',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'http://10.0.0.5/hook',
+        'http://172.20.1.1/hook',
+        'http://192.168.1.10/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://metadata.google.internal/computeMetadata/v1',
+        'http://[fd00:ec2::254]/hook'
+      ];
+
+      // Act & Assert
+      for (const url of internal) {
+        const response = await as(user, request(app).post('/api/webhooks'))
+          .send({ url, events: ['post.created'] })
+          .expect(400);
+        expect(response.body.details[0].message).toBe('url must not point to a local or private address');
+        await as(user, request(app).patch(`/api/webhooks/${webhook.id}`)).send({ url }).expect(400);
+      }
+    });
+
+    test('should only let the owner change or delete a webhook', async () => {
+      // Arrange
+      const { webhook } = await createWebhook();
+      const other = await seedUser(db, { name: 'Other' });
+
+      // Act
+      await as(other, request(app).patch(`/api/webhooks/${webhook.id}`)).send({ active: false }).expect(404);
+      await as(other, request(app).delete(`/api/webhooks/${webhook.id}`)).expect(404);
+      await as(other, request(app).get(`/api/webhooks/${webhook.id}/deliveries`)).expect(404);
+      now = new Date('2025-06-01T09:00:00.000Z');
+      const updated = await as(user, request(app).patch(`/api/webhooks/${webhook.id}`))
+        .send({ events: ['post.published'], active: false })
+        .expect(200);
+
+      // Assert
+      expect(updated.body.webhook).toMatchObject({
+        events: ['post.published'],
+        active: false,
+        updated_at: '2025-06-01T09:00:00.000Z'
+      });
+    });
+
+    test('should drop the delivery log with the webhook', async () => {
+      // Arrange
+      const { webhook } = await createWebhook();
+      await createPost();
+
+      // Act
+      await as(user, request(app).delete(`/api/webhooks/${webhook.id}`)).expect(200);
+
+      // Assert
+      expect((await db.webhookDeliveries.listByWebhook(webhook.id, 10)).data).toEqual([]);
+      expect((await as(user, request(app).get('/api/webhooks')).expect(200)).body.webhooks).toEqual([]);
+    });
+  });
+
+  describe('Queueing events', () => {
+    test('should queue created, updated, published and deleted events for post changes', async () => {
+      // Arrange
+      const { webhook } = await createWebhook();
+
+      // Act
+      const { body } = await createPost({ status: 'draft' });
+      const id = body.post.id;
+      await as(user, request(app).put(`/api/posts/${id}`))
+        .send({ title: 'Release notes v2', content: 'Everything that changed this week' })
+        .expect(200);
+      await as(user, request(app).post(`/api/posts/${id}/publish`)).send({}).expect(200);
+      await as(user, request(app).delete(`/api/posts/${id}`)).expect(200);
+
+      // Assert
+      const deliveries = await deliveriesOf(webhook);
+      expect(deliveries.map((d) => d.event).reverse()).toEqual([
+        'post.created',
+        'post.updated',
+        'post.updated',
+        'post.published',
+        'post.deleted'
+      ]);
+      const [deleted] = deliveries;
+      expect(deleted).toMatchObject({ status: 'pending', attempts: 0, next_attempt_at: now.toISOString() });
+      expect(deleted.payload).toEqual({
+        id: expect.any(String),
+        event: 'post.deleted',
+        created_at: now.toISOString(),
+        data: {
+          post: expect.objectContaining({ id, title: 'Release notes v2', deleted_at: now.toISOString() })
+        }
+      });
+    });
+
+    test('should only queue subscribed events for active webhooks of the author', async () => {
+      // Arrange
+      const { webhook: publishOnly } = await createWebhook({ events: ['post.published'] });
+      const { webhook: paused } = await createWebhook({ active: false });
+      const other = await seedUser(db, { name: 'Other Author' });
+
+      // Act
+      await createPost({ status: 'draft' });
+      await createPost();
+      await createPost({}, other);
+
+      // Assert
+      const published = await deliveriesOf(publishOnly);
+      expect(published.map((d) => d.event)).toEqual(['post.published']);
+      expect(await deliveriesOf(paused)).toEqual([]);
+    });
+
+    test('should queue post.published when the scheduler publishes a post', async () => {
+      // Arrange
+      const { webhook } = await createWebhook({ events: ['post.published'] });
+      const webhooks = createWebhookEmitter({ db, clock });
+      const scheduler = createPublishScheduler({ db, clock, webhooks });
+      await createPost({ status: 'scheduled', publish_at: '2025-06-01T12:00:00.000Z' });
+
+      // Act
+      now = new Date('2025-06-01T12:00:00.000Z');
+      await scheduler.runOnce();
+
+      // Assert
+      const deliveries = await deliveriesOf(webhook);
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0].payload.data.post).toMatchObject({
+        status: 'published',
+        published_at: '2025-06-01T12:00:00.000Z'
+      });
+    });
+  });
+
+  describe('Delivering', () => {
+    test('should POST the signed payload and record the success', async () => {
+      // Arrange
+      const { webhook, secret } = await createWebhook();
+      await createPost({ status: 'draft' });
+
+      // Act
+      later(1000);
+      await deliverer.runOnce();
+
+      // Assert
+      expect(post).toHaveBeenCalledTimes(1);
+      const [url, init] = post.mock.calls[0];
+      expect(url).toBe(HOOK_URL);
+      expect(init.headers['X-Webhook-Event']).toBe('post.created');
+      const timestamp = Math.floor(now.getTime() / 1000);
+      const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${init.body}`).digest('hex');
+      expect(init.headers['X-Webhook-Signature']).toBe(`t=${timestamp},v1=${digest}`);
+      expect(JSON.parse(init.body).data.post.title).toBe('Release notes');
+
+      const [delivery] = await deliveriesOf(webhook);
+      expect(init.headers['X-Webhook-Delivery']).toBe(String(delivery.id));
+      expect(delivery).toMatchObject({
+        status: 'succeeded',
+        attempts: 1,
+        response_status: 200,
+        delivered_at: now.toISOString(),
+        next_attempt_at: null,
+        error: null
+      });
+    });
+
+    test('should retry failures with exponential backoff and give up after the last attempt', async () => {
+      // Arrange
+      const { webhook } = await createWebhook({ events: ['post.created'] });
+      await createPost();
+      post.mockImplementation(async () => ({ status: 503 }));
+
+      // Act
+      await deliverer.runOnce();
+      const [first] = await deliveriesOf(webhook);
+      later(59 * 1000);
+      await deliverer.runOnce();
+      later(1000);
+      await deliverer.runOnce();
+      const [second] = await deliveriesOf(webhook);
+
+      // Assert
+      expect(first).toMatchObject({
+        status: 'pending',
+        attempts: 1,
+        response_status: 503,
+        error: 'HTTP 503',
+        next_attempt_at: '2025-06-01T08:01:00.000Z'
+      });
+      expect(post).toHaveBeenCalledTimes(2);
+      expect(second).toMatchObject({ attempts: 2, next_attempt_at: '2025-06-01T08:03:00.000Z' });
+
+      for (let attempt = 3; attempt <= MAX_DELIVERY_ATTEMPTS; attempt++) {
+        const [pending] = await deliveriesOf(webhook);
+        now = new Date(pending.next_attempt_at);
+        await deliverer.runOnce();
+      }
+      const [last] = await deliveriesOf(webhook);
+      expect(last).toMatchObject({
+        status: 'failed',
+        attempts: MAX_DELIVERY_ATTEMPTS,
+        next_attempt_at: null
+      });
+      later(24 * 60 * 60 * 1000);
+      await deliverer.runOnce();
+      expect(post).toHaveBeenCalledTimes(MAX_DELIVERY_ATTEMPTS);
+    });
+
+    test('should record network errors and not send to inactive webhooks', async () => {
+      // Arrange
+      const { webhook } = await createWebhook({ events: ['post.created'] });
+      await createPost();
+      post.mockImplementationOnce(async () => {
+        throw new Error('getaddrinfo ENOTFOUND hooks.example.com');
+      });
+
+      // Act
+      await deliverer.runOnce();
+      const [failed] = await deliveriesOf(webhook);
+      await as(user, request(app).patch(`/api/webhooks/${webhook.id}`)).send({ active: false }).expect(200);
+      later(60 * 1000);
+      await deliverer.runOnce();
+      const [dropped] = await deliveriesOf(webhook);
+
+      // Assert
+      expect(failed).toMatchObject({
+        status: 'pending',
+        attempts: 1,
+        response_status: null,
+        error: 'getaddrinfo ENOTFOUND hooks.example.com'
+      });
+      expect(dropped).toMatchObject({ status: 'failed', error: 'Webhook is inactive' });
+      expect(post).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Sending to public addresses only', () => {
+    let server;
+    let received;
+
+    beforeEach(async () => {
+      received = 0;
+      server = http.createServer((req, res) => {
+        received += 1;
+        res.end('ok');
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(() => new Promise((resolve) => server.close(resolve)));
+
+    // Resolves every name to the local test server, as a re-pointed DNS record would
+    const toLoopback = (hostname, options, callback) =>
+      options.all
+        ? callback(null, [{ address: '127.0.0.1', family: 4 }])
+        : callback(null, '127.0.0.1', 4);
+
+    test('should refuse names that resolve to a local address when sending', async () => {
+      // Arrange
+      const url = `http://hooks.example.com:${server.address().port}/hook`;
+      const options = { headers: {}, body: '{}', timeoutMs: 1000, lookup: toLoopback };
+
+      // Act & Assert
+      await expect(postToPublicUrl(url, options)).rejects.toThrow(
+        'hooks.example.com resolves to a local or private address'
+      );
+      await expect(
+        postToPublicUrl(`http://127.0.0.1:${server.address().port}/hook`, options)
+      ).rejects.toThrow('URL points to a local or private address');
+      expect(received).toBe(0);
+    });
+
+    test('should record the refusal as a failed attempt', async () => {
+      // Arrange
+      const { webhook } = await createWebhook({
+        url: `http://hooks.example.com:${server.address().port}/hook`,
+        events: ['post.created']
+      });
+      await createPost();
+      const sending = createWebhookDeliverer({
+        db,
+        clock,
+        post: (url, options) => postToPublicUrl(url, { ...options, lookup: toLoopback })
+      });
+
+      // Act
+      await sending.runOnce();
+
+      // Assert
+      const [delivery] = await deliveriesOf(webhook);
+      expect(delivery).toMatchObject({
+        status: 'pending',
+        attempts: 1,
+        response_status: null,
+        error: 'hooks.example.com resolves to a local or private address'
+      });
+      expect(received).toBe(0);
+    });
+  });
+
+  describe('Redelivering', () => {
+    test('should queue the same payload again and send it', async () => {
+      // Arrange
+      const { webhook } = await createWebhook({ events: ['post.created'] });
+      await createPost();
+      post.mockImplementation(async () => ({ status: 500 }));
+      await deliverer.runOnce();
+      const [original] = await deliveriesOf(webhook);
+
+      // Act
+      const response = await as(
+        user,
+        request(app).post(`/api/webhooks/${webhook.id}/deliveries/${original.id}/redeliver`)
+      ).expect(202);
+      post.mockImplementation(async () => ({ status: 204 }));
+      await deliverer.runOnce();
+
+      // Assert
+      expect(response.body.delivery).toMatchObject({
+        status: 'pending',
+        attempts: 0,
+        redelivery_of: original.id
+      });
+      const [redelivered, first] = await deliveriesOf(webhook);
+      expect(redelivered).toMatchObject({
+        id: response.body.delivery.id,
+        status: 'succeeded',
+        response_status: 204
+      });
+      expect(redelivered.payload).toEqual(first.payload);
+      expect(first).toMatchObject({ status: 'pending', attempts: 1 });
+    });
+
+    test('should not redeliver deliveries of another webhook', async () => {
+      // Arrange
+      const { webhook: first } = await createWebhook({ events: ['post.created'] });
+      const { webhook: second } = await createWebhook({ events: ['post.created'] });
+      await createPost();
+      const [delivery] = await deliveriesOf(first);
+
+      // Act
+      const response = await as(
+        user,
+        request(app).post(`/api/webhooks/${second.id}/deliveries/${delivery.id}/redeliver`)
+      ).expect(404);
+
+      // Assert
+      expect(response.body.error).toBe('Delivery not found');
+    });
+  });
+});